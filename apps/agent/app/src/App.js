@@ -1,15 +1,144 @@
-import React, { useCallback } from 'react'
+import React, { useCallback, useState } from 'react'
 import { useAragonApi } from '@aragon/api-react'
-import { Header, Main, SyncIndicator } from '@aragon/ui'
+import {
+  Button,
+  GU,
+  Header,
+  IconCoin,
+  IconLock,
+  IconPlus,
+  Main,
+  SyncIndicator,
+  Tabs,
+  useLayout,
+} from '@aragon/ui'
+import BalanceHistory from './components/BalanceHistory'
 import Balances from './components/Balances'
+import Collectibles from './components/Collectibles'
 import { IdentityProvider } from './components/IdentityManager/IdentityManager'
 import AgentHelp from './components/AgentHelp'
+import NewActionPanel from './components/NewAction/NewActionPanel'
+import PriceFeedPanel from './components/PriceFeed/PriceFeedPanel'
+import ProtectedTokensPanel from './components/ProtectedTokens/ProtectedTokensPanel'
+import DesignatedSignerPanel from './components/Signatures/DesignatedSignerPanel'
+import PresignPanel from './components/Signatures/PresignPanel'
+import Signatures from './components/Signatures/Signatures'
 import Transactions from './components/Transactions'
+import useFilteredTransactions from './components/useFilteredTransactions'
+
+const TABS = ['Assets', 'Signatures']
+const SIGNATURES_TAB = 1
 
 function App() {
   const { api, appState, guiStyle } = useAragonApi()
-  const { balances, isSyncing, transactions, tokens, proxyAddress } = appState
+  const {
+    balances,
+    collectibles,
+    designatedSigner,
+    designatedSigners,
+    isSyncing,
+    presignedHashes,
+    protectedTokens,
+    transactions,
+    tokens,
+    proxyAddress,
+  } = appState
   const { appearance } = guiStyle
+  const [newActionOpened, setNewActionOpened] = useState(false)
+  const [protectedTokensOpened, setProtectedTokensOpened] = useState(false)
+  const [presignOpened, setPresignOpened] = useState(false)
+  const [designatedSignerOpened, setDesignatedSignerOpened] = useState(false)
+  const [priceFeedOpened, setPriceFeedOpened] = useState(false)
+  const [selectedTab, setSelectedTab] = useState(0)
+  // The balance history shares the date range of the transactions
+  const transactionFilters = useFilteredTransactions({ transactions, tokens })
+
+  const handleNewActionOpen = useCallback(() => {
+    setNewActionOpened(true)
+  }, [])
+  const handleNewActionClose = useCallback(() => {
+    setNewActionOpened(false)
+  }, [])
+  const handleExecute = useCallback(
+    ({ data, ethValue, safe, target }) => {
+      // Don't care about response
+      if (safe) {
+        api.safeExecute(target, data).toPromise()
+      } else {
+        api.execute(target, ethValue, data).toPromise()
+      }
+      setNewActionOpened(false)
+    },
+    [api]
+  )
+  const handleForward = useCallback(
+    script => {
+      // Don't care about response
+      api.forward(script).toPromise()
+      setNewActionOpened(false)
+    },
+    [api]
+  )
+
+  const handleProtectedTokensOpen = useCallback(() => {
+    setProtectedTokensOpened(true)
+  }, [])
+  const handleProtectedTokensClose = useCallback(() => {
+    setProtectedTokensOpened(false)
+  }, [])
+  const handleAddProtectedToken = useCallback(
+    address => {
+      // Don't care about response
+      api.addProtectedToken(address).toPromise()
+      setProtectedTokensOpened(false)
+    },
+    [api]
+  )
+  const handleRemoveProtectedToken = useCallback(
+    address => {
+      // Don't care about response
+      api.removeProtectedToken(address).toPromise()
+      setProtectedTokensOpened(false)
+    },
+    [api]
+  )
+
+  const handlePresignOpen = useCallback(() => {
+    setPresignOpened(true)
+  }, [])
+  const handlePresignClose = useCallback(() => {
+    setPresignOpened(false)
+  }, [])
+  const handlePresign = useCallback(
+    hash => {
+      // Don't care about response
+      api.presignHash(hash).toPromise()
+      setPresignOpened(false)
+    },
+    [api]
+  )
+
+  const handleDesignatedSignerOpen = useCallback(() => {
+    setDesignatedSignerOpened(true)
+  }, [])
+  const handleDesignatedSignerClose = useCallback(() => {
+    setDesignatedSignerOpened(false)
+  }, [])
+  const handleSetDesignatedSigner = useCallback(
+    address => {
+      // Don't care about response
+      api.setDesignatedSigner(address).toPromise()
+      setDesignatedSignerOpened(false)
+    },
+    [api]
+  )
+
+  const handlePriceFeedOpen = useCallback(() => {
+    setPriceFeedOpened(true)
+  }, [])
+  const handlePriceFeedClose = useCallback(() => {
+    setPriceFeedOpened(false)
+  }, [])
 
   const handleResolveLocalIdentity = useCallback(
     address => {
@@ -32,17 +161,136 @@ function App() {
         onShowLocalIdentityModal={handleShowLocalIdentityModal}
       >
         <SyncIndicator visible={isSyncing} shift={50} />
-        <Header primary="Agent" />
-        <AgentHelp />
-        <Balances balances={balances} />
-        <Transactions
+        <Header
+          primary="Agent"
+          secondary={
+            selectedTab === SIGNATURES_TAB ? (
+              <PresignButton onClick={handlePresignOpen} />
+            ) : (
+              <React.Fragment>
+                <PriceFeedButton onClick={handlePriceFeedOpen} />
+                <ProtectedTokensButton onClick={handleProtectedTokensOpen} />
+                <NewActionButton onClick={handleNewActionOpen} />
+              </React.Fragment>
+            )
+          }
+        />
+        <Tabs items={TABS} selected={selectedTab} onChange={setSelectedTab} />
+        {selectedTab === SIGNATURES_TAB ? (
+          <Signatures
+            designatedSigner={designatedSigner}
+            designatedSigners={designatedSigners || []}
+            onChangeDesignatedSigner={handleDesignatedSignerOpen}
+            presignedHashes={presignedHashes || []}
+          />
+        ) : (
+          <React.Fragment>
+            <AgentHelp />
+            <Balances balances={balances} />
+            <Collectibles collectibles={collectibles || []} />
+            <BalanceHistory
+              balances={balances}
+              dateRange={transactionFilters.selectedDateRange}
+              tokens={tokens}
+              transactions={transactions}
+            />
+            <Transactions
+              agentAddress={proxyAddress}
+              transactionFilters={transactionFilters}
+              transactions={transactions}
+              tokens={tokens}
+            />
+          </React.Fragment>
+        )}
+        <NewActionPanel
+          opened={newActionOpened}
+          onClose={handleNewActionClose}
+          onExecute={handleExecute}
+          onForward={handleForward}
+        />
+        <ProtectedTokensPanel
+          opened={protectedTokensOpened}
+          onAdd={handleAddProtectedToken}
+          onClose={handleProtectedTokensClose}
+          onRemove={handleRemoveProtectedToken}
+          protectedTokens={protectedTokens || []}
+          tokens={tokens || []}
+        />
+        <PresignPanel
+          opened={presignOpened}
+          onClose={handlePresignClose}
+          onPresign={handlePresign}
+        />
+        <DesignatedSignerPanel
           agentAddress={proxyAddress}
-          transactions={transactions}
-          tokens={tokens}
+          designatedSigner={designatedSigner}
+          opened={designatedSignerOpened}
+          onClose={handleDesignatedSignerClose}
+          onSetDesignatedSigner={handleSetDesignatedSigner}
+        />
+        <PriceFeedPanel
+          opened={priceFeedOpened}
+          onClose={handlePriceFeedClose}
         />
       </IdentityProvider>
     </Main>
   )
 }
 
+function NewActionButton({ onClick }) {
+  const { layoutName } = useLayout()
+  return (
+    <Button
+      mode="strong"
+      onClick={onClick}
+      label="New action"
+      icon={<IconPlus />}
+      display={layoutName === 'small' ? 'icon' : 'label'}
+    />
+  )
+}
+
+function PresignButton({ onClick }) {
+  const { layoutName } = useLayout()
+  return (
+    <Button
+      mode="strong"
+      onClick={onClick}
+      label="Presign message"
+      icon={<IconPlus />}
+      display={layoutName === 'small' ? 'icon' : 'label'}
+    />
+  )
+}
+
+function PriceFeedButton({ onClick }) {
+  const { layoutName } = useLayout()
+  return (
+    <Button
+      onClick={onClick}
+      label="Price feed"
+      icon={<IconCoin />}
+      display={layoutName === 'small' ? 'icon' : 'label'}
+      css={`
+        margin-right: ${1 * GU}px;
+      `}
+    />
+  )
+}
+
+function ProtectedTokensButton({ onClick }) {
+  const { layoutName } = useLayout()
+  return (
+    <Button
+      onClick={onClick}
+      label="Protected tokens"
+      icon={<IconLock />}
+      display={layoutName === 'small' ? 'icon' : 'label'}
+      css={`
+        margin-right: ${1 * GU}px;
+      `}
+    />
+  )
+}
+
 export default App
@@ -1,5 +1,6 @@
 import BN from 'bn.js'
 import { ETHER_TOKEN_FAKE_ADDRESS } from './lib/token-utils'
+import { addressesEqual } from './lib/web3-utils'
 
 // Use this function to sort by ETH and then token symbol
 const compareBalancesByEthAndSymbol = (tokenA, tokenB) => {
@@ -13,20 +14,32 @@ const compareBalancesByEthAndSymbol = (tokenA, tokenB) => {
 }
 
 function appStateReducer(state) {
-  const { balances = [], transactions = [] } = state || {
+  const {
+    balances = [],
+    collectibles = [],
+    protectedTokens = [],
+    transactions = [],
+  } = state || {
     balances: [],
+    collectibles: [],
+    protectedTokens: [],
     transactions: [],
   }
+  const isTokenProtected = tokenAddress =>
+    protectedTokens.some(({ address }) => addressesEqual(address, tokenAddress))
+
   const balancesBn = balances
     .map(balance => ({
       ...balance,
       amount: new BN(balance.amount),
       decimals: new BN(balance.decimals),
+      isProtected: isTokenProtected(balance.address),
     }))
     .sort(compareBalancesByEthAndSymbol)
 
   const transactionsBn = transactions.map(transaction => ({
     ...transaction,
+    collectibleTransfers: transaction.collectibleTransfers || [],
     isIncoming: transaction.tokenTransfers.some(({ from }) => !!from),
     isOutgoing: transaction.tokenTransfers.some(({ to }) => !!to),
     tokenTransfers: transaction.tokenTransfers.map(transfer => ({
@@ -38,13 +51,20 @@ function appStateReducer(state) {
   return {
     ...state,
 
-    tokens: balancesBn.map(({ address, decimals, name, symbol, verified }) => ({
-      address,
-      decimals: decimals.toNumber(),
-      name,
-      symbol,
-      verified,
-    })),
+    tokens: balancesBn.map(
+      ({ address, decimals, isProtected, name, symbol, verified }) => ({
+        address,
+        decimals: decimals.toNumber(),
+        isProtected,
+        name,
+        symbol,
+        verified,
+      })
+    ),
+
+    collectibles,
+
+    protectedTokens,
 
     // Filter out empty balances
     balances: balancesBn.filter(balance => !balance.amount.isZero()),
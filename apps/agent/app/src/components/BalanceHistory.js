@@ -0,0 +1,278 @@
+import React, { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import { endOfDay, format, startOfDay } from 'date-fns'
+import {
+  Box,
+  DataView,
+  DropDown,
+  GU,
+  LineChart,
+  formatTokenAmount,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+import { useConvertRates } from './useConvertRates'
+import {
+  INTERVAL_DAY,
+  INTERVAL_MONTH,
+  INTERVAL_WEEK,
+  getBucketEnds,
+  getHistoryStart,
+  getTokenBalanceHistory,
+} from '../lib/balance-history-utils'
+import { getConvertedAmount } from '../lib/conversion-utils'
+import { ISO_SHORT_FORMAT } from '../lib/date-utils'
+import { fromDecimals } from '../lib/math-utils'
+import { formatFiatValue } from '../lib/price-feed-utils'
+import { addressesEqual } from '../lib/web3-utils'
+
+const INTERVALS = [
+  { id: INTERVAL_DAY, label: 'Daily' },
+  { id: INTERVAL_WEEK, label: 'Weekly' },
+  { id: INTERVAL_MONTH, label: 'Monthly' },
+]
+const INTERVAL_LABELS = INTERVALS.map(({ label }) => label)
+const INITIAL_INTERVAL = 2
+
+// Index of the aggregated fiat value in the token selector
+const ALL_TOKENS_INDEX = 0
+
+// Amount of labels to display under the chart
+const CHART_LABELS = 6
+
+// Convert an amount in base units into a number, for charting purposes
+function toNumber(amount, decimals) {
+  const decimalAmount = Number(fromDecimals(amount.abs().toString(), decimals))
+  return amount.isNeg() ? -decimalAmount : decimalAmount
+}
+
+// Normalize values between 0 and 1, as expected by LineChart
+function normalize(values) {
+  const min = Math.min(0, ...values)
+  const max = Math.max(...values)
+  return values.map(value => (max === min ? 0 : (value - min) / (max - min)))
+}
+
+function useBalanceHistory({
+  balances,
+  dateRange,
+  interval,
+  tokens,
+  transactions,
+}) {
+  const verifiedSymbols = useMemo(
+    () => tokens.filter(({ verified }) => verified).map(({ symbol }) => symbol),
+    [tokens]
+  )
+  const { currency, rates: convertRates } = useConvertRates(verifiedSymbols)
+
+  const bucketEnds = useMemo(() => {
+    const now = new Date()
+    const start = dateRange.start
+      ? startOfDay(dateRange.start)
+      : getHistoryStart(transactions, now)
+    const end = dateRange.end ? endOfDay(dateRange.end) : now
+    return getBucketEnds(start, end < now ? end : now, interval)
+  }, [dateRange, interval, transactions])
+
+  const tokenHistories = useMemo(
+    () =>
+      tokens.map(({ address, decimals, symbol }) => {
+        const balance = balances.find(balance =>
+          addressesEqual(balance.address, address)
+        )
+        return {
+          decimals,
+          symbol,
+          values: getTokenBalanceHistory({
+            balance: balance ? balance.amount : new BN(0),
+            bucketEnds,
+            token: address,
+            transactions,
+          }),
+        }
+      }),
+    [balances, bucketEnds, tokens, transactions]
+  )
+
+  // Aggregated value of every token with a known rate, at the current rates
+  const fiatValues = useMemo(
+    () =>
+      bucketEnds.map((_, index) =>
+        tokenHistories.reduce((total, { decimals, symbol, values }) => {
+          const rate = convertRates[symbol]
+          return rate
+            ? total +
+                toNumber(getConvertedAmount(values[index], rate), decimals)
+            : total
+        }, 0)
+      ),
+    [bucketEnds, convertRates, tokenHistories]
+  )
+
+  return { bucketEnds, currency, fiatValues, tokenHistories }
+}
+
+function BalanceHistory({ balances, dateRange, tokens, transactions }) {
+  const theme = useTheme()
+  const { layoutName } = useLayout()
+  const [intervalIndex, setIntervalIndex] = useState(INITIAL_INTERVAL)
+  const [selectedToken, setSelectedToken] = useState(ALL_TOKENS_INDEX)
+
+  const {
+    bucketEnds,
+    currency,
+    fiatValues,
+    tokenHistories,
+  } = useBalanceHistory({
+    balances,
+    dateRange,
+    interval: INTERVALS[intervalIndex].id,
+    tokens,
+    transactions,
+  })
+
+  const tokenItems = useMemo(
+    () => [`All tokens (${currency})`, ...tokens.map(({ symbol }) => symbol)],
+    [currency, tokens]
+  )
+  const tokenHistory =
+    selectedToken === ALL_TOKENS_INDEX
+      ? null
+      : tokenHistories[selectedToken - 1] || null
+
+  const chartValues = useMemo(
+    () =>
+      normalize(
+        tokenHistory
+          ? tokenHistory.values.map(value =>
+              toNumber(value, tokenHistory.decimals)
+            )
+          : fiatValues
+      ),
+    [tokenHistory, fiatValues]
+  )
+  const formatValue = index =>
+    tokenHistory
+      ? formatTokenAmount(tokenHistory.values[index], tokenHistory.decimals, {
+          digits: 5,
+          symbol: tokenHistory.symbol,
+        })
+      : formatFiatValue(fiatValues[index], currency)
+
+  // Latest bucket first
+  const entries = useMemo(
+    () => bucketEnds.map((date, index) => ({ date, index })).reverse(),
+    [bucketEnds]
+  )
+  const labelsStep = Math.ceil(bucketEnds.length / CHART_LABELS)
+
+  if (transactions.length === 0) {
+    return null
+  }
+
+  return (
+    <React.Fragment>
+      <Box heading="Balance history" padding={0}>
+        <div
+          css={`
+            display: flex;
+            flex-wrap: wrap;
+            padding: ${2 * GU}px ${2 * GU}px 0;
+            > * {
+              margin: 0 ${1 * GU}px ${1 * GU}px 0;
+            }
+          `}
+        >
+          <DropDown
+            items={tokenItems}
+            selected={selectedToken}
+            onChange={setSelectedToken}
+            wide={layoutName === 'small'}
+          />
+          <DropDown
+            items={INTERVAL_LABELS}
+            selected={intervalIndex}
+            onChange={setIntervalIndex}
+            wide={layoutName === 'small'}
+          />
+        </div>
+        <div
+          css={`
+            padding: ${2 * GU}px;
+          `}
+        >
+          <LineChart
+            lines={[chartValues]}
+            total={bucketEnds.length}
+            height={25 * GU}
+            color={() => theme.accent}
+            labelColor={theme.surfaceContentSecondary}
+            label={index =>
+              (bucketEnds.length - 1 - index) % labelsStep === 0
+                ? format(bucketEnds[index], ISO_SHORT_FORMAT)
+                : ''
+            }
+          />
+          <p
+            css={`
+              margin-top: ${2 * GU}px;
+              ${textStyle('body3')};
+              color: ${theme.surfaceContentSecondary};
+            `}
+          >
+            Balances are reconstructed from the transactions of the Agent, and
+            the {currency} values use the current exchange rates.
+          </p>
+        </div>
+      </Box>
+      <DataView
+        heading={
+          <h2
+            css={`
+              padding: ${2 * GU}px 0;
+              ${textStyle('body1')};
+            `}
+          >
+            {tokenHistory ? tokenHistory.symbol : currency} balance at the end
+            of every period
+          </h2>
+        }
+        entries={entries}
+        entriesPerPage={6}
+        fields={['End of period', 'Balance']}
+        renderEntry={({ date, index }) => [
+          <time
+            dateTime={format(date, ISO_SHORT_FORMAT)}
+            css={`
+              ${textStyle('body2')};
+            `}
+          >
+            {format(date, ISO_SHORT_FORMAT)}
+          </time>,
+          <span
+            css={`
+              ${textStyle('body2')};
+            `}
+          >
+            {formatValue(index)}
+          </span>,
+        ]}
+      />
+    </React.Fragment>
+  )
+}
+
+BalanceHistory.propTypes = {
+  balances: PropTypes.array.isRequired,
+  dateRange: PropTypes.shape({
+    end: PropTypes.instanceOf(Date),
+    start: PropTypes.instanceOf(Date),
+  }).isRequired,
+  tokens: PropTypes.array.isRequired,
+  transactions: PropTypes.array.isRequired,
+}
+
+export default BalanceHistory
@@ -1,16 +1,29 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import BN from 'bn.js'
-import { GU, Help, formatTokenAmount, textStyle, useTheme } from '@aragon/ui'
+import {
+  GU,
+  Help,
+  IconLock,
+  Tag,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
 import { useNetwork } from '@aragon/api-react'
 import { tokenIconUrl } from '../lib/icon-utils'
+import { formatDay, formatFiatValue } from '../lib/price-feed-utils'
 
 function BalanceToken({
   address,
   amount,
   compact,
   convertedAmount,
+  currency,
   decimals,
+  isProtected,
+  ratesStale,
+  ratesUpdatedAt,
   symbol,
   verified,
 }) {
@@ -49,6 +62,17 @@ function BalanceToken({
           />
         )}
         {symbol || '?'}
+        {isProtected && (
+          <Tag
+            icon={<IconLock size="small" />}
+            label="Protected"
+            size="small"
+            title="Safe executions can not lower this balance"
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          />
+        )}
       </div>
       <div>
         <div
@@ -76,13 +100,33 @@ function BalanceToken({
         </div>
         <div
           css={`
-            color: ${theme.surfaceContentSecondary};
+            display: flex;
+            align-items: center;
+            color: ${ratesStale && !convertedAmount.isNeg()
+              ? theme.warningSurfaceContent
+              : theme.surfaceContentSecondary};
             ${textStyle('body2')}
           `}
         >
           {convertedAmount.isNeg()
             ? '−'
-            : `$${formatTokenAmount(convertedAmount, decimals)}`}
+            : formatFiatValue(
+                formatTokenAmount(convertedAmount, decimals),
+                currency
+              )}
+          {ratesStale && !convertedAmount.isNeg() && (
+            <div
+              css={`
+                display: flex;
+                margin-left: ${1 * GU}px;
+              `}
+            >
+              <Help hint="The exchange rate may be outdated">
+                This value uses the exchange rate of {formatDay(ratesUpdatedAt)}
+                , as no recent rate is available.
+              </Help>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -91,6 +135,10 @@ function BalanceToken({
 
 BalanceToken.defaultProps = {
   convertedAmount: new BN(-1),
+  currency: 'USD',
+  isProtected: false,
+  ratesStale: false,
+  ratesUpdatedAt: null,
 }
 
 BalanceToken.propTypes = {
@@ -98,7 +146,11 @@ BalanceToken.propTypes = {
   amount: PropTypes.instanceOf(BN).isRequired,
   compact: PropTypes.bool.isRequired,
   convertedAmount: PropTypes.instanceOf(BN),
+  currency: PropTypes.string,
   decimals: PropTypes.instanceOf(BN).isRequired,
+  isProtected: PropTypes.bool,
+  ratesStale: PropTypes.bool,
+  ratesUpdatedAt: PropTypes.number,
   symbol: PropTypes.string.isRequired,
   verified: PropTypes.bool.isRequired,
 }
@@ -11,27 +11,42 @@ function useBalanceItems(balances) {
     .filter(({ verified }) => verified)
     .map(({ symbol }) => symbol)
 
-  const convertRates = useConvertRates(verifiedSymbols)
+  const { currency, rates: convertRates, stale, updatedAt } = useConvertRates(
+    verifiedSymbols
+  )
 
   const balanceItems = useMemo(() => {
-    return balances.map(({ address, amount, decimals, symbol, verified }) => ({
-      address,
-      amount,
-      convertedAmount: convertRates[symbol]
-        ? getConvertedAmount(amount, convertRates[symbol])
-        : new BN('-1'),
-      decimals,
-      symbol,
-      verified,
-    }))
+    return balances.map(
+      ({ address, amount, decimals, isProtected, symbol, verified }) => ({
+        address,
+        amount,
+        convertedAmount: convertRates[symbol]
+          ? getConvertedAmount(amount, convertRates[symbol])
+          : new BN('-1'),
+        decimals,
+        isProtected,
+        symbol,
+        verified,
+      })
+    )
   }, [balances, convertRates])
-  return balanceItems
+  return {
+    balanceItems,
+    currency,
+    ratesStale: stale,
+    ratesUpdatedAt: updatedAt,
+  }
 }
 
 function Balances({ balances }) {
   const theme = useTheme()
   const { layoutName } = useLayout()
-  const balanceItems = useBalanceItems(balances)
+  const {
+    balanceItems,
+    currency,
+    ratesStale,
+    ratesUpdatedAt,
+  } = useBalanceItems(balances)
 
   const compact = layoutName === 'small'
 
@@ -82,6 +97,7 @@ function Balances({ balances }) {
                   amount,
                   convertedAmount,
                   decimals,
+                  isProtected,
                   symbol,
                   verified,
                 }) => (
@@ -104,7 +120,11 @@ function Balances({ balances }) {
                       amount={amount}
                       compact={compact}
                       convertedAmount={convertedAmount}
+                      currency={currency}
                       decimals={decimals}
+                      isProtected={isProtected}
+                      ratesStale={ratesStale}
+                      ratesUpdatedAt={ratesUpdatedAt}
                       symbol={symbol}
                       verified={verified}
                     />
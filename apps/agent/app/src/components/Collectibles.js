@@ -0,0 +1,118 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { useNetwork } from '@aragon/api-react'
+import {
+  Box,
+  GU,
+  Link,
+  TokenBadge,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/'
+
+// Metadata URIs are often IPFS URIs, which browsers can't open directly
+function getMetadataUrl(tokenURI) {
+  if (!tokenURI) {
+    return null
+  }
+  if (tokenURI.startsWith('ipfs://')) {
+    return IPFS_GATEWAY + tokenURI.replace(/^ipfs:\/\/(ipfs\/)?/, '')
+  }
+  return /^https?:\/\//.test(tokenURI) ? tokenURI : null
+}
+
+function Collectibles({ collectibles }) {
+  const { layoutName } = useLayout()
+  const compact = layoutName === 'small'
+
+  if (collectibles.length === 0) {
+    return null
+  }
+
+  return (
+    <Box heading="Collectibles" padding={0}>
+      <ul
+        css={`
+          list-style: none;
+          display: grid;
+          grid-template-columns: repeat(
+            auto-fill,
+            minmax(${(compact ? 20 : 25) * GU}px, 1fr)
+          );
+          grid-gap: ${2 * GU}px;
+          padding: ${(compact ? 2 : 3) * GU}px;
+        `}
+      >
+        {collectibles.map(collectible => (
+          <li key={`${collectible.token}.${collectible.tokenId}`}>
+            <Collectible {...collectible} />
+          </li>
+        ))}
+      </ul>
+    </Box>
+  )
+}
+
+Collectibles.propTypes = {
+  collectibles: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string,
+      symbol: PropTypes.string,
+      token: PropTypes.string.isRequired,
+      tokenId: PropTypes.string.isRequired,
+      tokenURI: PropTypes.string,
+    })
+  ).isRequired,
+}
+
+function Collectible({ name, symbol, token, tokenId, tokenURI }) {
+  const theme = useTheme()
+  const network = useNetwork()
+  const metadataUrl = getMetadataUrl(tokenURI)
+
+  return (
+    <div
+      css={`
+        padding: ${2 * GU}px;
+        border: 1px solid ${theme.border};
+        border-radius: 4px;
+      `}
+    >
+      <TokenBadge
+        address={token}
+        name={name}
+        symbol={symbol}
+        networkType={network && network.type}
+      />
+      <div
+        title={tokenId}
+        css={`
+          margin: ${1 * GU}px 0;
+          ${textStyle('title3')};
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        `}
+      >
+        #{tokenId}
+      </div>
+      <div
+        css={`
+          ${textStyle('body3')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        {metadataUrl ? (
+          <Link href={metadataUrl}>View metadata</Link>
+        ) : (
+          'No metadata'
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Collectibles
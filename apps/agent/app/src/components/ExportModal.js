@@ -0,0 +1,93 @@
+import React, { useCallback, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  Checkbox,
+  Field,
+  GU,
+  Modal,
+  RadioList,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { usePriceFeed } from './PriceFeed/PriceFeedManager'
+import { EXPORT_FORMATS } from '../lib/export-utils'
+
+const FORMAT_ITEMS = EXPORT_FORMATS.map(({ description, label }) => ({
+  description,
+  title: label,
+}))
+
+function ExportModal({ onClose, onExport, visible }) {
+  const theme = useTheme()
+  const { currency } = usePriceFeed()
+  const [formatIndex, setFormatIndex] = useState(0)
+  const [includeFiatValues, setIncludeFiatValues] = useState(false)
+
+  const handleExport = useCallback(() => {
+    onExport({
+      formatId: EXPORT_FORMATS[formatIndex].id,
+      includeFiatValues,
+    })
+    onClose()
+  }, [formatIndex, includeFiatValues, onClose, onExport])
+
+  return (
+    <Modal visible={visible} onClose={onClose}>
+      <h1
+        css={`
+          margin-bottom: ${2 * GU}px;
+          ${textStyle('title3')};
+        `}
+      >
+        Export transactions
+      </h1>
+      <p
+        css={`
+          margin-bottom: ${3 * GU}px;
+          ${textStyle('body3')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        Every token transfer is exported separately, with its amount in the
+        token’s base units.
+      </p>
+      <Field label="Format">
+        <RadioList
+          items={FORMAT_ITEMS}
+          selected={formatIndex}
+          onChange={setFormatIndex}
+        />
+      </Field>
+      <label
+        css={`
+          display: flex;
+          align-items: center;
+          margin-bottom: ${3 * GU}px;
+          ${textStyle('body2')};
+        `}
+      >
+        <Checkbox
+          checked={includeFiatValues}
+          onChange={setIncludeFiatValues}
+          css={`
+            margin-right: ${1 * GU}px;
+          `}
+        />
+        Include {currency} values, at the exchange rate of every transaction
+        date
+      </label>
+      <Button mode="strong" onClick={handleExport} wide>
+        Export
+      </Button>
+    </Modal>
+  )
+}
+
+ExportModal.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  visible: PropTypes.bool.isRequired,
+}
+
+export default ExportModal
@@ -0,0 +1,213 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import { DropDown, Field, GU, TextInput } from '@aragon/ui'
+import {
+  KNOWN_ABIS,
+  encodeFunctionCall,
+  getAbiFunctions,
+  getFunctionSignature,
+  parseAbi,
+} from '../../lib/abi-utils'
+import { isAddress } from '../../lib/web3-utils'
+
+const CUSTOM_ABI_INDEX = 0
+const ABI_SOURCES = ['Custom ABI', ...KNOWN_ABIS.map(({ label }) => label)]
+
+// Handles the state needed to compose a single contract call.
+export function useCallBuilder() {
+  const [target, setTarget] = useState('')
+  const [abiSourceIndex, setAbiSourceIndex] = useState(CUSTOM_ABI_INDEX)
+  const [abiText, setAbiText] = useState('')
+  const [functionIndex, setFunctionIndex] = useState(-1)
+  const [inputValues, setInputValues] = useState([])
+
+  const { abiError, abiFunctions } = useMemo(() => {
+    if (abiSourceIndex !== CUSTOM_ABI_INDEX) {
+      return {
+        abiError: null,
+        abiFunctions: getAbiFunctions(KNOWN_ABIS[abiSourceIndex - 1].abi),
+      }
+    }
+    if (!abiText.trim()) {
+      return { abiError: null, abiFunctions: [] }
+    }
+    try {
+      return {
+        abiError: null,
+        abiFunctions: getAbiFunctions(parseAbi(abiText)),
+      }
+    } catch (err) {
+      return { abiError: err.message, abiFunctions: [] }
+    }
+  }, [abiSourceIndex, abiText])
+
+  const abiFunction = abiFunctions[functionIndex] || null
+
+  const { calldata, inputsError } = useMemo(() => {
+    if (!abiFunction) {
+      return { calldata: null, inputsError: null }
+    }
+    try {
+      return {
+        calldata: encodeFunctionCall(abiFunction, inputValues),
+        inputsError: null,
+      }
+    } catch (err) {
+      return { calldata: null, inputsError: err.message }
+    }
+  }, [abiFunction, inputValues])
+
+  const targetError =
+    target.trim() && !isAddress(target.trim())
+      ? 'The target must be a valid Ethereum address'
+      : null
+  // Only report input errors once every input has been filled
+  const inputsFilled = Boolean(
+    abiFunction &&
+      (abiFunction.inputs || []).every(
+        (_, index) =>
+          inputValues[index] !== undefined && inputValues[index] !== ''
+      )
+  )
+
+  const updateAbiSource = useCallback(index => {
+    setAbiSourceIndex(index)
+    setFunctionIndex(-1)
+    setInputValues([])
+  }, [])
+  const updateAbiText = useCallback(value => {
+    setAbiText(value)
+    setFunctionIndex(-1)
+    setInputValues([])
+  }, [])
+  const updateFunction = useCallback(index => {
+    setFunctionIndex(index)
+    setInputValues([])
+  }, [])
+  const updateInputValue = useCallback((index, value) => {
+    setInputValues(inputValues => {
+      const nextInputValues = Array.from(inputValues)
+      nextInputValues[index] = value
+      return nextInputValues
+    })
+  }, [])
+  const reset = useCallback(() => {
+    setTarget('')
+    setAbiSourceIndex(CUSTOM_ABI_INDEX)
+    setAbiText('')
+    setFunctionIndex(-1)
+    setInputValues([])
+  }, [])
+
+  return {
+    abiError,
+    abiFunction,
+    abiFunctions,
+    abiSourceIndex,
+    abiText,
+    calldata,
+    error: targetError || abiError || (inputsFilled ? inputsError : null),
+    functionIndex,
+    inputValues,
+    isComplete: Boolean(target.trim() && !targetError && calldata),
+    reset,
+    target: target.trim(),
+    targetInput: target,
+    updateAbiSource,
+    updateAbiText,
+    updateFunction,
+    updateInputValue,
+    updateTarget: setTarget,
+  }
+}
+
+function CallBuilder({ callBuilder, targetInputRef }) {
+  const {
+    abiFunction,
+    abiFunctions,
+    abiSourceIndex,
+    abiText,
+    functionIndex,
+    inputValues,
+    targetInput,
+    updateAbiSource,
+    updateAbiText,
+    updateFunction,
+    updateInputValue,
+    updateTarget,
+  } = callBuilder
+
+  const handleTargetChange = useCallback(
+    event => updateTarget(event.target.value),
+    [updateTarget]
+  )
+  const handleAbiTextChange = useCallback(
+    event => updateAbiText(event.target.value),
+    [updateAbiText]
+  )
+  const functionSignatures = useMemo(
+    () => abiFunctions.map(getFunctionSignature),
+    [abiFunctions]
+  )
+
+  return (
+    <React.Fragment>
+      <Field label="Target contract (must be a valid Ethereum address)">
+        <TextInput
+          ref={targetInputRef}
+          onChange={handleTargetChange}
+          value={targetInput}
+          required
+          wide
+        />
+      </Field>
+      <Field label="ABI">
+        <DropDown
+          items={ABI_SOURCES}
+          selected={abiSourceIndex}
+          onChange={updateAbiSource}
+          wide
+        />
+        {abiSourceIndex === CUSTOM_ABI_INDEX && (
+          <TextInput
+            multiline
+            onChange={handleAbiTextChange}
+            placeholder="Paste the contract’s JSON ABI"
+            value={abiText}
+            wide
+            css={`
+              margin-top: ${1 * GU}px;
+              min-height: ${15 * GU}px;
+            `}
+          />
+        )}
+      </Field>
+      <Field label="Function">
+        <DropDown
+          disabled={abiFunctions.length === 0}
+          items={functionSignatures}
+          placeholder="Select a function"
+          selected={functionIndex}
+          onChange={updateFunction}
+          wide
+        />
+      </Field>
+      {abiFunction &&
+        (abiFunction.inputs || []).map(({ name, type }, index) => (
+          <Field
+            key={index}
+            label={`${name || `Parameter ${index + 1}`} (${type})`}
+          >
+            <TextInput
+              onChange={event => updateInputValue(index, event.target.value)}
+              placeholder={type}
+              value={inputValues[index] || ''}
+              required
+              wide
+            />
+          </Field>
+        ))}
+    </React.Fragment>
+  )
+}
+
+export default CallBuilder
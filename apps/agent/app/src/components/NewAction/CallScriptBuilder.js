@@ -0,0 +1,295 @@
+import React, { useCallback, useMemo, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+import { useAragonApi } from '@aragon/api-react'
+import {
+  Button,
+  Field,
+  GU,
+  IconArrowDown,
+  IconArrowUp,
+  IconTrash,
+  Info,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import CallBuilder, { useCallBuilder } from './CallBuilder'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import {
+  decodeCalldata,
+  decodeFunctionCall,
+  describeCall,
+  formatCallArguments,
+} from '../../lib/calldata-utils'
+import { decodeCallScript, encodeCallScript } from '../../lib/evmscript-utils'
+import { addressesEqual } from '../../lib/web3-utils'
+
+// Decode a step, preferring the local signature database for its notices
+function decodeStep({ abiFunction, data }) {
+  return decodeCalldata(data) || decodeFunctionCall(abiFunction, data)
+}
+
+// Encode the steps into a callscript, and make sure it decodes back to them
+function composeCallScript(steps) {
+  if (steps.length === 0) {
+    return { script: null, scriptError: null }
+  }
+  try {
+    const script = encodeCallScript(steps)
+    const decodedCalls = decodeCallScript(script)
+    const roundTrips =
+      decodedCalls.length === steps.length &&
+      decodedCalls.every(
+        ({ data, to }, index) =>
+          addressesEqual(to, steps[index].to) &&
+          data === steps[index].data.toLowerCase() &&
+          decodeStep({ ...steps[index], data }) !== null
+      )
+    return roundTrips
+      ? { script, scriptError: null }
+      : {
+          script: null,
+          scriptError: 'The script doesn’t decode back to the same steps',
+        }
+  } catch (err) {
+    return { script: null, scriptError: err.message }
+  }
+}
+
+function CallScriptBuilder({ onForward, targetInputRef }) {
+  const theme = useTheme()
+  const callBuilder = useCallBuilder()
+  const [steps, setSteps] = useState([])
+  const nextStepId = useRef(0)
+
+  const { calldata, error: callError, isComplete, reset } = callBuilder
+  const { script, scriptError } = useMemo(() => composeCallScript(steps), [
+    steps,
+  ])
+
+  const handleAddStep = useCallback(() => {
+    if (!isComplete || callError) {
+      return
+    }
+    setSteps(steps => [
+      ...steps,
+      {
+        abiFunction: callBuilder.abiFunction,
+        data: calldata,
+        id: nextStepId.current++,
+        to: callBuilder.target,
+      },
+    ])
+    reset()
+  }, [
+    callBuilder.abiFunction,
+    callBuilder.target,
+    callError,
+    calldata,
+    isComplete,
+    reset,
+  ])
+  const handleMoveStep = useCallback((index, offset) => {
+    setSteps(steps => {
+      const nextSteps = Array.from(steps)
+      const [step] = nextSteps.splice(index, 1)
+      nextSteps.splice(index + offset, 0, step)
+      return nextSteps
+    })
+  }, [])
+  const handleRemoveStep = useCallback(index => {
+    setSteps(steps => steps.filter((_, stepIndex) => stepIndex !== index))
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (script) {
+        onForward(script)
+      }
+    },
+    [onForward, script]
+  )
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Info
+        title="Script"
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        The Agent will perform the calls below in a single transaction, in this
+        order. If any of them fails, none of them will be performed.
+      </Info>
+
+      {steps.length > 0 && (
+        <Field label="Steps">
+          <ol
+            css={`
+              list-style: none;
+            `}
+          >
+            {steps.map((step, index) => (
+              <CallScriptStep
+                key={step.id}
+                index={index}
+                isFirst={index === 0}
+                isLast={index === steps.length - 1}
+                onMove={handleMoveStep}
+                onRemove={handleRemoveStep}
+                step={step}
+              />
+            ))}
+          </ol>
+        </Field>
+      )}
+
+      <div
+        css={`
+          padding: ${2 * GU}px;
+          margin-bottom: ${3 * GU}px;
+          border: 1px solid ${theme.border};
+          border-radius: 4px;
+        `}
+      >
+        <h2
+          css={`
+            margin-bottom: ${2 * GU}px;
+            ${textStyle('label2')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          Step {steps.length + 1}
+        </h2>
+        <CallBuilder
+          callBuilder={callBuilder}
+          targetInputRef={targetInputRef}
+        />
+        <Button
+          disabled={!isComplete || Boolean(callError)}
+          label="Add step"
+          onClick={handleAddStep}
+          wide
+        />
+        {callError && (
+          <Info
+            mode="error"
+            css={`
+              margin-top: ${2 * GU}px;
+            `}
+          >
+            {callError}
+          </Info>
+        )}
+      </div>
+
+      <Button disabled={!script} mode="strong" type="submit" wide>
+        Submit script
+      </Button>
+      {scriptError && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {scriptError}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+CallScriptBuilder.propTypes = {
+  onForward: PropTypes.func.isRequired,
+  targetInputRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+}
+
+function CallScriptStep({ index, isFirst, isLast, onMove, onRemove, step }) {
+  const theme = useTheme()
+  const { appState } = useAragonApi()
+  const decodedCall = useMemo(() => decodeStep(step), [step])
+  // Amounts of the tokens held by the agent can be formatted
+  const token = (appState.tokens || []).find(({ address }) =>
+    addressesEqual(address, step.to)
+  )
+
+  return (
+    <li
+      css={`
+        display: flex;
+        align-items: flex-start;
+        justify-content: space-between;
+        padding: ${1.5 * GU}px 0;
+        border-bottom: 1px solid ${theme.border};
+      `}
+    >
+      <div
+        css={`
+          min-width: 0;
+          margin-right: ${1 * GU}px;
+        `}
+      >
+        <div
+          css={`
+            ${textStyle('body2')};
+          `}
+        >
+          {index + 1}.{' '}
+          {decodedCall ? describeCall(decodedCall, { token }) : step.data}
+        </div>
+        {decodedCall && decodedCall.args.length > 0 && (
+          <div
+            title={decodedCall.signature}
+            css={`
+              ${textStyle('body4')};
+              color: ${theme.surfaceContentSecondary};
+              word-break: break-all;
+            `}
+          >
+            {formatCallArguments(decodedCall.args)}
+          </div>
+        )}
+        <div
+          css={`
+            margin-top: ${0.5 * GU}px;
+          `}
+        >
+          <LocalIdentityBadge entity={step.to} compact />
+        </div>
+      </div>
+      <div
+        css={`
+          display: flex;
+          flex-shrink: 0;
+        `}
+      >
+        <Button
+          display="icon"
+          icon={<IconArrowUp />}
+          label="Move up"
+          disabled={isFirst}
+          onClick={() => onMove(index, -1)}
+          size="small"
+        />
+        <Button
+          display="icon"
+          icon={<IconArrowDown />}
+          label="Move down"
+          disabled={isLast}
+          onClick={() => onMove(index, 1)}
+          size="small"
+        />
+        <Button
+          display="icon"
+          icon={<IconTrash />}
+          label="Remove"
+          onClick={() => onRemove(index)}
+          size="small"
+        />
+      </div>
+    </li>
+  )
+}
+
+export default CallScriptBuilder
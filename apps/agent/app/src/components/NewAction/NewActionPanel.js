@@ -0,0 +1,208 @@
+import React, { useCallback, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  Field,
+  GU,
+  Info,
+  SidePanel,
+  Switch,
+  Tabs,
+  TextInput,
+  textStyle,
+  useSidePanelFocusOnReady,
+  useTheme,
+} from '@aragon/ui'
+import CallBuilder, { useCallBuilder } from './CallBuilder'
+import CallScriptBuilder from './CallScriptBuilder'
+import { toDecimals } from '../../lib/math-utils'
+
+const ETH_DECIMALS = 18
+const MODES = ['Single call', 'Multiple calls']
+const MULTIPLE_CALLS_MODE = 1
+
+function NewActionPanel({ onClose, onExecute, onForward, opened }) {
+  // Remount the content every time the panel gets closed, to reset the form
+  const [panelKey, setPanelKey] = useState(0)
+  const handleTransitionEnd = useCallback(open => {
+    if (!open) {
+      setPanelKey(key => key + 1)
+    }
+  }, [])
+
+  return (
+    <SidePanel
+      title="New action"
+      opened={opened}
+      onClose={onClose}
+      onTransitionEnd={handleTransitionEnd}
+    >
+      <NewActionPanelContent
+        key={panelKey}
+        onExecute={onExecute}
+        onForward={onForward}
+      />
+    </SidePanel>
+  )
+}
+
+NewActionPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onExecute: PropTypes.func.isRequired,
+  onForward: PropTypes.func.isRequired,
+  opened: PropTypes.bool.isRequired,
+}
+
+function NewActionPanelContent({ onExecute, onForward }) {
+  const targetInputRef = useSidePanelFocusOnReady()
+  const [mode, setMode] = useState(0)
+
+  return (
+    <div
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Tabs items={MODES} selected={mode} onChange={setMode} />
+      {mode === MULTIPLE_CALLS_MODE ? (
+        <CallScriptBuilder
+          onForward={onForward}
+          targetInputRef={targetInputRef}
+        />
+      ) : (
+        <SingleCallForm onExecute={onExecute} targetInputRef={targetInputRef} />
+      )}
+    </div>
+  )
+}
+
+function SingleCallForm({ onExecute, targetInputRef }) {
+  const theme = useTheme()
+  const callBuilder = useCallBuilder()
+  const [safe, setSafe] = useState(false)
+  const [ethValue, setEthValue] = useState('')
+
+  const { calldata, error: callError, isComplete, target } = callBuilder
+
+  const adjustedEthValue =
+    !safe && ethValue.trim()
+      ? toDecimals(ethValue.trim(), ETH_DECIMALS, { truncate: false })
+      : '0'
+  const ethValueError =
+    adjustedEthValue.indexOf('.') !== -1
+      ? 'The ETH value contains too many decimal places'
+      : null
+  const errorMessage = callError || ethValueError
+
+  const handleEthValueChange = useCallback(event => {
+    setEthValue(event.target.value)
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (!isComplete || errorMessage) {
+        return
+      }
+      onExecute({
+        data: calldata,
+        ethValue: adjustedEthValue,
+        safe,
+        target,
+      })
+    },
+    [
+      adjustedEthValue,
+      calldata,
+      errorMessage,
+      isComplete,
+      onExecute,
+      safe,
+      target,
+    ]
+  )
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Info
+        title="Action"
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        This action will make the Agent call the function below on the target
+        contract.
+      </Info>
+      <CallBuilder callBuilder={callBuilder} targetInputRef={targetInputRef} />
+      <Field label="Safe execution">
+        <label
+          css={`
+            display: flex;
+            align-items: center;
+            ${textStyle('body3')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          <Switch checked={safe} onChange={setSafe} />
+          <span
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          >
+            Revert if the action lowers the balance of a protected token. No ETH
+            can be sent.
+          </span>
+        </label>
+      </Field>
+      {!safe && (
+        <Field label="ETH value (optional)">
+          <TextInput
+            min={0}
+            onChange={handleEthValueChange}
+            step="any"
+            type="number"
+            value={ethValue}
+            wide
+          />
+        </Field>
+      )}
+      {calldata && (
+        <Field label="Encoded calldata">
+          <div
+            css={`
+              ${textStyle('address2')};
+              padding: ${1 * GU}px ${1.5 * GU}px;
+              border: 1px solid ${theme.border};
+              border-radius: 4px;
+              background: ${theme.surfaceUnder};
+              color: ${theme.surfaceContent};
+              word-break: break-all;
+            `}
+          >
+            {calldata}
+          </div>
+        </Field>
+      )}
+      <Button
+        disabled={!isComplete || Boolean(errorMessage)}
+        mode="strong"
+        type="submit"
+        wide
+      >
+        Submit action
+      </Button>
+      {errorMessage && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {errorMessage}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+export default NewActionPanel
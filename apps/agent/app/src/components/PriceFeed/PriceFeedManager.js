@@ -0,0 +1,192 @@
+import React, {
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  useState,
+} from 'react'
+import PropTypes from 'prop-types'
+import { DEFAULT_BASE_CURRENCY, formatDay } from '../../lib/price-feed-utils'
+import {
+  PRICE_SOURCE_FILE,
+  PRICE_SOURCE_LIVE,
+  createLiveProvider,
+  createRateFileProvider,
+} from '../../lib/price-providers'
+
+const STORAGE_KEY = 'agent:price-feed'
+
+const DEFAULT_SETTINGS = {
+  currency: DEFAULT_BASE_CURRENCY,
+  rateFile: null,
+  source: PRICE_SOURCE_LIVE,
+}
+
+// The storage can be unavailable, e.g. in sandboxed frames
+function loadStored(key, defaultValue) {
+  try {
+    const value = window.localStorage.getItem(key)
+    return value ? JSON.parse(value) : defaultValue
+  } catch (err) {
+    return defaultValue
+  }
+}
+
+function store(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    // Only kept in memory then
+  }
+}
+
+const PriceFeedContext = React.createContext({
+  ...DEFAULT_SETTINGS,
+  provider: createLiveProvider(),
+})
+
+function usePriceFeed() {
+  return useContext(PriceFeedContext)
+}
+
+function PriceFeedProvider({ children }) {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_SETTINGS,
+    ...loadStored(STORAGE_KEY, {}),
+  }))
+  const { currency, rateFile, source } = settings
+  // Last failure to load historical rates, cleared once some load again
+  const [historicalRatesError, setHistoricalRatesError] = useState(null)
+
+  const updateSettings = useCallback(changes => {
+    setHistoricalRatesError(null)
+    setSettings(settings => {
+      const newSettings = { ...settings, ...changes }
+      store(STORAGE_KEY, newSettings)
+      return newSettings
+    })
+  }, [])
+
+  const fileSource = source === PRICE_SOURCE_FILE && Boolean(rateFile)
+  const provider = useMemo(
+    () =>
+      fileSource
+        ? createRateFileProvider(rateFile.history)
+        : createLiveProvider(),
+    [fileSource, rateFile]
+  )
+  const sourceId = fileSource ? `${PRICE_SOURCE_FILE}:${rateFile.name}` : source
+
+  // Latest rates, to be used while offline
+  const loadLatestRates = useCallback(
+    () => loadStored(`${STORAGE_KEY}:latest:${sourceId}:${currency}`, null),
+    [currency, sourceId]
+  )
+  const saveLatestRates = useCallback(
+    ratesInfo =>
+      store(`${STORAGE_KEY}:latest:${sourceId}:${currency}`, ratesInfo),
+    [currency, sourceId]
+  )
+
+  // Daily rates never change once the day is over, so they are cached (as
+  // promises, to share the ongoing requests) by source, currency, day and symbol
+  const historicalRates = useRef(new Map())
+  const getHistoricalRates = useCallback(
+    async (symbols, date) => {
+      const day = formatDay(date)
+      const cacheKey = symbol => `${sourceId}:${currency}:${day}:${symbol}`
+      const cache = historicalRates.current
+      const storedKey = `${STORAGE_KEY}:history:${sourceId}:${currency}:${day}`
+      const stored = loadStored(storedKey, {})
+
+      const missingSymbols = symbols.filter(
+        symbol => !cache.has(cacheKey(symbol)) && stored[symbol] === undefined
+      )
+      if (missingSymbols.length > 0) {
+        const request = provider
+          .getHistoricalRates(missingSymbols, currency, date)
+          .then(
+            rates => {
+              setHistoricalRatesError(null)
+              return rates
+            },
+            err => {
+              // Not cached, so they get requested again next time
+              missingSymbols.forEach(symbol => cache.delete(cacheKey(symbol)))
+              setHistoricalRatesError(
+                `The rates of ${day} could not be loaded: ${err.message}`
+              )
+              return null
+            }
+          )
+        missingSymbols.forEach(symbol => {
+          cache.set(
+            cacheKey(symbol),
+            request.then(rates => (rates ? rates[symbol] || null : null))
+          )
+        })
+        request.then(rates => {
+          // Keep the day rates, except for the current day
+          if (rates && day !== formatDay(Date.now())) {
+            store(storedKey, { ...loadStored(storedKey, {}), ...rates })
+          }
+        })
+      }
+
+      const rates = await Promise.all(
+        symbols.map(symbol =>
+          stored[symbol] !== undefined
+            ? stored[symbol]
+            : cache.get(cacheKey(symbol))
+        )
+      )
+      return symbols.reduce(
+        (ratesBySymbol, symbol, index) =>
+          rates[index]
+            ? { ...ratesBySymbol, [symbol]: rates[index] }
+            : ratesBySymbol,
+        {}
+      )
+    },
+    [currency, provider, sourceId]
+  )
+
+  const value = useMemo(
+    () => ({
+      currency,
+      getHistoricalRates,
+      historicalRatesError,
+      loadLatestRates,
+      provider,
+      rateFile,
+      saveLatestRates,
+      setCurrency: currency => updateSettings({ currency }),
+      setRateFile: rateFile => updateSettings({ rateFile }),
+      setSource: source => updateSettings({ source }),
+      source,
+    }),
+    [
+      currency,
+      getHistoricalRates,
+      historicalRatesError,
+      loadLatestRates,
+      provider,
+      rateFile,
+      saveLatestRates,
+      source,
+      updateSettings,
+    ]
+  )
+
+  return (
+    <PriceFeedContext.Provider value={value}>
+      {children}
+    </PriceFeedContext.Provider>
+  )
+}
+
+PriceFeedProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+}
+
+export { PriceFeedContext, PriceFeedProvider, usePriceFeed }
@@ -0,0 +1,249 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import { format } from 'date-fns'
+import { useNetwork } from '@aragon/api-react'
+import {
+  Button,
+  DropDown,
+  Field,
+  GU,
+  Info,
+  SidePanel,
+  TextInput,
+  TokenBadge,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import { ISO_SHORT_FORMAT } from '../../lib/date-utils'
+import { ETHER_TOKEN_FAKE_ADDRESS } from '../../lib/token-utils'
+import { addressesEqual, isAddress } from '../../lib/web3-utils'
+
+// Mirrors Agent.PROTECTED_TOKENS_CAP
+const PROTECTED_TOKENS_CAP = 10
+
+function ProtectedTokensPanel({
+  onAdd,
+  onClose,
+  onRemove,
+  opened,
+  protectedTokens,
+  tokens,
+}) {
+  return (
+    <SidePanel title="Protected tokens" opened={opened} onClose={onClose}>
+      <ProtectedTokensPanelContent
+        onAdd={onAdd}
+        onRemove={onRemove}
+        protectedTokens={protectedTokens}
+        tokens={tokens}
+      />
+    </SidePanel>
+  )
+}
+
+ProtectedTokensPanel.propTypes = {
+  onAdd: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  opened: PropTypes.bool.isRequired,
+  protectedTokens: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+}
+
+function ProtectedTokensPanelContent({
+  onAdd,
+  onRemove,
+  protectedTokens,
+  tokens,
+}) {
+  const network = useNetwork()
+  const [selectedToken, setSelectedToken] = useState(-1)
+  const [customAddress, setCustomAddress] = useState('')
+
+  // Tokens held by the Agent that could still be protected.
+  // ETH can't be protected, as it isn't an ERC-20 token.
+  const candidateTokens = useMemo(
+    () =>
+      tokens.filter(
+        ({ address, isProtected }) =>
+          !isProtected && !addressesEqual(address, ETHER_TOKEN_FAKE_ADDRESS)
+      ),
+    [tokens]
+  )
+  const tokenItems = useMemo(
+    () => [...candidateTokens.map(({ symbol }) => symbol), 'Other token…'],
+    [candidateTokens]
+  )
+  const customSelected = selectedToken === candidateTokens.length
+
+  const tokenAddress = customSelected
+    ? customAddress.trim()
+    : selectedToken > -1
+    ? candidateTokens[selectedToken].address
+    : ''
+
+  const capReached = protectedTokens.length >= PROTECTED_TOKENS_CAP
+  let errorMessage = null
+  if (customSelected && tokenAddress && !isAddress(tokenAddress)) {
+    errorMessage = 'The token must be a valid Ethereum address'
+  } else if (
+    protectedTokens.some(({ address }) => addressesEqual(address, tokenAddress))
+  ) {
+    errorMessage = 'This token is already protected'
+  }
+
+  const handleCustomAddressChange = useCallback(event => {
+    setCustomAddress(event.target.value)
+  }, [])
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (tokenAddress && !errorMessage) {
+        onAdd(tokenAddress)
+      }
+    },
+    [errorMessage, onAdd, tokenAddress]
+  )
+
+  return (
+    <div
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        Safe executions will revert if they lower the Agent’s balance of any
+        protected token. Up to {PROTECTED_TOKENS_CAP} tokens can be protected.
+      </Info>
+
+      {protectedTokens.length === 0 ? (
+        <p
+          css={`
+            margin-bottom: ${3 * GU}px;
+            ${textStyle('body2')};
+          `}
+        >
+          No tokens are protected yet.
+        </p>
+      ) : (
+        <ul
+          css={`
+            list-style: none;
+            margin-bottom: ${3 * GU}px;
+          `}
+        >
+          {protectedTokens.map(protectedToken => (
+            <ProtectedTokenItem
+              key={protectedToken.address}
+              networkType={network && network.type}
+              onRemove={onRemove}
+              protectedToken={protectedToken}
+              tokens={tokens}
+            />
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <Field label="Token to protect">
+          <DropDown
+            disabled={capReached}
+            items={tokenItems}
+            placeholder="Select a token"
+            selected={selectedToken}
+            onChange={setSelectedToken}
+            wide
+          />
+        </Field>
+        {customSelected && (
+          <Field label="Token address (must be an ERC-20 token)">
+            <TextInput
+              onChange={handleCustomAddressChange}
+              value={customAddress}
+              required
+              wide
+            />
+          </Field>
+        )}
+        <Button
+          disabled={capReached || !tokenAddress || Boolean(errorMessage)}
+          mode="strong"
+          type="submit"
+          wide
+        >
+          Protect token
+        </Button>
+        {(capReached || errorMessage) && (
+          <Info
+            mode={capReached ? 'warning' : 'error'}
+            css={`
+              margin-top: ${2 * GU}px;
+            `}
+          >
+            {capReached
+              ? 'The maximum amount of protected tokens has been reached.'
+              : errorMessage}
+          </Info>
+        )}
+      </form>
+    </div>
+  )
+}
+
+function ProtectedTokenItem({ networkType, onRemove, protectedToken, tokens }) {
+  const theme = useTheme()
+  const { address, addedAt, addedBy } = protectedToken
+  const token = tokens.find(token => addressesEqual(token.address, address))
+  const handleRemove = useCallback(() => onRemove(address), [address, onRemove])
+
+  return (
+    <li
+      css={`
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: ${1.5 * GU}px 0;
+        border-bottom: 1px solid ${theme.border};
+      `}
+    >
+      <div>
+        <TokenBadge
+          address={address}
+          symbol={token ? token.symbol : ''}
+          networkType={networkType}
+        />
+        <div
+          css={`
+            display: flex;
+            align-items: center;
+            margin-top: ${0.5 * GU}px;
+            ${textStyle('body4')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          Added {addedAt ? `on ${format(addedAt, ISO_SHORT_FORMAT)}` : ''}
+          {addedBy && (
+            <React.Fragment>
+              <span
+                css={`
+                  margin: 0 ${0.5 * GU}px;
+                `}
+              >
+                by
+              </span>
+              <LocalIdentityBadge entity={addedBy} compact />
+            </React.Fragment>
+          )}
+        </div>
+      </div>
+      <Button size="small" label="Remove" onClick={handleRemove} />
+    </li>
+  )
+}
+
+export default ProtectedTokensPanel
@@ -0,0 +1,147 @@
+import React, { useCallback, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  Field,
+  GU,
+  Info,
+  SidePanel,
+  TextInput,
+  useSidePanelFocusOnReady,
+} from '@aragon/ui'
+import { EMPTY_ADDRESS, addressesEqual, isAddress } from '../../lib/web3-utils'
+
+function DesignatedSignerPanel({
+  agentAddress,
+  designatedSigner,
+  onClose,
+  onSetDesignatedSigner,
+  opened,
+}) {
+  // Remount the content every time the panel gets closed, to reset the form
+  const [panelKey, setPanelKey] = useState(0)
+  const handleTransitionEnd = useCallback(open => {
+    if (!open) {
+      setPanelKey(key => key + 1)
+    }
+  }, [])
+
+  return (
+    <SidePanel
+      title="Change designated signer"
+      opened={opened}
+      onClose={onClose}
+      onTransitionEnd={handleTransitionEnd}
+    >
+      <DesignatedSignerPanelContent
+        key={panelKey}
+        agentAddress={agentAddress}
+        designatedSigner={designatedSigner}
+        onSetDesignatedSigner={onSetDesignatedSigner}
+      />
+    </SidePanel>
+  )
+}
+
+DesignatedSignerPanel.propTypes = {
+  agentAddress: PropTypes.string,
+  designatedSigner: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSetDesignatedSigner: PropTypes.func.isRequired,
+  opened: PropTypes.bool.isRequired,
+}
+
+function DesignatedSignerPanelContent({
+  agentAddress,
+  designatedSigner,
+  onSetDesignatedSigner,
+}) {
+  const inputRef = useSidePanelFocusOnReady()
+  const [signer, setSigner] = useState('')
+
+  const trimmedSigner = signer.trim()
+  const hasSigner =
+    Boolean(designatedSigner) && designatedSigner !== EMPTY_ADDRESS
+
+  let errorMessage = null
+  if (trimmedSigner && !isAddress(trimmedSigner)) {
+    errorMessage = 'The signer must be a valid Ethereum address'
+  } else if (addressesEqual(trimmedSigner, agentAddress)) {
+    errorMessage = 'The Agent can’t be its own designated signer'
+  } else if (hasSigner && addressesEqual(trimmedSigner, designatedSigner)) {
+    errorMessage = 'This address already is the designated signer'
+  }
+
+  const handleSignerChange = useCallback(event => {
+    setSigner(event.target.value)
+  }, [])
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (trimmedSigner && !errorMessage) {
+        onSetDesignatedSigner(trimmedSigner)
+      }
+    },
+    [errorMessage, onSetDesignatedSigner, trimmedSigner]
+  )
+  const handleRemove = useCallback(() => {
+    onSetDesignatedSigner(EMPTY_ADDRESS)
+  }, [onSetDesignatedSigner])
+
+  return (
+    <form
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+      onSubmit={handleSubmit}
+    >
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        Any signature made by the designated signer will be considered a valid
+        signature of the Agent.
+      </Info>
+      <Field label="New designated signer (must be a valid Ethereum address)">
+        <TextInput
+          ref={inputRef}
+          onChange={handleSignerChange}
+          value={signer}
+          required
+          wide
+        />
+      </Field>
+      <Button
+        disabled={!trimmedSigner || Boolean(errorMessage)}
+        mode="strong"
+        type="submit"
+        wide
+      >
+        Set designated signer
+      </Button>
+      {hasSigner && (
+        <Button
+          label="Remove current designated signer"
+          onClick={handleRemove}
+          wide
+          css={`
+            margin-top: ${1 * GU}px;
+          `}
+        />
+      )}
+      {errorMessage && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {errorMessage}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+export default DesignatedSignerPanel
@@ -0,0 +1,182 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  Field,
+  GU,
+  Info,
+  RadioList,
+  SidePanel,
+  TextInput,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import {
+  hashTypedData,
+  isHash,
+  parseTypedData,
+} from '../../lib/signature-utils'
+
+const TYPED_DATA_INDEX = 0
+const HASH_INDEX = 1
+const PAYLOAD_TYPES = [
+  {
+    title: 'Typed data (EIP-712)',
+    description:
+      'A structured message, as signed with eth_signTypedData. It will be hashed before being presigned.',
+  },
+  {
+    title: 'Hash',
+    description: 'A 32 bytes hash, presigned as it is.',
+  },
+]
+
+function PresignPanel({ onClose, onPresign, opened }) {
+  // Remount the content every time the panel gets closed, to reset the form
+  const [panelKey, setPanelKey] = useState(0)
+  const handleTransitionEnd = useCallback(open => {
+    if (!open) {
+      setPanelKey(key => key + 1)
+    }
+  }, [])
+
+  return (
+    <SidePanel
+      title="Presign message"
+      opened={opened}
+      onClose={onClose}
+      onTransitionEnd={handleTransitionEnd}
+    >
+      <PresignPanelContent key={panelKey} onPresign={onPresign} />
+    </SidePanel>
+  )
+}
+
+PresignPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onPresign: PropTypes.func.isRequired,
+  opened: PropTypes.bool.isRequired,
+}
+
+function PresignPanelContent({ onPresign }) {
+  const theme = useTheme()
+  const [payloadType, setPayloadType] = useState(TYPED_DATA_INDEX)
+  const [payload, setPayload] = useState('')
+
+  const { error, hash } = useMemo(() => {
+    const trimmedPayload = payload.trim()
+    if (!trimmedPayload) {
+      return { error: null, hash: null }
+    }
+    if (payloadType === HASH_INDEX) {
+      return isHash(trimmedPayload)
+        ? { error: null, hash: trimmedPayload.toLowerCase() }
+        : {
+            error: 'The hash must be 32 bytes, encoded in hexadecimal',
+            hash: null,
+          }
+    }
+    try {
+      return { error: null, hash: hashTypedData(parseTypedData(payload)) }
+    } catch (err) {
+      return { error: err.message, hash: null }
+    }
+  }, [payload, payloadType])
+
+  const handlePayloadTypeChange = useCallback(index => {
+    setPayloadType(index)
+    setPayload('')
+  }, [])
+  const handlePayloadChange = useCallback(event => {
+    setPayload(event.target.value)
+  }, [])
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      if (hash) {
+        onPresign(hash)
+      }
+    },
+    [hash, onPresign]
+  )
+
+  return (
+    <form
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+      onSubmit={handleSubmit}
+    >
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        A presigned hash will always be considered signed by the Agent,
+        regardless of the signature it gets checked with. This can’t be undone.
+      </Info>
+      <Field label="Message type">
+        <RadioList
+          items={PAYLOAD_TYPES}
+          selected={payloadType}
+          onChange={handlePayloadTypeChange}
+        />
+      </Field>
+      <Field label={payloadType === HASH_INDEX ? 'Hash' : 'Typed data (JSON)'}>
+        {payloadType === HASH_INDEX ? (
+          <TextInput
+            onChange={handlePayloadChange}
+            placeholder="0x…"
+            value={payload}
+            required
+            wide
+          />
+        ) : (
+          <TextInput
+            multiline
+            onChange={handlePayloadChange}
+            placeholder="{ “types”: …, “primaryType”: …, “domain”: …, “message”: … }"
+            value={payload}
+            required
+            wide
+            css={`
+              min-height: ${20 * GU}px;
+            `}
+          />
+        )}
+      </Field>
+      {hash && payloadType === TYPED_DATA_INDEX && (
+        <Field label="Hash to presign">
+          <div
+            css={`
+              ${textStyle('address2')};
+              padding: ${1 * GU}px ${1.5 * GU}px;
+              border: 1px solid ${theme.border};
+              border-radius: 4px;
+              background: ${theme.surfaceUnder};
+              color: ${theme.surfaceContent};
+              word-break: break-all;
+            `}
+          >
+            {hash}
+          </div>
+        </Field>
+      )}
+      <Button disabled={!hash} mode="strong" type="submit" wide>
+        Presign hash
+      </Button>
+      {error && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {error}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+export default PresignPanel
@@ -0,0 +1,120 @@
+import React, { useCallback, useState } from 'react'
+import { useAragonApi } from '@aragon/api-react'
+import { Button, Field, GU, Info, TextInput } from '@aragon/ui'
+import { checkSignature, isHash, isHexBytes } from '../../lib/signature-utils'
+
+const STATUS_IDLE = Symbol('STATUS_IDLE')
+const STATUS_CHECKING = Symbol('STATUS_CHECKING')
+const STATUS_VALID = Symbol('STATUS_VALID')
+const STATUS_INVALID = Symbol('STATUS_INVALID')
+const STATUS_ERROR = Symbol('STATUS_ERROR')
+
+const STATUS_MESSAGES = {
+  [STATUS_VALID]: 'The Agent considers this signature valid.',
+  [STATUS_INVALID]: 'The Agent considers this signature invalid.',
+  [STATUS_ERROR]: 'The signature couldn’t be checked against the Agent.',
+}
+
+// Asks the Agent whether a signature is valid for a hash (ERC-1271)
+function SignatureChecker() {
+  const { api } = useAragonApi()
+  const [hash, setHash] = useState('')
+  const [signature, setSignature] = useState('')
+  const [status, setStatus] = useState(STATUS_IDLE)
+  const [checkError, setCheckError] = useState(null)
+
+  const trimmedHash = hash.trim()
+  // Presigned hashes are valid regardless of the signature, so it can be empty
+  const trimmedSignature = signature.trim() || '0x'
+
+  const inputError =
+    trimmedHash && !isHash(trimmedHash)
+      ? 'The hash must be 32 bytes, encoded in hexadecimal'
+      : !isHexBytes(trimmedSignature)
+      ? 'The signature must be encoded in hexadecimal'
+      : null
+
+  const handleHashChange = useCallback(event => {
+    setHash(event.target.value)
+    setStatus(STATUS_IDLE)
+    setCheckError(null)
+  }, [])
+  const handleSignatureChange = useCallback(event => {
+    setSignature(event.target.value)
+    setStatus(STATUS_IDLE)
+    setCheckError(null)
+  }, [])
+
+  const handleSubmit = useCallback(
+    async event => {
+      event.preventDefault()
+      if (!trimmedHash || inputError) {
+        return
+      }
+      setStatus(STATUS_CHECKING)
+      setCheckError(null)
+      try {
+        const valid = await checkSignature(api, trimmedHash, trimmedSignature)
+        setStatus(valid ? STATUS_VALID : STATUS_INVALID)
+      } catch (err) {
+        setStatus(STATUS_ERROR)
+        setCheckError(err && err.message ? err.message : null)
+      }
+    },
+    [api, inputError, trimmedHash, trimmedSignature]
+  )
+
+  const message =
+    inputError ||
+    (status === STATUS_ERROR && checkError
+      ? `${STATUS_MESSAGES[STATUS_ERROR]} ${checkError}`
+      : STATUS_MESSAGES[status])
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Field label="Hash">
+        <TextInput
+          onChange={handleHashChange}
+          placeholder="0x…"
+          value={hash}
+          required
+          wide
+        />
+      </Field>
+      <Field label="Signature (optional for presigned hashes)">
+        <TextInput
+          onChange={handleSignatureChange}
+          placeholder="0x…"
+          value={signature}
+          wide
+        />
+      </Field>
+      <Button
+        disabled={
+          !trimmedHash || Boolean(inputError) || status === STATUS_CHECKING
+        }
+        label={status === STATUS_CHECKING ? 'Checking…' : 'Check signature'}
+        type="submit"
+        wide
+      />
+      {message && (
+        <Info
+          mode={
+            inputError || status === STATUS_ERROR
+              ? 'error'
+              : status === STATUS_INVALID
+              ? 'warning'
+              : 'info'
+          }
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {message}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+export default SignatureChecker
@@ -0,0 +1,256 @@
+import React, { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { compareDesc, format } from 'date-fns'
+import { useNetwork } from '@aragon/api-react'
+import {
+  Box,
+  Button,
+  ContextMenu,
+  ContextMenuItem,
+  DataView,
+  GU,
+  IconToken,
+  blockExplorerUrl,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import SignatureChecker from './SignatureChecker'
+import { ISO_LONG_FORMAT, ISO_SHORT_FORMAT } from '../../lib/date-utils'
+import { EMPTY_ADDRESS, shortenAddress } from '../../lib/web3-utils'
+
+function sortByDateDesc(entries) {
+  return [...entries].sort(({ date: dateLeft }, { date: dateRight }) =>
+    compareDesc(dateLeft, dateRight)
+  )
+}
+
+function Signatures({
+  designatedSigner,
+  designatedSigners,
+  onChangeDesignatedSigner,
+  presignedHashes,
+}) {
+  const { layoutName } = useLayout()
+  const compactMode = layoutName === 'small'
+
+  const sortedPresignedHashes = useMemo(() => sortByDateDesc(presignedHashes), [
+    presignedHashes,
+  ])
+  const sortedDesignatedSigners = useMemo(
+    () => sortByDateDesc(designatedSigners),
+    [designatedSigners]
+  )
+
+  return (
+    <React.Fragment>
+      <div
+        css={`
+          display: ${compactMode ? 'block' : 'grid'};
+          grid-template-columns: 1fr 1fr;
+          grid-gap: ${2 * GU}px;
+        `}
+      >
+        <Box heading="Designated signer">
+          <DesignatedSigner
+            designatedSigner={designatedSigner}
+            onChange={onChangeDesignatedSigner}
+          />
+        </Box>
+        <Box heading="Verify a signature">
+          <SignatureChecker />
+        </Box>
+      </div>
+      <DataView
+        heading={<DataViewHeading>Presigned hashes</DataViewHeading>}
+        entries={sortedPresignedHashes}
+        fields={[
+          { label: 'Date', priority: 2 },
+          { label: 'Hash', priority: 4 },
+          { label: 'Block', priority: 1 },
+          { label: 'Presigned by', priority: 3 },
+        ]}
+        statusEmpty={<EmptyStatus>No presigned hashes yet.</EmptyStatus>}
+        renderEntry={({ blockNumber, date, hash, sender }) => [
+          <EntryDate date={date} />,
+          <Hash hash={hash} compact={compactMode} />,
+          <BlockNumber blockNumber={blockNumber} />,
+          <LocalIdentityBadge entity={sender} />,
+        ]}
+        renderEntryActions={({ transactionHash }) => (
+          <ViewTransactionMenu transactionHash={transactionHash} />
+        )}
+      />
+      <DataView
+        heading={<DataViewHeading>Designated signer history</DataViewHeading>}
+        entries={sortedDesignatedSigners}
+        fields={[
+          { label: 'Date', priority: 2 },
+          { label: 'Designated signer', priority: 4 },
+          { label: 'Block', priority: 1 },
+          { label: 'Set by', priority: 3 },
+        ]}
+        statusEmpty={
+          <EmptyStatus>No designated signer has been set yet.</EmptyStatus>
+        }
+        renderEntry={({ blockNumber, date, newSigner, sender }) => [
+          <EntryDate date={date} />,
+          <Signer signer={newSigner} />,
+          <BlockNumber blockNumber={blockNumber} />,
+          <LocalIdentityBadge entity={sender} />,
+        ]}
+        renderEntryActions={({ transactionHash }) => (
+          <ViewTransactionMenu transactionHash={transactionHash} />
+        )}
+      />
+    </React.Fragment>
+  )
+}
+
+Signatures.propTypes = {
+  designatedSigner: PropTypes.string,
+  designatedSigners: PropTypes.array.isRequired,
+  onChangeDesignatedSigner: PropTypes.func.isRequired,
+  presignedHashes: PropTypes.array.isRequired,
+}
+
+function DesignatedSigner({ designatedSigner, onChange }) {
+  const theme = useTheme()
+  return (
+    <div>
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          min-height: ${5 * GU}px;
+        `}
+      >
+        <Signer signer={designatedSigner} />
+      </div>
+      <p
+        css={`
+          margin: ${1 * GU}px 0 ${2 * GU}px;
+          ${textStyle('body3')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        Signatures made by the designated signer are considered valid signatures
+        of the Agent, in addition to the presigned hashes.
+      </p>
+      <Button label="Change designated signer" onClick={onChange} wide />
+    </div>
+  )
+}
+
+function Signer({ signer }) {
+  const theme = useTheme()
+  if (!signer || signer === EMPTY_ADDRESS) {
+    return (
+      <span
+        css={`
+          ${textStyle('body2')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        No designated signer
+      </span>
+    )
+  }
+  return <LocalIdentityBadge entity={signer} />
+}
+
+function DataViewHeading({ children }) {
+  return (
+    <h2
+      css={`
+        padding: ${2 * GU}px 0;
+        ${textStyle('body1')};
+      `}
+    >
+      {children}
+    </h2>
+  )
+}
+
+function EmptyStatus({ children }) {
+  return (
+    <p
+      css={`
+        ${textStyle('title2')};
+      `}
+    >
+      {children}
+    </p>
+  )
+}
+
+function EntryDate({ date }) {
+  const theme = useTheme()
+  const formattedDate = format(date, ISO_SHORT_FORMAT)
+  return (
+    <time
+      dateTime={formattedDate}
+      title={format(date, ISO_LONG_FORMAT)}
+      css={`
+        ${textStyle('body2')};
+        color: ${theme.surfaceContent};
+        white-space: nowrap;
+      `}
+    >
+      {formattedDate}
+    </time>
+  )
+}
+
+function Hash({ hash, compact }) {
+  const theme = useTheme()
+  return (
+    <span
+      title={hash}
+      css={`
+        ${textStyle('address2')};
+        color: ${theme.surfaceContent};
+      `}
+    >
+      {compact ? shortenAddress(hash, 8) : hash}
+    </span>
+  )
+}
+
+function BlockNumber({ blockNumber }) {
+  const theme = useTheme()
+  return (
+    <span
+      css={`
+        ${textStyle('body2')};
+        color: ${theme.surfaceContent};
+      `}
+    >
+      #{blockNumber}
+    </span>
+  )
+}
+
+function ViewTransactionMenu({ transactionHash }) {
+  const network = useNetwork()
+  const theme = useTheme()
+  const href = blockExplorerUrl('transaction', transactionHash, {
+    networkType: network && network.type,
+  })
+  return (
+    <ContextMenu>
+      <ContextMenuItem href={href}>
+        <IconToken
+          css={`
+            color: ${theme.hint};
+            margin-right: ${1 * GU}px;
+          `}
+        />{' '}
+        View transaction
+      </ContextMenuItem>
+    </ContextMenu>
+  )
+}
+
+export default Signatures
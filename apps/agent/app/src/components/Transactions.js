@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo } from 'react'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
 import PropTypes from 'prop-types'
 import { compareDesc, format } from 'date-fns'
 import styled from 'styled-components'
@@ -23,11 +23,11 @@ import {
   useLayout,
   useTheme,
 } from '@aragon/ui'
+import ExportModal from './ExportModal'
 import { useIdentity } from './IdentityManager/IdentityManager'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
 import TransactionFilters from './TransactionFilters'
 import useDownloadData from './useDownloadData'
-import useFilteredTransactions from './useFilteredTransactions'
 import { ISO_SHORT_FORMAT, ISO_LONG_FORMAT } from '../lib/date-utils'
 import { addressesEqual, toChecksumAddress } from '../lib/web3-utils'
 import AgentSvg from './assets/agent_badge.svg'
@@ -35,6 +35,7 @@ import AgentSvg from './assets/agent_badge.svg'
 const Transactions = React.memo(function Transactions({
   agentAddress,
   tokens,
+  transactionFilters,
   transactions,
 }) {
   const { appState } = useAragonApi()
@@ -57,7 +58,7 @@ const Transactions = React.memo(function Transactions({
     selectedTransactionType,
     symbols,
     transactionTypes,
-  } = useFilteredTransactions({ transactions, tokens })
+  } = transactionFilters
 
   const transactionLabels = useMemo(() => Object.values(transactionTypes), [
     transactionTypes,
@@ -82,6 +83,10 @@ const Transactions = React.memo(function Transactions({
     selectedDateRange,
   })
 
+  const [exportOpened, setExportOpened] = useState(false)
+  const handleExportOpen = useCallback(() => setExportOpened(true), [])
+  const handleExportClose = useCallback(() => setExportOpened(false), [])
+
   const { isSyncing } = appState
   const compactMode = layoutName === 'small'
 
@@ -150,7 +155,12 @@ const Transactions = React.memo(function Transactions({
             <Button
               icon={<IconExternal />}
               label="Export"
-              onClick={onDownload}
+              onClick={handleExportOpen}
+            />
+            <ExportModal
+              visible={exportOpened}
+              onClose={handleExportClose}
+              onExport={onDownload}
             />
           </div>
         )
@@ -169,7 +179,9 @@ const Transactions = React.memo(function Transactions({
         </p>
       }
       renderEntry={({
+        collectibleTransfers,
         date,
+        decodedCall,
         description: reference,
         type,
         tokenTransfers,
@@ -177,8 +189,15 @@ const Transactions = React.memo(function Transactions({
         targetContract,
       }) => {
         const [{ token, amount, to, from } = {}] = tokenTransfers
-        const onlyOne = tokenTransfers.length === 1
-        const entity = to || from
+        // Transactions only moving collectibles (ERC-721)
+        const collectiblesOnly =
+          tokenTransfers.length === 0 && collectibleTransfers.length > 0
+        const onlyOne = collectiblesOnly
+          ? collectibleTransfers.length === 1
+          : tokenTransfers.length === 1
+        const entity = collectiblesOnly
+          ? collectibleTransfers[0].to || collectibleTransfers[0].from
+          : to || from
         const formattedDate = format(date, ISO_SHORT_FORMAT)
         const formattedLongDate = format(date, ISO_LONG_FORMAT)
         const isValidEntity =
@@ -245,9 +264,41 @@ const Transactions = React.memo(function Transactions({
             `}
           >
             {reference}
+            {decodedCall && (
+              <div
+                title={decodedCall.selector}
+                css={`
+                  ${textStyle('body4')};
+                  color: ${theme.surfaceContentSecondary};
+                `}
+              >
+                {decodedCall.signature}
+              </div>
+            )}
           </div>
         )
         const amountNode = (() => {
+          if (collectiblesOnly) {
+            const [collectibleTransfer] = collectibleTransfers
+            const incoming = Boolean(collectibleTransfer.from)
+            return (
+              <span
+                css={`
+                  ${textStyle('body2')};
+                  color: ${onlyOne
+                    ? incoming
+                      ? theme.positive
+                      : theme.negative
+                    : theme.surfaceContent};
+                `}
+              >
+                {onlyOne
+                  ? `${incoming ? '+' : '−'}1 ${collectibleTransfer.symbol ||
+                      'collectible'} #${collectibleTransfer.tokenId}`
+                  : `${collectibleTransfers.length} collectibles`}
+              </span>
+            )
+          }
           if (!onlyOne) {
             const uniqueTokens = new Set(
               tokenTransfers.map(({ token }) => token)
@@ -301,11 +352,23 @@ const Transactions = React.memo(function Transactions({
           </ContextMenu>
         )
       }}
-      renderEntryExpansion={({ tokenTransfers }) => {
-        if (tokenTransfers.length <= 1) {
+      renderEntryExpansion={({ decodedCall, tokenTransfers }) => {
+        const hasArguments = Boolean(decodedCall && decodedCall.args.length > 0)
+        if (tokenTransfers.length <= 1 && !hasArguments) {
           return null
         }
 
+        const argumentsNode = hasArguments && (
+          <CallArguments
+            key="arguments"
+            args={decodedCall.args}
+            compactMode={compactMode}
+          />
+        )
+        if (tokenTransfers.length <= 1) {
+          return argumentsNode
+        }
+
         const transfers = tokenTransfers.map(({ to, from, amount, token }) => {
           const isIncoming = Boolean(from)
           const { symbol, decimals } = tokenDetails[toChecksumAddress(token)]
@@ -410,10 +473,13 @@ const Transactions = React.memo(function Transactions({
           )
         })
 
+        const expansion = argumentsNode
+          ? [argumentsNode, ...transfers]
+          : transfers
         return compactMode ? (
-          <div css="width: 100%">{transfers}</div>
+          <div css="width: 100%">{expansion}</div>
         ) : (
-          transfers
+          expansion
         )
       }}
     />
@@ -422,9 +488,53 @@ const Transactions = React.memo(function Transactions({
 
 Transactions.propTypes = {
   tokens: PropTypes.array.isRequired,
+  // As returned by useFilteredTransactions()
+  transactionFilters: PropTypes.object.isRequired,
   transactions: PropTypes.array.isRequired,
 }
 
+function CallArguments({ args, compactMode }) {
+  const theme = useTheme()
+  return (
+    <div
+      css={`
+        width: 100%;
+        display: grid;
+        grid-template-columns: auto 1fr;
+        grid-gap: ${1 * GU}px ${3 * GU}px;
+        ${compactMode && `margin: ${3 * GU}px ${4 * GU}px;`}
+      `}
+    >
+      {args.map(({ name, type, value }, index) => (
+        <React.Fragment key={index}>
+          <span
+            css={`
+              ${textStyle('label2')};
+              color: ${theme.surfaceContentSecondary};
+            `}
+          >
+            {name || `Parameter ${index + 1}`} ({type})
+          </span>
+          <span
+            css={`
+              ${textStyle('body3')};
+              word-break: break-all;
+            `}
+          >
+            {type === 'address' ? (
+              <LocalIdentityBadge entity={value} />
+            ) : Array.isArray(value) ? (
+              `[${value.join(', ')}]`
+            ) : (
+              String(value)
+            )}
+          </span>
+        </React.Fragment>
+      ))}
+    </div>
+  )
+}
+
 function ContextMenuItemCustomLabel({ entity }) {
   const theme = useTheme()
   const [label, showLocalIdentityModal] = useIdentity(entity)
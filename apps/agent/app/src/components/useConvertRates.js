@@ -1,14 +1,35 @@
 import { useEffect, useState, useRef } from 'react'
+import { usePriceFeed } from './PriceFeed/PriceFeedManager'
+import { isRatesStale } from '../lib/price-feed-utils'
 
 const CONVERT_API_RETRY_DELAY = 2 * 1000
 const CONVERT_API_RETRY_DELAY_MAX = 60 * 1000
+const CONVERT_API_MAX_RETRIES = 10
 
-function convertRatesUrl(symbolsQuery) {
-  return `https://min-api.cryptocompare.com/data/price?fsym=USD&tsyms=${symbolsQuery}`
+const NO_RATES = { rates: {}, updatedAt: null }
+
+// Only keep the requested symbols from some rates
+function pickRates({ rates, updatedAt }, symbols) {
+  return {
+    rates: symbols.reduce(
+      (pickedRates, symbol) =>
+        rates[symbol]
+          ? { ...pickedRates, [symbol]: rates[symbol] }
+          : pickedRates,
+      {}
+    ),
+    updatedAt,
+  }
 }
 
 export function useConvertRates(symbols) {
-  const [rates, setRates] = useState({})
+  const {
+    currency,
+    loadLatestRates,
+    provider,
+    saveLatestRates,
+  } = usePriceFeed()
+  const [ratesInfo, setRatesInfo] = useState(NO_RATES)
   const retryDelay = useRef(CONVERT_API_RETRY_DELAY)
 
   const symbolsQuery = symbols.join(',')
@@ -16,18 +37,24 @@ export function useConvertRates(symbols) {
   useEffect(() => {
     let cancelled = false
     let retryTimer = null
+    let retries = 0
+    const symbols = symbolsQuery ? symbolsQuery.split(',') : []
+
+    // Start from the latest known rates, e.g. when offline
+    const latestRates = loadLatestRates()
+    setRatesInfo(latestRates ? pickRates(latestRates, symbols) : NO_RATES)
 
     const update = async () => {
       if (!symbolsQuery) {
-        setRates({})
+        setRatesInfo(NO_RATES)
         return
       }
 
       try {
-        const response = await fetch(convertRatesUrl(symbolsQuery))
-        const rates = await response.json()
+        const ratesInfo = await provider.getRates(symbols, currency)
         if (!cancelled) {
-          setRates(rates)
+          setRatesInfo(ratesInfo)
+          saveLatestRates(ratesInfo)
           retryDelay.current = CONVERT_API_RETRY_DELAY
         }
       } catch (err) {
@@ -38,7 +65,11 @@ export function useConvertRates(symbols) {
         //
         //  Assuming the fetch() request keeps throwing, it would create new
         //  requests even though the useEffect() got cancelled.
-        if (!cancelled) {
+        //
+        //  The latest known rates keep being used (and flagged as stale)
+        //  once all the attempts failed.
+        if (!cancelled && retries < CONVERT_API_MAX_RETRIES) {
+          retries++
           // Add more delay after every failed attempt
           retryDelay.current = Math.min(
             CONVERT_API_RETRY_DELAY_MAX,
@@ -55,7 +86,11 @@ export function useConvertRates(symbols) {
       clearTimeout(retryTimer)
       retryDelay.current = CONVERT_API_RETRY_DELAY
     }
-  }, [symbolsQuery])
+  }, [currency, loadLatestRates, provider, saveLatestRates, symbolsQuery])
 
-  return rates
+  return {
+    ...ratesInfo,
+    currency,
+    stale: isRatesStale(ratesInfo.updatedAt, Date.now()),
+  }
 }
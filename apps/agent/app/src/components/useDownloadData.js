@@ -1,83 +1,88 @@
 import { useContext, useCallback } from 'react'
 import { format } from 'date-fns'
 import { saveAs } from 'file-saver'
-import { formatTokenAmount, useToast } from '@aragon/ui'
+import { useToast } from '@aragon/ui'
 import { IdentityContext } from './IdentityManager/IdentityManager'
-import { toChecksumAddress } from '../lib/web3-utils'
+import { usePriceFeed } from './PriceFeed/PriceFeedManager'
 import { ISO_SHORT_FORMAT } from '../lib/date-utils'
-import { TRANSACTION_TYPES_LABELS } from '../transaction-types'
+import {
+  EXPORT_FORMATS,
+  getExportRows,
+  serializeExportRows,
+} from '../lib/export-utils'
+import { formatDay } from '../lib/price-feed-utils'
+import { toChecksumAddress } from '../lib/web3-utils'
 
-// Transforms a two dimensional array into a CSV data structure
-// Surround every field with double quotes + escape double quotes inside.
-function csv(data) {
-  return data
-    .map(cells => cells.map(cell => `"${cell.replace(/"/g, '""')}"`).join(','))
-    .join('\n')
-}
+// Resolve the labels of every address involved in the transactions
+async function getLabels(transactions, resolveAddress) {
+  const addresses = new Set()
+  transactions.forEach(({ collectibleTransfers = [], tokenTransfers }) => {
+    const transfers = [...tokenTransfers, ...collectibleTransfers]
+    transfers.forEach(({ from, to }) => {
+      if (from) {
+        addresses.add(from)
+      }
+      if (to) {
+        addresses.add(to)
+      }
+    })
+  })
 
-async function getDownloadData({ transactions, tokenDetails, resolveAddress }) {
-  const processedTransactions = await transactions.reduce(
-    async (
-      transactionListPromise,
-      { date, description, tokenTransfers, type, transactionHash }
-    ) => {
-      const previous = await transactionListPromise
-      const mappedTokenTransfersData = await Promise.all(
-        tokenTransfers.map(async ({ amount, from, to, token }) => {
-          const { symbol, decimals } = tokenDetails[toChecksumAddress(token)]
-          const formattedAmount = formatTokenAmount(
-            from ? amount : amount.neg(),
-            decimals,
-            { displaySign: true, digits: 5 }
-          )
+  const labels = {}
+  await Promise.all(
+    Array.from(addresses).map(async address => {
+      const identity = await resolveAddress(address)
+      labels[address] = (identity && identity.name) || ''
+    })
+  )
+  return labels
+}
 
-          const [source, recipient] = await Promise.all(
-            [from, to].map(address => {
-              return address
-                ? resolveAddress(address).then(
-                    res => (res && res.name) || address
-                  )
-                : 'Agent'
-            })
-          )
-          return [
-            format(date, ISO_SHORT_FORMAT),
-            source,
-            recipient,
-            TRANSACTION_TYPES_LABELS[type],
-            description,
-            `${formattedAmount} ${symbol}`,
-            transactionHash,
-          ]
-        })
-      )
-      return [...previous, ...mappedTokenTransfersData]
+// Get the rates of the verified tokens transferred every day
+async function getFiatRates(transactions, tokens, getHistoricalRates) {
+  const verifiedSymbols = tokens.reduce(
+    (symbols, { address, symbol, verified }) => {
+      if (verified) {
+        symbols.set(toChecksumAddress(address), symbol)
+      }
+      return symbols
     },
-    /* https://gyandeeps.com/array-reduce-async-await/ */
-    Promise.resolve([])
+    new Map()
   )
 
-  return csv([
-    [
-      'Date',
-      'Source',
-      'Recipient',
-      'Type',
-      'Reference',
-      'Amount',
-      'Transaction Hash',
-    ],
-    ...processedTransactions,
-  ])
+  // Symbols to get, by day
+  const days = new Map()
+  transactions.forEach(({ date, tokenTransfers }) => {
+    const day = formatDay(date)
+    const daySymbols = days.get(day) || { date, symbols: new Set() }
+    tokenTransfers.forEach(({ token }) => {
+      const symbol = verifiedSymbols.get(toChecksumAddress(token))
+      if (symbol) {
+        daySymbols.symbols.add(symbol)
+      }
+    })
+    days.set(day, daySymbols)
+  })
+
+  const fiatRates = {}
+  await Promise.all(
+    Array.from(days.entries()).map(async ([day, { date, symbols }]) => {
+      fiatRates[day] =
+        symbols.size > 0
+          ? await getHistoricalRates(Array.from(symbols), date)
+          : {}
+    })
+  )
+  return fiatRates
 }
 
-function getDownloadFilename(agentAddress, { start, end }) {
+function getDownloadFilename(agentAddress, { start, end }, extension) {
   const today = format(Date.now(), ISO_SHORT_FORMAT)
-  let filename = `agent_${agentAddress}_${today}.csv`
+  let filename = `agent_${agentAddress}_${today}.${extension}`
   if (start && end) {
     const formattedStart = format(start, ISO_SHORT_FORMAT)
     const formattedEnd = format(end, ISO_SHORT_FORMAT)
-    filename = `agent_${agentAddress}_${formattedStart}_to_${formattedEnd}.csv`
+    filename = `agent_${agentAddress}_${formattedStart}_to_${formattedEnd}.${extension}`
   }
   return filename
 }
@@ -90,30 +95,56 @@ function useDownloadData({
   selectedDateRange,
 }) {
   const { resolve } = useContext(IdentityContext)
+  const { currency, getHistoricalRates } = usePriceFeed()
   const toast = useToast()
 
-  const onDownload = useCallback(async () => {
-    const downloadData = await getDownloadData({
-      transactions: filteredTransactions,
+  const onDownload = useCallback(
+    async ({ formatId, includeFiatValues }) => {
+      const { extension, mimeType } = EXPORT_FORMATS.find(
+        ({ id }) => id === formatId
+      )
+      // The export modal is closed by now, so failures are reported by a toast
+      let downloadData
+      try {
+        const rows = getExportRows(filteredTransactions, {
+          agentAddress,
+          currency,
+          fiatRates: includeFiatValues
+            ? await getFiatRates(
+                filteredTransactions,
+                tokens,
+                getHistoricalRates
+              )
+            : null,
+          labels: await getLabels(filteredTransactions, resolve),
+          tokenDetails,
+        })
+        downloadData = serializeExportRows(formatId, rows, {
+          agentAddress,
+        })
+      } catch (err) {
+        toast(`Transactions data couldn’t be exported: ${err.message}`)
+        return
+      }
+
+      saveAs(
+        new Blob([downloadData], { type: mimeType }),
+        getDownloadFilename(agentAddress, selectedDateRange, extension)
+      )
+      toast('Transactions data exported')
+    },
+    [
+      agentAddress,
+      currency,
+      filteredTransactions,
+      getHistoricalRates,
+      resolve,
+      selectedDateRange,
+      toast,
       tokenDetails,
-      resolveAddress: resolve,
       tokens,
-    })
-
-    saveAs(
-      new Blob([downloadData], { type: 'text/csv;charset=utf-8' }),
-      getDownloadFilename(agentAddress, selectedDateRange)
-    )
-    toast('Transactions data exported')
-  }, [
-    agentAddress,
-    filteredTransactions,
-    resolve,
-    selectedDateRange,
-    toast,
-    tokenDetails,
-    tokens,
-  ])
+    ]
+  )
 
   return { onDownload }
 }
@@ -5,10 +5,13 @@ import ReactDOM from 'react-dom'
 import { AragonApi } from '@aragon/api-react'
 import appStateReducer from './app-state-reducer'
 import App from './App'
+import { PriceFeedProvider } from './components/PriceFeed/PriceFeedManager'
 
 ReactDOM.render(
   <AragonApi reducer={appStateReducer}>
-    <App />
+    <PriceFeedProvider>
+      <App />
+    </PriceFeedProvider>
   </AragonApi>,
   document.getElementById('root')
 )
@@ -0,0 +1,140 @@
+import abi from 'web3-eth-abi'
+import { isAddress } from './web3-utils'
+import tokenApproveAbi from '../abi/token-approve.json'
+import tokenBalanceOfAbi from '../abi/token-balanceof.json'
+import tokenDecimalsAbi from '../abi/token-decimals.json'
+import tokenNameAbi from '../abi/token-name.json'
+import tokenSymbolAbi from '../abi/token-symbol.json'
+import tokenTransferAbi from '../abi/token-transfer.json'
+
+// ABIs bundled with the app that can be picked instead of pasting one
+export const KNOWN_ABIS = [
+  {
+    label: 'ERC-20 token',
+    abi: [].concat(
+      tokenApproveAbi,
+      tokenBalanceOfAbi,
+      tokenDecimalsAbi,
+      tokenNameAbi,
+      tokenSymbolAbi,
+      tokenTransferAbi
+    ),
+  },
+]
+
+const ARRAY_TYPE_REGEX = /^(.+)\[\d*\]$/
+const BYTES_REGEX = /^0x([0-9a-fA-F]{2})*$/
+const INTEGER_REGEX = /^-?\d+$/
+
+/**
+ * Parse a JSON ABI, as pasted by a user.
+ *
+ * @param {string} abiText the JSON representation of the ABI
+ * @returns {Array<Object>} the parsed ABI
+ */
+export function parseAbi(abiText) {
+  let parsedAbi
+  try {
+    parsedAbi = JSON.parse(abiText)
+  } catch (err) {
+    throw new Error('The ABI is not valid JSON')
+  }
+  if (!Array.isArray(parsedAbi)) {
+    throw new Error('The ABI must be a JSON array')
+  }
+  return parsedAbi
+}
+
+// Only the functions that can change state make sense as an execution
+export function getAbiFunctions(parsedAbi) {
+  return parsedAbi.filter(
+    ({ constant, stateMutability, type }) =>
+      type === 'function' &&
+      !constant &&
+      stateMutability !== 'view' &&
+      stateMutability !== 'pure'
+  )
+}
+
+export function getFunctionSignature({ name, inputs = [] }) {
+  return `${name}(${inputs.map(({ type }) => type).join(',')})`
+}
+
+/**
+ * Coerce a value entered by a user into what web3-eth-abi expects for a type.
+ * Arrays must be entered using the JSON notation, e.g. `["0x…", "0x…"]`.
+ *
+ * @param {string} type the Solidity type of the parameter
+ * @param {string|Array|boolean} value the value entered
+ * @returns {string|Array|boolean} the coerced value
+ */
+export function parseInputValue(type, value) {
+  const arrayMatch = type.match(ARRAY_TYPE_REGEX)
+  if (arrayMatch) {
+    const items = typeof value === 'string' ? parseJsonArray(value) : value
+    if (!Array.isArray(items)) {
+      throw new Error(`Expected an array for ${type}`)
+    }
+    return items.map(item => parseInputValue(arrayMatch[1], item))
+  }
+
+  const stringValue = String(value).trim()
+
+  if (type === 'address') {
+    if (!isAddress(stringValue)) {
+      throw new Error(`“${stringValue}” is not a valid address`)
+    }
+    return stringValue
+  }
+  if (type === 'bool') {
+    if (stringValue !== 'true' && stringValue !== 'false') {
+      throw new Error('Booleans must be either “true” or “false”')
+    }
+    return stringValue === 'true'
+  }
+  if (type.startsWith('uint') || type.startsWith('int')) {
+    if (!INTEGER_REGEX.test(stringValue)) {
+      throw new Error(`“${stringValue}” is not a valid ${type}`)
+    }
+    if (type.startsWith('uint') && stringValue.startsWith('-')) {
+      throw new Error(`${type} values can not be negative`)
+    }
+    return stringValue
+  }
+  if (type.startsWith('bytes')) {
+    if (!BYTES_REGEX.test(stringValue)) {
+      throw new Error(`“${stringValue}” is not a valid hex encoded ${type}`)
+    }
+    return stringValue
+  }
+  if (type === 'string') {
+    // Keep the string as it was entered, including its spaces
+    return String(value)
+  }
+
+  throw new Error(`Parameters of type ${type} are not supported`)
+}
+
+/**
+ * Encode a call to an ABI function, using the values entered by a user.
+ *
+ * @param {Object} abiFunction the ABI function to call
+ * @param {Array<string>} values the values entered for each input
+ * @returns {string} the encoded calldata
+ */
+export function encodeFunctionCall(abiFunction, values) {
+  const { inputs = [] } = abiFunction
+  const parsedValues = inputs.map(({ type }, index) =>
+    parseInputValue(type, values[index] === undefined ? '' : values[index])
+  )
+  // ABIs can omit the inputs of functions without parameters
+  return abi.encodeFunctionCall({ ...abiFunction, inputs }, parsedValues)
+}
+
+function parseJsonArray(value) {
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    throw new Error('Arrays must use the JSON notation, e.g. ["a", "b"]')
+  }
+}
@@ -0,0 +1,111 @@
+import {
+  encodeFunctionCall,
+  getAbiFunctions,
+  getFunctionSignature,
+  parseAbi,
+  parseInputValue,
+} from './abi-utils'
+
+const ADDRESS = '0x7f8a42c2cc2b2aa73bd4f2b3e5ebc6b04e6ab6b3'
+
+const transferAbi = {
+  name: 'transfer',
+  type: 'function',
+  inputs: [
+    { name: '_to', type: 'address' },
+    { name: '_value', type: 'uint256' },
+  ],
+}
+
+describe('parseAbi tests', () => {
+  test('Parses JSON arrays', () => {
+    expect(parseAbi(JSON.stringify([transferAbi]))).toEqual([transferAbi])
+  })
+
+  test('Throws on invalid ABIs', () => {
+    expect(() => parseAbi('[{')).toThrow('The ABI is not valid JSON')
+    expect(() => parseAbi('{}')).toThrow('The ABI must be a JSON array')
+  })
+})
+
+describe('getAbiFunctions tests', () => {
+  test('Keeps the functions that can change state', () => {
+    const abi = [
+      transferAbi,
+      { name: 'balanceOf', type: 'function', constant: true, inputs: [] },
+      { name: 'name', type: 'function', stateMutability: 'view', inputs: [] },
+      { name: 'pure', type: 'function', stateMutability: 'pure', inputs: [] },
+      { name: 'Transfer', type: 'event', inputs: [] },
+      { name: 'deposit', type: 'function', stateMutability: 'payable' },
+    ]
+    expect(getAbiFunctions(abi).map(({ name }) => name)).toEqual([
+      'transfer',
+      'deposit',
+    ])
+  })
+})
+
+describe('getFunctionSignature tests', () => {
+  test('Gets the signatures of functions', () => {
+    expect(getFunctionSignature(transferAbi)).toBe('transfer(address,uint256)')
+    expect(getFunctionSignature({ name: 'deposit' })).toBe('deposit()')
+  })
+})
+
+describe('parseInputValue tests', () => {
+  test('Parses the values of every supported type', () => {
+    expect(parseInputValue('address', ` ${ADDRESS} `)).toBe(ADDRESS)
+    expect(parseInputValue('bool', 'true')).toBe(true)
+    expect(parseInputValue('bool', 'false')).toBe(false)
+    expect(parseInputValue('uint256', '42')).toBe('42')
+    expect(parseInputValue('int8', '-42')).toBe('-42')
+    expect(parseInputValue('bytes', '0x00ff')).toBe('0x00ff')
+    expect(parseInputValue('string', ' spaced ')).toBe(' spaced ')
+    expect(parseInputValue('uint256[]', '["1", "2"]')).toEqual(['1', '2'])
+    expect(parseInputValue('bool[2]', '[true, false]')).toEqual([true, false])
+  })
+
+  test('Throws on invalid values', () => {
+    expect(() => parseInputValue('address', '0x1234')).toThrow(
+      'is not a valid address'
+    )
+    expect(() => parseInputValue('bool', 'yes')).toThrow(
+      'Booleans must be either'
+    )
+    expect(() => parseInputValue('uint256', '1.5')).toThrow(
+      'is not a valid uint256'
+    )
+    expect(() => parseInputValue('uint256', '-1')).toThrow(
+      'uint256 values can not be negative'
+    )
+    expect(() => parseInputValue('bytes32', '0x123')).toThrow(
+      'is not a valid hex encoded bytes32'
+    )
+    expect(() => parseInputValue('uint256[]', '[1,')).toThrow(
+      'Arrays must use the JSON notation'
+    )
+    expect(() => parseInputValue('uint256[]', '{}')).toThrow(
+      'Expected an array for uint256[]'
+    )
+    expect(() => parseInputValue('tuple', '')).toThrow(
+      'Parameters of type tuple are not supported'
+    )
+  })
+})
+
+describe('encodeFunctionCall tests', () => {
+  test('Encodes calls using the values entered', () => {
+    expect(encodeFunctionCall(transferAbi, [ADDRESS, '1'])).toBe(
+      '0xa9059cbb' + ADDRESS.slice(2).padStart(64, '0') + '1'.padStart(64, '0')
+    )
+    expect(encodeFunctionCall({ name: 'deposit', type: 'function' }, [])).toBe(
+      '0xd0e30db0'
+    )
+  })
+
+  test('Throws on missing values', () => {
+    expect(() => encodeFunctionCall(transferAbi, [ADDRESS])).toThrow(
+      'is not a valid uint256'
+    )
+  })
+})
@@ -0,0 +1,106 @@
+import { addDays, endOfDay, endOfMonth, endOfWeek, isBefore } from 'date-fns'
+import { addressesEqual } from './web3-utils'
+
+export const INTERVAL_DAY = 'day'
+export const INTERVAL_WEEK = 'week'
+export const INTERVAL_MONTH = 'month'
+
+const INTERVALS = new Map([
+  [INTERVAL_DAY, { endOf: endOfDay }],
+  [INTERVAL_WEEK, { endOf: endOfWeek }],
+  [INTERVAL_MONTH, { endOf: endOfMonth }],
+])
+
+// Avoid rendering an unreadable amount of points
+const MAX_BUCKETS = 366
+
+/**
+ * Get the end dates of the buckets covering a date range,
+ * e.g. the last day of every month between `start` and `end`.
+ *
+ * @param {Date} start start of the range
+ * @param {Date} end end of the range
+ * @param {string} interval one of INTERVAL_DAY, INTERVAL_WEEK or INTERVAL_MONTH
+ * @returns {Array<Date>} the end of every bucket, in ascending order
+ */
+export function getBucketEnds(start, end, interval) {
+  const { endOf } = INTERVALS.get(interval)
+  const bucketEnds = []
+  let bucketEnd = endOf(start)
+  while (true) {
+    // The last bucket is still ongoing
+    if (!isBefore(bucketEnd, end)) {
+      bucketEnds.push(end)
+      break
+    }
+    bucketEnds.push(bucketEnd)
+    bucketEnd = endOf(addDays(bucketEnd, 1))
+  }
+  return bucketEnds.slice(-MAX_BUCKETS)
+}
+
+/**
+ * Reconstruct the balances of a token at the end of every bucket, by going
+ * backwards from its current balance and reverting every transfer.
+ *
+ * @param {Object} options history options
+ * @param {BN} options.balance current balance of the token
+ * @param {Array<Date>} options.bucketEnds as returned by getBucketEnds()
+ * @param {string} options.token address of the token
+ * @param {Array<Object>} options.transactions every transaction of the Agent
+ * @returns {Array<BN>} the balance at the end of every bucket
+ */
+export function getTokenBalanceHistory({
+  balance,
+  bucketEnds,
+  token,
+  transactions,
+}) {
+  // Signed amounts from the point of view of the Agent, latest first
+  const transfers = transactions
+    .reduce(
+      (transfers, { date, tokenTransfers }) =>
+        transfers.concat(
+          tokenTransfers
+            .filter(transfer => addressesEqual(transfer.token, token))
+            .map(({ amount, from }) => ({
+              amount: from ? amount : amount.neg(),
+              date,
+            }))
+        ),
+      []
+    )
+    .sort((transferA, transferB) => transferB.date - transferA.date)
+
+  let currentBalance = balance
+  let transferIndex = 0
+  return [...bucketEnds]
+    .reverse()
+    .map(bucketEnd => {
+      // Revert the transfers that happened after the end of the bucket
+      while (
+        transferIndex < transfers.length &&
+        transfers[transferIndex].date > bucketEnd.getTime()
+      ) {
+        currentBalance = currentBalance.sub(transfers[transferIndex].amount)
+        transferIndex++
+      }
+      return currentBalance
+    })
+    .reverse()
+}
+
+/**
+ * Get the start of the history, when no date range has been selected.
+ *
+ * @param {Array<Object>} transactions every transaction of the Agent
+ * @param {Date} now current date
+ * @returns {Date} the date of the first transaction, or now
+ */
+export function getHistoryStart(transactions, now) {
+  const firstDate = transactions.reduce(
+    (first, { date }) => Math.min(first, date),
+    now.getTime()
+  )
+  return new Date(firstDate)
+}
@@ -0,0 +1,129 @@
+import BN from 'bn.js'
+import { endOfDay } from 'date-fns'
+import {
+  INTERVAL_DAY,
+  INTERVAL_MONTH,
+  INTERVAL_WEEK,
+  getBucketEnds,
+  getHistoryStart,
+  getTokenBalanceHistory,
+} from './balance-history-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const OTHER_TOKEN = '0x0000000000000000000000000000000000000001'
+const ACCOUNT = '0x2bEA0Fa3a54c9FC69d6EE6C65c8A6a4F1d4A3a4B'
+
+// Dates are local, like the buckets
+const day = (month, date, hours = 12) =>
+  new Date(2020, month - 1, date, hours).getTime()
+
+describe('getBucketEnds tests', () => {
+  test('Ends every bucket at the end of its interval', () => {
+    const start = new Date(day(1, 30))
+    const end = new Date(day(3, 15))
+    expect(getBucketEnds(start, end, INTERVAL_MONTH)).toEqual([
+      new Date(2020, 0, 31, 23, 59, 59, 999),
+      new Date(2020, 1, 29, 23, 59, 59, 999),
+      end,
+    ])
+    // Weeks end on Saturdays
+    expect(
+      getBucketEnds(new Date(day(6, 3)), new Date(day(6, 16)), INTERVAL_WEEK)
+    ).toEqual([
+      new Date(2020, 5, 6, 23, 59, 59, 999),
+      new Date(2020, 5, 13, 23, 59, 59, 999),
+      new Date(day(6, 16)),
+    ])
+  })
+
+  test('Ends the last bucket at the end of the range', () => {
+    const end = new Date(day(6, 3))
+    expect(getBucketEnds(new Date(day(6, 3, 8)), end, INTERVAL_DAY)).toEqual([
+      end,
+    ])
+    const endOfRange = endOfDay(end)
+    expect(
+      getBucketEnds(new Date(day(6, 2)), endOfRange, INTERVAL_DAY)
+    ).toEqual([endOfDay(new Date(day(6, 2))), endOfRange])
+  })
+
+  test('Keeps the latest buckets of long ranges', () => {
+    const bucketEnds = getBucketEnds(
+      new Date(2010, 0, 1),
+      new Date(day(6, 3)),
+      INTERVAL_DAY
+    )
+    expect(bucketEnds).toHaveLength(366)
+    expect(bucketEnds[bucketEnds.length - 1]).toEqual(new Date(day(6, 3)))
+  })
+})
+
+describe('getTokenBalanceHistory tests', () => {
+  const transactions = [
+    {
+      date: day(6, 1),
+      tokenTransfers: [
+        { amount: new BN(100), from: ACCOUNT, to: null, token: TOKEN },
+      ],
+    },
+    {
+      date: day(6, 2),
+      tokenTransfers: [
+        { amount: new BN(30), from: null, to: ACCOUNT, token: TOKEN },
+        { amount: new BN(5), from: ACCOUNT, to: null, token: OTHER_TOKEN },
+      ],
+    },
+    {
+      date: day(6, 4),
+      tokenTransfers: [
+        {
+          amount: new BN(10),
+          from: ACCOUNT,
+          to: null,
+          token: TOKEN.toLowerCase(),
+        },
+      ],
+    },
+  ]
+
+  test('Reverts the transfers from the current balance', () => {
+    const bucketEnds = getBucketEnds(
+      new Date(day(5, 31)),
+      new Date(day(6, 4, 18)),
+      INTERVAL_DAY
+    )
+    const history = getTokenBalanceHistory({
+      balance: new BN(80),
+      bucketEnds,
+      token: TOKEN,
+      transactions,
+    })
+    expect(history.map(balance => balance.toString())).toEqual([
+      '0',
+      '100',
+      '70',
+      '70',
+      '80',
+    ])
+  })
+
+  test('Ignores the transfers of other tokens', () => {
+    const history = getTokenBalanceHistory({
+      balance: new BN(5),
+      bucketEnds: [new Date(day(6, 1, 18)), new Date(day(6, 4, 18))],
+      token: OTHER_TOKEN,
+      transactions,
+    })
+    expect(history.map(balance => balance.toString())).toEqual(['0', '5'])
+  })
+})
+
+describe('getHistoryStart tests', () => {
+  test('Starts the history at the first transaction', () => {
+    const now = new Date(day(6, 10))
+    expect(
+      getHistoryStart([{ date: day(6, 4) }, { date: day(6, 1) }], now)
+    ).toEqual(new Date(day(6, 1)))
+    expect(getHistoryStart([], now)).toEqual(now)
+  })
+})
@@ -0,0 +1,187 @@
+import abi from 'web3-eth-abi'
+import { KNOWN_ABIS, getFunctionSignature } from './abi-utils'
+import { FUNCTION_SIGNATURES } from './function-signatures'
+import { fromDecimals } from './math-utils'
+
+// "0x" + 4 bytes
+const SELECTOR_LENGTH = 10
+
+// `{n}` or `{n:amount}`, see FUNCTION_SIGNATURES
+const NOTICE_ARGUMENT_REGEX = /\{(\d+)(:amount)?\}/g
+
+// Selector -> { inputs, notice, signature }
+const KNOWN_FUNCTIONS = new Map(
+  FUNCTION_SIGNATURES.map(([signature, notice = null]) => [
+    abi.encodeFunctionSignature(signature),
+    {
+      inputs: getSignatureTypes(signature).map(type => ({ name: '', type })),
+      notice,
+      signature,
+    },
+  ])
+)
+
+// The ABIs shipped with the app also carry the names of the parameters
+KNOWN_ABIS.forEach(({ abi: knownAbi }) => {
+  knownAbi
+    .filter(({ type }) => type === 'function')
+    .forEach(abiFunction => {
+      const signature = getFunctionSignature(abiFunction)
+      const selector = abi.encodeFunctionSignature(signature)
+      KNOWN_FUNCTIONS.set(selector, {
+        notice: null,
+        ...KNOWN_FUNCTIONS.get(selector),
+        inputs: abiFunction.inputs,
+        signature,
+      })
+    })
+})
+
+/**
+ * Get the parameter types of a function signature,
+ * e.g. `transfer(address,uint256)` => ['address', 'uint256'].
+ *
+ * @param {string} signature the function signature
+ * @returns {Array<string>} the types of the parameters
+ */
+export function getSignatureTypes(signature) {
+  const params = signature.slice(signature.indexOf('(') + 1, -1)
+  const types = []
+  let depth = 0
+  let current = ''
+  for (const char of params) {
+    if (char === ',' && depth === 0) {
+      types.push(current)
+      current = ''
+      continue
+    }
+    if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth--
+    }
+    current += char
+  }
+  return current ? [...types, current] : types
+}
+
+/**
+ * Decode the calldata of a call, using the local signature database.
+ *
+ * @param {string} data the calldata
+ * @returns {Object|null} the decoded call, or null if it couldn't be decoded
+ */
+export function decodeCalldata(data) {
+  if (typeof data !== 'string' || data.length < SELECTOR_LENGTH) {
+    return null
+  }
+
+  const selector = data.slice(0, SELECTOR_LENGTH).toLowerCase()
+  const knownFunction = KNOWN_FUNCTIONS.get(selector)
+  if (!knownFunction) {
+    return null
+  }
+  return decodeFunctionCall(knownFunction, data)
+}
+
+/**
+ * Decode the calldata of a call to a given function.
+ *
+ * @param {Object} abiFunction the ABI function, or a known function
+ * @param {string} data the calldata
+ * @returns {Object|null} the decoded call, or null if it doesn't match
+ */
+export function decodeFunctionCall(abiFunction, data) {
+  // ABIs can omit the inputs of functions without parameters
+  const { inputs = [], notice = null } = abiFunction
+  const signature = abiFunction.signature || getFunctionSignature(abiFunction)
+  const selector = data.slice(0, SELECTOR_LENGTH).toLowerCase()
+  if (selector !== abi.encodeFunctionSignature(signature)) {
+    return null
+  }
+
+  let decodedParams
+  try {
+    decodedParams = abi.decodeParameters(
+      inputs,
+      `0x${data.slice(SELECTOR_LENGTH)}`
+    )
+  } catch (err) {
+    // The calldata doesn't match the signature (e.g. selector collision)
+    return null
+  }
+
+  return {
+    args: inputs.map(({ name, type }, index) => ({
+      name,
+      type,
+      value: marshallValue(decodedParams[index]),
+    })),
+    method: signature.slice(0, signature.indexOf('(')),
+    notice,
+    selector,
+    signature,
+  }
+}
+
+// Whether the description of a decoded call contains amounts of the called token
+export function hasTokenAmounts({ notice }) {
+  return Boolean(notice) && /\{\d+:amount\}/.test(notice)
+}
+
+/**
+ * Describe a decoded call in a radspec-style sentence.
+ *
+ * @param {Object} decodedCall the call, as returned by decodeCalldata()
+ * @param {Object} [options] options object
+ * @param {Object} [options.token] the called token ({ decimals, symbol }), if known
+ * @returns {string} the description
+ */
+export function describeCall({ args, method, notice }, { token } = {}) {
+  if (notice) {
+    return notice.replace(NOTICE_ARGUMENT_REGEX, (match, index, isAmount) => {
+      if (!args[index]) {
+        return match
+      }
+      return isAmount
+        ? formatTokenAmount(args[index].value, token)
+        : formatValue(args[index].value)
+    })
+  }
+  return `Call ${method}(${args
+    .map(({ value }) => formatValue(value))
+    .join(', ')})`
+}
+
+// Format the arguments of a decoded call on a single line
+export function formatCallArguments(args = []) {
+  return args
+    .map(({ name, value }, index) => `${name || index}=${formatValue(value)}`)
+    .join('; ')
+}
+
+// Amounts of unknown tokens are left in base units
+function formatTokenAmount(value, token) {
+  if (!token) {
+    return `${value} base units`
+  }
+  const amount = fromDecimals(String(value), parseInt(token.decimals, 10))
+  return `${amount} ${token.symbol || 'tokens'}`
+}
+
+function formatValue(value) {
+  return Array.isArray(value)
+    ? `[${value.map(formatValue).join(', ')}]`
+    : String(value)
+}
+
+// Decoded values need to be passed from the background script to the app
+function marshallValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(marshallValue)
+  }
+  if (typeof value === 'boolean') {
+    return value
+  }
+  return String(value)
+}
@@ -0,0 +1,176 @@
+import abi from 'web3-eth-abi'
+import {
+  decodeCalldata,
+  decodeFunctionCall,
+  describeCall,
+  formatCallArguments,
+  getSignatureTypes,
+  hasTokenAmounts,
+} from './calldata-utils'
+import { FUNCTION_SIGNATURES } from './function-signatures'
+
+const ADDRESS = '0x7f8A42C2cc2B2aa73bD4f2B3e5ebC6b04e6ab6B3'
+const OTHER_ADDRESS = '0x2bEA0Fa3a54c9FC69d6EE6C65c8A6a4F1d4A3a4B'
+
+const encodeCall = (signature, values) =>
+  abi.encodeFunctionSignature(signature) +
+  abi.encodeParameters(getSignatureTypes(signature), values).slice(2)
+
+describe('getSignatureTypes tests', () => {
+  test('Gets the parameter types of signatures', () => {
+    expect(getSignatureTypes('deposit()')).toEqual([])
+    expect(getSignatureTypes('transfer(address,uint256)')).toEqual([
+      'address',
+      'uint256',
+    ])
+    expect(getSignatureTypes('submit((address,uint256)[],bytes)')).toEqual([
+      '(address,uint256)[]',
+      'bytes',
+    ])
+  })
+})
+
+describe('FUNCTION_SIGNATURES tests', () => {
+  test('Only refers to existing arguments in the notices', () => {
+    FUNCTION_SIGNATURES.forEach(([signature, notice = '']) => {
+      const argumentsCount = getSignatureTypes(signature).length
+      const indexes = (notice.match(/\{\d+/g) || []).map(match =>
+        parseInt(match.slice(1), 10)
+      )
+      indexes.forEach(index => expect(index).toBeLessThan(argumentsCount))
+    })
+  })
+
+  test('Has unique signatures', () => {
+    const signatures = FUNCTION_SIGNATURES.map(([signature]) => signature)
+    expect(new Set(signatures).size).toBe(signatures.length)
+  })
+})
+
+describe('decodeCalldata tests', () => {
+  test('Decodes known calls', () => {
+    const data = encodeCall('transfer(address,uint256)', [ADDRESS, '1500'])
+    expect(decodeCalldata(data)).toEqual({
+      args: [
+        { name: '_to', type: 'address', value: ADDRESS },
+        { name: '_value', type: 'uint256', value: '1500' },
+      ],
+      method: 'transfer',
+      notice: 'Transfer {1:amount} to {0}',
+      selector: '0xa9059cbb',
+      signature: 'transfer(address,uint256)',
+    })
+  })
+
+  test('Decodes the calls without arguments', () => {
+    expect(decodeCalldata('0xd0e30db0')).toMatchObject({
+      args: [],
+      method: 'deposit',
+    })
+  })
+
+  test('Marshalls the decoded values', () => {
+    const data = encodeCall('setApprovalForAll(address,bool)', [ADDRESS, true])
+    expect(decodeCalldata(data).args.map(({ value }) => value)).toEqual([
+      ADDRESS,
+      true,
+    ])
+  })
+
+  test('Does not decode unknown or invalid calls', () => {
+    expect(decodeCalldata(null)).toBe(null)
+    expect(decodeCalldata('0x1234')).toBe(null)
+    expect(decodeCalldata('0x12345678')).toBe(null)
+    // Missing arguments
+    expect(decodeCalldata('0xa9059cbb')).toBe(null)
+  })
+})
+
+describe('decodeFunctionCall tests', () => {
+  const abiFunction = {
+    name: 'setOwner',
+    type: 'function',
+    inputs: [{ name: 'owner', type: 'address' }],
+  }
+
+  test('Decodes calls to an ABI function', () => {
+    const data = encodeCall('setOwner(address)', [ADDRESS])
+    expect(decodeFunctionCall(abiFunction, data)).toMatchObject({
+      args: [{ name: 'owner', type: 'address', value: ADDRESS }],
+      method: 'setOwner',
+      notice: null,
+    })
+  })
+
+  test('Decodes calls to functions without inputs', () => {
+    expect(
+      decodeFunctionCall({ name: 'deposit', type: 'function' }, '0xd0e30db0')
+    ).toMatchObject({ args: [], method: 'deposit' })
+  })
+
+  test('Does not decode calls to other functions', () => {
+    const data = encodeCall('transfer(address,uint256)', [ADDRESS, '1'])
+    expect(decodeFunctionCall(abiFunction, data)).toBe(null)
+  })
+})
+
+describe('describeCall tests', () => {
+  const transfer = decodeCalldata(
+    encodeCall('transfer(address,uint256)', [ADDRESS, '1500000000000000000'])
+  )
+
+  test('Formats the amounts of the called token', () => {
+    expect(hasTokenAmounts(transfer)).toBe(true)
+    expect(
+      describeCall(transfer, { token: { decimals: '18', symbol: 'DAI' } })
+    ).toBe(`Transfer 1.5 DAI to ${ADDRESS}`)
+    expect(describeCall(transfer, { token: { decimals: 0, symbol: '' } })).toBe(
+      `Transfer 1500000000000000000 tokens to ${ADDRESS}`
+    )
+  })
+
+  test('Labels the amounts of unknown tokens as base units', () => {
+    expect(describeCall(transfer)).toBe(
+      `Transfer 1500000000000000000 base units to ${ADDRESS}`
+    )
+    const payment = decodeCalldata(
+      encodeCall('newImmediatePayment(address,address,uint256,string)', [
+        OTHER_ADDRESS,
+        ADDRESS,
+        '1000',
+        'Salary',
+      ])
+    )
+    expect(hasTokenAmounts(payment)).toBe(false)
+    expect(describeCall(payment)).toBe(
+      `Pay 1000 base units of ${OTHER_ADDRESS} to ${ADDRESS} for “Salary”`
+    )
+  })
+
+  test('Describes the calls without notices', () => {
+    const call = decodeFunctionCall(
+      {
+        name: 'setOwners',
+        type: 'function',
+        inputs: [{ name: 'owners', type: 'address[]' }],
+      },
+      encodeCall('setOwners(address[])', [[ADDRESS, OTHER_ADDRESS]])
+    )
+    expect(hasTokenAmounts(call)).toBe(false)
+    expect(describeCall(call)).toBe(
+      `Call setOwners([${ADDRESS}, ${OTHER_ADDRESS}])`
+    )
+  })
+})
+
+describe('formatCallArguments tests', () => {
+  test('Formats the arguments on a single line', () => {
+    expect(
+      formatCallArguments([
+        { name: 'to', value: ADDRESS },
+        { name: '', value: ['1', '2'] },
+      ])
+    ).toBe(`to=${ADDRESS}; 1=[1, 2]`)
+    expect(formatCallArguments()).toBe('')
+  })
+})
@@ -0,0 +1,77 @@
+import { isAddress } from './web3-utils'
+
+// Spec id of the CallsScript executor
+export const CALLSCRIPT_ID = '0x00000001'
+
+// Sizes, in hex characters
+const SPEC_ID_LENGTH = 8
+const ADDRESS_LENGTH = 40
+const CALLDATA_LENGTH_LENGTH = 8
+
+function stripHexPrefix(value) {
+  return value.startsWith('0x') ? value.slice(2) : value
+}
+
+/**
+ * Encode a list of calls into an EVM callscript.
+ *
+ * Every call is encoded as its target address (20 bytes),
+ * the length of its calldata (uint32, 4 bytes) and its calldata.
+ *
+ * @param {Array<Object>} calls the calls ({ to, data })
+ * @returns {string} the callscript
+ */
+export function encodeCallScript(calls) {
+  return calls.reduce((script, { to, data }) => {
+    if (!isAddress(to)) {
+      throw new Error(`Invalid target address: ${to}`)
+    }
+    const calldata = stripHexPrefix(data)
+    if (calldata.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(calldata)) {
+      throw new Error(`Invalid calldata for ${to}`)
+    }
+    const address = stripHexPrefix(to).toLowerCase()
+    const calldataLength = (calldata.length / 2)
+      .toString(16)
+      .padStart(CALLDATA_LENGTH_LENGTH, '0')
+    return `${script}${address}${calldataLength}${calldata.toLowerCase()}`
+  }, CALLSCRIPT_ID)
+}
+
+/**
+ * Decode an EVM callscript into its list of calls.
+ *
+ * @param {string} script the callscript
+ * @returns {Array<Object>} the calls ({ to, data })
+ */
+export function decodeCallScript(script) {
+  const hexScript = stripHexPrefix(script).toLowerCase()
+  if (`0x${hexScript.slice(0, SPEC_ID_LENGTH)}` !== CALLSCRIPT_ID) {
+    throw new Error('The script is not a callscript')
+  }
+
+  const calls = []
+  let position = SPEC_ID_LENGTH
+  while (position < hexScript.length) {
+    const to = hexScript.slice(position, position + ADDRESS_LENGTH)
+    position += ADDRESS_LENGTH
+    const calldataLengthField = hexScript.slice(
+      position,
+      position + CALLDATA_LENGTH_LENGTH
+    )
+    position += CALLDATA_LENGTH_LENGTH
+    const calldataLength = parseInt(calldataLengthField, 16) * 2
+    const data = hexScript.slice(position, position + calldataLength)
+    position += calldataLength
+
+    if (
+      to.length !== ADDRESS_LENGTH ||
+      calldataLengthField.length !== CALLDATA_LENGTH_LENGTH ||
+      data.length !== calldataLength
+    ) {
+      throw new Error('The callscript is malformed')
+    }
+    calls.push({ to: `0x${to}`, data: `0x${data}` })
+  }
+  return calls
+}
@@ -0,0 +1,71 @@
+import { decodeCallScript, encodeCallScript } from './evmscript-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const RECEIVER = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+
+const SCRIPT =
+  '0x00000001' +
+  '6b175474e89094c44da98b954eedeac495271d0f0000000412345678' +
+  '0d8775f648430679a709e98d2b0cb6250d2887ef00000003abcdef'
+
+describe('encodeCallScript tests', () => {
+  test('Prefixes every call with its target and calldata length', () => {
+    expect(
+      encodeCallScript([
+        { to: TOKEN, data: '0x12345678' },
+        { to: RECEIVER, data: '0xABCDEF' },
+      ])
+    ).toBe(SCRIPT)
+  })
+
+  test('Encodes empty scripts and calldata', () => {
+    expect(encodeCallScript([])).toBe('0x00000001')
+    expect(encodeCallScript([{ to: TOKEN, data: '0x' }])).toBe(
+      '0x00000001' + '6b175474e89094c44da98b954eedeac495271d0f00000000'
+    )
+  })
+
+  test('Rejects invalid targets and calldata', () => {
+    expect(() => encodeCallScript([{ to: '0x1234', data: '0x' }])).toThrow(
+      'Invalid target address: 0x1234'
+    )
+    expect(() => encodeCallScript([{ to: TOKEN, data: '0x123' }])).toThrow(
+      `Invalid calldata for ${TOKEN}`
+    )
+    expect(() => encodeCallScript([{ to: TOKEN, data: '0xzz' }])).toThrow(
+      `Invalid calldata for ${TOKEN}`
+    )
+  })
+})
+
+describe('decodeCallScript tests', () => {
+  test('Decodes every call of a script', () => {
+    expect(decodeCallScript(SCRIPT)).toEqual([
+      { to: TOKEN.toLowerCase(), data: '0x12345678' },
+      { to: RECEIVER.toLowerCase(), data: '0xabcdef' },
+    ])
+    expect(decodeCallScript('0x00000001')).toEqual([])
+  })
+
+  test('Decodes what got encoded', () => {
+    const calls = [
+      { to: TOKEN.toLowerCase(), data: '0x' },
+      { to: RECEIVER.toLowerCase(), data: `0x${'ab'.repeat(300)}` },
+    ]
+    expect(decodeCallScript(encodeCallScript(calls))).toEqual(calls)
+  })
+
+  test('Rejects other scripts and malformed callscripts', () => {
+    expect(() => decodeCallScript('0x00000002')).toThrow(
+      'The script is not a callscript'
+    )
+    // Truncated calldata
+    expect(() => decodeCallScript(SCRIPT.slice(0, -2))).toThrow(
+      'The callscript is malformed'
+    )
+    // Truncated address
+    expect(() => decodeCallScript(`${SCRIPT}0d8775f6`)).toThrow(
+      'The callscript is malformed'
+    )
+  })
+})
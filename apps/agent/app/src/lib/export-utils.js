@@ -0,0 +1,339 @@
+import BN from 'bn.js'
+import { format } from 'date-fns'
+import { fromDecimals } from './math-utils'
+import { formatCallArguments } from './calldata-utils'
+import { formatDay, getFiatValue } from './price-feed-utils'
+import { toChecksumAddress } from './web3-utils'
+import { TRANSACTION_TYPES_LABELS } from '../transaction-types'
+
+export const EXPORT_FORMATS = [
+  {
+    id: 'csv',
+    label: 'CSV',
+    description: 'Comma-separated values, for spreadsheets.',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+  },
+  {
+    id: 'ndjson',
+    label: 'JSON',
+    description: 'Newline-delimited JSON, one transfer per line.',
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson;charset=utf-8',
+  },
+  {
+    id: 'ofx',
+    label: 'OFX',
+    description: 'Open Financial Exchange, one statement per token.',
+    extension: 'ofx',
+    mimeType: 'application/x-ofx;charset=utf-8',
+  },
+  {
+    id: 'qif',
+    label: 'QIF',
+    description: 'Quicken Interchange Format, one account per token.',
+    extension: 'qif',
+    mimeType: 'application/qif;charset=utf-8',
+  },
+]
+
+// Fields of an export row, with their CSV header
+const EXPORT_FIELDS = [
+  ['id', 'ID'],
+  ['date', 'Date'],
+  ['transactionHash', 'Transaction Hash'],
+  ['type', 'Type'],
+  ['reference', 'Reference'],
+  ['method', 'Method'],
+  ['arguments', 'Arguments'],
+  ['from', 'From'],
+  ['fromLabel', 'From Label'],
+  ['to', 'To'],
+  ['toLabel', 'To Label'],
+  ['tokenAddress', 'Token Address'],
+  ['tokenSymbol', 'Token Symbol'],
+  ['tokenDecimals', 'Token Decimals'],
+  ['tokenId', 'Token ID'],
+  ['amount', 'Amount'],
+  ['fiatValue', 'Fiat Value'],
+  ['fiatCurrency', 'Fiat Currency'],
+]
+
+const OFX_DATE_FORMAT = 'yyyyMMddHHmmss'
+const QIF_DATE_FORMAT = 'MM/dd/yyyy'
+
+/**
+ * Get the rows to export, one per token transfer.
+ *
+ * Amounts are kept in base units, signed from the point of view of the Agent.
+ *
+ * @param {Array<Object>} transactions the transactions to export
+ * @param {Object} options export options
+ * @param {string} options.agentAddress address of the Agent
+ * @param {string} [options.currency] currency of the fiat values
+ * @param {Object} [options.fiatRates] rates of the currency, by day (as
+ *   formatted by formatDay()) and token symbol, to value every transfer at
+ *   the rate of its own date
+ * @param {Object} options.labels labels of the addresses, by address
+ * @param {Object} options.tokenDetails token details, by checksummed address
+ *   (transfers of unknown tokens are exported with 0 decimals)
+ * @returns {Array<Object>} the rows
+ */
+export function getExportRows(
+  transactions,
+  { agentAddress, currency = null, fiatRates = null, labels, tokenDetails }
+) {
+  const labelOf = address =>
+    address === agentAddress ? 'Agent' : labels[address] || ''
+
+  return transactions.reduce(
+    (
+      rows,
+      {
+        collectibleTransfers = [],
+        date,
+        decodedCall,
+        description,
+        id,
+        tokenTransfers,
+        transactionHash,
+        type,
+      }
+    ) => {
+      const transfers = [
+        ...tokenTransfers.map(({ amount, from, to, token }) => {
+          // Amounts of unknown tokens can only be exported in base units
+          const { decimals = 0, symbol = '' } =
+            tokenDetails[toChecksumAddress(token)] || {}
+          return { amount, decimals, from, symbol, to, token, tokenId: '' }
+        }),
+        ...collectibleTransfers.map(({ from, symbol, to, token, tokenId }) => ({
+          amount: new BN(1),
+          decimals: 0,
+          from,
+          symbol,
+          to,
+          token,
+          tokenId,
+        })),
+      ]
+
+      const transactionRows = transfers.map(
+        ({ amount, decimals, from, symbol, to, token, tokenId }, index) => {
+          // A transfer without source has been sent by the Agent
+          const fromAddress = from || agentAddress
+          const toAddress = to || agentAddress
+          const dayRates = fiatRates && !tokenId && fiatRates[formatDay(date)]
+          const fiatValue = dayRates
+            ? getFiatValue(
+                from ? amount : amount.neg(),
+                decimals,
+                dayRates[symbol]
+              )
+            : null
+          return {
+            id: `${id}.${index}`,
+            date: new Date(date).toISOString(),
+            transactionHash,
+            type: TRANSACTION_TYPES_LABELS[type],
+            reference: description,
+            method: decodedCall ? decodedCall.signature : '',
+            arguments: decodedCall ? formatCallArguments(decodedCall.args) : '',
+            from: fromAddress,
+            fromLabel: labelOf(fromAddress),
+            to: toAddress,
+            toLabel: labelOf(toAddress),
+            tokenAddress: token,
+            tokenSymbol: symbol || '',
+            tokenDecimals: String(decimals),
+            tokenId: String(tokenId),
+            amount: `${from ? '' : '-'}${amount.toString()}`,
+            fiatValue: fiatValue === null ? '' : fiatValue.toFixed(2),
+            fiatCurrency: fiatValue === null ? '' : currency,
+          }
+        }
+      )
+      return rows.concat(transactionRows)
+    },
+    []
+  )
+}
+
+/**
+ * Serialize export rows in one of the EXPORT_FORMATS.
+ *
+ * @param {string} formatId id of the format
+ * @param {Array<Object>} rows rows, as returned by getExportRows()
+ * @param {Object} options export options
+ * @param {string} options.agentAddress address of the Agent
+ * @returns {string} the serialized rows
+ */
+export function serializeExportRows(formatId, rows, { agentAddress }) {
+  if (formatId === 'csv') {
+    return toCsv(rows)
+  }
+  if (formatId === 'ndjson') {
+    return toNdjson(rows)
+  }
+  if (formatId === 'ofx') {
+    return toOfx(rows, agentAddress)
+  }
+  if (formatId === 'qif') {
+    return toQif(rows)
+  }
+  throw new Error(`Unknown export format: ${formatId}`)
+}
+
+// Format a signed base units amount as a decimal amount, e.g. -1.5
+function toDecimalAmount(amount, decimals) {
+  const negative = amount.startsWith('-')
+  const decimalAmount = fromDecimals(
+    negative ? amount.slice(1) : amount,
+    Number(decimals)
+  )
+  return `${negative ? '-' : ''}${decimalAmount}`
+}
+
+function groupByToken(rows) {
+  return rows.reduce((groups, row) => {
+    groups.set(row.tokenAddress, [...(groups.get(row.tokenAddress) || []), row])
+    return groups
+  }, new Map())
+}
+
+// Surround every field with double quotes + escape double quotes inside.
+function toCsv(rows) {
+  return [
+    EXPORT_FIELDS.map(([, header]) => header),
+    ...rows.map(row => EXPORT_FIELDS.map(([key]) => row[key])),
+  ]
+    .map(cells => cells.map(cell => `"${cell.replace(/"/g, '""')}"`).join(','))
+    .join('\n')
+}
+
+function toNdjson(rows) {
+  return rows
+    .map(row =>
+      JSON.stringify(
+        EXPORT_FIELDS.reduce((entry, [key]) => {
+          entry[key] =
+            key === 'tokenDecimals' ? Number(row[key]) : row[key] || null
+          return entry
+        }, {})
+      )
+    )
+    .join('\n')
+}
+
+// Escape the characters reserved by the OFX (SGML) syntax
+function ofxText(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+// OFX 1.0.2 (SGML), with one bank statement per token.
+// Tokens aren't ISO 4217 currencies, so their symbol is used as currency.
+function toOfx(rows, agentAddress) {
+  const now = format(new Date(), OFX_DATE_FORMAT)
+  const statements = Array.from(groupByToken(rows).values()).map(tokenRows => {
+    const [{ tokenAddress, tokenSymbol }] = tokenRows
+    const dates = tokenRows.map(({ date }) => new Date(date))
+    const transactions = tokenRows.map(row => {
+      const incoming = !row.amount.startsWith('-')
+      const counterparty = incoming ? row.from : row.to
+      const counterpartyLabel = incoming ? row.fromLabel : row.toLabel
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${incoming ? 'CREDIT' : 'DEBIT'}`,
+        `<DTPOSTED>${format(new Date(row.date), OFX_DATE_FORMAT)}`,
+        `<TRNAMT>${toDecimalAmount(row.amount, row.tokenDecimals)}`,
+        `<FITID>${row.id}`,
+        `<NAME>${ofxText((counterpartyLabel || counterparty).slice(0, 32))}`,
+        `<MEMO>${ofxText(
+          [row.reference, row.transactionHash].filter(Boolean).join(' ')
+        )}`,
+        '</STMTTRN>',
+      ].join('\n')
+    })
+
+    return [
+      '<STMTTRNRS>',
+      `<TRNUID>${tokenAddress}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${ofxText(tokenSymbol || 'UNKNOWN')}`,
+      '<BANKACCTFROM>',
+      `<BANKID>${tokenAddress}`,
+      `<ACCTID>${agentAddress}`,
+      '<ACCTTYPE>CHECKING',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${format(Math.min(...dates), OFX_DATE_FORMAT)}`,
+      `<DTEND>${format(Math.max(...dates), OFX_DATE_FORMAT)}`,
+      ...transactions,
+      '</BANKTRANLIST>',
+      '</STMTRS>',
+      '</STMTTRNRS>',
+    ].join('\n')
+  })
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ...statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+  ].join('\n')
+}
+
+// QIF, with one bank account per token
+function toQif(rows) {
+  return Array.from(groupByToken(rows).values())
+    .map(tokenRows => {
+      const [{ tokenAddress, tokenSymbol }] = tokenRows
+      const transactions = tokenRows.map(row => {
+        const incoming = !row.amount.startsWith('-')
+        const counterparty = incoming ? row.from : row.to
+        const counterpartyLabel = incoming ? row.fromLabel : row.toLabel
+        return [
+          `D${format(new Date(row.date), QIF_DATE_FORMAT)}`,
+          `T${toDecimalAmount(row.amount, row.tokenDecimals)}`,
+          `N${row.transactionHash}`,
+          `P${counterpartyLabel || counterparty}`,
+          `M${[row.reference, row.tokenId && `#${row.tokenId}`]
+            .filter(Boolean)
+            .join(' ')}`,
+          '^',
+        ].join('\n')
+      })
+      return [
+        '!Account',
+        `N${tokenSymbol || tokenAddress}`,
+        `D${tokenAddress}`,
+        'TBank',
+        '^',
+        '!Type:Bank',
+        ...transactions,
+      ].join('\n')
+    })
+    .join('\n')
+}
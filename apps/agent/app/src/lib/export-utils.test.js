@@ -0,0 +1,189 @@
+import BN from 'bn.js'
+import { format } from 'date-fns'
+import { getExportRows, serializeExportRows } from './export-utils'
+import { formatDay } from './price-feed-utils'
+import { Deposit, Execution } from '../transaction-types'
+
+const AGENT = '0x7f8A42C2cc2B2aa73bD4f2B3e5ebC6b04e6ab6B3'
+const ALICE = '0x2bEA0Fa3a54c9FC69d6EE6C65c8A6a4F1d4A3a4B'
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const UNKNOWN_TOKEN = '0x0000000000000000000000000000000000000001'
+const COLLECTIBLE = '0x06012c8cf97BEaD5deAe237070F9587f8E7A266d'
+
+const DATE = Date.UTC(2020, 5, 24, 12)
+
+const TRANSACTIONS = [
+  {
+    date: DATE,
+    description: 'Salary, "June" <1>',
+    id: 'tx1',
+    tokenTransfers: [
+      {
+        amount: new BN('1500000000000000000'),
+        from: null,
+        to: ALICE,
+        token: DAI.toLowerCase(),
+      },
+    ],
+    transactionHash: '0xhash1',
+    type: Execution,
+    decodedCall: {
+      args: [
+        { name: '_to', value: ALICE },
+        { name: '_value', value: '1500000000000000000' },
+      ],
+      signature: 'transfer(address,uint256)',
+    },
+  },
+  {
+    collectibleTransfers: [
+      { from: ALICE, symbol: 'CK', to: null, token: COLLECTIBLE, tokenId: 7 },
+    ],
+    date: DATE,
+    description: 'Deposit',
+    id: 'tx2',
+    tokenTransfers: [
+      { amount: new BN('42'), from: ALICE, to: null, token: UNKNOWN_TOKEN },
+    ],
+    transactionHash: '0xhash2',
+    type: Deposit,
+  },
+]
+
+const OPTIONS = {
+  agentAddress: AGENT,
+  labels: { [ALICE]: 'Alice' },
+  tokenDetails: { [DAI]: { decimals: 18, symbol: 'DAI' } },
+}
+
+describe('getExportRows tests', () => {
+  test('Gets one row per transfer, signed from the point of view of the Agent', () => {
+    const rows = getExportRows(TRANSACTIONS, OPTIONS)
+    expect(rows).toHaveLength(3)
+    expect(rows[0]).toEqual({
+      id: 'tx1.0',
+      date: new Date(DATE).toISOString(),
+      transactionHash: '0xhash1',
+      type: 'Execution',
+      reference: 'Salary, "June" <1>',
+      method: 'transfer(address,uint256)',
+      arguments: `_to=${ALICE}; _value=1500000000000000000`,
+      from: AGENT,
+      fromLabel: 'Agent',
+      to: ALICE,
+      toLabel: 'Alice',
+      tokenAddress: DAI.toLowerCase(),
+      tokenSymbol: 'DAI',
+      tokenDecimals: '18',
+      tokenId: '',
+      amount: '-1500000000000000000',
+      fiatValue: '',
+      fiatCurrency: '',
+    })
+    expect(rows[2]).toMatchObject({
+      id: 'tx2.1',
+      from: ALICE,
+      to: AGENT,
+      tokenAddress: COLLECTIBLE,
+      tokenSymbol: 'CK',
+      tokenDecimals: '0',
+      tokenId: '7',
+      amount: '1',
+    })
+  })
+
+  test('Exports the transfers of unknown tokens in base units', () => {
+    expect(getExportRows(TRANSACTIONS, OPTIONS)[1]).toMatchObject({
+      id: 'tx2.0',
+      tokenAddress: UNKNOWN_TOKEN,
+      tokenSymbol: '',
+      tokenDecimals: '0',
+      amount: '42',
+    })
+  })
+
+  test('Values the transfers at the rate of their day', () => {
+    const rows = getExportRows(TRANSACTIONS, {
+      ...OPTIONS,
+      currency: 'EUR',
+      fiatRates: { [formatDay(DATE)]: { DAI: 0.5 } },
+    })
+    expect(rows.map(({ fiatValue }) => fiatValue)).toEqual(['-3.00', '', ''])
+    expect(rows[0].fiatCurrency).toBe('EUR')
+  })
+})
+
+describe('serializeExportRows tests', () => {
+  const rows = getExportRows(TRANSACTIONS, OPTIONS)
+
+  test('Serializes rows as CSV', () => {
+    const lines = serializeExportRows('csv', rows, OPTIONS).split('\n')
+    expect(lines).toHaveLength(4)
+    expect(lines[0]).toMatch(/^"ID","Date","Transaction Hash",/)
+    expect(lines[1]).toContain('"Salary, ""June"" <1>"')
+    expect(lines[1]).toContain('"-1500000000000000000"')
+  })
+
+  test('Serializes rows as newline-delimited JSON', () => {
+    const entries = serializeExportRows('ndjson', rows, OPTIONS)
+      .split('\n')
+      .map(line => JSON.parse(line))
+    expect(entries).toHaveLength(3)
+    expect(entries[0]).toMatchObject({
+      amount: '-1500000000000000000',
+      tokenDecimals: 18,
+      tokenId: null,
+    })
+  })
+
+  test('Serializes rows as OFX, with one statement per token', () => {
+    const ofx = serializeExportRows('ofx', rows, OPTIONS)
+    expect(ofx.startsWith('OFXHEADER:100\nDATA:OFXSGML\nVERSION:102')).toBe(
+      true
+    )
+    expect(ofx.match(/<STMTTRNRS>/g)).toHaveLength(3)
+    expect(ofx).toContain('<CURDEF>DAI')
+    expect(ofx).toContain('<CURDEF>UNKNOWN')
+    expect(ofx).toContain(
+      [
+        '<STMTTRN>',
+        '<TRNTYPE>DEBIT',
+        `<DTPOSTED>${format(new Date(DATE), 'yyyyMMddHHmmss')}`,
+        '<TRNAMT>-1.5',
+        '<FITID>tx1.0',
+        '<NAME>Alice',
+        '<MEMO>Salary, "June" &lt;1&gt; 0xhash1',
+        '</STMTTRN>',
+      ].join('\n')
+    )
+  })
+
+  test('Serializes rows as QIF, with one account per token', () => {
+    const qif = serializeExportRows('qif', rows, OPTIONS)
+    expect(qif.match(/!Account/g)).toHaveLength(3)
+    expect(qif).toContain(
+      [
+        '!Account',
+        'NDAI',
+        `D${DAI.toLowerCase()}`,
+        'TBank',
+        '^',
+        '!Type:Bank',
+        `D${format(new Date(DATE), 'MM/dd/yyyy')}`,
+        'T-1.5',
+        'N0xhash1',
+        'PAlice',
+        'MSalary, "June" <1>',
+        '^',
+      ].join('\n')
+    )
+    expect(qif).toContain('T42\nN0xhash2\nPAlice\nMDeposit\n^')
+    expect(qif).toContain('MDeposit #7')
+  })
+
+  test('Throws on unknown formats', () => {
+    expect(() => serializeExportRows('xls', rows, OPTIONS)).toThrow(
+      'Unknown export format: xls'
+    )
+  })
+})
@@ -0,0 +1,72 @@
+// Local 4-byte signature database, used to decode the calldata of executions
+// without relying on an external registry.
+//
+// Each entry is a function signature and an optional radspec-style notice,
+// where `{n}` is replaced by the n-th decoded argument. Arguments written
+// `{n:amount}` are amounts of the called token, formatted using its decimals.
+// Other amounts can't be formatted and are written in base units.
+export const FUNCTION_SIGNATURES = [
+  // ERC-20
+  ['approve(address,uint256)', 'Approve {0} to spend {1:amount}'],
+  ['transfer(address,uint256)', 'Transfer {1:amount} to {0}'],
+  [
+    'transferFrom(address,address,uint256)',
+    'Transfer {2:amount} from {0} to {1}',
+  ],
+  [
+    'increaseAllowance(address,uint256)',
+    'Increase the allowance of {0} by {1:amount}',
+  ],
+  [
+    'decreaseAllowance(address,uint256)',
+    'Decrease the allowance of {0} by {1:amount}',
+  ],
+
+  // ERC-721
+  [
+    'safeTransferFrom(address,address,uint256)',
+    'Transfer token #{2} from {0} to {1}',
+  ],
+  [
+    'safeTransferFrom(address,address,uint256,bytes)',
+    'Transfer token #{2} from {0} to {1}',
+  ],
+  [
+    'setApprovalForAll(address,bool)',
+    'Set the approval of {0} for all tokens to {1}',
+  ],
+
+  // Wrapped ETH
+  ['deposit()', 'Wrap ETH'],
+  ['withdraw(uint256)', 'Unwrap {0:amount}'],
+
+  // Compound
+  ['mint(uint256)', 'Supply {0} base units of the underlying token'],
+  ['redeem(uint256)', 'Redeem {0:amount}'],
+  [
+    'redeemUnderlying(uint256)',
+    'Redeem {0} base units of the underlying token',
+  ],
+  ['borrow(uint256)', 'Borrow {0} base units of the underlying token'],
+  ['repayBorrow(uint256)', 'Repay {0} base units of the borrowed token'],
+
+  // Aragon apps
+  ['forward(bytes)', 'Forward an EVM script'],
+  ['newVote(bytes,string)', 'Create a new vote about “{1}”'],
+  ['vote(uint256,bool,bool)', 'Vote {1} on vote #{0}'],
+  ['executeVote(uint256)', 'Execute vote #{0}'],
+  [
+    'newImmediatePayment(address,address,uint256,string)',
+    'Pay {2} base units of {0} to {1} for “{3}”',
+  ],
+  [
+    'deposit(address,uint256,string)',
+    'Deposit {1} base units of {0} for “{2}”',
+  ],
+  [
+    'transfer(address,address,uint256)',
+    'Transfer {2} base units of {0} to {1}',
+  ],
+  ['stake(uint256,bytes)', 'Stake {0} base units'],
+  ['unstake(uint256,bytes)', 'Unstake {0} base units'],
+]
@@ -0,0 +1,130 @@
+import BN from 'bn.js'
+import {
+  STALE_RATES_AGE,
+  formatFiatValue,
+  getFiatValue,
+  getRatesAt,
+  isRatesStale,
+  parseRateFile,
+} from './price-feed-utils'
+
+const ONE = new BN('10').pow(new BN('18'))
+
+describe('parseRateFile tests', () => {
+  const expected = {
+    EUR: {
+      '2020-06-30': { DAI: 0.89, ANT: 0.5 },
+      '2020-07-01': { DAI: 0.88 },
+    },
+    USD: { '2020-06-30': { DAI: 1 } },
+  }
+
+  test('Parses a JSON list of rates', () => {
+    expect(
+      parseRateFile(`[
+        { "date": "2020-06-30", "currency": "EUR", "symbol": "DAI", "rate": 0.89 },
+        { "date": "2020-06-30", "currency": "EUR", "symbol": "ANT", "rate": "0.5" },
+        { "date": "2020-07-01", "currency": "eur", "symbol": "DAI", "rate": 0.88 },
+        { "date": "2020-06-30", "currency": "USD", "symbol": "DAI", "rate": 1 }
+      ]`)
+    ).toEqual(expected)
+  })
+
+  test('Parses a JSON object of rates', () => {
+    expect(
+      parseRateFile(
+        '{ "rates": [{ "date": "2020-06-30", "currency": "USD", "symbol": "DAI", "rate": 1 }] }'
+      )
+    ).toEqual({ USD: { '2020-06-30': { DAI: 1 } } })
+  })
+
+  test('Parses CSV rates, with or without a header', () => {
+    const lines = [
+      '2020-06-30,EUR,DAI,0.89',
+      '2020-06-30, EUR, ANT, 0.5',
+      '',
+      '2020-07-01,EUR,DAI,0.88',
+      '2020-06-30,USD,DAI,1',
+    ]
+    expect(parseRateFile(lines.join('\n'))).toEqual(expected)
+    expect(
+      parseRateFile(['date,currency,symbol,rate', ...lines].join('\r\n'))
+    ).toEqual(expected)
+  })
+
+  test('Throws on invalid rates', () => {
+    expect(() => parseRateFile('30/06/2020,EUR,DAI,0.89')).toThrow()
+    expect(() => parseRateFile('2020-06-30,EUR,DAI,0')).toThrow()
+    expect(() => parseRateFile('2020-06-30,EUR,,0.89')).toThrow()
+    expect(() => parseRateFile('[{ "date": "2020-06-30" ')).toThrow()
+  })
+})
+
+describe('getRatesAt tests', () => {
+  const history = {
+    '2020-06-28': { DAI: 0.9, ANT: 0.4 },
+    '2020-06-30': { DAI: 0.89 },
+    '2020-07-02': { DAI: 0.87, ANT: 0.6 },
+  }
+
+  test('Uses the latest rate of every token at that day', () => {
+    expect(getRatesAt(history, ['DAI', 'ANT'], '2020-07-01')).toEqual({
+      rates: { DAI: 0.89, ANT: 0.4 },
+      updatedAt: new Date('2020-06-28T00:00:00').getTime(),
+    })
+    expect(getRatesAt(history, ['DAI'], '2020-07-02')).toEqual({
+      rates: { DAI: 0.87 },
+      updatedAt: new Date('2020-07-02T00:00:00').getTime(),
+    })
+  })
+
+  test('Ignores the tokens without rates', () => {
+    expect(getRatesAt(history, ['DAI', 'BAT'], '2020-06-29').rates).toEqual({
+      DAI: 0.9,
+    })
+    expect(getRatesAt(history, ['DAI'], '2020-06-01')).toEqual({
+      rates: {},
+      updatedAt: null,
+    })
+    expect(getRatesAt(undefined, ['DAI'], '2020-06-30')).toEqual({
+      rates: {},
+      updatedAt: null,
+    })
+  })
+})
+
+describe('getFiatValue tests', () => {
+  test('Converts an amount with a rate', () => {
+    expect(getFiatValue(ONE.muln(100), 18, 4)).toBe(25)
+    expect(getFiatValue(ONE.muln(20).neg(), 18, 0.8)).toBe(-25)
+    expect(getFiatValue(new BN('1500000'), 6, 1)).toBe(1.5)
+  })
+
+  test('Returns null without a rate', () => {
+    expect(getFiatValue(ONE, 18, undefined)).toBe(null)
+    expect(getFiatValue(ONE, 18, 0)).toBe(null)
+  })
+})
+
+describe('isRatesStale tests', () => {
+  const now = new Date('2020-07-01T12:00:00').getTime()
+
+  test('Flags the rates older than STALE_RATES_AGE', () => {
+    expect(isRatesStale(now - STALE_RATES_AGE - 1, now)).toBe(true)
+    expect(isRatesStale(now - STALE_RATES_AGE, now)).toBe(false)
+    expect(isRatesStale(now, now)).toBe(false)
+  })
+
+  test('Does not flag missing rates', () => {
+    expect(isRatesStale(null, now)).toBe(false)
+  })
+})
+
+describe('formatFiatValue tests', () => {
+  test('Prefixes the value with the currency symbol', () => {
+    expect(formatFiatValue(1234.5, 'USD')).toBe('$1,234.50')
+    expect(formatFiatValue(-12, 'EUR')).toBe('-€12.00')
+    expect(formatFiatValue(0.5, 'CHF')).toBe('CHF 0.50')
+    expect(formatFiatValue('1.2k', 'EUR')).toBe('€1.2k')
+  })
+})
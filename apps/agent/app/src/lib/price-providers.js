@@ -0,0 +1,67 @@
+import { formatDay, getRatesAt } from './price-feed-utils'
+
+const CRYPTOCOMPARE_API_URL = 'https://min-api.cryptocompare.com/data'
+
+export const PRICE_SOURCE_LIVE = 'live'
+export const PRICE_SOURCE_FILE = 'file'
+
+async function fetchJson(url) {
+  const response = await fetch(url)
+  const data = await response.json()
+  // Errors are returned with a successful status
+  if (data.Response === 'Error') {
+    throw new Error(data.Message)
+  }
+  return data
+}
+
+/**
+ * Provider fetching the rates from CryptoCompare.
+ *
+ * Providers expose:
+ * - getRates(symbols, currency): the latest rates ({ rates, updatedAt })
+ * - getHistoricalRates(symbols, currency, date): the rates of a past day
+ *
+ * Rates are expressed as the amount of the token for one unit of the currency.
+ *
+ * @returns {Object} the provider
+ */
+export function createLiveProvider() {
+  return {
+    async getRates(symbols, currency) {
+      const rates = await fetchJson(
+        `${CRYPTOCOMPARE_API_URL}/price?fsym=${currency}&tsyms=${symbols.join(
+          ','
+        )}`
+      )
+      return { rates, updatedAt: Date.now() }
+    },
+    async getHistoricalRates(symbols, currency, date) {
+      const timestamp = Math.floor(new Date(date).getTime() / 1000)
+      const data = await fetchJson(
+        `${CRYPTOCOMPARE_API_URL}/pricehistorical?fsym=${currency}&tsyms=${symbols.join(
+          ','
+        )}&ts=${timestamp}`
+      )
+      return data[currency] || {}
+    },
+  }
+}
+
+/**
+ * Provider reading the rates from an imported rate file, without any network
+ * access (e.g. for air-gapped or test setups).
+ *
+ * @param {Object} rateHistory the rates, as returned by parseRateFile()
+ * @returns {Object} the provider
+ */
+export function createRateFileProvider(rateHistory) {
+  return {
+    async getRates(symbols, currency) {
+      return getRatesAt(rateHistory[currency], symbols, formatDay(Date.now()))
+    },
+    async getHistoricalRates(symbols, currency, date) {
+      return getRatesAt(rateHistory[currency], symbols, formatDay(date)).rates
+    },
+  }
+}
@@ -0,0 +1,178 @@
+// Amount of blocks during which recorded events may still be re-orged.
+// The store only loads past events up to this amount of blocks before the
+// latest one, so the events reduced while syncing can't be re-orged anymore.
+export const REORG_DEPTH = 100
+
+const isRecent = (number, blockNumber) => number > blockNumber - REORG_DEPTH
+
+/**
+ * Remember the block of an event, to detect later re-orgs of its chain.
+ * The entries removed from the state are kept as long as they could be
+ * restored by a re-org.
+ *
+ * @param {Object} state the state
+ * @param {Object} event the reduced event
+ * @returns {Object} the new state
+ */
+export function recordEventBlock(state, { blockHash, blockNumber }) {
+  if (!blockHash) {
+    return state
+  }
+  const recordedBlocks = (state.recordedBlocks || []).filter(
+    ({ number }) => number !== blockNumber && isRecent(number, blockNumber)
+  )
+  return {
+    ...state,
+    recordedBlocks: recordedBlocks
+      .concat({ hash: blockHash, number: blockNumber })
+      .sort((blockA, blockB) => blockA.number - blockB.number),
+    removedProtectedTokens: (
+      state.removedProtectedTokens || []
+    ).filter(({ removedBlockNumber }) =>
+      isRecent(removedBlockNumber, blockNumber)
+    ),
+    sentCollectibles: (
+      state.sentCollectibles || []
+    ).filter(({ sentBlockNumber }) => isRecent(sentBlockNumber, blockNumber)),
+  }
+}
+
+/**
+ * Check whether an event could come from another chain than the recorded
+ * blocks. Only the first event of every new block needs to be checked, and
+ * none of the events reduced while syncing.
+ *
+ * @param {Object} state the state
+ * @param {Object} event the event to reduce
+ * @returns {boolean} whether the recorded blocks need to be checked
+ */
+export function needsReorgCheck(
+  { isSyncing, recordedBlocks = [] },
+  { blockHash, blockNumber }
+) {
+  if (!blockHash || isSyncing || recordedBlocks.length === 0) {
+    return false
+  }
+  const latestBlock = recordedBlocks[recordedBlocks.length - 1]
+  return latestBlock.number !== blockNumber || latestBlock.hash !== blockHash
+}
+
+/**
+ * Find the first recorded block that isn't part of the chain of an event.
+ * As every block commits to its parent, the recorded blocks are checked from
+ * the latest one, until one of them is still part of the chain.
+ *
+ * @param {Array<Object>} recordedBlocks the recorded blocks ({ hash, number })
+ * @param {Object} event the event to reduce
+ * @param {function} loadBlockHash loads the hash of a block in the chain
+ * @returns {Promise<number|null>} the number of the block, or null
+ */
+export async function findFirstReorgedBlock(
+  recordedBlocks,
+  { blockHash, blockNumber },
+  loadBlockHash
+) {
+  let firstReorgedBlock = null
+  for (const { hash, number } of [...recordedBlocks].reverse()) {
+    const canonicalHash =
+      number === blockNumber ? blockHash : await loadBlockHash(number)
+    if (canonicalHash === hash) {
+      break
+    }
+    firstReorgedBlock = number
+  }
+  return firstReorgedBlock
+}
+
+// Whether a log dropped from the chain was reduced in the recorded chain
+export function isRecordedBlock(
+  recordedBlocks = [],
+  { blockHash, blockNumber }
+) {
+  return recordedBlocks.some(
+    ({ hash, number }) => number === blockNumber && hash === blockHash
+  )
+}
+
+// Tokens whose balance was affected by the rolled back transactions
+export function getRolledBackTokens(transactions = [], firstBlockNumber) {
+  const tokens = new Set()
+  transactions
+    .filter(({ blockNumber }) => blockNumber >= firstBlockNumber)
+    .forEach(({ tokenTransfers }) =>
+      tokenTransfers.forEach(({ token }) => tokens.add(token))
+    )
+  return Array.from(tokens)
+}
+
+/**
+ * Roll the state back to the block preceding a re-orged one. The events of
+ * the new chain get reduced again as they come in.
+ *
+ * Entries added by the rolled back blocks are dropped, and the ones they
+ * removed are restored. Balances need to be refreshed separately (see
+ * getRolledBackTokens()).
+ *
+ * @param {Object} state the state
+ * @param {number} firstBlockNumber the first re-orged block
+ * @returns {Object} the rolled back state
+ */
+export function rollbackBlocks(state, firstBlockNumber) {
+  const isRolledBack = blockNumber => blockNumber >= firstBlockNumber
+  const isKept = ({ blockNumber }) => !isRolledBack(blockNumber)
+
+  const {
+    collectibles = [],
+    designatedSigners = [],
+    presignedHashes = [],
+    protectedTokens = [],
+    recordedBlocks = [],
+    removedProtectedTokens = [],
+    sentCollectibles = [],
+    transactions = [],
+  } = state
+  const reorgedSigner = designatedSigners.find(
+    designated => !isKept(designated)
+  )
+
+  return {
+    ...state,
+    collectibles: collectibles
+      .filter(isKept)
+      .concat(
+        sentCollectibles
+          .filter(
+            collectible =>
+              isKept(collectible) && isRolledBack(collectible.sentBlockNumber)
+          )
+          .map(({ sentBlockNumber, ...collectible }) => collectible)
+      ),
+    // Restore the signer that was set before the first re-orged change
+    designatedSigner: reorgedSigner
+      ? reorgedSigner.oldSigner
+      : state.designatedSigner,
+    designatedSigners: designatedSigners.filter(isKept),
+    presignedHashes: presignedHashes.filter(isKept),
+    protectedTokens: protectedTokens
+      .filter(isKept)
+      .concat(
+        removedProtectedTokens
+          .filter(
+            protectedToken =>
+              isKept(protectedToken) &&
+              isRolledBack(protectedToken.removedBlockNumber)
+          )
+          .map(({ removedBlockNumber, ...protectedToken }) => protectedToken)
+      ),
+    recordedBlocks: recordedBlocks.filter(
+      ({ number }) => !isRolledBack(number)
+    ),
+    removedProtectedTokens: removedProtectedTokens.filter(
+      ({ removedBlockNumber }) => !isRolledBack(removedBlockNumber)
+    ),
+    sentCollectibles: sentCollectibles.filter(
+      ({ sentBlockNumber }) => !isRolledBack(sentBlockNumber)
+    ),
+    transactions: transactions.filter(isKept),
+  }
+}
@@ -0,0 +1,257 @@
+import {
+  REORG_DEPTH,
+  findFirstReorgedBlock,
+  getRolledBackTokens,
+  isRecordedBlock,
+  needsReorgCheck,
+  recordEventBlock,
+  rollbackBlocks,
+} from './reorg-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const OTHER_TOKEN = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+const SIGNER = '0x7f8A42C2cc2B2aa73bD4f2B3e5ebC6b04e6ab6B3'
+const OTHER_SIGNER = '0x2bEA0Fa3a54c9FC69d6EE6C65c8A6a4F1d4A3a4B'
+
+const RECORDED_BLOCKS = [
+  { hash: '0x10', number: 10 },
+  { hash: '0x11', number: 11 },
+  { hash: '0x12', number: 12 },
+]
+
+describe('recordEventBlock tests', () => {
+  test('Records the blocks in order, once', () => {
+    let state = {}
+    state = recordEventBlock(state, { blockHash: '0x11', blockNumber: 11 })
+    state = recordEventBlock(state, { blockHash: '0x10', blockNumber: 10 })
+    state = recordEventBlock(state, { blockHash: '0x11', blockNumber: 11 })
+    expect(state.recordedBlocks).toEqual([
+      { hash: '0x10', number: 10 },
+      { hash: '0x11', number: 11 },
+    ])
+  })
+
+  test('Ignores pending events', () => {
+    const state = { recordedBlocks: RECORDED_BLOCKS }
+    expect(recordEventBlock(state, { blockNumber: null })).toBe(state)
+  })
+
+  test('Forgets what can no longer be re-orged', () => {
+    const blockNumber = 10 + REORG_DEPTH
+    const state = recordEventBlock(
+      {
+        recordedBlocks: RECORDED_BLOCKS,
+        removedProtectedTokens: [
+          { address: TOKEN, removedBlockNumber: 10 },
+          { address: OTHER_TOKEN, removedBlockNumber: 11 },
+        ],
+        sentCollectibles: [
+          { token: TOKEN, tokenId: '1', sentBlockNumber: 10 },
+          { token: TOKEN, tokenId: '2', sentBlockNumber: 12 },
+        ],
+      },
+      { blockHash: '0x01', blockNumber }
+    )
+    expect(state.recordedBlocks.map(({ number }) => number)).toEqual([
+      11,
+      12,
+      blockNumber,
+    ])
+    expect(state.removedProtectedTokens).toEqual([
+      { address: OTHER_TOKEN, removedBlockNumber: 11 },
+    ])
+    expect(state.sentCollectibles).toEqual([
+      { token: TOKEN, tokenId: '2', sentBlockNumber: 12 },
+    ])
+  })
+})
+
+describe('needsReorgCheck tests', () => {
+  const state = { isSyncing: false, recordedBlocks: RECORDED_BLOCKS }
+
+  test('Checks the first event of every new block', () => {
+    expect(needsReorgCheck(state, { blockHash: '0x13', blockNumber: 13 })).toBe(
+      true
+    )
+    expect(needsReorgCheck(state, { blockHash: '0x12', blockNumber: 12 })).toBe(
+      false
+    )
+    // Same height, another chain
+    expect(needsReorgCheck(state, { blockHash: '0xff', blockNumber: 12 })).toBe(
+      true
+    )
+  })
+
+  test('Skips the events reduced while syncing', () => {
+    expect(
+      needsReorgCheck(
+        { ...state, isSyncing: true },
+        { blockHash: '0x13', blockNumber: 13 }
+      )
+    ).toBe(false)
+  })
+
+  test('Skips pending events and empty records', () => {
+    expect(needsReorgCheck(state, { blockNumber: null })).toBe(false)
+    expect(
+      needsReorgCheck(
+        { isSyncing: false },
+        { blockHash: '0x13', blockNumber: 13 }
+      )
+    ).toBe(false)
+  })
+})
+
+describe('findFirstReorgedBlock tests', () => {
+  const loader = hashes => jest.fn(async number => hashes[number])
+
+  test('Returns null when the recorded chain is still canonical', async () => {
+    const loadBlockHash = loader({ 12: '0x12' })
+    expect(
+      await findFirstReorgedBlock(
+        RECORDED_BLOCKS,
+        { blockHash: '0x13', blockNumber: 13 },
+        loadBlockHash
+      )
+    ).toBe(null)
+    // Only the latest block needs to be loaded
+    expect(loadBlockHash).toHaveBeenCalledTimes(1)
+  })
+
+  test('Walks back to the last common block', async () => {
+    const loadBlockHash = loader({ 11: '0xaa', 12: '0xbb', 10: '0x10' })
+    expect(
+      await findFirstReorgedBlock(
+        RECORDED_BLOCKS,
+        { blockHash: '0x13', blockNumber: 13 },
+        loadBlockHash
+      )
+    ).toBe(11)
+    expect(loadBlockHash.mock.calls.map(([number]) => number)).toEqual([
+      12,
+      11,
+      10,
+    ])
+  })
+
+  test("Uses the event's hash for its own block", async () => {
+    const loadBlockHash = loader({ 11: '0x11' })
+    expect(
+      await findFirstReorgedBlock(
+        RECORDED_BLOCKS,
+        { blockHash: '0xff', blockNumber: 12 },
+        loadBlockHash
+      )
+    ).toBe(12)
+    expect(loadBlockHash).toHaveBeenCalledTimes(1)
+  })
+
+  test('Handles a chain shorter than the recorded blocks', async () => {
+    const loadBlockHash = loader({ 10: '0x10', 12: null })
+    expect(
+      await findFirstReorgedBlock(
+        RECORDED_BLOCKS,
+        { blockHash: '0xff', blockNumber: 11 },
+        loadBlockHash
+      )
+    ).toBe(11)
+  })
+})
+
+describe('isRecordedBlock tests', () => {
+  test('Matches both the number and the hash', () => {
+    expect(
+      isRecordedBlock(RECORDED_BLOCKS, { blockHash: '0x11', blockNumber: 11 })
+    ).toBe(true)
+    expect(
+      isRecordedBlock(RECORDED_BLOCKS, { blockHash: '0xff', blockNumber: 11 })
+    ).toBe(false)
+    expect(
+      isRecordedBlock(undefined, { blockHash: '0x11', blockNumber: 11 })
+    ).toBe(false)
+  })
+})
+
+describe('getRolledBackTokens tests', () => {
+  test('Lists the tokens transferred from the first rolled back block', () => {
+    expect(
+      getRolledBackTokens(
+        [
+          { blockNumber: 10, tokenTransfers: [{ token: OTHER_TOKEN }] },
+          { blockNumber: 11, tokenTransfers: [{ token: TOKEN }] },
+          {
+            blockNumber: 12,
+            tokenTransfers: [{ token: TOKEN }, { token: OTHER_TOKEN }],
+          },
+        ],
+        11
+      )
+    ).toEqual([TOKEN, OTHER_TOKEN])
+  })
+})
+
+describe('rollbackBlocks tests', () => {
+  const state = {
+    balances: [{ address: TOKEN }],
+    collectibles: [
+      { token: TOKEN, tokenId: '1', blockNumber: 10 },
+      { token: TOKEN, tokenId: '2', blockNumber: 11 },
+    ],
+    designatedSigner: OTHER_SIGNER,
+    designatedSigners: [
+      { blockNumber: 10, newSigner: SIGNER, oldSigner: null },
+      { blockNumber: 11, newSigner: OTHER_SIGNER, oldSigner: SIGNER },
+    ],
+    presignedHashes: [
+      { blockNumber: 10, hash: '0x01' },
+      { blockNumber: 12, hash: '0x02' },
+    ],
+    protectedTokens: [{ address: TOKEN, blockNumber: 11 }],
+    recordedBlocks: RECORDED_BLOCKS,
+    removedProtectedTokens: [
+      // Removed in a rolled back block
+      { address: OTHER_TOKEN, blockNumber: 10, removedBlockNumber: 12 },
+      // Added in a rolled back block
+      { address: SIGNER, blockNumber: 11, removedBlockNumber: 12 },
+    ],
+    sentCollectibles: [
+      { token: OTHER_TOKEN, tokenId: '3', blockNumber: 9, sentBlockNumber: 10 },
+      { token: OTHER_TOKEN, tokenId: '4', blockNumber: 9, sentBlockNumber: 11 },
+    ],
+    transactions: [
+      { blockNumber: 10, id: 'a' },
+      { blockNumber: 11, id: 'b' },
+    ],
+  }
+
+  test('Drops the entries of the rolled back blocks', () => {
+    const newState = rollbackBlocks(state, 11)
+    expect(newState.balances).toBe(state.balances)
+    expect(newState.transactions).toEqual([{ blockNumber: 10, id: 'a' }])
+    expect(newState.presignedHashes).toEqual([
+      { blockNumber: 10, hash: '0x01' },
+    ])
+    expect(newState.recordedBlocks).toEqual([{ hash: '0x10', number: 10 }])
+  })
+
+  test('Restores the protected tokens and collectibles removed by them', () => {
+    const newState = rollbackBlocks(state, 11)
+    expect(newState.protectedTokens).toEqual([
+      { address: OTHER_TOKEN, blockNumber: 10 },
+    ])
+    expect(newState.removedProtectedTokens).toEqual([])
+    expect(newState.collectibles).toEqual([
+      { token: TOKEN, tokenId: '1', blockNumber: 10 },
+      { token: OTHER_TOKEN, tokenId: '4', blockNumber: 9 },
+    ])
+    expect(newState.sentCollectibles).toEqual([
+      { token: OTHER_TOKEN, tokenId: '3', blockNumber: 9, sentBlockNumber: 10 },
+    ])
+  })
+
+  test('Restores the previous designated signer', () => {
+    expect(rollbackBlocks(state, 11).designatedSigner).toBe(SIGNER)
+    expect(rollbackBlocks(state, 10).designatedSigner).toBe(null)
+    expect(rollbackBlocks(state, 12).designatedSigner).toBe(OTHER_SIGNER)
+  })
+})
@@ -0,0 +1,149 @@
+import abi from 'web3-eth-abi'
+import { sha3Raw, utf8ToHex } from 'web3-utils'
+
+// Values returned by Agent.isValidSignature(), as defined by ERC-1271
+export const ERC1271_MAGIC_VALUE = '0x20c13b0b'
+export const ERC1271_INVALID_SIGNATURE = '0x00000000'
+
+// Agent also inherits the `isValidSignature(bytes,bytes)` overload of
+// ERC1271Bytes, which checks the hash of its data: web3 could pick either of
+// them from the arguments count, so the hash one is called explicitly
+export const IS_VALID_SIGNATURE_METHOD = 'isValidSignature(bytes32,bytes)'
+
+const EIP712_DOMAIN_TYPE = 'EIP712Domain'
+
+export function isHash(value) {
+  return /^0x[0-9a-fA-F]{64}$/.test(value)
+}
+
+export function isHexBytes(value) {
+  return /^0x([0-9a-fA-F]{2})*$/.test(value)
+}
+
+/**
+ * Ask the Agent whether a signature is valid for a hash (ERC-1271).
+ *
+ * @param {Object} api the app API
+ * @param {string} hash the signed hash
+ * @param {string} signature the signature (`0x` for presigned hashes)
+ * @returns {Promise<boolean>} whether the Agent considers the signature valid
+ */
+export async function checkSignature(api, hash, signature) {
+  const result = await api
+    .call(IS_VALID_SIGNATURE_METHOD, hash, signature)
+    .toPromise()
+  return Boolean(result) && result.toLowerCase() === ERC1271_MAGIC_VALUE
+}
+
+/**
+ * Parse an EIP-712 typed data payload, as used by `eth_signTypedData_v4`.
+ *
+ * @param {string} text the JSON payload
+ * @returns {Object} the typed data ({ domain, message, primaryType, types })
+ */
+export function parseTypedData(text) {
+  let typedData
+  try {
+    typedData = JSON.parse(text)
+  } catch (err) {
+    throw new Error('The typed data is not valid JSON')
+  }
+
+  const { domain, message, primaryType, types } = typedData || {}
+  if (!types || typeof types !== 'object') {
+    throw new Error('The typed data must contain its types')
+  }
+  if (!types[EIP712_DOMAIN_TYPE]) {
+    throw new Error(`The typed data must define the ${EIP712_DOMAIN_TYPE} type`)
+  }
+  if (!primaryType || !types[primaryType]) {
+    throw new Error('The primary type must be one of the defined types')
+  }
+  if (!domain || typeof domain !== 'object') {
+    throw new Error('The typed data must contain its domain')
+  }
+  if (!message || typeof message !== 'object') {
+    throw new Error('The typed data must contain its message')
+  }
+  return { domain, message, primaryType, types }
+}
+
+/**
+ * Hash an EIP-712 typed data payload, resulting in the hash that would be
+ * signed by `eth_signTypedData_v4`.
+ *
+ * @param {Object} typedData the typed data, as returned by parseTypedData()
+ * @returns {string} the hash
+ */
+export function hashTypedData({ domain, message, primaryType, types }) {
+  const domainSeparator = hashStruct(EIP712_DOMAIN_TYPE, domain, types)
+  const messageHash = hashStruct(primaryType, message, types)
+  return sha3Raw(`0x1901${domainSeparator.slice(2)}${messageHash.slice(2)}`)
+}
+
+function hashStruct(primaryType, data, types) {
+  return sha3Raw(encodeData(primaryType, data, types))
+}
+
+function encodeData(primaryType, data, types) {
+  const typeHash = sha3Raw(utf8ToHex(encodeType(primaryType, types)))
+  const encodedFields = types[primaryType].map(({ name, type }) => {
+    if (data[name] === undefined) {
+      throw new Error(`Missing value for the field “${name}” of ${primaryType}`)
+    }
+    return encodeField(type, data[name], types)
+  })
+  return [typeHash, ...encodedFields]
+    .map((encoded, index) => (index === 0 ? encoded : encoded.slice(2)))
+    .join('')
+}
+
+function encodeField(type, value, types) {
+  if (types[type]) {
+    return hashStruct(type, value, types)
+  }
+  if (type.endsWith(']')) {
+    if (!Array.isArray(value)) {
+      throw new Error(`The value of type ${type} must be an array`)
+    }
+    const itemType = type.slice(0, type.lastIndexOf('['))
+    return sha3Raw(
+      `0x${value
+        .map(item => encodeField(itemType, item, types).slice(2))
+        .join('')}`
+    )
+  }
+  if (type === 'string') {
+    return sha3Raw(utf8ToHex(value))
+  }
+  if (type === 'bytes') {
+    return sha3Raw(value)
+  }
+  return abi.encodeParameter(type, value)
+}
+
+// Encode a type and its dependencies, e.g. `Mail(Person from,…)Person(…)`
+function encodeType(primaryType, types) {
+  const dependencies = findTypeDependencies(primaryType, types)
+    .filter(type => type !== primaryType)
+    .sort()
+  return [primaryType, ...dependencies]
+    .map(
+      type =>
+        `${type}(${types[type]
+          .map(({ name, type }) => `${type} ${name}`)
+          .join(',')})`
+    )
+    .join('')
+}
+
+function findTypeDependencies(primaryType, types, found = []) {
+  const type = primaryType.replace(/\[[0-9]*\]$/, '')
+  if (found.includes(type) || !types[type]) {
+    return found
+  }
+  return types[type].reduce(
+    (found, field) => findTypeDependencies(field.type, types, found),
+    [...found, type]
+  )
+}
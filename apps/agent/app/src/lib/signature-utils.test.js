@@ -0,0 +1,168 @@
+import {
+  ERC1271_INVALID_SIGNATURE,
+  ERC1271_MAGIC_VALUE,
+  checkSignature,
+  hashTypedData,
+  isHash,
+  isHexBytes,
+  parseTypedData,
+} from './signature-utils'
+
+// Example of the EIP-712 specification
+const MAIL_TYPED_DATA = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' },
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' },
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' },
+    ],
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC',
+  },
+  message: {
+    from: {
+      name: 'Cow',
+      wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826',
+    },
+    to: {
+      name: 'Bob',
+      wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB',
+    },
+    contents: 'Hello, Bob!',
+  },
+}
+
+describe('isHash tests', () => {
+  test('Checks for 32 bytes hex values', () => {
+    expect(isHash(`0x${'ab'.repeat(32)}`)).toBe(true)
+    expect(isHash(`0x${'ab'.repeat(31)}`)).toBe(false)
+    expect(isHash('ab'.repeat(32))).toBe(false)
+    expect(isHash(`0x${'zz'.repeat(32)}`)).toBe(false)
+  })
+})
+
+describe('isHexBytes tests', () => {
+  test('Checks for hex encoded bytes', () => {
+    expect(isHexBytes('0x')).toBe(true)
+    expect(isHexBytes('0x00ff')).toBe(true)
+    expect(isHexBytes('0x0')).toBe(false)
+    expect(isHexBytes('00ff')).toBe(false)
+  })
+})
+
+describe('parseTypedData tests', () => {
+  test('Parses typed data payloads', () => {
+    expect(parseTypedData(JSON.stringify(MAIL_TYPED_DATA))).toEqual(
+      MAIL_TYPED_DATA
+    )
+  })
+
+  test('Throws on invalid payloads', () => {
+    const withoutField = field => {
+      const typedData = { ...MAIL_TYPED_DATA }
+      delete typedData[field]
+      return JSON.stringify(typedData)
+    }
+    expect(() => parseTypedData('{')).toThrow('not valid JSON')
+    expect(() => parseTypedData(withoutField('types'))).toThrow(
+      'must contain its types'
+    )
+    expect(() =>
+      parseTypedData(
+        JSON.stringify({
+          ...MAIL_TYPED_DATA,
+          types: { Mail: MAIL_TYPED_DATA.types.Mail },
+        })
+      )
+    ).toThrow('must define the EIP712Domain type')
+    expect(() =>
+      parseTypedData(
+        JSON.stringify({ ...MAIL_TYPED_DATA, primaryType: 'Letter' })
+      )
+    ).toThrow('The primary type must be one of the defined types')
+    expect(() => parseTypedData(withoutField('domain'))).toThrow(
+      'must contain its domain'
+    )
+    expect(() => parseTypedData(withoutField('message'))).toThrow(
+      'must contain its message'
+    )
+  })
+})
+
+describe('hashTypedData tests', () => {
+  test('Hashes typed data like eth_signTypedData_v4', () => {
+    expect(hashTypedData(MAIL_TYPED_DATA)).toBe(
+      '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2'
+    )
+  })
+
+  test('Hashes arrays of structs', () => {
+    const typedData = {
+      ...MAIL_TYPED_DATA,
+      types: {
+        ...MAIL_TYPED_DATA.types,
+        Mail: [
+          { name: 'from', type: 'Person' },
+          { name: 'to', type: 'Person[]' },
+          { name: 'contents', type: 'string' },
+        ],
+      },
+      message: {
+        ...MAIL_TYPED_DATA.message,
+        to: [MAIL_TYPED_DATA.message.to],
+      },
+    }
+    const hash = hashTypedData(typedData)
+    expect(isHash(hash)).toBe(true)
+    expect(hash).not.toBe(hashTypedData(MAIL_TYPED_DATA))
+  })
+
+  test('Throws on missing values', () => {
+    expect(() =>
+      hashTypedData({
+        ...MAIL_TYPED_DATA,
+        message: { ...MAIL_TYPED_DATA.message, contents: undefined },
+      })
+    ).toThrow('Missing value for the field “contents” of Mail')
+  })
+})
+
+describe('checkSignature tests', () => {
+  const HASH = `0x${'ab'.repeat(32)}`
+  const mockApi = result => ({
+    call: jest.fn(() => ({ toPromise: () => Promise.resolve(result) })),
+  })
+
+  test('Calls the bytes32 overload of isValidSignature()', async () => {
+    const api = mockApi(ERC1271_MAGIC_VALUE)
+    await checkSignature(api, HASH, '0x')
+    expect(api.call).toHaveBeenCalledWith(
+      'isValidSignature(bytes32,bytes)',
+      HASH,
+      '0x'
+    )
+  })
+
+  test('Only accepts the ERC-1271 magic value', async () => {
+    expect(await checkSignature(mockApi('0x20C13B0B'), HASH, '0x')).toBe(true)
+    expect(
+      await checkSignature(mockApi(ERC1271_INVALID_SIGNATURE), HASH, '0x')
+    ).toBe(false)
+    expect(await checkSignature(mockApi(null), HASH, '0x')).toBe(false)
+  })
+})
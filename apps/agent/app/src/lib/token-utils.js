@@ -7,11 +7,18 @@ import tokenNameBytesAbi from '../abi/token-name-bytes.json'
 import tokenSymbolAbi from '../abi/token-symbol.json'
 import tokenSymbolBytesAbi from '../abi/token-symbol-bytes.json'
 import tokenTransferEventAbi from '../abi/token-transfer-event.json'
+import collectibleTransferEventAbi from '../abi/collectible-transfer-event.json'
 
 const TOKEN_TRANSFER_EVENT_INPUTS = tokenTransferEventAbi[0].inputs
 const TOKEN_TRANSFER_EVENT_SIGNATURE = abi.encodeEventSignature(
   tokenTransferEventAbi[0]
 )
+const COLLECTIBLE_TRANSFER_EVENT_INPUTS = collectibleTransferEventAbi[0].inputs
+
+// ERC-20 and ERC-721 share the same Transfer event signature, but ERC-721
+// also indexes the tokenId, resulting in an additional topic
+const TOKEN_TRANSFER_TOPICS_LENGTH = 3
+const COLLECTIBLE_TRANSFER_TOPICS_LENGTH = 4
 
 const ANJ_MAINNET_TOKEN_ADDRESS = '0xcD62b1C403fa761BAadFC74C525ce2B51780b184'
 const ANT_MAINNET_TOKEN_ADDRESS = '0x960b236A07cf122663c4303350609A66A7B288C0'
@@ -111,16 +118,34 @@ export function getPresetTokens(networkType) {
 }
 
 export function findTransfersFromReceipt(receipt) {
-  const { logs = [] } = receipt
+  return decodeTransferLogs(
+    receipt,
+    TOKEN_TRANSFER_TOPICS_LENGTH,
+    TOKEN_TRANSFER_EVENT_INPUTS
+  )
+}
+
+export function findCollectibleTransfersFromReceipt(receipt) {
+  return decodeTransferLogs(
+    receipt,
+    COLLECTIBLE_TRANSFER_TOPICS_LENGTH,
+    COLLECTIBLE_TRANSFER_EVENT_INPUTS
+  )
+}
+
+function decodeTransferLogs({ logs = [] }, topicsLength, inputs) {
   const transferLogs = logs.filter(
-    ({ topics = [] }) => topics[0] === TOKEN_TRANSFER_EVENT_SIGNATURE
+    ({ topics = [] }) =>
+      topics[0] === TOKEN_TRANSFER_EVENT_SIGNATURE &&
+      topics.length === topicsLength
   )
   return transferLogs
     .map(({ address, data, topics }) => {
       try {
         return {
           token: address,
-          returnData: abi.decodeLog(TOKEN_TRANSFER_EVENT_INPUTS, data, topics),
+          // Skip the event signature topic, as the event isn't anonymous
+          returnData: abi.decodeLog(inputs, data, topics.slice(1)),
         }
       } catch (_) {
         return null
@@ -4,6 +4,7 @@ import { getTestTokenAddresses } from './testnet'
 import * as transactionTypes from './transaction-types'
 import {
   ETHER_TOKEN_FAKE_ADDRESS,
+  findCollectibleTransfersFromReceipt,
   findTransfersFromReceipt,
   getPresetTokens,
   getTokenSymbol,
@@ -11,18 +12,38 @@ import {
   isTokenVerified,
   tokenDataFallback,
 } from './lib/token-utils'
+import {
+  decodeCalldata,
+  describeCall,
+  hasTokenAmounts,
+} from './lib/calldata-utils'
+import {
+  findFirstReorgedBlock,
+  getRolledBackTokens,
+  isRecordedBlock,
+  needsReorgCheck,
+  recordEventBlock,
+  rollbackBlocks,
+} from './lib/reorg-utils'
 import { addressesEqual } from './lib/web3-utils'
 import tokenDecimalsAbi from './abi/token-decimals.json'
 import tokenNameAbi from './abi/token-name.json'
 import tokenSymbolAbi from './abi/token-symbol.json'
+import collectibleTokenUriAbi from './abi/collectible-token-uri.json'
 
 const tokenAbi = [].concat(tokenDecimalsAbi, tokenNameAbi, tokenSymbolAbi)
+const collectibleAbi = [].concat(
+  tokenNameAbi,
+  tokenSymbolAbi,
+  collectibleTokenUriAbi
+)
 
 const TEST_TOKEN_ADDRESSES = []
 const tokenContracts = new Map() // Addr -> External contract
 const tokenDecimals = new Map() // External contract -> decimals
 const tokenNames = new Map() // External contract -> name
 const tokenSymbols = new Map() // External contract -> symbol
+const collectibleContracts = new Map() // Addr -> External contract
 
 const ETH_CONTRACT = Symbol('ETH_CONTRACT')
 
@@ -124,21 +145,18 @@ async function initialize() {
         return { ...nextState, isSyncing: false }
       }
 
-      switch (eventName) {
-        // AppProxy events
-        case 'ProxyDeposit':
-          return newProxyDeposit(nextState, event, settings)
-        // Vault events
-        case 'VaultTransfer':
-        case 'VaultDeposit':
-          return newVaultTransaction(nextState, event, settings)
-        // Agent events
-        case 'SafeExecute':
-        case 'Execute':
-          return newExecution(nextState, event, settings)
-        default:
-          return nextState
+      // Logs dropped from the chain by a re-org
+      if (event.removed) {
+        return rollbackRemovedLog(nextState, event, settings)
       }
+
+      const checkedState = await rollbackReorgedBlocks(
+        nextState,
+        event,
+        settings
+      )
+      const newState = await reduceEvent(checkedState, event, settings)
+      return recordEventBlock(newState, event)
     },
     {
       init: initializeState(settings),
@@ -152,6 +170,35 @@ async function initialize() {
  *                     *
  ***********************/
 
+async function reduceEvent(state, event, settings) {
+  const { event: eventName } = event
+  switch (eventName) {
+    // AppProxy events
+    case 'ProxyDeposit':
+      return newProxyDeposit(state, event, settings)
+    // Vault events
+    case 'VaultTransfer':
+    case 'VaultDeposit':
+      return newVaultTransaction(state, event, settings)
+    // Agent events
+    case 'SafeExecute':
+    case 'Execute':
+      return newExecution(state, event, settings)
+    case 'AddProtectedToken':
+      return newProtectedToken(state, event, settings)
+    case 'RemoveProtectedToken':
+      return removeProtectedToken(state, event)
+    case 'ReceiveERC721':
+      return newCollectibleDeposit(state, event)
+    case 'PresignHash':
+      return newPresignedHash(state, event)
+    case 'SetDesignatedSigner':
+      return newDesignatedSigner(state, event)
+    default:
+      return state
+  }
+}
+
 const initializeState = settings => async cachedState => {
   const newState = {
     ...cachedState,
@@ -248,7 +295,7 @@ async function newVaultTransaction(state, event, settings) {
 async function newExecution(state, event, settings) {
   const {
     transactionHash,
-    returnValues: { ethValue, target },
+    returnValues: { data, ethValue, target },
   } = event
   // Let's try to find some more information about this particular execution
   // by using the transaction receipt:
@@ -288,6 +335,25 @@ async function newExecution(state, event, settings) {
     .filter(Boolean)
 
   const tokenTransfers = [...ethTransfers, ...transfersFromReceipts]
+
+  // ERC-721 transfers to / from this agent app
+  const collectibleTransfers = findCollectibleTransfersFromReceipt(
+    transactionReceipt
+  )
+    .map(({ token, returnData }) => {
+      const { from, to, tokenId } = returnData
+      const fromAgent = addressesEqual(from, settings.proxyAddress)
+      const toAgent = addressesEqual(to, settings.proxyAddress)
+      return fromAgent || toAgent
+        ? {
+            token,
+            tokenId,
+            from: fromAgent ? null : from,
+            to: toAgent ? null : to,
+          }
+        : null
+    })
+    .filter(Boolean)
   // Also try to find the target contract for contract interactions,
   // which do not necessarily have token transfers
   let newBalances = state.balances
@@ -296,20 +362,180 @@ async function newExecution(state, event, settings) {
     newBalances = await updateBalances(newBalances, address, settings)
   }
 
+  let newCollectibles = {
+    collectibles: state.collectibles,
+    sentCollectibles: state.sentCollectibles,
+  }
+  for (const collectibleTransfer of collectibleTransfers) {
+    newCollectibles = await updateCollectibles(
+      newCollectibles,
+      collectibleTransfer,
+      event
+    )
+  }
+
+  // Collectibles safely transferred to the agent app were already recorded
+  // through their ReceiveERC721 event, emitted earlier in the transaction
+  const unrecordedCollectibleTransfers = collectibleTransfers.filter(
+    collectibleTransfer =>
+      !(state.transactions || []).some(
+        ({ collectibleTransfers = [], transactionHash: hash }) =>
+          hash === transactionHash &&
+          collectibleTransfers.some(transfer =>
+            isSameCollectible(transfer, collectibleTransfer)
+          )
+      )
+  )
+
+  // Describe the execution with the local signature database, if possible
+  const decodedCall = decodeCalldata(data)
+  const calledToken =
+    decodedCall && hasTokenAmounts(decodedCall)
+      ? await loadCalledToken(target, settings)
+      : undefined
   const newTransactions = await updateTransactions(state.transactions, event, {
-    // TODO: fetch description via radspec / on-chain registry fallback
-    // (see https://metamask.github.io/metamask-docs/Best_Practices/Registering_Function_Names)
-    description: 'Contract interaction',
+    collectibleTransfers: await Promise.all(
+      unrecordedCollectibleTransfers.map(withCollectibleSymbol)
+    ),
+    decodedCall,
+    description: decodedCall
+      ? describeCall(decodedCall, { token: calledToken })
+      : 'Contract interaction',
     tokenTransfers,
     targetContract: target,
   })
   return {
     ...state,
+    ...newCollectibles,
     balances: newBalances,
     transactions: newTransactions,
   }
 }
 
+async function newCollectibleDeposit(state, event) {
+  const { from, token, tokenId } = event.returnValues
+  const collectibleTransfer = { from, token, tokenId, to: null }
+
+  const newCollectibles = await updateCollectibles(
+    state,
+    collectibleTransfer,
+    event
+  )
+  const transferWithSymbol = await withCollectibleSymbol(collectibleTransfer)
+  const newTransactions = await updateTransactions(state.transactions, event, {
+    collectibleTransfers: [transferWithSymbol],
+    description: `Received ${transferWithSymbol.symbol ||
+      'collectible'} #${tokenId}`,
+  })
+
+  return {
+    ...state,
+    ...newCollectibles,
+    transactions: newTransactions,
+  }
+}
+
+async function newProtectedToken(state, event, settings) {
+  const {
+    blockNumber,
+    transactionHash,
+    returnValues: { token },
+  } = event
+  const [addedAt, addedBy, newBalances] = await Promise.all([
+    loadBlockTime(blockNumber),
+    loadTransactionSender(transactionHash),
+    // Make sure the protected token is listed in the balances
+    updateBalances(state.balances, token, settings),
+  ])
+
+  return {
+    ...state,
+    balances: newBalances,
+    protectedTokens: updateProtectedTokens(state.protectedTokens, {
+      addedAt,
+      addedBy,
+      blockNumber,
+      transactionHash,
+      address: token,
+    }),
+  }
+}
+
+function removeProtectedToken(state, { blockNumber, returnValues: { token } }) {
+  const protectedTokens = state.protectedTokens || []
+  const removedProtectedToken = protectedTokens.find(({ address }) =>
+    addressesEqual(address, token)
+  )
+  if (!removedProtectedToken) {
+    return state
+  }
+
+  return {
+    ...state,
+    protectedTokens: protectedTokens.filter(
+      protectedToken => protectedToken !== removedProtectedToken
+    ),
+    // Kept to be restored if the removal gets re-orged
+    removedProtectedTokens: (state.removedProtectedTokens || []).concat({
+      ...removedProtectedToken,
+      removedBlockNumber: blockNumber,
+    }),
+  }
+}
+
+async function newPresignedHash(state, event) {
+  const {
+    blockNumber,
+    transactionHash,
+    returnValues: { hash, sender },
+  } = event
+  const presignedHashes = state.presignedHashes || []
+  // A hash stays presigned forever, so only its first presign is relevant
+  if (presignedHashes.some(presigned => presigned.hash === hash)) {
+    return state
+  }
+
+  return {
+    ...state,
+    presignedHashes: presignedHashes.concat({
+      blockNumber,
+      date: await loadBlockTime(blockNumber),
+      hash,
+      sender,
+      transactionHash,
+    }),
+  }
+}
+
+async function newDesignatedSigner(state, event) {
+  const {
+    blockNumber,
+    transactionHash,
+    returnValues: { newSigner, oldSigner, sender },
+  } = event
+  const designatedSigners = state.designatedSigners || []
+  if (
+    designatedSigners.some(
+      designated => designated.transactionHash === transactionHash
+    )
+  ) {
+    return state
+  }
+
+  return {
+    ...state,
+    designatedSigner: newSigner,
+    designatedSigners: designatedSigners.concat({
+      blockNumber,
+      date: await loadBlockTime(blockNumber),
+      newSigner,
+      oldSigner,
+      sender,
+      transactionHash,
+    }),
+  }
+}
+
 /***********************
  *                     *
  *    Token Helpers    *
@@ -387,6 +613,20 @@ async function newBalanceEntry(tokenContract, tokenAddress, settings) {
   }
 }
 
+// Details of a token being called, to describe its amounts
+async function loadCalledToken(tokenAddress, settings) {
+  const tokenContract = tokenContracts.has(tokenAddress)
+    ? tokenContracts.get(tokenAddress)
+    : app.external(tokenAddress, tokenAbi)
+  tokenContracts.set(tokenAddress, tokenContract)
+
+  const [decimals, symbol] = await Promise.all([
+    loadTokenDecimals(tokenContract, tokenAddress, settings),
+    loadTokenSymbol(tokenContract, tokenAddress, settings),
+  ])
+  return { decimals, symbol }
+}
+
 function loadTokenBalance(tokenAddress) {
   return app.call('balance', tokenAddress).toPromise()
 }
@@ -444,6 +684,149 @@ async function loadTokenSymbol(tokenContract, tokenAddress, { network }) {
   return symbol
 }
 
+function updateProtectedTokens(protectedTokens, protectedTokenDetails) {
+  const newProtectedTokens = Array.from(protectedTokens || [])
+
+  const protectedTokensIndex = newProtectedTokens.findIndex(({ address }) =>
+    addressesEqual(address, protectedTokenDetails.address)
+  )
+  if (protectedTokensIndex === -1) {
+    return newProtectedTokens.concat(protectedTokenDetails)
+  } else {
+    newProtectedTokens[protectedTokensIndex] = protectedTokenDetails
+    return newProtectedTokens
+  }
+}
+
+/***********************
+ *                     *
+ * Collectible Helpers *
+ *                     *
+ ***********************/
+
+async function updateCollectibles(
+  { collectibles, sentCollectibles },
+  collectibleTransfer,
+  event
+) {
+  const newCollectibles = Array.from(collectibles || [])
+  const collectiblesIndex = newCollectibles.findIndex(collectible =>
+    isSameCollectible(collectible, collectibleTransfer)
+  )
+
+  // Sent by the agent app
+  if (collectibleTransfer.from === null && collectibleTransfer.to !== null) {
+    if (collectiblesIndex === -1) {
+      return { collectibles: newCollectibles, sentCollectibles }
+    }
+    const [sentCollectible] = newCollectibles.splice(collectiblesIndex, 1)
+    return {
+      collectibles: newCollectibles,
+      // Kept to be restored if the transfer gets re-orged
+      sentCollectibles: (sentCollectibles || []).concat({
+        ...sentCollectible,
+        sentBlockNumber: event.blockNumber,
+      }),
+    }
+  }
+
+  // Received by the agent app
+  if (collectiblesIndex !== -1) {
+    return { collectibles: newCollectibles, sentCollectibles }
+  }
+  return {
+    collectibles: newCollectibles.concat(
+      await newCollectibleEntry(collectibleTransfer, event)
+    ),
+    sentCollectibles,
+  }
+}
+
+async function newCollectibleEntry({ from, token, tokenId }, event) {
+  const collectibleContract = getCollectibleContract(token)
+  const [name, symbol, tokenURI, receivedAt] = await Promise.all([
+    loadCollectibleName(collectibleContract),
+    loadCollectibleSymbol(collectibleContract),
+    loadCollectibleTokenUri(collectibleContract, tokenId),
+    loadBlockTime(event.blockNumber),
+  ])
+
+  return {
+    from,
+    name,
+    receivedAt,
+    blockNumber: event.blockNumber,
+    symbol,
+    token,
+    tokenId,
+    tokenURI,
+    transactionHash: event.transactionHash,
+  }
+}
+
+async function withCollectibleSymbol(collectibleTransfer) {
+  return {
+    ...collectibleTransfer,
+    symbol: await loadCollectibleSymbol(
+      getCollectibleContract(collectibleTransfer.token)
+    ),
+  }
+}
+
+function isSameCollectible(first, second) {
+  return (
+    addressesEqual(first.token, second.token) &&
+    String(first.tokenId) === String(second.tokenId)
+  )
+}
+
+function getCollectibleContract(address) {
+  const collectibleContract = collectibleContracts.has(address)
+    ? collectibleContracts.get(address)
+    : app.external(address, collectibleAbi)
+  collectibleContracts.set(address, collectibleContract)
+  return collectibleContract
+}
+
+async function loadCollectibleName(collectibleContract) {
+  if (tokenNames.has(collectibleContract)) {
+    return tokenNames.get(collectibleContract)
+  }
+  let name
+  try {
+    name = (await collectibleContract.name().toPromise()) || ''
+    tokenNames.set(collectibleContract, name)
+  } catch (err) {
+    // name is optional in ERC-721
+    name = ''
+  }
+  return name
+}
+
+async function loadCollectibleSymbol(collectibleContract) {
+  if (tokenSymbols.has(collectibleContract)) {
+    return tokenSymbols.get(collectibleContract)
+  }
+  let symbol
+  try {
+    symbol = (await collectibleContract.symbol().toPromise()) || ''
+    tokenSymbols.set(collectibleContract, symbol)
+  } catch (err) {
+    // symbol is optional in ERC-721
+    symbol = ''
+  }
+  return symbol
+}
+
+async function loadCollectibleTokenUri(collectibleContract, tokenId) {
+  try {
+    return (await collectibleContract.tokenURI(tokenId).toPromise()) || null
+  } catch (err) {
+    // tokenURI is optional in ERC-721
+    return null
+  }
+}
+
 /***********************
  *                     *
  * Transaction Helpers *
@@ -471,7 +854,13 @@ async function updateTransactions(transactions, event, detailOptions) {
 
 async function marshallTransactionDetails(
   event,
-  { tokenTransfers = [], description = '', targetContract = null } = {}
+  {
+    collectibleTransfers = [],
+    decodedCall = null,
+    tokenTransfers = [],
+    description = '',
+    targetContract = null,
+  } = {}
 ) {
   const {
     blockNumber,
@@ -483,8 +872,8 @@ async function marshallTransactionDetails(
 
   // There's no unique identifier for Vault / Agent events, so we use the event's
   // unique location in a transaction hash
-  // There's a possibility that this could change in the case of a chain re-org,
-  // but this is more theoretical than real
+  // If a re-org moves the transaction to another block, its previous entry is
+  // rolled back with the block (see rollbackReorgedBlocks())
   const transactionId = `${transactionHash}.${transactionIndex}.${logIndex}`
   const date = await loadBlockTime(blockNumber)
   const type =
@@ -492,13 +881,19 @@ async function marshallTransactionDetails(
       ? transactionTypes.Deposit
       : eventName === 'VaultTransfer'
       ? transactionTypes.Transfer
+      : eventName === 'ReceiveERC721' ||
+        (collectibleTransfers.length > 0 && tokenTransfers.length === 0)
+      ? transactionTypes.Collectible
       : eventName === 'Execute' || eventName === 'SafeExecute'
       ? transactionTypes.Execution
       : transactionTypes.Unknown
   const safe = eventName === 'SafeExecute'
 
   return {
+    blockNumber,
+    collectibleTransfers,
     date,
+    decodedCall,
     description,
     safe,
     targetContract,
@@ -509,12 +904,72 @@ async function marshallTransactionDetails(
   }
 }
 
+async function loadTransactionSender(transactionHash) {
+  // The events don't include who triggered them, so we use the account that
+  // sent the transaction (e.g. the account that executed a vote)
+  const { from } = await app
+    .web3Eth('getTransaction', transactionHash)
+    .toPromise()
+  return from
+}
+
 async function loadBlockTime(blockNumber) {
   const { timestamp } = await app.web3Eth('getBlock', blockNumber).toPromise()
   // Adjust for solidity time (s => ms)
   return timestamp * 1000
 }
 
+/***********************
+ *                     *
+ *    Reorg Helpers    *
+ *                     *
+ ***********************/
+
+// Roll the state back to the last block it has in common with the chain of a
+// new event
+async function rollbackReorgedBlocks(state, event, settings) {
+  if (!needsReorgCheck(state, event)) {
+    return state
+  }
+  const firstReorgedBlock = await findFirstReorgedBlock(
+    state.recordedBlocks,
+    event,
+    loadBlockHash
+  )
+  return firstReorgedBlock === null
+    ? state
+    : rollbackFromBlock(state, firstReorgedBlock, settings)
+}
+
+// A log dropped from the chain means its block, and every following one,
+// were re-orged
+async function rollbackRemovedLog(state, event, settings) {
+  return isRecordedBlock(state.recordedBlocks, event)
+    ? rollbackFromBlock(state, event.blockNumber, settings)
+    : state
+}
+
+async function rollbackFromBlock(state, firstBlockNumber, settings) {
+  let newBalances = state.balances
+  for (const tokenAddress of getRolledBackTokens(
+    state.transactions,
+    firstBlockNumber
+  )) {
+    newBalances = await updateBalances(newBalances, tokenAddress, settings)
+  }
+
+  return {
+    ...rollbackBlocks(state, firstBlockNumber),
+    balances: newBalances,
+  }
+}
+
+async function loadBlockHash(blockNumber) {
+  const block = await app.web3Eth('getBlock', blockNumber).toPromise()
+  // The chain may now be shorter than the recorded block
+  return block ? block.hash : null
+}
+
 /**********************
  *                    *
  * RINKEBY TEST STATE *
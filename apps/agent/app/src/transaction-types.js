@@ -4,6 +4,7 @@ export const All = 'ALL_TRANSACTION'
 export const Transfer = 'TRANSFER_TRANSACTION'
 export const Deposit = 'DEPOSIT_TRANSACTION'
 export const Execution = 'EXECUTION_TRANSACTION'
+export const Collectible = 'COLLECTIBLE_TRANSACTION'
 export const Unknown = 'UNKNOWN_TRANSACTION'
 
 export const TRANSACTION_TYPES_LABELS = {
@@ -11,6 +12,7 @@ export const TRANSACTION_TYPES_LABELS = {
   [Transfer]: 'Transfer',
   [Deposit]: 'Deposit',
   [Execution]: 'Execution',
+  [Collectible]: 'Collectible',
   [Unknown]: 'Unknown',
 }
 
@@ -2,30 +2,64 @@ import React from 'react'
 import PropTypes from 'prop-types'
 import {
   Button,
+  GU,
   Header,
   IconPlus,
   Main,
   SidePanel,
   SyncIndicator,
+  Tabs,
 } from '@aragon/ui'
 import { useAragonApi } from '@aragon/api-react'
+import forwarderForwardAbi from './abi/forwarder-forward.json'
+import tokenApproveAbi from './abi/token-approve.json'
 import { ETHER_TOKEN_FAKE_ADDRESS } from './lib/token-utils'
 import { IdentityProvider } from './components/IdentityManager/IdentityManager'
+import { PriceFeedProvider } from './components/PriceFeed/PriceFeedManager'
+import Analytics from './components/Analytics/Analytics'
 import Balances from './components/Balances'
+import Budgets from './components/Budgets/Budgets'
+import BudgetsPanel from './components/Budgets/BudgetsPanel'
 import NewTransferPanelContent from './components/NewTransfer/PanelContent'
+import Periods from './components/Periods/Periods'
+import PriceFeedPanel from './components/PriceFeed/PriceFeedPanel'
+import RecoverableFunds from './components/RecoverableFunds'
+import PeriodTransitionsInfo from './components/Periods/PeriodTransitionsInfo'
+import NewScheduledPayment from './components/ScheduledPayments/NewScheduledPayment'
+import ScheduledPayments from './components/ScheduledPayments/ScheduledPayments'
 import Transfers from './components/Transfers'
+import { getBudgetStatuses } from './lib/budget-utils'
+import {
+  MAX_PERIOD_TRANSITIONS_PER_TX,
+  getAccountingTransactionGas,
+  getPendingPeriodTransitions,
+} from './lib/period-utils'
+import { addressesEqual } from './lib/web3-utils'
+
+const TABS = ['Transfers', 'Scheduled payments', 'Periods', 'Analytics']
+const SCHEDULED_PAYMENTS_TAB = 1
+const PERIODS_TAB = 2
+const ANALYTICS_TAB = 3
 
 class App extends React.Component {
   static propTypes = {
     api: PropTypes.object,
     appState: PropTypes.object,
+    connectedAccount: PropTypes.string,
     isSyncing: PropTypes.bool,
   }
   static defaultProps = {
     isSyncing: true,
   }
   state = {
+    budgetsOpened: false,
+    newPaymentOpened: false,
     newTransferOpened: false,
+    priceFeedOpened: false,
+    selectedTab: 0,
+  }
+  handleTabChange = selectedTab => {
+    this.setState({ selectedTab })
   }
   handleNewTransferOpen = () => {
     this.setState({ newTransferOpened: true })
@@ -33,41 +67,113 @@ class App extends React.Component {
   handleNewTransferClose = () => {
     this.setState({ newTransferOpened: false })
   }
+  handleBudgetsOpen = () => {
+    this.setState({ budgetsOpened: true })
+  }
+  handleBudgetsClose = () => {
+    this.setState({ budgetsOpened: false })
+  }
+  handlePriceFeedOpen = () => {
+    this.setState({ priceFeedOpened: true })
+  }
+  handlePriceFeedClose = () => {
+    this.setState({ priceFeedOpened: false })
+  }
+  handleSetBudget = (tokenAddress, amount) => {
+    // Don't care about response
+    this.props.api.setBudget(tokenAddress, amount).toPromise()
+    this.handleBudgetsClose()
+  }
+  handleRemoveBudget = tokenAddress => {
+    // Don't care about response
+    this.props.api.removeBudget(tokenAddress).toPromise()
+    this.handleBudgetsClose()
+  }
+  handleNewPaymentOpen = () => {
+    this.setState({ newPaymentOpened: true })
+  }
+  handleNewPaymentClose = () => {
+    this.setState({ newPaymentOpened: false })
+  }
+  getPendingTransitions = () => {
+    const { periodDuration, periods } = this.props.appState
+    return getPendingPeriodTransitions(periods, periodDuration, Date.now())
+  }
   handleWithdraw = (tokenAddress, recipient, amount, reference) => {
-    // Immediate, one-time payment
+    // Immediate, one-time payment, paying for the pending period transitions
+    const intentParams = {
+      gas: getAccountingTransactionGas(reference, this.getPendingTransitions()),
+    }
     this.props.api
-      .newImmediatePayment(tokenAddress, recipient, amount, reference)
+      .newImmediatePayment(
+        tokenAddress,
+        recipient,
+        amount,
+        reference,
+        intentParams
+      )
       .toPromise() // Don't care about response
     this.handleNewTransferClose()
   }
-  handleDeposit = (tokenAddress, amount, reference) => {
-    const { api, appState } = this.props
-    const { periodDuration, periods } = appState
-
-    let intentParams
-    if (tokenAddress === ETHER_TOKEN_FAKE_ADDRESS) {
-      intentParams = { value: amount }
-    } else {
-      // Get the number of period transitions necessary; we floor because we don't need to
-      // transition the current period
-      const lastPeriodStart = periods[periods.length - 1].startTime
-      const periodTransitions = Math.floor(
-        Math.max(Date.now() - lastPeriodStart, 0) / periodDuration
+  handleBulkTransfer = (forwarderAddress, script) => {
+    // All the payments are executed at once by the forwarder (e.g. in a vote)
+    this.props.api
+      .external(forwarderAddress, forwarderForwardAbi)
+      .forward(script)
+      .toPromise() // Don't care about response
+    this.handleNewTransferClose()
+  }
+  handleSchedulePayment = ({
+    amount,
+    initialPaymentTime,
+    interval,
+    maxExecutions,
+    receiver,
+    reference,
+    tokenAddress,
+  }) => {
+    // Recurring payment, executed right away if it's already due
+    this.props.api
+      .newScheduledPayment(
+        tokenAddress,
+        receiver,
+        amount,
+        initialPaymentTime,
+        interval,
+        maxExecutions,
+        reference
       )
+      .toPromise() // Don't care about response
+    this.handleNewPaymentClose()
+  }
+  handleExecutePayment = ({ id, receiver }) => {
+    const { api, connectedAccount } = this.props
+    // Receivers can always execute their own payments
+    const execution = addressesEqual(receiver, connectedAccount)
+      ? api.receiverExecutePayment(id)
+      : api.executePayment(id)
+    execution.toPromise() // Don't care about response
+  }
+  handleSetPaymentStatus = ({ id }, active) => {
+    // Don't care about response
+    this.props.api.setPaymentStatus(id, active).toPromise()
+  }
+  handleApprove = (tokenAddress, spender, value) => {
+    // Resolves once the approval is sent, the deposit panel waits for it to
+    // be mined
+    return this.props.api
+      .external(tokenAddress, tokenApproveAbi)
+      .approve(spender, value)
+      .toPromise()
+  }
+  handleDeposit = (tokenAddress, amount, reference) => {
+    const { api } = this.props
 
-      intentParams = {
-        token: { address: tokenAddress, value: amount },
-        // While it's generally a bad idea to hardcode gas in intents, in the case of token deposits
-        // it prevents metamask from doing the gas estimation and telling the user that their
-        // transaction will fail (before the approve is mined).
-        // The actual gas cost is around ~180k + 20k per 32 chars of text + 80k per period
-        // transition but we do the estimation with some breathing room in case it is being
-        // forwarded (unlikely in deposit).
-        gas:
-          450000 +
-          20000 * Math.ceil(reference.length / 32) +
-          80000 * periodTransitions,
-      }
+    // Tokens get approved beforehand from the deposit panel, but the gas
+    // estimation still fails when many periods need to be transitioned
+    const intentParams = {
+      gas: getAccountingTransactionGas(reference, this.getPendingTransitions()),
+      ...(tokenAddress === ETHER_TOKEN_FAKE_ADDRESS ? { value: amount } : {}),
     }
 
     // Don't care about response
@@ -75,6 +181,22 @@ class App extends React.Component {
     this.handleNewTransferClose()
   }
 
+  handleRecoverToVault = tokenAddress => {
+    // Don't care about response
+    this.props.api.recoverToVault(tokenAddress).toPromise()
+  }
+  handleTransitionPeriods = () => {
+    const { api } = this.props
+    const pendingTransitions = this.getPendingTransitions()
+    // Transition in batches, to not run out of gas when many periods lapsed
+    api
+      .tryTransitionAccountingPeriod(
+        Math.min(pendingTransitions, MAX_PERIOD_TRANSITIONS_PER_TX)
+      )
+      .toPromise() // Don't care about response
+    this.handleNewTransferClose()
+  }
+
   handleResolveLocalIdentity = address => {
     return this.props.api.resolveAddressIdentity(address).toPromise()
   }
@@ -86,8 +208,30 @@ class App extends React.Component {
 
   render() {
     const { appState, isSyncing } = this.props
-    const { newTransferOpened } = this.state
-    const { balances, transactions, tokens } = appState
+    const {
+      budgetsOpened,
+      newPaymentOpened,
+      newTransferOpened,
+      priceFeedOpened,
+      selectedTab,
+    } = this.state
+    const {
+      balances,
+      budgets,
+      payments,
+      periodDuration,
+      periods,
+      recoverableBalances,
+      transactions,
+      tokens,
+    } = appState
+    const currentPeriod = periods && periods[periods.length - 1]
+    const budgetStatuses = getBudgetStatuses(budgets, currentPeriod, Date.now())
+    const pendingTransitions = getPendingPeriodTransitions(
+      periods,
+      periodDuration,
+      Date.now()
+    )
 
     return (
       <IdentityProvider
@@ -98,39 +242,154 @@ class App extends React.Component {
         <Header
           primary="Finance"
           secondary={
-            <Button
-              mode="strong"
-              onClick={this.handleNewTransferOpen}
-              label="New transfer"
-              icon={<IconPlus />}
-            />
+            <React.Fragment>
+              <Button
+                onClick={this.handlePriceFeedOpen}
+                label="Price feed"
+                css={`
+                  margin-right: ${1 * GU}px;
+                `}
+              />
+              <Button
+                onClick={this.handleBudgetsOpen}
+                label="Budgets"
+                css={`
+                  margin-right: ${1 * GU}px;
+                `}
+              />
+              {selectedTab === SCHEDULED_PAYMENTS_TAB ? (
+                <Button
+                  mode="strong"
+                  onClick={this.handleNewPaymentOpen}
+                  label="New payment"
+                  icon={<IconPlus />}
+                />
+              ) : (
+                <Button
+                  mode="strong"
+                  onClick={this.handleNewTransferOpen}
+                  label="New transfer"
+                  icon={<IconPlus />}
+                />
+              )}
+            </React.Fragment>
           }
         />
+        <Tabs
+          items={TABS}
+          selected={selectedTab}
+          onChange={this.handleTabChange}
+        />
+        <PeriodTransitionsInfo
+          onTransition={this.handleTransitionPeriods}
+          pendingTransitions={pendingTransitions}
+        />
+        <RecoverableFunds
+          onRecover={this.handleRecoverToVault}
+          recoverableBalances={recoverableBalances}
+          tokens={tokens}
+        />
         <Balances balances={balances} />
-        <Transfers transactions={transactions} tokens={tokens} />
+        <Budgets
+          budgetStatuses={budgetStatuses}
+          currentPeriod={currentPeriod}
+          tokens={tokens}
+        />
+        {selectedTab === SCHEDULED_PAYMENTS_TAB ? (
+          <ScheduledPayments
+            isSyncing={isSyncing}
+            onExecute={this.handleExecutePayment}
+            onSetStatus={this.handleSetPaymentStatus}
+            payments={payments}
+            tokens={tokens}
+          />
+        ) : selectedTab === PERIODS_TAB ? (
+          <Periods
+            isSyncing={isSyncing}
+            periods={periods}
+            tokens={tokens}
+            transactions={transactions}
+          />
+        ) : selectedTab === ANALYTICS_TAB ? (
+          <Analytics
+            periods={periods}
+            tokens={tokens}
+            transactions={transactions}
+          />
+        ) : (
+          <Transfers
+            filtersInPath
+            transactions={transactions}
+            tokens={tokens}
+          />
+        )}
         <SidePanel
           opened={newTransferOpened}
           onClose={this.handleNewTransferClose}
           title="New transfer"
         >
           <NewTransferPanelContent
+            budgetStatuses={budgetStatuses}
             opened={newTransferOpened}
+            pendingTransitions={pendingTransitions}
             tokens={tokens}
+            onTransitionPeriods={this.handleTransitionPeriods}
             onWithdraw={this.handleWithdraw}
+            onApprove={this.handleApprove}
             onDeposit={this.handleDeposit}
+            onBulkTransfer={this.handleBulkTransfer}
+          />
+        </SidePanel>
+        <SidePanel
+          opened={newPaymentOpened}
+          onClose={this.handleNewPaymentClose}
+          title="New scheduled payment"
+        >
+          <NewScheduledPayment
+            opened={newPaymentOpened}
+            tokens={tokens}
+            onSchedulePayment={this.handleSchedulePayment}
+          />
+        </SidePanel>
+        <SidePanel
+          opened={budgetsOpened}
+          onClose={this.handleBudgetsClose}
+          title="Budgets"
+        >
+          <BudgetsPanel
+            budgetStatuses={budgetStatuses}
+            onRemoveBudget={this.handleRemoveBudget}
+            onSetBudget={this.handleSetBudget}
+            opened={budgetsOpened}
+            periodDuration={periodDuration}
+            tokens={tokens}
           />
         </SidePanel>
+        <SidePanel
+          opened={priceFeedOpened}
+          onClose={this.handlePriceFeedClose}
+          title="Price feed"
+        >
+          <PriceFeedPanel />
+        </SidePanel>
       </IdentityProvider>
     )
   }
 }
 
 export default () => {
-  const { api, appState, guiStyle } = useAragonApi()
+  const { api, appState, connectedAccount, guiStyle } = useAragonApi()
   const { appearance } = guiStyle
   return (
     <Main theme={appearance} assetsUrl="./aragon-ui">
-      <App api={api} appState={appState} isSyncing={appState.isSyncing} />
+      <PriceFeedProvider>
+        <App
+          api={api}
+          appState={appState}
+          connectedAccount={connectedAccount}
+          isSyncing={appState.isSyncing}
+        />
+      </PriceFeedProvider>
     </Main>
   )
 }
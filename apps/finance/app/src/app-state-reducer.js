@@ -13,7 +13,14 @@ const compareBalancesByEthAndSymbol = (tokenA, tokenB) => {
 }
 
 function appStateReducer(state) {
-  const { balances, transactions } = state || {}
+  const {
+    balances,
+    budgets,
+    payments,
+    periods,
+    recoverableBalances,
+    transactions,
+  } = state || {}
 
   const balancesBn = balances
     ? balances
@@ -25,6 +32,24 @@ function appStateReducer(state) {
         .sort(compareBalancesByEthAndSymbol)
     : []
 
+  const periodsBn = periods
+    ? periods.map(period => ({
+        ...period,
+        statements: (period.statements || []).map(statement => ({
+          ...statement,
+          expenses: new BN(statement.expenses),
+          income: new BN(statement.income),
+        })),
+      }))
+    : []
+
+  const recoverableBalancesBn = recoverableBalances
+    ? recoverableBalances.map(balance => ({
+        ...balance,
+        amount: new BN(balance.amount),
+      }))
+    : []
+
   const transactionsBn = transactions
     ? transactions.map(transaction => ({
         ...transaction,
@@ -32,6 +57,21 @@ function appStateReducer(state) {
       }))
     : []
 
+  const budgetsBn = budgets
+    ? budgets.map(budget => ({
+        ...budget,
+        amount: new BN(budget.amount),
+        remaining: new BN(budget.remaining),
+      }))
+    : []
+
+  const paymentsBn = payments
+    ? payments.map(payment => ({
+        ...payment,
+        amount: new BN(payment.amount),
+      }))
+    : []
+
   return {
     ...state,
 
@@ -51,6 +91,14 @@ function appStateReducer(state) {
     // Filter out empty balances
     balances: balancesBn.filter(balance => !balance.amount.isZero()),
 
+    budgets: budgetsBn,
+
+    payments: paymentsBn,
+
+    periods: periodsBn,
+
+    recoverableBalances: recoverableBalancesBn,
+
     transactions: transactionsBn,
   }
 }
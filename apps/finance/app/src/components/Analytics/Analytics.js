@@ -0,0 +1,319 @@
+import React, { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Box,
+  GU,
+  formatTokenAmount,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import { useConvertRates } from '../useConvertRates'
+import {
+  BURN_RATE_WINDOW,
+  MONTH_DURATION,
+  getBurnRate,
+  getFiatBalance,
+  getPeriodCashflows,
+  getRunway,
+  getTopEntities,
+} from '../../lib/cashflow-utils'
+import { formatDate } from '../../lib/download-utils'
+import { getActiveStatements } from '../../lib/period-utils'
+import { formatFiatValue } from '../../lib/price-feed-utils'
+
+// Number of periods displayed in the cashflow table
+const CASHFLOW_PERIODS = 6
+
+const BURN_RATE_MONTHS = BURN_RATE_WINDOW / MONTH_DURATION
+
+function Analytics({ periods, tokens, transactions }) {
+  const theme = useTheme()
+  const { layoutName } = useLayout()
+
+  // Like the balances, only convert the verified tokens
+  const verifiedSymbols = tokens
+    .filter(({ verified }) => verified)
+    .map(({ symbol }) => symbol)
+  const { currency, rates: convertRates } = useConvertRates(verifiedSymbols)
+  const formatFiat = value => formatFiatValue(value, currency)
+
+  const cashflows = useMemo(
+    () =>
+      getPeriodCashflows(
+        periods.map(period => ({
+          ...period,
+          statements: getActiveStatements(period, tokens),
+        })),
+        convertRates
+      ).slice(0, CASHFLOW_PERIODS),
+    [convertRates, periods, tokens]
+  )
+  const topRecipients = useMemo(
+    () =>
+      getTopEntities(transactions, tokens, convertRates, { incoming: false }),
+    [convertRates, tokens, transactions]
+  )
+  const topDepositors = useMemo(
+    () =>
+      getTopEntities(transactions, tokens, convertRates, { incoming: true }),
+    [convertRates, tokens, transactions]
+  )
+  const fiatBalance = getFiatBalance(tokens, convertRates)
+  const burnRate = getBurnRate(transactions, tokens, convertRates, Date.now())
+  const runway = getRunway(fiatBalance, burnRate)
+
+  return (
+    <React.Fragment>
+      <Box heading="Runway">
+        <div
+          css={`
+            display: grid;
+            grid-template-columns: repeat(
+              ${layoutName === 'small' ? 1 : 3},
+              minmax(0, 1fr)
+            );
+            grid-gap: ${3 * GU}px;
+          `}
+        >
+          <Stat label="Balance" value={formatFiat(fiatBalance)} />
+          <Stat
+            label={`Burn rate (${BURN_RATE_MONTHS} months average)`}
+            value={`${formatFiat(burnRate)} / month`}
+          />
+          <Stat
+            label="Runway"
+            value={
+              runway === null
+                ? 'No recent payments'
+                : `${runway.toFixed(1)} months`
+            }
+          />
+        </div>
+        <p
+          css={`
+            margin-top: ${3 * GU}px;
+            ${textStyle('body3')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          Estimated in {currency} from the current balances and the payments of
+          the last {BURN_RATE_MONTHS} months. Tokens without a known price are
+          not included.
+        </p>
+      </Box>
+      <Box heading="Net cashflow per period">
+        {cashflows.length === 0 ? (
+          <Empty>No periods yet.</Empty>
+        ) : (
+          <table
+            css={`
+              width: 100%;
+              border-collapse: collapse;
+              th,
+              td {
+                padding: ${1 * GU}px 0;
+                text-align: right;
+                vertical-align: top;
+                border-bottom: 1px solid ${theme.border};
+              }
+              th:first-child,
+              td:first-child {
+                text-align: left;
+              }
+              th {
+                ${textStyle('label2')};
+                color: ${theme.surfaceContentSecondary};
+              }
+            `}
+          >
+            <thead>
+              <tr>
+                <th>Period</th>
+                <th>Net per token</th>
+                <th>Net ({currency})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cashflows.map(({ endTime, id, nets, startTime, fiatNet }) => (
+                <tr key={id}>
+                  <td>
+                    #{id}{' '}
+                    <span
+                      css={`
+                        ${textStyle('body3')};
+                        color: ${theme.surfaceContentSecondary};
+                      `}
+                    >
+                      {formatDate(startTime)} to {formatDate(endTime)}
+                    </span>
+                  </td>
+                  <td>
+                    {nets.length === 0
+                      ? '—'
+                      : nets.map(({ amount, token }) => (
+                          <div
+                            key={token.address}
+                            css={`
+                              color: ${amount.isNeg()
+                                ? theme.negative
+                                : theme.positive};
+                            `}
+                          >
+                            {formatTokenAmount(amount, token.decimals, {
+                              digits: 5,
+                              displaySign: !amount.isZero(),
+                              symbol: token.symbol,
+                            })}
+                          </div>
+                        ))}
+                  </td>
+                  <td
+                    css={`
+                      font-weight: 600;
+                    `}
+                  >
+                    {formatFiat(fiatNet)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Box>
+      <div
+        css={`
+          display: grid;
+          grid-template-columns: repeat(
+            ${layoutName === 'large' ? 2 : 1},
+            minmax(0, 1fr)
+          );
+          grid-gap: ${2 * GU}px;
+        `}
+      >
+        <Box heading="Top recipients">
+          <TopEntities entities={topRecipients} formatFiat={formatFiat} />
+        </Box>
+        <Box heading="Top depositors">
+          <TopEntities entities={topDepositors} formatFiat={formatFiat} />
+        </Box>
+      </div>
+    </React.Fragment>
+  )
+}
+
+Analytics.propTypes = {
+  periods: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+  transactions: PropTypes.array.isRequired,
+}
+
+const Stat = ({ label, value }) => {
+  const theme = useTheme()
+  return (
+    <div>
+      <div
+        css={`
+          ${textStyle('label2')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        {label}
+      </div>
+      <div
+        css={`
+          margin-top: ${1 * GU}px;
+          ${textStyle('title3')};
+        `}
+      >
+        {value}
+      </div>
+    </div>
+  )
+}
+
+const TopEntities = ({ entities, formatFiat }) => {
+  const theme = useTheme()
+
+  if (entities.length === 0) {
+    return <Empty>No transfers yet.</Empty>
+  }
+
+  return (
+    <ul
+      css={`
+        list-style: none;
+      `}
+    >
+      {entities.map(({ amounts, count, entity, fiatValue }) => (
+        <li
+          key={entity}
+          css={`
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-start;
+            padding: ${1 * GU}px 0;
+            border-bottom: 1px solid ${theme.border};
+          `}
+        >
+          <div>
+            <LocalIdentityBadge entity={entity} />
+            <div
+              css={`
+                margin-top: ${0.5 * GU}px;
+                ${textStyle('body3')};
+                color: ${theme.surfaceContentSecondary};
+              `}
+            >
+              {count} {count === 1 ? 'transfer' : 'transfers'}
+            </div>
+          </div>
+          <div
+            css={`
+              text-align: right;
+            `}
+          >
+            <div
+              css={`
+                font-weight: 600;
+              `}
+            >
+              {formatFiat(fiatValue)}
+            </div>
+            {amounts.map(({ amount, token }) => (
+              <div
+                key={token.address}
+                css={`
+                  ${textStyle('body3')};
+                  color: ${theme.surfaceContentSecondary};
+                `}
+              >
+                {formatTokenAmount(amount, token.decimals, {
+                  digits: 5,
+                  symbol: token.symbol,
+                })}
+              </div>
+            ))}
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+const Empty = ({ children }) => {
+  const theme = useTheme()
+  return (
+    <p
+      css={`
+        ${textStyle('body2')};
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      {children}
+    </p>
+  )
+}
+
+export default Analytics
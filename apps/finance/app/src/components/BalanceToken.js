@@ -4,13 +4,17 @@ import BN from 'bn.js'
 import { GU, Help, formatTokenAmount, textStyle, useTheme } from '@aragon/ui'
 import { useNetwork } from '@aragon/api-react'
 import { tokenIconUrl } from '../lib/icon-utils'
+import { formatDay, formatFiatValue } from '../lib/price-feed-utils'
 
 function BalanceToken({
   address,
   amount,
   compact,
   convertedAmount,
+  currency,
   decimals,
+  ratesStale,
+  ratesUpdatedAt,
   symbol,
   verified,
 }) {
@@ -78,13 +82,33 @@ function BalanceToken({
         </div>
         <div
           css={`
-            color: ${theme.surfaceContentSecondary};
+            display: flex;
+            align-items: center;
+            color: ${ratesStale && !convertedAmount.isNeg()
+              ? theme.warningSurfaceContent
+              : theme.surfaceContentSecondary};
             ${textStyle('body2')}
           `}
         >
           {convertedAmount.isNeg()
             ? '−'
-            : `$${formatTokenAmount(convertedAmount, decimals)}`}
+            : formatFiatValue(
+                formatTokenAmount(convertedAmount, decimals),
+                currency
+              )}
+          {ratesStale && !convertedAmount.isNeg() && (
+            <div
+              css={`
+                display: flex;
+                margin-left: ${1 * GU}px;
+              `}
+            >
+              <Help hint="The exchange rate may be outdated">
+                This value uses the exchange rate of {formatDay(ratesUpdatedAt)}
+                , as no recent rate is available.
+              </Help>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -93,6 +117,9 @@ function BalanceToken({
 
 BalanceToken.defaultProps = {
   convertedAmount: new BN(-1),
+  currency: 'USD',
+  ratesStale: false,
+  ratesUpdatedAt: null,
 }
 
 BalanceToken.propTypes = {
@@ -100,7 +127,10 @@ BalanceToken.propTypes = {
   amount: PropTypes.instanceOf(BN).isRequired,
   compact: PropTypes.bool.isRequired,
   convertedAmount: PropTypes.instanceOf(BN),
+  currency: PropTypes.string,
   decimals: PropTypes.instanceOf(BN).isRequired,
+  ratesStale: PropTypes.bool,
+  ratesUpdatedAt: PropTypes.number,
   symbol: PropTypes.string.isRequired,
   verified: PropTypes.bool.isRequired,
 }
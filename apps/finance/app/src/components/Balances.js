@@ -11,7 +11,9 @@ function useBalanceItems(balances) {
     .filter(({ verified }) => verified)
     .map(({ symbol }) => symbol)
 
-  const convertRates = useConvertRates(verifiedSymbols)
+  const { currency, rates: convertRates, stale, updatedAt } = useConvertRates(
+    verifiedSymbols
+  )
 
   const balanceItems = useMemo(() => {
     return balances.map(
@@ -30,13 +32,23 @@ function useBalanceItems(balances) {
       [balances, convertRates]
     )
   })
-  return balanceItems
+  return {
+    balanceItems,
+    currency,
+    ratesStale: stale,
+    ratesUpdatedAt: updatedAt,
+  }
 }
 
 function Balances({ balances }) {
   const theme = useTheme()
   const { layoutName } = useLayout()
-  const balanceItems = useBalanceItems(balances)
+  const {
+    balanceItems,
+    currency,
+    ratesStale,
+    ratesUpdatedAt,
+  } = useBalanceItems(balances)
 
   const compact = layoutName === 'small'
 
@@ -109,7 +121,10 @@ function Balances({ balances }) {
                       amount={amount}
                       compact={compact}
                       convertedAmount={convertedAmount}
+                      currency={currency}
                       decimals={decimals}
+                      ratesStale={ratesStale}
+                      ratesUpdatedAt={ratesUpdatedAt}
                       symbol={symbol}
                       verified={verified}
                     />
@@ -0,0 +1,134 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { format } from 'date-fns'
+import {
+  Box,
+  GU,
+  ProgressBar,
+  formatTokenAmount,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+import { addressesEqual } from '../../lib/web3-utils'
+
+// Ratio of a budget that has been spent, between 0 and 1
+function getSpentRatio({ amount, spent }) {
+  if (amount.isZero()) {
+    return 1
+  }
+  return Math.min(
+    spent
+      .muln(1000)
+      .div(amount)
+      .toNumber() / 1000,
+    1
+  )
+}
+
+function Budgets({ budgetStatuses, currentPeriod, tokens }) {
+  const theme = useTheme()
+  const { layoutName } = useLayout()
+
+  if (budgetStatuses.length === 0) {
+    return null
+  }
+
+  const periodEnded =
+    Boolean(currentPeriod) && currentPeriod.endTime < Date.now()
+
+  return (
+    <Box heading="Budgets for this period">
+      <ul
+        css={`
+          list-style: none;
+          display: grid;
+          grid-template-columns: repeat(
+            ${layoutName === 'small' ? 1 : 2},
+            minmax(0, 1fr)
+          );
+          grid-gap: ${3 * GU}px;
+        `}
+      >
+        {budgetStatuses.map(budget => {
+          const token = tokens.find(({ address }) =>
+            addressesEqual(address, budget.token)
+          )
+          if (!token) {
+            return null
+          }
+          const { decimals, symbol } = token
+          const spentRatio = getSpentRatio(budget)
+
+          return (
+            <li key={budget.token}>
+              <div
+                css={`
+                  display: flex;
+                  justify-content: space-between;
+                  margin-bottom: ${1 * GU}px;
+                  ${textStyle('body2')};
+                `}
+              >
+                <span>{symbol}</span>
+                <span
+                  css={`
+                    color: ${theme.surfaceContentSecondary};
+                  `}
+                >
+                  {formatTokenAmount(budget.spent, decimals, { digits: 3 })} of{' '}
+                  {formatTokenAmount(budget.amount, decimals, {
+                    digits: 3,
+                    symbol,
+                  })}{' '}
+                  spent
+                </span>
+              </div>
+              <ProgressBar
+                value={spentRatio}
+                color={String(spentRatio === 1 ? theme.negative : theme.accent)}
+              />
+              <div
+                css={`
+                  margin-top: ${1 * GU}px;
+                  ${textStyle('body3')};
+                  color: ${theme.surfaceContentSecondary};
+                `}
+              >
+                {formatTokenAmount(budget.remaining, decimals, {
+                  digits: 3,
+                  symbol,
+                })}{' '}
+                remaining
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+      {currentPeriod && (
+        <p
+          css={`
+            margin-top: ${3 * GU}px;
+            ${textStyle('body3')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          {periodEnded
+            ? 'The budgets are reset, as the current accounting period ended.'
+            : `The budgets are reset when the current accounting period ends, on ${format(
+                currentPeriod.endTime,
+                'yyyy-MM-dd'
+              )}.`}
+        </p>
+      )}
+    </Box>
+  )
+}
+
+Budgets.propTypes = {
+  budgetStatuses: PropTypes.array.isRequired,
+  currentPeriod: PropTypes.shape({ endTime: PropTypes.number }),
+  tokens: PropTypes.array.isRequired,
+}
+
+export default Budgets
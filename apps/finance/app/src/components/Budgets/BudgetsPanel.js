@@ -0,0 +1,214 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  DropDown,
+  Field,
+  GU,
+  IconTrash,
+  Info,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import AmountInput from '../AmountInput'
+import { findBudget } from '../../lib/budget-utils'
+import { fromDecimals, toDecimals } from '../../lib/math-utils'
+import { addressesEqual } from '../../lib/web3-utils'
+
+const NO_ERROR = Symbol('NO_ERROR')
+const DECIMALS_TOO_MANY_ERROR = Symbol('DECIMALS_TOO_MANY_ERROR')
+
+const NULL_SELECTED_TOKEN = -1
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+function BudgetsPanel({
+  budgetStatuses,
+  onRemoveBudget,
+  onSetBudget,
+  opened,
+  periodDuration,
+  tokens,
+}) {
+  const theme = useTheme()
+  const [selectedToken, setSelectedToken] = useState(NULL_SELECTED_TOKEN)
+  const [amount, setAmount] = useState('')
+  const [error, setError] = useState(NO_ERROR)
+
+  // Reset the form on the panel re-opening
+  useEffect(() => {
+    if (opened) {
+      setSelectedToken(NULL_SELECTED_TOKEN)
+      setAmount('')
+      setError(NO_ERROR)
+    }
+  }, [opened])
+
+  const token = tokens[selectedToken]
+  const currentBudget = token ? findBudget(budgetStatuses, token.address) : null
+
+  const budgetedTokens = useMemo(
+    () =>
+      budgetStatuses
+        .map(budget => ({
+          budget,
+          token: tokens.find(({ address }) =>
+            addressesEqual(address, budget.token)
+          ),
+        }))
+        .filter(({ token }) => Boolean(token)),
+    [budgetStatuses, tokens]
+  )
+
+  const handleTokenChange = useCallback(
+    index => {
+      const budget = findBudget(budgetStatuses, tokens[index].address)
+      setSelectedToken(index)
+      // Start from the current budget when editing it
+      setAmount(
+        budget
+          ? fromDecimals(budget.amount.toString(), tokens[index].decimals)
+          : ''
+      )
+      setError(NO_ERROR)
+    },
+    [budgetStatuses, tokens]
+  )
+  const handleAmountChange = useCallback(event => {
+    setAmount(event.target.value)
+    setError(NO_ERROR)
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      // Adjust but without truncation in case the user entered a value with
+      // more decimals than possible
+      const adjustedAmount = toDecimals(amount, token.decimals, {
+        truncate: false,
+      })
+      if (adjustedAmount.indexOf('.') !== -1) {
+        setError(DECIMALS_TOO_MANY_ERROR)
+        return
+      }
+      onSetBudget(token.address, adjustedAmount)
+    },
+    [amount, onSetBudget, token]
+  )
+
+  return (
+    <div
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        A budget limits the amount of a token that can be paid out during every
+        accounting period
+        {periodDuration
+          ? ` (${Math.round(periodDuration / DAY_IN_MS)} days)`
+          : ''}
+        . Payments exceeding the remaining budget of their token fail.
+      </Info>
+
+      {budgetedTokens.length > 0 && (
+        <Field label="Budgets">
+          <ul
+            css={`
+              list-style: none;
+            `}
+          >
+            {budgetedTokens.map(({ budget, token }) => (
+              <li
+                key={token.address}
+                css={`
+                  display: flex;
+                  align-items: center;
+                  justify-content: space-between;
+                  padding: ${1 * GU}px 0;
+                  border-bottom: 1px solid ${theme.border};
+                  ${textStyle('body2')};
+                `}
+              >
+                <span>
+                  {formatTokenAmount(budget.amount, token.decimals, {
+                    digits: token.decimals,
+                    symbol: token.symbol,
+                  })}
+                </span>
+                <Button
+                  display="icon"
+                  icon={<IconTrash />}
+                  label={`Remove the ${token.symbol} budget`}
+                  onClick={() => onRemoveBudget(token.address)}
+                  size="small"
+                />
+              </li>
+            ))}
+          </ul>
+        </Field>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <Field label={currentBudget ? 'Change budget' : 'New budget'} required>
+          <div
+            css={`
+              display: flex;
+            `}
+          >
+            <AmountInput
+              onChange={handleAmountChange}
+              value={amount}
+              required
+              wide
+            />
+            <DropDown
+              header="Token"
+              placeholder="Token"
+              items={tokens.map(({ symbol }) => symbol)}
+              selected={selectedToken}
+              onChange={handleTokenChange}
+              css={`
+                margin-left: ${1.5 * GU}px;
+              `}
+            />
+          </div>
+        </Field>
+        <Button
+          disabled={!token || !amount || error !== NO_ERROR}
+          mode="strong"
+          type="submit"
+          wide
+        >
+          {currentBudget ? 'Change budget' : 'Set budget'}
+        </Button>
+        {error === DECIMALS_TOO_MANY_ERROR && (
+          <Info
+            mode="error"
+            css={`
+              margin-top: ${2 * GU}px;
+            `}
+          >
+            Amount contains too many decimal places
+          </Info>
+        )}
+      </form>
+    </div>
+  )
+}
+
+BudgetsPanel.propTypes = {
+  budgetStatuses: PropTypes.array.isRequired,
+  onRemoveBudget: PropTypes.func.isRequired,
+  onSetBudget: PropTypes.func.isRequired,
+  opened: PropTypes.bool,
+  periodDuration: PropTypes.number,
+  tokens: PropTypes.array.isRequired,
+}
+
+export default BudgetsPanel
@@ -0,0 +1,354 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  DropDown,
+  Field,
+  GU,
+  IconCross,
+  Info,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import {
+  useAragonApi,
+  useCurrentApp,
+  useInstalledApps,
+} from '@aragon/api-react'
+import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import {
+  BULK_TRANSFER_COLUMNS,
+  getBulkTransferTotals,
+  parseBulkTransferCsv,
+  validateBulkTransfers,
+} from '../../lib/bulk-transfer-utils'
+import {
+  encodeCallScript,
+  encodeNewImmediatePayment,
+} from '../../lib/evmscript-utils'
+import { isAddress } from '../../lib/web3-utils'
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+// Resolve the recipients given as local labels to their address
+function useResolvedTransfers(content) {
+  const { api } = useAragonApi()
+  const [transfers, setTransfers] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+    const resolveTransfers = async () => {
+      const transfers = await Promise.all(
+        parseBulkTransferCsv(content).map(async transfer => {
+          if (!transfer.recipient || isAddress(transfer.recipient)) {
+            return transfer
+          }
+          const identities = await api
+            .searchIdentities(transfer.recipient)
+            .toPromise()
+          const matchingIdentities = (identities || []).filter(
+            ({ name }) =>
+              name.toLowerCase() === transfer.recipient.toLowerCase()
+          )
+          // Ambiguous labels are left for the user to resolve
+          return matchingIdentities.length === 1
+            ? { ...transfer, recipient: matchingIdentities[0].address }
+            : transfer
+        })
+      )
+      if (!cancelled) {
+        setTransfers(transfers)
+      }
+    }
+    resolveTransfers()
+    return () => {
+      cancelled = true
+    }
+  }, [api, content])
+
+  const updateRecipient = useCallback((line, recipient) => {
+    setTransfers(transfers =>
+      transfers.map(transfer =>
+        transfer.line === line ? { ...transfer, recipient } : transfer
+      )
+    )
+  }, [])
+
+  return [transfers, updateRecipient]
+}
+
+function BulkTransfer({ budgetStatuses, onBulkTransfer, tokens }) {
+  const theme = useTheme()
+  const currentApp = useCurrentApp()
+  const installedApps = useInstalledApps()
+  const [content, setContent] = useState('')
+  const [fileError, setFileError] = useState(null)
+  const [selectedForwarder, setSelectedForwarder] = useState(0)
+  const [transfers, updateRecipient] = useResolvedTransfers(content)
+
+  // The payments are submitted as one script, through a forwarder (e.g. Voting)
+  const forwarders = useMemo(
+    () => installedApps.filter(({ isForwarder }) => isForwarder),
+    [installedApps]
+  )
+  const validatedTransfers = useMemo(
+    () => validateBulkTransfers(transfers, { budgetStatuses, tokens }),
+    [budgetStatuses, tokens, transfers]
+  )
+  const totals = useMemo(() => getBulkTransferTotals(validatedTransfers), [
+    validatedTransfers,
+  ])
+  const invalidCount = validatedTransfers.filter(({ error }) => error).length
+
+  const handleFileChange = useCallback(async event => {
+    const [file] = event.target.files
+    if (!file) {
+      return
+    }
+    try {
+      setContent(await readFile(file))
+      setFileError(null)
+    } catch (err) {
+      setContent('')
+      setFileError('The file could not be read')
+    }
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      const forwarder = forwarders[selectedForwarder]
+      if (!forwarder || !currentApp || invalidCount > 0) {
+        return
+      }
+      const script = encodeCallScript(
+        validatedTransfers.map(
+          ({ adjustedAmount, recipient, reference, token }) => ({
+            to: currentApp.appAddress,
+            data: encodeNewImmediatePayment({
+              amount: adjustedAmount,
+              receiver: recipient,
+              reference,
+              token: token.address,
+            }),
+          })
+        )
+      )
+      onBulkTransfer(forwarder.appAddress, script)
+    },
+    [
+      currentApp,
+      forwarders,
+      invalidCount,
+      onBulkTransfer,
+      selectedForwarder,
+      validatedTransfers,
+    ]
+  )
+
+  if (forwarders.length === 0) {
+    return (
+      <Info mode="warning">
+        Bulk transfers are submitted as a single script, which requires an app
+        able to forward it (e.g. Voting) to be installed in the organization.
+      </Info>
+    )
+  }
+
+  const disabled =
+    !currentApp || validatedTransfers.length === 0 || invalidCount > 0
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        Import a CSV file with one transfer per line, in the following columns:{' '}
+        {BULK_TRANSFER_COLUMNS.join(', ')}. Recipients can be addresses or local
+        labels, and tokens symbols or addresses.
+      </Info>
+      <Field label="CSV file" required>
+        <input
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          type="file"
+          css={`
+            ${textStyle('body3')};
+          `}
+        />
+      </Field>
+      {fileError && <ValidationError message={fileError} />}
+      {validatedTransfers.length > 0 && (
+        <React.Fragment>
+          <Field label={`Transfers (${validatedTransfers.length})`}>
+            <ul
+              css={`
+                list-style: none;
+                li {
+                  padding: ${1.5 * GU}px 0;
+                  border-bottom: 1px solid ${theme.border};
+                }
+              `}
+            >
+              {validatedTransfers.map(transfer => (
+                <TransferRow
+                  key={transfer.line}
+                  onRecipientChange={updateRecipient}
+                  transfer={transfer}
+                />
+              ))}
+            </ul>
+          </Field>
+          {totals.length > 0 && (
+            <Field label="Totals">
+              <ul
+                css={`
+                  list-style: none;
+                  ${textStyle('body2')};
+                `}
+              >
+                {totals.map(({ token, total }) => (
+                  <li key={token.address}>
+                    {formatTokenAmount(total, token.decimals, {
+                      digits: token.decimals,
+                      symbol: token.symbol,
+                    })}
+                  </li>
+                ))}
+              </ul>
+            </Field>
+          )}
+          <Field label="Submit through">
+            <DropDown
+              items={forwarders.map(({ identifier, name }) =>
+                identifier ? `${name} (${identifier})` : name
+              )}
+              selected={selectedForwarder}
+              onChange={setSelectedForwarder}
+              wide
+            />
+          </Field>
+          <Button disabled={disabled} mode="strong" type="submit" wide>
+            Submit {validatedTransfers.length} transfers
+          </Button>
+          {invalidCount > 0 && (
+            <ValidationError
+              message={`${invalidCount} ${
+                invalidCount === 1 ? 'line needs' : 'lines need'
+              } to be fixed before submitting`}
+            />
+          )}
+        </React.Fragment>
+      )}
+    </form>
+  )
+}
+
+BulkTransfer.propTypes = {
+  budgetStatuses: PropTypes.array,
+  onBulkTransfer: PropTypes.func.isRequired,
+  tokens: PropTypes.array.isRequired,
+}
+
+BulkTransfer.defaultProps = {
+  budgetStatuses: [],
+}
+
+const TransferRow = ({ onRecipientChange, transfer }) => {
+  const theme = useTheme()
+  const { amount, error, line, recipient, reference, token } = transfer
+  const handleRecipientChange = useCallback(
+    value => onRecipientChange(line, value),
+    [line, onRecipientChange]
+  )
+
+  return (
+    <li>
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        `}
+      >
+        <div
+          css={`
+            flex: 1;
+            min-width: 0;
+            margin-right: ${1 * GU}px;
+          `}
+        >
+          {isAddress(recipient) ? (
+            <LocalIdentityBadge entity={recipient} />
+          ) : (
+            <LocalIdentitiesAutoComplete
+              onChange={handleRecipientChange}
+              value={recipient}
+              wide
+            />
+          )}
+        </div>
+        <span
+          css={`
+            white-space: nowrap;
+            font-weight: 600;
+          `}
+        >
+          {amount} {token ? token.symbol : transfer.token}
+        </span>
+      </div>
+      <div
+        css={`
+          margin-top: ${0.5 * GU}px;
+          ${textStyle('body3')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        Line {line}
+        {reference && ` · ${reference}`}
+      </div>
+      {error && <ValidationError message={error} />}
+    </li>
+  )
+}
+
+const ValidationError = ({ message }) => {
+  const theme = useTheme()
+  return (
+    <div
+      css={`
+        display: flex;
+        align-items: center;
+        margin-top: ${1 * GU}px;
+      `}
+    >
+      <IconCross
+        size="tiny"
+        css={`
+          color: ${theme.negative};
+          margin-right: ${1 * GU}px;
+        `}
+      />
+      <span
+        css={`
+          ${textStyle('body3')}
+        `}
+      >
+        {message}
+      </span>
+    </div>
+  )
+}
+
+export default BulkTransfer
@@ -7,7 +7,7 @@ import {
   IconCross,
   IdentityBadge,
   Info,
-  Link,
+  RadioList,
   TextInput,
   TokenBadge,
   GU,
@@ -16,9 +16,16 @@ import {
 } from '@aragon/ui'
 import { useAragonApi } from '@aragon/api-react'
 import QRCode from 'qrcode.react'
+import tokenAllowanceAbi from '../../abi/token-allowance.json'
 import tokenBalanceOfAbi from '../../abi/token-balanceof.json'
 import tokenDecimalsAbi from '../../abi/token-decimals.json'
 import tokenSymbolAbi from '../../abi/token-symbol.json'
+import {
+  APPROVAL_EXACT,
+  APPROVAL_UNLIMITED,
+  getApprovalSteps,
+  isUnlimitedAllowance,
+} from '../../lib/allowance-utils'
 import { fromDecimals, toDecimals } from '../../lib/math-utils'
 import {
   ETHER_TOKEN_FAKE_ADDRESS,
@@ -35,15 +42,38 @@ const BALANCE_NOT_ENOUGH_ERROR = Symbol('BALANCE_NOT_ENOUGH_ERROR')
 const DECIMALS_TOO_MANY_ERROR = Symbol('DECIMALS_TOO_MANY_ERROR')
 const TOKEN_NOT_FOUND_ERROR = Symbol('TOKEN_NOT_FOUND_ERROR')
 
-const TOKEN_ALLOWANCE_WEBSITE = 'https://tokenallowance.io/'
+const ALLOWANCE_POLL_INTERVAL = 3000
+// Stop waiting for an approval after 5 minutes (e.g. if it got reverted)
+const ALLOWANCE_POLL_MAX_ATTEMPTS = 100
+
+const APPROVALS = [APPROVAL_EXACT, APPROVAL_UNLIMITED]
+const APPROVAL_ITEMS = [
+  {
+    title: 'Exact amount',
+    description: 'Only approve the amount of this deposit.',
+  },
+  {
+    title: 'Unlimited',
+    description:
+      'Approve once, for this deposit and all the future deposits of this token.',
+  },
+]
 
-const tokenAbi = [].concat(tokenBalanceOfAbi, tokenDecimalsAbi, tokenSymbolAbi)
+const tokenAbi = [].concat(
+  tokenAllowanceAbi,
+  tokenBalanceOfAbi,
+  tokenDecimalsAbi,
+  tokenSymbolAbi
+)
 
 const initialState = {
   amount: {
     error: NO_ERROR,
     value: '',
   },
+  approval: APPROVAL_EXACT,
+  approvalError: null,
+  approvalPending: false,
   reference: '',
   selectedToken: {
     coerced: false, // whether the token was coerced from a symbol to an address
@@ -58,6 +88,7 @@ const initialState = {
 
 class Deposit extends React.Component {
   static defaultProps = {
+    onApprove: () => Promise.resolve(),
     onDeposit: () => {},
   }
   state = {
@@ -66,9 +97,16 @@ class Deposit extends React.Component {
   componentWillReceiveProps({ opened }) {
     if (!opened && this.props.opened) {
       // Panel closing; reset state
+      this.stopAllowancePolling()
       this.setState({ ...initialState })
     }
   }
+  componentWillUnmount() {
+    this.stopAllowancePolling()
+  }
+  handleApprovalChange = index => {
+    this.setState({ approval: APPROVALS[index] })
+  }
   handleAmountUpdate = event => {
     this.validateInputs({
       amount: {
@@ -84,6 +122,8 @@ class Deposit extends React.Component {
       value: address,
       data: { loading: true },
     }
+    this.stopAllowancePolling()
+    this.setState({ approvalError: null, approvalPending: false })
 
     if (!tokenIsAddress) {
       this.validateInputs({
@@ -122,10 +162,22 @@ class Deposit extends React.Component {
   }
   handleSubmit = event => {
     event.preventDefault()
-    const { onDeposit } = this.props
+    const { appAddress, onApprove, onDeposit } = this.props
     const { amount, reference, selectedToken } = this.state
 
     if (this.validateInputs()) {
+      const approvalSteps = this.getPendingApprovals()
+      if (approvalSteps.length > 0) {
+        const { allowance } = selectedToken.data
+        this.setState({ approvalError: null, approvalPending: true })
+        onApprove(selectedToken.value, appAddress, approvalSteps[0].toString())
+          .then(() =>
+            this.startAllowancePolling(selectedToken.value, allowance)
+          )
+          .catch(() => this.setState({ approvalPending: false }))
+        return
+      }
+
       const adjustedAmount = toDecimals(
         amount.value,
         selectedToken.data.decimals
@@ -134,8 +186,75 @@ class Deposit extends React.Component {
     }
   }
   canSubmit() {
-    const { selectedToken } = this.state
-    return selectedToken.value && !selectedToken.data.loading
+    const { approvalPending, selectedToken } = this.state
+    return (
+      selectedToken.value && !selectedToken.data.loading && !approvalPending
+    )
+  }
+  // Approvals needed by an ERC-20 deposit, in order
+  getPendingApprovals() {
+    const { amount, approval, selectedToken } = this.state
+    const { allowance, decimals } = selectedToken.data
+    if (
+      allowance === undefined ||
+      !amount.value ||
+      amount.error !== NO_ERROR ||
+      !decimals
+    ) {
+      return []
+    }
+    return getApprovalSteps(
+      allowance === '-1' ? null : new BN(allowance),
+      new BN(toDecimals(amount.value, decimals)),
+      approval
+    )
+  }
+  async loadAllowance(address) {
+    const { api, appAddress, connectedAccount } = this.props
+    if (!appAddress) {
+      return '-1'
+    }
+    return api
+      .external(address, tokenAbi)
+      .allowance(connectedAccount, appAddress)
+      .toPromise()
+      .catch(() => '-1')
+  }
+  // Wait until the approval gets mined, to update the allowance
+  startAllowancePolling(address, previousAllowance) {
+    this.stopAllowancePolling()
+    let attempts = 0
+    this.allowanceTimer = setInterval(async () => {
+      attempts++
+      const allowance = await this.loadAllowance(address)
+      const { selectedToken } = this.state
+      if (selectedToken.value !== address) {
+        this.stopAllowancePolling()
+        return
+      }
+      if (allowance === '-1' || allowance === previousAllowance) {
+        if (attempts >= ALLOWANCE_POLL_MAX_ATTEMPTS) {
+          this.stopAllowancePolling()
+          this.setState({
+            approvalError:
+              'The approval could not be confirmed. It may have failed, please check your wallet before trying again.',
+            approvalPending: false,
+          })
+        }
+        return
+      }
+      this.stopAllowancePolling()
+      this.setState({
+        approvalPending: false,
+        selectedToken: {
+          ...selectedToken,
+          data: { ...selectedToken.data, allowance },
+        },
+      })
+    }, ALLOWANCE_POLL_INTERVAL)
+  }
+  stopAllowancePolling() {
+    clearInterval(this.allowanceTimer)
   }
   async loadTokenData(address) {
     const { api, network, connectedAccount } = this.props
@@ -166,6 +285,7 @@ class Deposit extends React.Component {
       const override = tokenDataOverride(address, 'symbol', network.type)
       return override || getTokenSymbol(api, address).catch(() => '')
     }
+    const fetchAllowance = () => this.loadAllowance(address)
     const fetchDecimals = async () => {
       const override = tokenDataOverride(address, 'decimals', network.type)
       const decimals =
@@ -177,12 +297,14 @@ class Deposit extends React.Component {
       return parseInt(decimals, 10)
     }
 
-    const [tokenSymbol, tokenDecimals] = await Promise.all([
+    const [tokenSymbol, tokenDecimals, allowance] = await Promise.all([
       fetchSymbol(),
       fetchDecimals(),
+      fetchAllowance(),
     ])
 
     return {
+      allowance,
       userBalance,
       decimals: tokenDecimals,
       loading: false,
@@ -259,7 +381,14 @@ class Deposit extends React.Component {
   }
   render() {
     const { appAddress, network, title, tokens } = this.props
-    const { amount, reference, selectedToken } = this.state
+    const {
+      amount,
+      approval,
+      approvalError,
+      approvalPending,
+      reference,
+      selectedToken,
+    } = this.state
     let errorMessage
     if (selectedToken.error === TOKEN_NOT_FOUND_ERROR) {
       errorMessage = 'Token not found'
@@ -276,6 +405,16 @@ class Deposit extends React.Component {
     const tokenSelected = selectedToken.value && !ethSelected
     const isMainnet = network.type === 'main'
     const isMaxButtonVisible = selectedToken && selectedToken.data.symbol
+    const approvalSteps = this.getPendingApprovals()
+
+    let submitLabel = 'Submit deposit'
+    if (approvalPending) {
+      submitLabel = 'Waiting for the approval…'
+    } else if (approvalSteps.length > 1) {
+      submitLabel = 'Reset allowance'
+    } else if (approvalSteps.length === 1) {
+      submitLabel = `Approve ${selectedToken.data.symbol || 'token'}`
+    }
 
     return (
       <form onSubmit={this.handleSubmit}>
@@ -303,10 +442,27 @@ class Deposit extends React.Component {
             wide
           />
         </Field>
+        {tokenSelected && (
+          <SelectedTokenAllowance
+            approvalPending={approvalPending}
+            approvalSteps={approvalSteps}
+            selectedToken={selectedToken}
+          />
+        )}
+        {approvalSteps.length > 0 && (
+          <Field label="Approval">
+            <RadioList
+              items={APPROVAL_ITEMS}
+              selected={APPROVALS.indexOf(approval)}
+              onChange={this.handleApprovalChange}
+            />
+          </Field>
+        )}
         <Button wide mode="strong" type="submit" disabled={disabled}>
-          Submit deposit
+          {submitLabel}
         </Button>
         {errorMessage && <ValidationError message={errorMessage} />}
+        {approvalError && <ValidationError message={approvalError} />}
 
         <VSpace size={3} />
         <Info>
@@ -317,23 +473,19 @@ class Deposit extends React.Component {
           )}
           <p>
             Configure your deposit above, and sign the transaction with your
-            wallet after clicking “Submit Transfer”. It will then show up in
-            your Finance app once processed.
+            wallet after clicking “Submit deposit”. It will then show up in your
+            Finance app once processed.
           </p>
           {tokenSelected && (
-            <React.Fragment>
-              <p
-                css={`
-                  margin-top: ${1 * GU}px;
-                `}
-              >
-                Tokens may require a pretransaction to approve the Finance app
-                for your deposit.{' '}
-                <Link href={TOKEN_ALLOWANCE_WEBSITE} target="_blank">
-                  Find out why.
-                </Link>{' '}
-              </p>
-            </React.Fragment>
+            <p
+              css={`
+                margin-top: ${1 * GU}px;
+              `}
+            >
+              Tokens first need to be approved, so that the Finance app can
+              transfer your deposit. Tokens refusing to change an existing
+              approval get their allowance reset beforehand.
+            </p>
           )}
         </Info>
 
@@ -431,6 +583,53 @@ const SelectedTokenBalance = ({ network, selectedToken }) => {
   )
 }
 
+const SelectedTokenAllowance = ({
+  approvalPending,
+  approvalSteps,
+  selectedToken,
+}) => {
+  const theme = useTheme()
+  const {
+    data: { allowance, decimals, loading, symbol },
+  } = selectedToken
+  if (loading || allowance === undefined) {
+    return null
+  }
+
+  let message
+  if (approvalPending) {
+    message = 'Your approval will be confirmed once the transaction gets mined.'
+  } else if (allowance === '-1') {
+    message = `Your current ${symbol} allowance could not be found, it will be reset before the approval.`
+  } else {
+    const allowanceBn = new BN(allowance)
+    const formattedAllowance = isUnlimitedAllowance(allowanceBn)
+      ? 'an unlimited amount'
+      : allowanceBn.isZero()
+      ? 'none'
+      : `${fromDecimals(allowance, decimals)} ${symbol}`
+    message = `The Finance app is allowed to transfer ${formattedAllowance} of your ${symbol}. ${
+      approvalSteps.length === 0
+        ? 'No approval is needed for this deposit.'
+        : approvalSteps.length > 1
+        ? 'It must be reset before approving a new amount.'
+        : 'An approval is needed for this deposit.'
+    }`
+  }
+
+  return (
+    <p
+      css={`
+        margin-bottom: ${3 * GU}px;
+        ${textStyle('body3')}
+        color: ${theme.surfaceContentSecondary};
+      `}
+    >
+      {message}
+    </p>
+  )
+}
+
 const VSpace = styled.div`
   height: ${p => (p.size || 1) * GU}px;
 `
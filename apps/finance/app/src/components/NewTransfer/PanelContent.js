@@ -1,8 +1,11 @@
 import React from 'react'
 import styled from 'styled-components'
 import { SidePanel, Tabs, GU } from '@aragon/ui'
+import BulkTransfer from './BulkTransfer'
 import Deposit from './Deposit'
 import Withdrawal from './Withdrawal'
+import PeriodTransitionsInfo from '../Periods/PeriodTransitionsInfo'
+import { MAX_PERIOD_TRANSITIONS_PER_TX } from '../../lib/period-utils'
 
 const initialState = {
   screenIndex: 0,
@@ -11,7 +14,11 @@ const initialState = {
 class PanelContent extends React.Component {
   static defaultProps = {
     onWithdraw: () => {},
+    onApprove: () => Promise.resolve(),
     onDeposit: () => {},
+    onBulkTransfer: () => {},
+    onTransitionPeriods: () => {},
+    pendingTransitions: 0,
   }
 
   state = {
@@ -31,22 +38,66 @@ class PanelContent extends React.Component {
 
   render() {
     const { screenIndex } = this.state
-    const { opened, tokens, onWithdraw, onDeposit } = this.props
+    const {
+      budgetStatuses,
+      opened,
+      pendingTransitions,
+      tokens,
+      onWithdraw,
+      onApprove,
+      onDeposit,
+      onBulkTransfer,
+      onTransitionPeriods,
+    } = this.props
+
+    // Transfers would run out of gas transitioning all the periods
+    if (pendingTransitions > MAX_PERIOD_TRANSITIONS_PER_TX) {
+      return (
+        <div
+          css={`
+            margin-top: ${3 * GU}px;
+          `}
+        >
+          <PeriodTransitionsInfo
+            onTransition={onTransitionPeriods}
+            pendingTransitions={pendingTransitions}
+          />
+        </div>
+      )
+    }
+
     return (
       <div>
         <TabsWrapper>
           <Tabs
-            items={['Deposit', 'Withdrawal']}
+            items={['Deposit', 'Withdrawal', 'Bulk transfer']}
             selected={screenIndex}
             onChange={this.handleChange}
           />
         </TabsWrapper>
 
         {screenIndex === 0 && (
-          <Deposit opened={opened} tokens={tokens} onDeposit={onDeposit} />
+          <Deposit
+            opened={opened}
+            tokens={tokens}
+            onApprove={onApprove}
+            onDeposit={onDeposit}
+          />
         )}
         {screenIndex === 1 && (
-          <Withdrawal opened={opened} tokens={tokens} onWithdraw={onWithdraw} />
+          <Withdrawal
+            budgetStatuses={budgetStatuses}
+            opened={opened}
+            tokens={tokens}
+            onWithdraw={onWithdraw}
+          />
+        )}
+        {screenIndex === 2 && (
+          <BulkTransfer
+            budgetStatuses={budgetStatuses}
+            tokens={tokens}
+            onBulkTransfer={onBulkTransfer}
+          />
         )}
       </div>
     )
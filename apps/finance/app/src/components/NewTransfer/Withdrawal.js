@@ -1,5 +1,6 @@
 import React, { useLayoutEffect, useState } from 'react'
 import styled from 'styled-components'
+import BN from 'bn.js'
 import {
   Button,
   DropDown,
@@ -8,10 +9,12 @@ import {
   Field,
   TextInput,
   GU,
+  formatTokenAmount,
   textStyle,
   useTheme,
 } from '@aragon/ui'
 import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+import { exceedsRemainingBudget, findBudget } from '../../lib/budget-utils'
 import { toDecimals, fromDecimals } from '../../lib/math-utils'
 import { addressPattern, isAddress } from '../../lib/web3-utils'
 import AmountInput from '../AmountInput'
@@ -25,6 +28,7 @@ const NULL_SELECTED_TOKEN = -1
 
 class Withdrawal extends React.Component {
   static defaultProps = {
+    budgetStatuses: [],
     tokens: [],
     onWithdraw: () => {},
   }
@@ -51,6 +55,29 @@ class Withdrawal extends React.Component {
   nonZeroTokens() {
     return this.props.tokens.filter(({ amount }) => !amount.isZero())
   }
+  // The remaining budget, if the amount exceeds it
+  exceededBudget() {
+    const { budgetStatuses } = this.props
+    const { amount, selectedToken } = this.state
+    const token = this.nonZeroTokens()[selectedToken]
+    if (!token || !amount.value) {
+      return null
+    }
+    const adjustedAmount = toDecimals(amount.value, token.decimals, {
+      truncate: false,
+    })
+    if (
+      !/^\d+$/.test(adjustedAmount) ||
+      !exceedsRemainingBudget(
+        budgetStatuses,
+        token.address,
+        new BN(adjustedAmount)
+      )
+    ) {
+      return null
+    }
+    return findBudget(budgetStatuses, token.address).remaining
+  }
   handleAmountUpdate = event => {
     this.setState({
       amount: {
@@ -98,6 +125,10 @@ class Withdrawal extends React.Component {
       return
     }
 
+    if (this.exceededBudget()) {
+      return
+    }
+
     if (amountTooBig || adjustedAmount.indexOf('.') !== -1) {
       this.setState(({ amount }) => ({
         amount: {
@@ -138,8 +169,12 @@ class Withdrawal extends React.Component {
       errorMessage = 'Amount contains too many decimal places'
     }
 
+    // Payments exceeding the remaining budget would revert
+    const exceededBudget = this.exceededBudget()
+
     const disabled = Boolean(
       errorMessage ||
+        exceededBudget ||
         !recipient.value ||
         !amount.value ||
         selectedToken === NULL_SELECTED_TOKEN
@@ -196,6 +231,21 @@ class Withdrawal extends React.Component {
             wide
           />
         </Field>
+        {exceededBudget && (
+          <Info
+            mode="warning"
+            css={`
+              margin-bottom: ${3 * GU}px;
+            `}
+          >
+            This amount exceeds the remaining budget of the current period (
+            {formatTokenAmount(exceededBudget, tokens[selectedToken].decimals, {
+              digits: tokens[selectedToken].decimals,
+              symbol: tokens[selectedToken].symbol,
+            })}
+            ).
+          </Info>
+        )}
         <Button disabled={disabled} mode="strong" type="submit" wide>
           Submit withdrawal
         </Button>
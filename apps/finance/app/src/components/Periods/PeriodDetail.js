@@ -0,0 +1,193 @@
+import React, { useCallback, useContext, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import {
+  BackButton,
+  Bar,
+  Box,
+  Button,
+  GU,
+  IconExternal,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+  useToast,
+} from '@aragon/ui'
+import { useCurrentApp } from '@aragon/api-react'
+import { saveAs } from 'file-saver'
+import { IdentityContext } from '../IdentityManager/IdentityManager'
+import { usePriceFeed } from '../PriceFeed/PriceFeedManager'
+import Transfers from '../Transfers'
+import { formatDate, getDownloadData } from '../../lib/download-utils'
+import {
+  getActiveStatements,
+  getPeriodTransactions,
+} from '../../lib/period-utils'
+import { toChecksumAddress } from '../../lib/web3-utils'
+
+const getDownloadFilename = (appAddress, { id, startTime, endTime }) =>
+  `finance_${appAddress}_period_${id}_${formatDate(startTime)}_to_${formatDate(
+    endTime
+  )}.csv`
+
+function PeriodDetail({ isCurrent, onBack, period, tokens, transactions }) {
+  const theme = useTheme()
+  const toast = useToast()
+  const currentApp = useCurrentApp()
+  const { resolve: resolveAddress } = useContext(IdentityContext)
+  const { currency, getHistoricalRates } = usePriceFeed()
+
+  const statements = useMemo(() => getActiveStatements(period, tokens), [
+    period,
+    tokens,
+  ])
+  const periodTransactions = useMemo(
+    () => getPeriodTransactions(transactions, period.id),
+    [period, transactions]
+  )
+
+  const handleDownload = useCallback(async () => {
+    if (!currentApp || !currentApp.appAddress) {
+      return
+    }
+    const tokenDetails = tokens.reduce(
+      (details, { address, decimals, symbol }) => {
+        details[toChecksumAddress(address)] = { decimals, symbol }
+        return details
+      },
+      {}
+    )
+    const data = await getDownloadData(
+      periodTransactions,
+      tokenDetails,
+      resolveAddress,
+      { currency, getHistoricalRates }
+    )
+    saveAs(
+      new Blob([data], { type: 'text/csv;charset=utf-8' }),
+      getDownloadFilename(currentApp.appAddress, period)
+    )
+    toast(`Period #${period.id} exported`)
+  }, [
+    currency,
+    currentApp,
+    getHistoricalRates,
+    period,
+    periodTransactions,
+    resolveAddress,
+    toast,
+    tokens,
+  ])
+
+  return (
+    <React.Fragment>
+      <Bar
+        primary={<BackButton onClick={onBack} />}
+        secondary={
+          periodTransactions.length > 0 && (
+            <Button
+              icon={<IconExternal />}
+              label="Export period"
+              onClick={handleDownload}
+            />
+          )
+        }
+      />
+      <Box
+        heading={`Period #${period.id}${
+          isCurrent ? ' (current)' : ''
+        }: ${formatDate(period.startTime)} to ${formatDate(period.endTime)}`}
+      >
+        {statements.length === 0 ? (
+          <p
+            css={`
+              ${textStyle('body2')};
+              color: ${theme.surfaceContentSecondary};
+            `}
+          >
+            No tokens moved during this period.
+          </p>
+        ) : (
+          <table
+            css={`
+              width: 100%;
+              border-collapse: collapse;
+              th,
+              td {
+                padding: ${1 * GU}px 0;
+                text-align: right;
+                border-bottom: 1px solid ${theme.border};
+              }
+              th:first-child,
+              td:first-child {
+                text-align: left;
+              }
+              th {
+                ${textStyle('label2')};
+                color: ${theme.surfaceContentSecondary};
+              }
+            `}
+          >
+            <thead>
+              <tr>
+                <th>Token</th>
+                <th>Income</th>
+                <th>Expenses</th>
+                <th>Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statements.map(({ expenses, income, token }) => {
+                const format = (amount, options) =>
+                  formatTokenAmount(amount, token.decimals, {
+                    digits: 5,
+                    ...options,
+                  })
+                const net = income.sub(expenses)
+                return (
+                  <tr key={token.address}>
+                    <td>{token.symbol}</td>
+                    <td
+                      css={`
+                        color: ${theme.positive};
+                      `}
+                    >
+                      {format(income, { displaySign: true })}
+                    </td>
+                    <td
+                      css={`
+                        color: ${theme.negative};
+                      `}
+                    >
+                      {format(expenses.neg(), { displaySign: true })}
+                    </td>
+                    <td
+                      css={`
+                        font-weight: 600;
+                      `}
+                    >
+                      {format(net, {
+                        displaySign: !net.isZero(),
+                        symbol: token.symbol,
+                      })}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </Box>
+      <Transfers transactions={periodTransactions} tokens={tokens} />
+    </React.Fragment>
+  )
+}
+
+PeriodDetail.propTypes = {
+  isCurrent: PropTypes.bool,
+  onBack: PropTypes.func.isRequired,
+  period: PropTypes.object.isRequired,
+  tokens: PropTypes.array.isRequired,
+  transactions: PropTypes.array.isRequired,
+}
+
+export default PeriodDetail
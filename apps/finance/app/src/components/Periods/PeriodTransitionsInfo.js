@@ -0,0 +1,61 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { Button, GU, Info } from '@aragon/ui'
+import { MAX_PERIOD_TRANSITIONS_PER_TX } from '../../lib/period-utils'
+
+function PeriodTransitionsInfo({ onTransition, pendingTransitions }) {
+  if (pendingTransitions === 0) {
+    return null
+  }
+
+  // Too many transitions to be done by a transfer, without running out of gas
+  const blocksTransfers = pendingTransitions > MAX_PERIOD_TRANSITIONS_PER_TX
+  const transitions = Math.min(
+    pendingTransitions,
+    MAX_PERIOD_TRANSITIONS_PER_TX
+  )
+
+  return (
+    <Info
+      mode={blocksTransfers ? 'warning' : 'info'}
+      css={`
+        margin-bottom: ${2 * GU}px;
+      `}
+    >
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        `}
+      >
+        <span>
+          {pendingTransitions === 1
+            ? 'The current accounting period ended.'
+            : `${pendingTransitions} accounting periods ended since the last transfer.`}{' '}
+          {blocksTransfers
+            ? `They need to be transitioned, in batches of ${MAX_PERIOD_TRANSITIONS_PER_TX}, before any new transfer.`
+            : 'The next transfer will pay for the transition, which can also be done separately by anyone.'}
+        </span>
+        <Button
+          label={`Transition ${transitions} ${
+            transitions === 1 ? 'period' : 'periods'
+          }`}
+          onClick={onTransition}
+          size="small"
+          css={`
+            flex-shrink: 0;
+            margin-left: ${2 * GU}px;
+          `}
+        />
+      </div>
+    </Info>
+  )
+}
+
+PeriodTransitionsInfo.propTypes = {
+  onTransition: PropTypes.func.isRequired,
+  pendingTransitions: PropTypes.number.isRequired,
+}
+
+export default PeriodTransitionsInfo
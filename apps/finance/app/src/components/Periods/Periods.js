@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Button,
+  DataView,
+  GU,
+  Tag,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import PeriodDetail from './PeriodDetail'
+import { formatDate } from '../../lib/download-utils'
+import { getActiveStatements } from '../../lib/period-utils'
+
+function Periods({ isSyncing, periods, tokens, transactions }) {
+  const [selectedPeriodId, setSelectedPeriodId] = useState(null)
+
+  // Latest period first
+  const sortedPeriods = useMemo(
+    () => [...periods].sort((periodA, periodB) => periodB.id - periodA.id),
+    [periods]
+  )
+  const currentPeriodId = sortedPeriods.length > 0 ? sortedPeriods[0].id : null
+  const selectedPeriod = sortedPeriods.find(({ id }) => id === selectedPeriodId)
+
+  if (selectedPeriod) {
+    return (
+      <PeriodDetail
+        isCurrent={selectedPeriod.id === currentPeriodId}
+        onBack={() => setSelectedPeriodId(null)}
+        period={selectedPeriod}
+        tokens={tokens}
+        transactions={transactions}
+      />
+    )
+  }
+
+  return (
+    <DataView
+      status={isSyncing ? 'loading' : 'default'}
+      heading={
+        <div
+          css={`
+            padding-bottom: ${2 * GU}px;
+            ${textStyle('body1')};
+          `}
+        >
+          Accounting periods
+        </div>
+      }
+      fields={[
+        { label: 'Period', priority: 3 },
+        { label: 'Start', priority: 2 },
+        { label: 'End', priority: 2 },
+        { label: 'Income', priority: 1 },
+        { label: 'Expenses', priority: 1 },
+      ]}
+      entries={sortedPeriods}
+      renderEntry={period => {
+        const statements = getActiveStatements(period, tokens)
+        return [
+          <div
+            css={`
+              display: flex;
+              align-items: center;
+            `}
+          >
+            #{period.id}
+            {period.id === currentPeriodId && (
+              <Tag
+                css={`
+                  margin-left: ${1 * GU}px;
+                `}
+              >
+                Current
+              </Tag>
+            )}
+          </div>,
+          formatDate(period.startTime),
+          formatDate(period.endTime),
+          <StatementAmounts statements={statements} type="income" />,
+          <StatementAmounts statements={statements} type="expenses" />,
+        ]
+      }}
+      renderEntryActions={({ id }) => (
+        <Button
+          label="View details"
+          onClick={() => setSelectedPeriodId(id)}
+          size="small"
+        />
+      )}
+    />
+  )
+}
+
+Periods.propTypes = {
+  isSyncing: PropTypes.bool,
+  periods: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+  transactions: PropTypes.array.isRequired,
+}
+
+const StatementAmounts = ({ statements, type }) => {
+  const theme = useTheme()
+  const amounts = statements.filter(statement => !statement[type].isZero())
+
+  if (amounts.length === 0) {
+    return (
+      <span
+        css={`
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        —
+      </span>
+    )
+  }
+
+  return (
+    <ul
+      css={`
+        list-style: none;
+        font-weight: 600;
+        color: ${type === 'income' ? theme.positive : theme.negative};
+      `}
+    >
+      {amounts.map(statement => (
+        <li key={statement.token.address}>
+          {formatTokenAmount(
+            type === 'income' ? statement.income : statement.expenses.neg(),
+            statement.token.decimals,
+            { displaySign: true, digits: 5, symbol: statement.token.symbol }
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default Periods
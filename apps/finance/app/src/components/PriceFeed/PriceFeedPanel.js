@@ -0,0 +1,158 @@
+import React, { useCallback, useState } from 'react'
+import { DropDown, Field, GU, Info, textStyle, useTheme } from '@aragon/ui'
+import { usePriceFeed } from './PriceFeedManager'
+import { BASE_CURRENCIES, parseRateFile } from '../../lib/price-feed-utils'
+import { PRICE_SOURCE_FILE, PRICE_SOURCE_LIVE } from '../../lib/price-providers'
+
+const SOURCES = [PRICE_SOURCE_LIVE, PRICE_SOURCE_FILE]
+const SOURCES_LABELS = ['CryptoCompare (live)', 'Rate file']
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+function PriceFeedPanel() {
+  const theme = useTheme()
+  const {
+    currency,
+    historicalRatesError,
+    rateFile,
+    setCurrency,
+    setRateFile,
+    setSource,
+    source,
+  } = usePriceFeed()
+  const [fileError, setFileError] = useState(null)
+
+  const handleCurrencyChange = useCallback(
+    index => setCurrency(BASE_CURRENCIES[index]),
+    [setCurrency]
+  )
+  const handleSourceChange = useCallback(index => setSource(SOURCES[index]), [
+    setSource,
+  ])
+  const handleFileChange = useCallback(
+    async event => {
+      const [file] = event.target.files
+      if (!file) {
+        return
+      }
+      try {
+        const history = parseRateFile(await readFile(file))
+        setRateFile({ name: file.name, history })
+        setFileError(null)
+      } catch (err) {
+        setFileError(`The rate file could not be imported: ${err.message}`)
+      }
+    },
+    [setRateFile]
+  )
+
+  const fileCurrencies = rateFile ? Object.keys(rateFile.history) : []
+
+  return (
+    <div
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Info
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        Token values are estimated in the base currency. Past transfers are
+        valued at the rate of their own date in the exports.
+      </Info>
+      <Field label="Base currency">
+        <DropDown
+          items={BASE_CURRENCIES}
+          selected={BASE_CURRENCIES.indexOf(currency)}
+          onChange={handleCurrencyChange}
+          wide
+        />
+      </Field>
+      <Field label="Rates source">
+        <DropDown
+          items={SOURCES_LABELS}
+          selected={SOURCES.indexOf(source)}
+          onChange={handleSourceChange}
+          wide
+        />
+      </Field>
+      {historicalRatesError && (
+        <Info
+          mode="warning"
+          css={`
+            margin-bottom: ${3 * GU}px;
+          `}
+        >
+          Some past transfers have no value in the base currency.{' '}
+          {historicalRatesError}.
+        </Info>
+      )}
+      {source === PRICE_SOURCE_FILE && (
+        <React.Fragment>
+          <Field label="Rate file">
+            <input
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              type="file"
+              css={`
+                ${textStyle('body3')};
+              `}
+            />
+          </Field>
+          {fileError && (
+            <Info
+              mode="error"
+              css={`
+                margin-bottom: ${3 * GU}px;
+              `}
+            >
+              {fileError}
+            </Info>
+          )}
+          {rateFile ? (
+            <p
+              css={`
+                margin-bottom: ${3 * GU}px;
+                color: ${theme.surfaceContentSecondary};
+                ${textStyle('body3')};
+              `}
+            >
+              Using {rateFile.name} ({fileCurrencies.join(', ')})
+              {!fileCurrencies.includes(currency) &&
+                `, which has no ${currency} rates`}
+              .
+            </p>
+          ) : (
+            <Info
+              mode="warning"
+              css={`
+                margin-bottom: ${3 * GU}px;
+              `}
+            >
+              The live rates are used until a rate file is imported.
+            </Info>
+          )}
+          <Info>
+            The rate file lists daily rates, as the amount of a token for one
+            unit of the currency. It can either be a CSV file, with one{' '}
+            <code>date,currency,symbol,rate</code> line per rate (e.g.{' '}
+            <code>2020-06-30,EUR,DAI,1.12</code>), or a JSON list of{' '}
+            <code>{'{ date, currency, symbol, rate }'}</code> objects. Every
+            token uses its latest rate at a given date.
+          </Info>
+        </React.Fragment>
+      )}
+    </div>
+  )
+}
+
+export default PriceFeedPanel
@@ -0,0 +1,71 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { Button, GU, Info, formatTokenAmount, textStyle } from '@aragon/ui'
+import { getRecoverableFunds } from '../lib/recoverable-funds-utils'
+
+// Funds sent directly to the app, instead of being deposited to its Vault
+function RecoverableFunds({ onRecover, recoverableBalances, tokens }) {
+  const recoverableFunds = getRecoverableFunds(recoverableBalances, tokens)
+
+  if (recoverableFunds.length === 0) {
+    return null
+  }
+
+  return (
+    <Info
+      mode="warning"
+      title="Recoverable funds"
+      css={`
+        margin-bottom: ${2 * GU}px;
+      `}
+    >
+      <p>
+        These tokens were sent directly to the Finance app, and can only be used
+        once recovered to its Vault.
+      </p>
+      <ul
+        css={`
+          list-style: none;
+          margin-top: ${1 * GU}px;
+        `}
+      >
+        {recoverableFunds.map(({ address, amount, token }) => (
+          <li
+            key={address}
+            css={`
+              display: flex;
+              align-items: center;
+              justify-content: space-between;
+              padding: ${0.5 * GU}px 0;
+            `}
+          >
+            <span
+              css={`
+                ${textStyle('body2')};
+                font-weight: 600;
+              `}
+            >
+              {formatTokenAmount(amount, token.decimals, {
+                digits: token.decimals,
+                symbol: token.symbol,
+              })}
+            </span>
+            <Button
+              label="Recover to Vault"
+              onClick={() => onRecover(address)}
+              size="small"
+            />
+          </li>
+        ))}
+      </ul>
+    </Info>
+  )
+}
+
+RecoverableFunds.propTypes = {
+  onRecover: PropTypes.func.isRequired,
+  recoverableBalances: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+}
+
+export default RecoverableFunds
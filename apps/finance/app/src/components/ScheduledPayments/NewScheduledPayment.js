@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import { addMilliseconds, format, isSameDay, startOfDay } from 'date-fns'
+import { Button, DropDown, Field, GU, Info, TextInput } from '@aragon/ui'
+import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+import AmountInput from '../AmountInput'
+import { PAYMENT_INTERVALS } from '../../lib/payment-utils'
+import { toDecimals } from '../../lib/math-utils'
+import { addressPattern, isAddress } from '../../lib/web3-utils'
+
+const NO_ERROR = Symbol('NO_ERROR')
+const RECIPIENT_NOT_ADDRESS_ERROR = Symbol('RECIPIENT_NOT_ADDRESS_ERROR')
+const AMOUNT_ZERO_ERROR = Symbol('AMOUNT_ZERO_ERROR')
+const DECIMALS_TOO_MANY_ERROR = Symbol('DECIMALS_TOO_MANY_ERROR')
+const INVALID_START_DATE_ERROR = Symbol('INVALID_START_DATE_ERROR')
+const INVALID_INTERVAL_ERROR = Symbol('INVALID_INTERVAL_ERROR')
+const INVALID_COUNT_ERROR = Symbol('INVALID_COUNT_ERROR')
+const IMMEDIATE_PAYMENT_ERROR = Symbol('IMMEDIATE_PAYMENT_ERROR')
+
+const ERROR_MESSAGES = new Map([
+  [RECIPIENT_NOT_ADDRESS_ERROR, 'Recipient must be a valid Ethereum address'],
+  [AMOUNT_ZERO_ERROR, 'Amount must be greater than zero'],
+  [DECIMALS_TOO_MANY_ERROR, 'Amount contains too many decimal places'],
+  [INVALID_START_DATE_ERROR, 'Start date must be a valid date'],
+  [INVALID_INTERVAL_ERROR, 'Interval must be a whole number greater than zero'],
+  [INVALID_COUNT_ERROR, 'Count must be a whole number greater than zero'],
+  [
+    IMMEDIATE_PAYMENT_ERROR,
+    'A single payment starting today should be made as a withdrawal',
+  ],
+])
+
+const NULL_SELECTED_TOKEN = -1
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd'
+
+function isPositiveInteger(value) {
+  return /^\d+$/.test(value) && parseInt(value, 10) > 0
+}
+
+function parseStartDate(value) {
+  const [year, month, day] = value.split('-').map(Number)
+  const date = new Date(year, month - 1, day)
+  return Number.isNaN(date.getTime()) ? null : startOfDay(date)
+}
+
+function getInitialFields() {
+  return {
+    amount: '',
+    count: '12',
+    interval: '1',
+    intervalUnit: PAYMENT_INTERVALS.length - 1,
+    recipient: '',
+    reference: '',
+    selectedToken: NULL_SELECTED_TOKEN,
+    startDate: format(Date.now(), DATE_INPUT_FORMAT),
+  }
+}
+
+function validate(fields, token) {
+  const { amount, count, interval, recipient, startDate } = fields
+  const startTime = parseStartDate(startDate)
+
+  if (!isAddress(recipient.trim())) {
+    return { error: RECIPIENT_NOT_ADDRESS_ERROR }
+  }
+  // Adjust but without truncation in case the user entered a value with more
+  // decimals than possible
+  const adjustedAmount = toDecimals(amount, token.decimals, {
+    truncate: false,
+  })
+  if (adjustedAmount.indexOf('.') !== -1) {
+    return { error: DECIMALS_TOO_MANY_ERROR }
+  }
+  if (!/[1-9]/.test(adjustedAmount)) {
+    return { error: AMOUNT_ZERO_ERROR }
+  }
+  if (!startTime) {
+    return { error: INVALID_START_DATE_ERROR }
+  }
+  if (!isPositiveInteger(interval)) {
+    return { error: INVALID_INTERVAL_ERROR }
+  }
+  if (!isPositiveInteger(count)) {
+    return { error: INVALID_COUNT_ERROR }
+  }
+  // The contract requires single payments to be in the future
+  if (count === '1' && startTime <= Date.now()) {
+    return { error: IMMEDIATE_PAYMENT_ERROR }
+  }
+
+  return { adjustedAmount, error: NO_ERROR, startTime }
+}
+
+function NewScheduledPayment({ onSchedulePayment, opened, tokens }) {
+  const [fields, setFields] = useState(getInitialFields)
+  const [error, setError] = useState(NO_ERROR)
+
+  // Reset the form on the panel re-opening
+  useEffect(() => {
+    if (opened) {
+      setFields(getInitialFields())
+      setError(NO_ERROR)
+    }
+  }, [opened])
+
+  const updateField = useCallback((name, value) => {
+    setFields(fields => ({ ...fields, [name]: value }))
+    setError(NO_ERROR)
+  }, [])
+
+  const token = tokens[fields.selectedToken]
+  const intervalSeconds =
+    parseInt(fields.interval, 10) *
+    PAYMENT_INTERVALS[fields.intervalUnit].seconds
+
+  const summary = useMemo(() => {
+    const startTime = parseStartDate(fields.startDate)
+    if (
+      !startTime ||
+      !isPositiveInteger(fields.count) ||
+      !isPositiveInteger(fields.interval)
+    ) {
+      return null
+    }
+    const lastPaymentTime = addMilliseconds(
+      startTime,
+      (parseInt(fields.count, 10) - 1) * intervalSeconds * 1000
+    )
+    return `${fields.count} payment${fields.count === '1' ? '' : 's'}, from ${
+      isSameDay(startTime, Date.now())
+        ? 'today'
+        : format(startTime, DATE_INPUT_FORMAT)
+    } to ${format(lastPaymentTime, DATE_INPUT_FORMAT)}.`
+  }, [fields.count, fields.interval, fields.startDate, intervalSeconds])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      const { adjustedAmount, error, startTime } = validate(fields, token)
+      if (error !== NO_ERROR) {
+        setError(error)
+        return
+      }
+      onSchedulePayment({
+        amount: adjustedAmount,
+        initialPaymentTime: Math.floor(startTime.getTime() / 1000),
+        interval: intervalSeconds,
+        maxExecutions: parseInt(fields.count, 10),
+        receiver: fields.recipient.trim(),
+        reference: fields.reference,
+        tokenAddress: token.address,
+      })
+    },
+    [fields, intervalSeconds, onSchedulePayment, token]
+  )
+
+  const disabled =
+    error !== NO_ERROR ||
+    !fields.recipient ||
+    !fields.amount ||
+    fields.selectedToken === NULL_SELECTED_TOKEN
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+    >
+      <Field label="Recipient (must be a valid Ethereum address)">
+        <LocalIdentitiesAutoComplete
+          onChange={value => updateField('recipient', value)}
+          pattern={
+            // Allow spaces to be trimmable
+            ` *${addressPattern} *`
+          }
+          value={fields.recipient}
+          required
+          wide
+        />
+      </Field>
+      <Field label="Amount per payment" required>
+        <div
+          css={`
+            display: flex;
+          `}
+        >
+          <AmountInput
+            onChange={event => updateField('amount', event.target.value)}
+            value={fields.amount}
+            required
+            wide
+          />
+          <DropDown
+            header="Token"
+            placeholder="Token"
+            items={tokens.map(({ symbol }) => symbol)}
+            selected={fields.selectedToken}
+            onChange={index => updateField('selectedToken', index)}
+            css={`
+              margin-left: ${1.5 * GU}px;
+            `}
+          />
+        </div>
+      </Field>
+      <Field label="Start date" required>
+        <TextInput
+          type="date"
+          onChange={event => updateField('startDate', event.target.value)}
+          value={fields.startDate}
+          required
+          wide
+        />
+      </Field>
+      <Field label="Repeat every" required>
+        <div
+          css={`
+            display: flex;
+          `}
+        >
+          <TextInput
+            type="number"
+            min={1}
+            step={1}
+            onChange={event => updateField('interval', event.target.value)}
+            value={fields.interval}
+            required
+            wide
+          />
+          <DropDown
+            items={PAYMENT_INTERVALS.map(({ label }) => label)}
+            selected={fields.intervalUnit}
+            onChange={index => updateField('intervalUnit', index)}
+            css={`
+              margin-left: ${1.5 * GU}px;
+            `}
+          />
+        </div>
+      </Field>
+      <Field label="Number of payments" required>
+        <TextInput
+          type="number"
+          min={1}
+          step={1}
+          onChange={event => updateField('count', event.target.value)}
+          value={fields.count}
+          required
+          wide
+        />
+      </Field>
+      <Field label="Reference (optional)">
+        <TextInput
+          onChange={event => updateField('reference', event.target.value)}
+          value={fields.reference}
+          wide
+        />
+      </Field>
+      {summary && (
+        <Info
+          css={`
+            margin-bottom: ${3 * GU}px;
+          `}
+        >
+          {summary} Payments that are due when the payment is created are
+          executed right away.
+        </Info>
+      )}
+      <Button disabled={disabled} mode="strong" type="submit" wide>
+        Schedule payment
+      </Button>
+      {error !== NO_ERROR && (
+        <Info
+          mode="error"
+          css={`
+            margin-top: ${2 * GU}px;
+          `}
+        >
+          {ERROR_MESSAGES.get(error)}
+        </Info>
+      )}
+    </form>
+  )
+}
+
+NewScheduledPayment.propTypes = {
+  onSchedulePayment: PropTypes.func.isRequired,
+  opened: PropTypes.bool,
+  tokens: PropTypes.array.isRequired,
+}
+
+export default NewScheduledPayment
@@ -0,0 +1,297 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import { format } from 'date-fns'
+import {
+  Button,
+  ContextMenu,
+  ContextMenuItem,
+  DataView,
+  GU,
+  IconBlock,
+  IconCheck,
+  IconClock,
+  IconRefresh,
+  IconWarning,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { useConnectedAccount } from '@aragon/api-react'
+import {
+  PAYMENT_STATUS_ACTIVE,
+  PAYMENT_STATUS_COMPLETED,
+  PAYMENT_STATUS_DUE,
+  PAYMENT_STATUS_PAUSED,
+  getDueExecutions,
+  getDuePayments,
+  getPaymentStatus,
+} from '../../lib/payment-utils'
+import { addressesEqual, toChecksumAddress } from '../../lib/web3-utils'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+
+const formatDate = date => format(date, 'yyyy-MM-dd')
+const formatDateTime = date => format(date, 'yyyy-MM-dd HH:mm')
+
+// Refresh the due payments every minute
+const NOW_REFRESH_INTERVAL = 60 * 1000
+
+const STATUS_LABELS = new Map([
+  [PAYMENT_STATUS_ACTIVE, 'Active'],
+  [PAYMENT_STATUS_COMPLETED, 'Completed'],
+  [PAYMENT_STATUS_DUE, 'Due'],
+  [PAYMENT_STATUS_PAUSED, 'Paused'],
+])
+
+function useNow() {
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), NOW_REFRESH_INTERVAL)
+    return () => clearInterval(timer)
+  }, [])
+  return now
+}
+
+const ScheduledPayments = React.memo(
+  ({ isSyncing, onExecute, onSetStatus, payments, tokens }) => {
+    const theme = useTheme()
+    const now = useNow()
+
+    const tokenDetails = useMemo(
+      () =>
+        tokens.reduce((details, { address, decimals, symbol }) => {
+          details[toChecksumAddress(address)] = { decimals, symbol }
+          return details
+        }, {}),
+      [tokens]
+    )
+    const duePayments = useMemo(() => getDuePayments(payments, now), [
+      now,
+      payments,
+    ])
+    // Latest payments first
+    const sortedPayments = useMemo(
+      () =>
+        [...payments].sort(
+          (paymentA, paymentB) => Number(paymentB.id) - Number(paymentA.id)
+        ),
+      [payments]
+    )
+
+    const handleExecuteDuePayments = useCallback(() => {
+      duePayments.forEach(onExecute)
+    }, [duePayments, onExecute])
+
+    return (
+      <DataView
+        status={isSyncing ? 'loading' : 'default'}
+        statusEmpty={
+          <p
+            css={`
+              ${textStyle('title2')};
+            `}
+          >
+            No scheduled payments yet.
+          </p>
+        }
+        heading={
+          <div
+            css={`
+              padding-bottom: ${2 * GU}px;
+              display: flex;
+              align-items: center;
+              justify-content: space-between;
+            `}
+          >
+            <div
+              css={`
+                color: ${theme.content};
+                ${textStyle('body1')};
+              `}
+            >
+              Scheduled payments
+            </div>
+            {duePayments.length > 0 && (
+              <Button
+                icon={<IconClock />}
+                label={`Execute due payments (${duePayments.length})`}
+                onClick={handleExecuteDuePayments}
+              />
+            )}
+          </div>
+        }
+        fields={[
+          { label: 'Recipient', priority: 3 },
+          { label: 'Amount', priority: 2 },
+          { label: 'Next payment', priority: 2 },
+          { label: 'Executions', priority: 1 },
+          { label: 'Status', priority: 3 },
+        ]}
+        entries={sortedPayments}
+        renderEntry={payment => {
+          const {
+            amount,
+            executions,
+            failures,
+            maxExecutions,
+            nextPaymentTime,
+            receiver,
+            reference,
+            token,
+          } = payment
+          const { decimals, symbol } = tokenDetails[toChecksumAddress(token)]
+          const status = getPaymentStatus(payment, now)
+
+          return [
+            <LocalIdentityBadge entity={receiver} />,
+            <div
+              title={reference}
+              css={`
+                font-weight: 600;
+              `}
+            >
+              {formatTokenAmount(amount, decimals, { digits: 5, symbol })}
+            </div>,
+            nextPaymentTime === null ? (
+              '—'
+            ) : (
+              <time
+                dateTime={format(nextPaymentTime, "yyyy-MM-dd'T'HH:mm:ssxxx")}
+              >
+                {formatDateTime(nextPaymentTime)}
+              </time>
+            ),
+            `${executions} / ${maxExecutions}`,
+            <PaymentStatus failures={failures.length} status={status} />,
+          ]
+        }}
+        renderEntryExpansion={({ failures }) =>
+          failures.length > 0
+            ? failures.map(({ date, transactionHash }) => (
+                <div
+                  key={transactionHash}
+                  css={`
+                    ${textStyle('body3')};
+                  `}
+                >
+                  Failed on {formatDate(date)}: the vault didn’t hold enough
+                  tokens or the budget was exceeded.
+                </div>
+              ))
+            : null
+        }
+        renderEntryActions={payment => (
+          <PaymentActions
+            now={now}
+            onExecute={onExecute}
+            onSetStatus={onSetStatus}
+            payment={payment}
+          />
+        )}
+      />
+    )
+  }
+)
+
+ScheduledPayments.propTypes = {
+  isSyncing: PropTypes.bool,
+  onExecute: PropTypes.func.isRequired,
+  onSetStatus: PropTypes.func.isRequired,
+  payments: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+}
+
+const PaymentStatus = ({ failures, status }) => {
+  const theme = useTheme()
+  const color =
+    status === PAYMENT_STATUS_ACTIVE
+      ? theme.positive
+      : status === PAYMENT_STATUS_DUE
+      ? theme.warningSurfaceContent
+      : theme.surfaceContentSecondary
+
+  return (
+    <div
+      css={`
+        display: flex;
+        align-items: center;
+        color: ${color};
+      `}
+    >
+      {status === PAYMENT_STATUS_COMPLETED && <IconCheck size="small" />}
+      <span>{STATUS_LABELS.get(status)}</span>
+      {failures > 0 && (
+        <span
+          title={`${failures} failed execution${failures > 1 ? 's' : ''}`}
+          css={`
+            display: flex;
+            align-items: center;
+            margin-left: ${1 * GU}px;
+            color: ${theme.negative};
+          `}
+        >
+          <IconWarning size="small" />
+          {failures}
+        </span>
+      )}
+    </div>
+  )
+}
+
+const PaymentActions = ({ now, onExecute, onSetStatus, payment }) => {
+  const theme = useTheme()
+  const connectedAccount = useConnectedAccount()
+  const status = getPaymentStatus(payment, now)
+  const dueExecutions = getDueExecutions(payment, now)
+
+  if (status === PAYMENT_STATUS_COMPLETED) {
+    return null
+  }
+
+  return (
+    <ContextMenu zIndex={1}>
+      {dueExecutions > 0 && (
+        <ContextMenuItem onClick={() => onExecute(payment)}>
+          <IconClock
+            css={`
+              color: ${theme.surfaceContentSecondary};
+            `}
+          />
+          <span
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          >
+            {addressesEqual(payment.receiver, connectedAccount)
+              ? 'Claim'
+              : 'Execute'}{' '}
+            {dueExecutions} due payment{dueExecutions > 1 ? 's' : ''}
+          </span>
+        </ContextMenuItem>
+      )}
+      <ContextMenuItem onClick={() => onSetStatus(payment, !payment.active)}>
+        {payment.active ? (
+          <IconBlock
+            css={`
+              color: ${theme.surfaceContentSecondary};
+            `}
+          />
+        ) : (
+          <IconRefresh
+            css={`
+              color: ${theme.surfaceContentSecondary};
+            `}
+          />
+        )}
+        <span
+          css={`
+            margin-left: ${1 * GU}px;
+          `}
+        >
+          {payment.active ? 'Pause payment' : 'Resume payment'}
+        </span>
+      </ContextMenuItem>
+    </ContextMenu>
+  )
+}
+
+export default ScheduledPayments
@@ -27,35 +27,10 @@ import { saveAs } from 'file-saver'
 import { addressesEqual, toChecksumAddress } from '../lib/web3-utils'
 import TransfersFilters from './TransfersFilters'
 import { useIdentity, IdentityContext } from './IdentityManager/IdentityManager'
+import { usePriceFeed } from './PriceFeed/PriceFeedManager'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
 import useFilteredTransfers from './useFilteredTransfers'
-
-const formatDate = date => format(date, 'yyyy-MM-dd')
-
-const getDownloadData = async (transfers, tokenDetails, resolveAddress) => {
-  const mappedData = await Promise.all(
-    transfers.map(
-      async ({ date, amount, reference, isIncoming, entity, token }) => {
-        const { name = '' } = (await resolveAddress(entity)) || {}
-
-        const { symbol, decimals } = tokenDetails[toChecksumAddress(token)]
-
-        const formattedAmount = formatTokenAmount(
-          isIncoming ? amount : amount.neg(),
-          decimals,
-          { displaySign: true, digits: 5, symbol }
-        )
-
-        return [formatDate(date), name, entity, reference, formattedAmount]
-          .map(value => `"${value}"`)
-          .join(',')
-      }
-    )
-  )
-  return ['Date,Name,Source/Recipient,Reference,Amount']
-    .concat(mappedData)
-    .join('\n')
-}
+import { formatDate, getDownloadData } from '../lib/download-utils'
 
 const getDownloadFilename = (appAddress, { start, end }) => {
   const today = formatDate(Date.now())
@@ -68,7 +43,7 @@ const getDownloadFilename = (appAddress, { start, end }) => {
   return filename
 }
 
-const Transfers = React.memo(({ tokens, transactions }) => {
+const Transfers = React.memo(({ filtersInPath, tokens, transactions }) => {
   const { appState } = useAragonApi()
   const connectedAccount = useConnectedAccount()
   const currentApp = useCurrentApp()
@@ -79,18 +54,26 @@ const Transfers = React.memo(({ tokens, transactions }) => {
   const {
     emptyResultsViaFilters,
     filteredTransfers,
+    handleAmountRangeChange,
     handleClearFilters,
+    handleSearchChange,
     handleSelectedDateRangeChange,
     handleTokenChange,
     handleTransferTypeChange,
     page,
     setPage,
+    searchTerm,
+    selectedAmountRange,
     selectedDateRange,
     selectedToken,
     selectedTransferType,
     symbols,
     transferTypes,
-  } = useFilteredTransfers({ transactions, tokens })
+  } = useFilteredTransfers({
+    inPath: filtersInPath,
+    transactions,
+    tokens,
+  })
 
   const { isSyncing } = appState
   const tokenDetails = tokens.reduce(
@@ -104,6 +87,7 @@ const Transfers = React.memo(({ tokens, transactions }) => {
     {}
   )
   const { resolve: resolveAddress } = useContext(IdentityContext)
+  const { currency, getHistoricalRates } = usePriceFeed()
   const handleDownload = useCallback(async () => {
     if (!currentApp || !currentApp.appAddress) {
       return
@@ -112,7 +96,8 @@ const Transfers = React.memo(({ tokens, transactions }) => {
     const data = await getDownloadData(
       filteredTransfers,
       tokenDetails,
-      resolveAddress
+      resolveAddress,
+      { currency, getHistoricalRates }
     )
     const filename = getDownloadFilename(
       currentApp.appAddress,
@@ -120,7 +105,14 @@ const Transfers = React.memo(({ tokens, transactions }) => {
     )
     saveAs(new Blob([data], { type: 'text/csv;charset=utf-8' }), filename)
     toast('Transfers data exported')
-  }, [currentApp, filteredTransfers, tokenDetails, resolveAddress])
+  }, [
+    currency,
+    currentApp,
+    filteredTransfers,
+    getHistoricalRates,
+    tokenDetails,
+    resolveAddress,
+  ])
 
   const compactMode = layoutName === 'small'
 
@@ -188,9 +180,13 @@ const Transfers = React.memo(({ tokens, transactions }) => {
           </div>
           {!compactMode && (
             <TransfersFilters
+              amountRangeFilter={selectedAmountRange}
               dateRangeFilter={selectedDateRange}
+              onAmountRangeChange={handleAmountRangeChange}
               onDateRangeChange={handleSelectedDateRangeChange}
+              onSearchChange={handleSearchChange}
               onTokenChange={handleTokenChange}
+              searchFilter={searchTerm}
               onTransferTypeChange={handleTransferTypeChange}
               tokenFilter={selectedToken}
               transferTypeFilter={selectedTransferType}
@@ -275,6 +271,8 @@ const Transfers = React.memo(({ tokens, transactions }) => {
 })
 
 Transfers.propTypes = {
+  // Keep the filters in the app path, for the main list of transfers
+  filtersInPath: PropTypes.bool,
   tokens: PropTypes.array.isRequired,
   transactions: PropTypes.array.isRequired,
 }
@@ -1,25 +1,88 @@
-import React from 'react'
-import { DropDown, GU, DateRangePicker } from '@aragon/ui'
+import React, { useEffect, useRef, useState } from 'react'
+import {
+  DropDown,
+  GU,
+  DateRangePicker,
+  IconSearch,
+  TextInput,
+} from '@aragon/ui'
+
+// Delay before applying the typed filters, to not update the path on every key
+const TYPING_DELAY = 300
+
+// Text input keeping its own value while the user types
+function useDelayedValue(value, onChange) {
+  const [localValue, setLocalValue] = useState(value)
+  const committedValue = useRef(value)
+
+  // Only reset the input if the value was changed from elsewhere (e.g. cleared)
+  useEffect(() => {
+    if (value !== committedValue.current) {
+      committedValue.current = value
+      setLocalValue(value)
+    }
+  }, [value])
+
+  useEffect(() => {
+    if (localValue === committedValue.current) {
+      return
+    }
+    const timer = setTimeout(() => {
+      committedValue.current = localValue
+      onChange(localValue)
+    }, TYPING_DELAY)
+    return () => clearTimeout(timer)
+  }, [localValue])
+
+  return [localValue, setLocalValue]
+}
 
 const TransfersFilters = ({
+  amountRangeFilter,
   dateRangeFilter,
+  onAmountRangeChange,
   onDateRangeChange,
+  onSearchChange,
   onTokenChange,
+  searchFilter,
   symbols,
   tokenFilter,
   transferTypes,
   transferTypeFilter,
   onTransferTypeChange,
 }) => {
+  const [search, setSearch] = useDelayedValue(searchFilter, onSearchChange)
+  const [minAmount, setMinAmount] = useDelayedValue(
+    amountRangeFilter.minAmount,
+    minAmount => onAmountRangeChange({ minAmount })
+  )
+  const [maxAmount, setMaxAmount] = useDelayedValue(
+    amountRangeFilter.maxAmount,
+    maxAmount => onAmountRangeChange({ maxAmount })
+  )
+  // Amounts can only be compared within a token
+  const tokenSelected = tokenFilter > 0
+
   return (
     <div
       css={`
         margin-bottom: ${1 * GU}px;
         display: inline-grid;
         grid-gap: ${1.5 * GU}px;
-        grid-template-columns: auto auto auto;
+        grid-template-columns: repeat(${tokenSelected ? 6 : 4}, auto);
+        align-items: center;
       `}
     >
+      <TextInput
+        adornment={<IconSearch />}
+        adornmentPosition="end"
+        onChange={event => setSearch(event.target.value)}
+        placeholder="Search reference, address or label"
+        value={search}
+        css={`
+          width: ${32 * GU}px;
+        `}
+      />
       <DropDown
         placeholder="Type"
         header="Type"
@@ -36,6 +99,30 @@ const TransfersFilters = ({
         onChange={onTokenChange}
         width="128px"
       />
+      {tokenSelected && (
+        <React.Fragment>
+          <TextInput
+            onChange={event => setMinAmount(event.target.value)}
+            placeholder="Min amount"
+            type="number"
+            min="0"
+            value={minAmount}
+            css={`
+              width: ${16 * GU}px;
+            `}
+          />
+          <TextInput
+            onChange={event => setMaxAmount(event.target.value)}
+            placeholder="Max amount"
+            type="number"
+            min="0"
+            value={maxAmount}
+            css={`
+              width: ${16 * GU}px;
+            `}
+          />
+        </React.Fragment>
+      )}
       <DateRangePicker
         startDate={dateRangeFilter.start}
         endDate={dateRangeFilter.end}
@@ -1,4 +1,12 @@
-import { useCallback, useEffect, useMemo, useState } from 'react'
+import {
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react'
+import { usePath } from '@aragon/api-react'
 import { endOfDay, isAfter, isBefore, startOfDay } from 'date-fns'
 import {
   TRANSFER_TYPES,
@@ -6,86 +14,224 @@ import {
   Incoming,
   Outgoing,
 } from '../transfer-types'
+import {
+  NO_FILTERS,
+  TRANSFER_TYPE_INCOMING,
+  TRANSFER_TYPE_OUTGOING,
+  filtersFromPath,
+  isInAmountRange,
+  matchesSearch,
+  pathFromFilters,
+} from '../lib/transfers-filters-utils'
 import { addressesEqual } from '../lib/web3-utils'
+import { IdentityContext } from './IdentityManager/IdentityManager'
 
 const UNSELECTED_TOKEN_FILTER = -1
 const UNSELECTED_TRANSFER_TYPE_FILTER = -1
-const UNSELECTED_DATE_RANGE_FILTER = { start: null, end: null }
 
-function useFilteredTransfers({ transactions, tokens }) {
-  const [page, setPage] = useState(0)
-  const [selectedDateRange, setSelectedDateRange] = useState(
-    UNSELECTED_DATE_RANGE_FILTER
+const TRANSFER_TYPE_FILTERS = new Map([
+  [Incoming, TRANSFER_TYPE_INCOMING],
+  [Outgoing, TRANSFER_TYPE_OUTGOING],
+])
+
+// Keep the filters in the app path, so they can be shared as a link
+function useFiltersState(inPath) {
+  const [path, requestPath] = usePath()
+  const [localFilters, setLocalFilters] = useState(NO_FILTERS)
+
+  const filters = useMemo(
+    () => (inPath ? filtersFromPath(path) : localFilters),
+    [inPath, localFilters, path]
   )
-  const [selectedTransferType, setSelectedTransferType] = useState(
-    UNSELECTED_TRANSFER_TYPE_FILTER
+
+  // Use a ref, so that consecutive updates don't overwrite each other
+  // while the new path is being requested
+  const filtersRef = useRef(filters)
+  useEffect(() => {
+    filtersRef.current = filters
+  }, [filters])
+
+  const updateFilters = useCallback(
+    changes => {
+      const newFilters = { ...filtersRef.current, ...changes }
+      filtersRef.current = newFilters
+      if (inPath) {
+        requestPath(pathFromFilters(newFilters))
+      } else {
+        setLocalFilters(newFilters)
+      }
+    },
+    [inPath, requestPath]
   )
-  const [selectedToken, setSelectedToken] = useState(UNSELECTED_TOKEN_FILTER)
 
-  useEffect(() => setPage(0), [
-    selectedDateRange,
-    selectedTransferType,
-    selectedToken,
-  ])
+  return [filters, updateFilters]
+}
 
-  const handleSelectedDateRangeChange = useCallback(range => {
-    setSelectedDateRange(range)
-  }, [])
-  const handleTokenChange = useCallback(index => {
-    const tokenIndex = index === 0 ? UNSELECTED_TOKEN_FILTER : index
-    setSelectedToken(tokenIndex)
-  }, [])
-  const handleTransferTypeChange = useCallback(index => {
-    const transferTypeIndex =
-      index === 0 ? UNSELECTED_TRANSFER_TYPE_FILTER : index
-    setSelectedTransferType(transferTypeIndex)
-  }, [])
-  const handleClearFilters = useCallback(() => {
-    setSelectedTransferType(UNSELECTED_TRANSFER_TYPE_FILTER)
-    setSelectedToken(UNSELECTED_TOKEN_FILTER)
-    setSelectedDateRange(UNSELECTED_DATE_RANGE_FILTER)
-  }, [])
+// Resolve the local identity labels of the entities, to search them
+function useEntityLabels(transactions) {
+  const { resolve, updates$ } = useContext(IdentityContext)
+  const [labels, setLabels] = useState({})
+
+  const entities = useMemo(
+    () => [...new Set(transactions.map(({ entity }) => entity.toLowerCase()))],
+    [transactions]
+  )
+
+  useEffect(() => {
+    let cancelled = false
+    const resolveLabel = async entity => {
+      try {
+        const metadata = await resolve(entity)
+        if (!cancelled) {
+          setLabels(labels => ({
+            ...labels,
+            [entity]: metadata ? metadata.name : null,
+          }))
+        }
+      } catch (err) {
+        // Entities without a label can still be searched by address
+      }
+    }
+    entities.forEach(resolveLabel)
+
+    const subscription = updates$
+      ? updates$.subscribe(address => resolveLabel(address.toLowerCase()))
+      : null
+    return () => {
+      cancelled = true
+      if (subscription) {
+        subscription.unsubscribe()
+      }
+    }
+  }, [entities, resolve, updates$])
+
+  return labels
+}
+
+function useFilteredTransfers({ inPath = false, transactions, tokens }) {
+  const [page, setPage] = useState(0)
+  const [filters, updateFilters] = useFiltersState(inPath)
+  const labels = useEntityLabels(transactions)
+
+  useEffect(() => setPage(0), [filters])
 
   const tokensToFilter = useMemo(() => [{ symbol: 'All tokens' }, ...tokens], [
     tokens,
   ])
 
+  const tokenIndex = filters.token
+    ? tokensToFilter.findIndex(
+        ({ address }) => address && addressesEqual(address, filters.token)
+      )
+    : -1
+  const selectedToken = tokenIndex > 0 ? tokenIndex : UNSELECTED_TOKEN_FILTER
+  const selectedTransferType = filters.type
+    ? TRANSFER_TYPES.findIndex(
+        type => TRANSFER_TYPE_FILTERS.get(type) === filters.type
+      )
+    : UNSELECTED_TRANSFER_TYPE_FILTER
+  const selectedDateRange = useMemo(
+    () => ({ start: filters.start, end: filters.end }),
+    [filters.start, filters.end]
+  )
+
+  const handleSelectedDateRangeChange = useCallback(
+    range => {
+      updateFilters({ start: range.start, end: range.end })
+    },
+    [updateFilters]
+  )
+  const handleTokenChange = useCallback(
+    index => {
+      updateFilters({
+        // Amounts are specific to the token
+        maxAmount: '',
+        minAmount: '',
+        token: index === 0 ? null : tokensToFilter[index].address,
+      })
+    },
+    [tokensToFilter, updateFilters]
+  )
+  const handleTransferTypeChange = useCallback(
+    index => {
+      updateFilters({
+        type: TRANSFER_TYPE_FILTERS.get(TRANSFER_TYPES[index]) || null,
+      })
+    },
+    [updateFilters]
+  )
+  const handleSearchChange = useCallback(
+    search => {
+      updateFilters({ search })
+    },
+    [updateFilters]
+  )
+  const handleAmountRangeChange = useCallback(
+    // Either or both of { minAmount, maxAmount }
+    amountRange => {
+      updateFilters(amountRange)
+    },
+    [updateFilters]
+  )
+  const handleClearFilters = useCallback(() => {
+    updateFilters(NO_FILTERS)
+  }, [updateFilters])
+
   const filteredTransfers = useMemo(
     () =>
-      transactions.filter(({ date, isIncoming, token }) => {
-        const type = isIncoming ? Incoming : Outgoing
-        // Exclude by transaction type
-        if (
-          selectedTransferType !== -1 &&
-          TRANSFER_TYPES[selectedTransferType] !== type
-        ) {
-          return false
-        }
-        // Filter separately by start and end date.
-        if (
-          selectedDateRange.start &&
-          isBefore(new Date(date), startOfDay(selectedDateRange.start))
-        ) {
-          return false
-        }
-        if (
-          selectedDateRange.end &&
-          isAfter(new Date(date), endOfDay(selectedDateRange.end))
-        ) {
-          return false
-        }
-        // Exclude by token
-        if (
-          selectedToken > 0 &&
-          !addressesEqual(token, tokensToFilter[selectedToken].address)
-        ) {
-          return false
-        }
+      transactions.filter(
+        ({ amount, date, entity, isIncoming, reference, token }) => {
+          const type = isIncoming ? Incoming : Outgoing
+          // Exclude by transaction type
+          if (
+            selectedTransferType !== -1 &&
+            TRANSFER_TYPES[selectedTransferType] !== type
+          ) {
+            return false
+          }
+          // Filter separately by start and end date.
+          if (
+            selectedDateRange.start &&
+            isBefore(new Date(date), startOfDay(selectedDateRange.start))
+          ) {
+            return false
+          }
+          if (
+            selectedDateRange.end &&
+            isAfter(new Date(date), endOfDay(selectedDateRange.end))
+          ) {
+            return false
+          }
+          // Exclude by token, and then by amount
+          if (selectedToken > 0) {
+            const selectedTokenDetails = tokensToFilter[selectedToken]
+            if (!addressesEqual(token, selectedTokenDetails.address)) {
+              return false
+            }
+            if (
+              !isInAmountRange(amount, selectedTokenDetails.decimals, filters)
+            ) {
+              return false
+            }
+          }
+          // Exclude by reference, entity or label
+          if (
+            !matchesSearch(
+              { entity, reference },
+              filters.search,
+              labels[entity.toLowerCase()]
+            )
+          ) {
+            return false
+          }
 
-        // All good, we can include the transaction ✌️
-        return true
-      }),
+          // All good, we can include the transaction ✌️
+          return true
+        }
+      ),
     [
+      filters,
+      labels,
       selectedDateRange,
       selectedTransferType,
       selectedToken,
@@ -95,21 +241,31 @@ function useFilteredTransfers({ transactions, tokens }) {
   )
   const symbols = tokensToFilter.map(({ symbol }) => symbol)
   const emptyResultsViaFilters =
-    !filteredTransfers &&
-    (selectedToken > 0 || selectedTransferType > 0 || selectedDateRange.start)
+    filteredTransfers.length === 0 &&
+    (selectedToken > 0 ||
+      selectedTransferType > 0 ||
+      Boolean(selectedDateRange.start) ||
+      Boolean(filters.search))
 
   return {
     emptyResultsViaFilters,
     filteredTransfers,
+    handleAmountRangeChange,
     handleClearFilters,
+    handleSearchChange,
     handleSelectedDateRangeChange,
     handleTokenChange,
     handleTransferTypeChange,
     page,
     setPage,
+    selectedAmountRange: {
+      maxAmount: filters.maxAmount,
+      minAmount: filters.minAmount,
+    },
     selectedDateRange,
     selectedToken,
     selectedTransferType,
+    searchTerm: filters.search,
     symbols,
     transferTypes: TRANSFER_TYPES_LABELS,
   }
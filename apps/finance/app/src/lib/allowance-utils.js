@@ -0,0 +1,39 @@
+import BN from 'bn.js'
+
+export const APPROVAL_EXACT = Symbol('APPROVAL_EXACT')
+export const APPROVAL_UNLIMITED = Symbol('APPROVAL_UNLIMITED')
+
+export const MAX_ALLOWANCE = new BN(2).pow(new BN(256)).subn(1)
+
+// Allowances above this are considered unlimited, as some tokens decrease
+// even the maximum allowance on every transfer
+const UNLIMITED_ALLOWANCE_THRESHOLD = MAX_ALLOWANCE.divn(2)
+
+/**
+ * Get the approvals needed before a token deposit.
+ *
+ * Some tokens (e.g. USDT, or MiniMe tokens) refuse to change an allowance
+ * that isn't zero, so an insufficient allowance always gets reset first.
+ *
+ * @param {BN|null} allowance the current allowance, or null if unknown
+ * @param {BN} amount the amount of the deposit
+ * @param {Symbol} approval APPROVAL_EXACT or APPROVAL_UNLIMITED
+ * @returns {Array<BN>} the values to approve, in order
+ */
+export function getApprovalSteps(allowance, amount, approval) {
+  if (allowance && allowance.gte(amount)) {
+    return []
+  }
+  const value = approval === APPROVAL_UNLIMITED ? MAX_ALLOWANCE : amount
+  return allowance && allowance.isZero() ? [value] : [new BN(0), value]
+}
+
+/**
+ * Check if an allowance can be considered unlimited.
+ *
+ * @param {BN} allowance the allowance
+ * @returns {bool} true if the allowance is unlimited
+ */
+export function isUnlimitedAllowance(allowance) {
+  return allowance.gt(UNLIMITED_ALLOWANCE_THRESHOLD)
+}
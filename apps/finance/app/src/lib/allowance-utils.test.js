@@ -0,0 +1,47 @@
+import BN from 'bn.js'
+import {
+  APPROVAL_EXACT,
+  APPROVAL_UNLIMITED,
+  MAX_ALLOWANCE,
+  getApprovalSteps,
+  isUnlimitedAllowance,
+} from './allowance-utils'
+
+const amount = new BN(100)
+
+describe('getApprovalSteps tests', () => {
+  test('Does not approve a sufficient allowance', () => {
+    expect(getApprovalSteps(new BN(100), amount, APPROVAL_EXACT)).toEqual([])
+    expect(getApprovalSteps(MAX_ALLOWANCE, amount, APPROVAL_EXACT)).toEqual([])
+  })
+
+  test('Approves the exact amount or an unlimited amount', () => {
+    expect(getApprovalSteps(new BN(0), amount, APPROVAL_EXACT)).toEqual([
+      amount,
+    ])
+    expect(getApprovalSteps(new BN(0), amount, APPROVAL_UNLIMITED)).toEqual([
+      MAX_ALLOWANCE,
+    ])
+  })
+
+  test('Resets an insufficient allowance first', () => {
+    const steps = getApprovalSteps(new BN(50), amount, APPROVAL_EXACT)
+    expect(steps.map(value => value.toString())).toEqual(['0', '100'])
+  })
+
+  test('Resets an unknown allowance first', () => {
+    const steps = getApprovalSteps(null, amount, APPROVAL_UNLIMITED)
+    expect(steps.map(value => value.toString())).toEqual([
+      '0',
+      MAX_ALLOWANCE.toString(),
+    ])
+  })
+})
+
+describe('isUnlimitedAllowance tests', () => {
+  test('Considers the allowances close to the maximum unlimited', () => {
+    expect(isUnlimitedAllowance(MAX_ALLOWANCE)).toBe(true)
+    expect(isUnlimitedAllowance(MAX_ALLOWANCE.subn(1000))).toBe(true)
+    expect(isUnlimitedAllowance(new BN(10).pow(new BN(30)))).toBe(false)
+  })
+})
@@ -0,0 +1,55 @@
+import BN from 'bn.js'
+import { addressesEqual } from './web3-utils'
+
+/**
+ * Get the spent and remaining amounts of every budget, for the current period.
+ *
+ * The contract only starts a new period on its next transaction, so the
+ * budgets of a period that already ended are considered as fully available.
+ *
+ * @param {Array<Object>} budgets budgets ({ amount, remaining, token }), as BN
+ * @param {Object} currentPeriod latest period ({ endTime }), if any
+ * @param {number} now the current time, in ms
+ * @returns {Array<Object>} the budgets, with their `spent` and `remaining` amounts
+ */
+export function getBudgetStatuses(budgets, currentPeriod, now) {
+  const periodEnded = Boolean(currentPeriod) && currentPeriod.endTime < now
+  return budgets.map(({ amount, remaining, token }) => {
+    const remainingInPeriod = periodEnded ? amount : remaining
+    return {
+      amount,
+      token,
+      remaining: remainingInPeriod,
+      // A budget decrease can make the spent amount exceed the budget
+      spent: amount.gt(remainingInPeriod)
+        ? amount.sub(remainingInPeriod)
+        : new BN(0),
+    }
+  })
+}
+
+/**
+ * Find the budget of a token.
+ *
+ * @param {Array<Object>} budgetStatuses as returned by getBudgetStatuses()
+ * @param {string} token address of the token
+ * @returns {Object} the budget, or null if the token has no budget
+ */
+export function findBudget(budgetStatuses, token) {
+  return (
+    budgetStatuses.find(budget => addressesEqual(budget.token, token)) || null
+  )
+}
+
+/**
+ * Check if spending an amount would fail the budget check of the contract.
+ *
+ * @param {Array<Object>} budgetStatuses as returned by getBudgetStatuses()
+ * @param {string} token address of the token
+ * @param {BN} amount amount to spend, in base units
+ * @returns {boolean} true if the amount is greater than the remaining budget
+ */
+export function exceedsRemainingBudget(budgetStatuses, token, amount) {
+  const budget = findBudget(budgetStatuses, token)
+  return Boolean(budget) && amount.gt(budget.remaining)
+}
@@ -0,0 +1,61 @@
+import BN from 'bn.js'
+import {
+  exceedsRemainingBudget,
+  findBudget,
+  getBudgetStatuses,
+} from './budget-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const OTHER_TOKEN = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+const NOW = 1000000
+
+const budgets = [
+  { amount: new BN('100'), remaining: new BN('40'), token: TOKEN },
+]
+
+describe('getBudgetStatuses tests', () => {
+  test('Computes the spent amount of the current period', () => {
+    const [budget] = getBudgetStatuses(budgets, { endTime: NOW + 1 }, NOW)
+    expect(budget.spent.toString()).toBe('60')
+    expect(budget.remaining.toString()).toBe('40')
+  })
+
+  test('Resets the budgets once the current period ended', () => {
+    const [budget] = getBudgetStatuses(budgets, { endTime: NOW - 1 }, NOW)
+    expect(budget.spent.toString()).toBe('0')
+    expect(budget.remaining.toString()).toBe('100')
+  })
+
+  test('Caps the spent amount to the budget', () => {
+    const [budget] = getBudgetStatuses(
+      [{ ...budgets[0], remaining: new BN('0') }],
+      { endTime: NOW + 1 },
+      NOW
+    )
+    expect(budget.spent.toString()).toBe('100')
+  })
+})
+
+describe('exceedsRemainingBudget tests', () => {
+  const budgetStatuses = getBudgetStatuses(budgets, { endTime: NOW + 1 }, NOW)
+
+  test('Finds budgets regardless of the address case', () => {
+    expect(findBudget(budgetStatuses, TOKEN.toLowerCase())).not.toBe(null)
+    expect(findBudget(budgetStatuses, OTHER_TOKEN)).toBe(null)
+  })
+
+  test('Compares amounts with the remaining budget', () => {
+    expect(exceedsRemainingBudget(budgetStatuses, TOKEN, new BN('40'))).toBe(
+      false
+    )
+    expect(exceedsRemainingBudget(budgetStatuses, TOKEN, new BN('41'))).toBe(
+      true
+    )
+  })
+
+  test('Never limits tokens without a budget', () => {
+    expect(
+      exceedsRemainingBudget(budgetStatuses, OTHER_TOKEN, new BN('1000'))
+    ).toBe(false)
+  })
+})
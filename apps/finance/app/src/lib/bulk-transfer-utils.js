@@ -0,0 +1,173 @@
+import BN from 'bn.js'
+import { exceedsRemainingBudget } from './budget-utils'
+import { toDecimals } from './math-utils'
+import { addressesEqual, isAddress } from './web3-utils'
+
+export const BULK_TRANSFER_COLUMNS = [
+  'recipient',
+  'token',
+  'amount',
+  'reference',
+]
+
+/**
+ * Parse the content of a CSV file.
+ * Supports quoted values, escaped quotes ("") and CRLF line breaks.
+ *
+ * @param {string} content content of the file
+ * @returns {Array<Array<string>>} the non-empty lines, as lists of values
+ */
+export function parseCsv(content) {
+  const lines = []
+  let line = []
+  let value = ''
+  let quoted = false
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      line.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++
+      }
+      lines.push(line.concat(value))
+      line = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  lines.push(line.concat(value))
+
+  return lines
+    .map(values => values.map(value => value.trim()))
+    .filter(values => values.some(Boolean))
+}
+
+/**
+ * Get the transfers of a bulk transfer CSV file.
+ * A first line naming the columns is ignored.
+ *
+ * @param {string} content content of the file
+ * @returns {Array<Object>} the transfers ({ amount, line, recipient, reference, token })
+ */
+export function parseBulkTransferCsv(content) {
+  const lines = parseCsv(content)
+  const hasHeader =
+    lines.length > 0 && lines[0][0].toLowerCase() === BULK_TRANSFER_COLUMNS[0]
+
+  return lines
+    .map((values, index) => {
+      const [recipient = '', token = '', amount = '', reference = ''] = values
+      return { amount, recipient, reference, token, line: index + 1 }
+    })
+    .slice(hasHeader ? 1 : 0)
+}
+
+function findToken(tokens, tokenId) {
+  if (isAddress(tokenId)) {
+    return tokens.find(({ address }) => addressesEqual(address, tokenId))
+  }
+  const matchingTokens = tokens.filter(
+    ({ symbol }) => symbol.toLowerCase() === tokenId.toLowerCase()
+  )
+  // Symbols are not unique, an address is needed in that case
+  return matchingTokens.length === 1 ? matchingTokens[0] : undefined
+}
+
+/**
+ * Validate the transfers of a bulk transfer.
+ *
+ * The totals of every token are checked against the balances and remaining
+ * budgets, as a single failing transfer makes the whole batch fail.
+ *
+ * @param {Array<Object>} transfers as returned by parseBulkTransferCsv(), with
+ *   their recipient resolved to an address if possible
+ * @param {Object} options validation options
+ * @param {Array<Object>} options.budgetStatuses the budgets of the current period
+ * @param {Array<Object>} options.tokens the tokens of the app, with their balance
+ * @returns {Array<Object>} the transfers, with their `token` details, their
+ *   `adjustedAmount` in base units and an `error` message if they are invalid
+ */
+export function validateBulkTransfers(transfers, { budgetStatuses, tokens }) {
+  const validatedTransfers = transfers.map(transfer => {
+    const token = findToken(tokens, transfer.token)
+    const validatedTransfer = { ...transfer, token, adjustedAmount: null }
+
+    if (!isAddress(transfer.recipient)) {
+      return { ...validatedTransfer, error: 'Unknown recipient' }
+    }
+    if (!token) {
+      return { ...validatedTransfer, error: 'Unknown token' }
+    }
+    // Adjust but without truncation in case the user entered a value with
+    // more decimals than possible
+    const adjustedAmount = toDecimals(transfer.amount, token.decimals, {
+      truncate: false,
+    })
+    if (adjustedAmount.indexOf('.') !== -1) {
+      return {
+        ...validatedTransfer,
+        error: 'Amount contains too many decimal places',
+      }
+    }
+    if (!/^\d+$/.test(adjustedAmount) || /^0+$/.test(adjustedAmount)) {
+      return { ...validatedTransfer, error: 'Invalid amount' }
+    }
+    return { ...validatedTransfer, adjustedAmount, error: null }
+  })
+
+  const totals = getBulkTransferTotals(validatedTransfers)
+  return validatedTransfers.map(transfer => {
+    if (transfer.error) {
+      return transfer
+    }
+    const { total } = totals.find(({ token }) => token === transfer.token)
+    if (total.gt(transfer.token.amount)) {
+      return {
+        ...transfer,
+        error: `Total exceeds the ${transfer.token.symbol} balance`,
+      }
+    }
+    if (exceedsRemainingBudget(budgetStatuses, transfer.token.address, total)) {
+      return {
+        ...transfer,
+        error: `Total exceeds the remaining ${transfer.token.symbol} budget`,
+      }
+    }
+    return transfer
+  })
+}
+
+/**
+ * Get the total amount of every token in a bulk transfer.
+ *
+ * @param {Array<Object>} transfers as returned by validateBulkTransfers()
+ * @returns {Array<Object>} the totals ({ token, total }) of the valid amounts
+ */
+export function getBulkTransferTotals(transfers) {
+  return transfers.reduce((totals, { adjustedAmount, token }) => {
+    if (!adjustedAmount) {
+      return totals
+    }
+    const tokenTotal = totals.find(total => total.token === token)
+    if (tokenTotal) {
+      tokenTotal.total = tokenTotal.total.add(new BN(adjustedAmount))
+      return totals
+    }
+    return totals.concat({ token, total: new BN(adjustedAmount) })
+  }, [])
+}
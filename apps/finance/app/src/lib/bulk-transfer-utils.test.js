@@ -0,0 +1,115 @@
+import BN from 'bn.js'
+import {
+  getBulkTransferTotals,
+  parseBulkTransferCsv,
+  parseCsv,
+  validateBulkTransfers,
+} from './bulk-transfer-utils'
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const BAT = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+const RECIPIENT = '0x1985365e9f78359a9B6AD760e32412f4a445E862'
+
+const ONE = new BN('10').pow(new BN('18'))
+const tokens = [
+  { address: DAI, amount: ONE.muln(10), decimals: 18, symbol: 'DAI' },
+  { address: BAT, amount: ONE.muln(10), decimals: 18, symbol: 'BAT' },
+]
+
+describe('parseCsv tests', () => {
+  test('Handles quotes, escaped quotes and line breaks', () => {
+    expect(parseCsv('a,"b, c"\r\n"d ""e""",f\n\n')).toEqual([
+      ['a', 'b, c'],
+      ['d "e"', 'f'],
+    ])
+  })
+})
+
+describe('parseBulkTransferCsv tests', () => {
+  test('Skips the header and keeps the line numbers', () => {
+    const transfers = parseBulkTransferCsv(
+      `Recipient,Token,Amount,Reference\n${RECIPIENT},DAI,1.5,Salary`
+    )
+    expect(transfers).toEqual([
+      {
+        amount: '1.5',
+        line: 2,
+        recipient: RECIPIENT,
+        reference: 'Salary',
+        token: 'DAI',
+      },
+    ])
+  })
+})
+
+describe('validateBulkTransfers tests', () => {
+  const validate = (transfers, budgetStatuses = []) =>
+    validateBulkTransfers(
+      transfers.map((transfer, index) => ({
+        line: index + 1,
+        recipient: RECIPIENT,
+        reference: '',
+        ...transfer,
+      })),
+      { budgetStatuses, tokens }
+    )
+
+  test('Finds tokens by symbol or address', () => {
+    const [bySymbol, byAddress] = validate([
+      { amount: '1', token: 'dai' },
+      { amount: '1', token: BAT.toLowerCase() },
+    ])
+    expect(bySymbol.error).toBe(null)
+    expect(bySymbol.token.symbol).toBe('DAI')
+    expect(bySymbol.adjustedAmount).toBe(ONE.toString())
+    expect(byAddress.token.symbol).toBe('BAT')
+  })
+
+  test('Rejects invalid rows', () => {
+    const [recipient, token, decimals, zero] = validate([
+      { amount: '1', recipient: 'alice', token: 'DAI' },
+      { amount: '1', token: 'ANT' },
+      { amount: '0.0000000000000000001', token: 'DAI' },
+      { amount: '0', token: 'DAI' },
+    ])
+    expect(recipient.error).toBe('Unknown recipient')
+    expect(token.error).toBe('Unknown token')
+    expect(decimals.error).toBe('Amount contains too many decimal places')
+    expect(zero.error).toBe('Invalid amount')
+  })
+
+  test('Checks the totals against the balances and budgets', () => {
+    const overBalance = validate([
+      { amount: '6', token: 'DAI' },
+      { amount: '5', token: 'DAI' },
+      { amount: '5', token: 'BAT' },
+    ])
+    expect(overBalance.map(({ error }) => error)).toEqual([
+      'Total exceeds the DAI balance',
+      'Total exceeds the DAI balance',
+      null,
+    ])
+
+    const overBudget = validate(
+      [{ amount: '2', token: 'BAT' }],
+      [{ amount: ONE.muln(5), remaining: ONE, spent: ONE.muln(4), token: BAT }]
+    )
+    expect(overBudget[0].error).toBe('Total exceeds the remaining BAT budget')
+  })
+
+  test('Sums the valid amounts of every token', () => {
+    const totals = getBulkTransferTotals(
+      validate([
+        { amount: '1', token: 'DAI' },
+        { amount: '2.5', token: 'DAI' },
+        { amount: '1', token: 'ANT' },
+      ])
+    )
+    expect(totals.length).toBe(1)
+    expect(totals[0].total.toString()).toBe(
+      ONE.muln(35)
+        .divn(10)
+        .toString()
+    )
+  })
+})
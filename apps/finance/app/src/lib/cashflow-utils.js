@@ -0,0 +1,158 @@
+import { getFiatValue } from './price-feed-utils'
+import { addressesEqual } from './web3-utils'
+
+// Approximation of a month, used to express rates
+export const MONTH_DURATION = 30 * 24 * 60 * 60 * 1000
+
+// Period over which the burn rate is averaged
+export const BURN_RATE_WINDOW = 3 * MONTH_DURATION
+
+// Sum the fiat values of some token amounts, ignoring the tokens without rate
+function sumFiatValues(amounts, convertRates) {
+  return amounts.reduce(
+    (total, { amount, token }) =>
+      total +
+      (getFiatValue(amount, token.decimals, convertRates[token.symbol]) || 0),
+    0
+  )
+}
+
+/**
+ * Get the net cashflow of every period, latest first.
+ *
+ * @param {Array<Object>} periods the periods, with their active `statements`
+ *   ({ expenses, income, token }) as returned by getActiveStatements()
+ * @param {Object} convertRates amount of every token for one unit of the currency, by symbol
+ * @returns {Array<Object>} the cashflows ({ id, startTime, endTime, nets,
+ *   fiatNet }), with the net amount of every token
+ */
+export function getPeriodCashflows(periods, convertRates) {
+  return [...periods]
+    .sort((periodA, periodB) => periodB.id - periodA.id)
+    .map(({ endTime, id, startTime, statements }) => {
+      const nets = statements.map(({ expenses, income, token }) => ({
+        amount: income.sub(expenses),
+        token,
+      }))
+      return {
+        endTime,
+        id,
+        nets,
+        startTime,
+        fiatNet: sumFiatValues(nets, convertRates),
+      }
+    })
+}
+
+/**
+ * Get the entities that received or sent the most, grouped by address.
+ *
+ * @param {Array<Object>} transactions the transactions of the app
+ * @param {Array<Object>} tokens the tokens of the app
+ * @param {Object} convertRates amount of every token for one unit of the currency, by symbol
+ * @param {Object} options options
+ * @param {bool} options.incoming true to get the depositors, false to get the recipients
+ * @param {number} [options.limit=5] number of entities to return
+ * @returns {Array<Object>} the entities ({ amounts, count, entity, fiatValue }),
+ *   sorted by fiat value and then number of transactions
+ */
+export function getTopEntities(
+  transactions,
+  tokens,
+  convertRates,
+  { incoming, limit = 5 }
+) {
+  const entities = transactions
+    .filter(({ isIncoming }) => isIncoming === incoming)
+    .reduce((entities, { amount, entity, token: tokenAddress }) => {
+      const token = tokens.find(({ address }) =>
+        addressesEqual(address, tokenAddress)
+      )
+      if (!token) {
+        return entities
+      }
+      const key = entity.toLowerCase()
+      const entityItem = entities.get(key) || {
+        amounts: [],
+        count: 0,
+        entity,
+      }
+      const tokenAmount = entityItem.amounts.find(
+        amount => amount.token === token
+      )
+      entities.set(key, {
+        ...entityItem,
+        amounts: tokenAmount
+          ? entityItem.amounts.map(item =>
+              item === tokenAmount
+                ? { ...item, amount: item.amount.add(amount) }
+                : item
+            )
+          : entityItem.amounts.concat({ amount, token }),
+        count: entityItem.count + 1,
+      })
+      return entities
+    }, new Map())
+
+  return [...entities.values()]
+    .map(entity => ({
+      ...entity,
+      fiatValue: sumFiatValues(entity.amounts, convertRates),
+    }))
+    .sort(
+      (entityA, entityB) =>
+        entityB.fiatValue - entityA.fiatValue || entityB.count - entityA.count
+    )
+    .slice(0, limit)
+}
+
+/**
+ * Get the average monthly fiat value of the outgoing transactions.
+ *
+ * @param {Array<Object>} transactions the transactions of the app
+ * @param {Array<Object>} tokens the tokens of the app
+ * @param {Object} convertRates amount of every token for one unit of the currency, by symbol
+ * @param {number} now current time, in milliseconds
+ * @returns {number} the monthly burn rate, in the currency of the rates
+ */
+export function getBurnRate(transactions, tokens, convertRates, now) {
+  const windowStart = now - BURN_RATE_WINDOW
+  const expenses = transactions
+    .filter(({ date, isIncoming }) => !isIncoming && date > windowStart)
+    .map(({ amount, token: tokenAddress }) => ({
+      amount,
+      token: tokens.find(({ address }) =>
+        addressesEqual(address, tokenAddress)
+      ),
+    }))
+    .filter(({ token }) => Boolean(token))
+
+  return (
+    sumFiatValues(expenses, convertRates) / (BURN_RATE_WINDOW / MONTH_DURATION)
+  )
+}
+
+/**
+ * Get the fiat value of the balances of the app.
+ *
+ * @param {Array<Object>} tokens the tokens of the app, with their balance (`amount`)
+ * @param {Object} convertRates amount of every token for one unit of the currency, by symbol
+ * @returns {number} the value of the tokens with a known rate
+ */
+export function getFiatBalance(tokens, convertRates) {
+  return sumFiatValues(
+    tokens.map(token => ({ amount: token.amount, token })),
+    convertRates
+  )
+}
+
+/**
+ * Get the number of months a balance lasts at a given burn rate.
+ *
+ * @param {number} fiatBalance the balance
+ * @param {number} burnRate the monthly burn rate, in the same currency
+ * @returns {number|null} the runway in months, or null without any burn
+ */
+export function getRunway(fiatBalance, burnRate) {
+  return burnRate > 0 ? fiatBalance / burnRate : null
+}
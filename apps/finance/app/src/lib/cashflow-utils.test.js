@@ -0,0 +1,121 @@
+import BN from 'bn.js'
+import {
+  MONTH_DURATION,
+  getBurnRate,
+  getFiatBalance,
+  getPeriodCashflows,
+  getRunway,
+  getTopEntities,
+} from './cashflow-utils'
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const BAT = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+const ALICE = '0x1985365e9f78359a9B6AD760e32412f4a445E862'
+const BOB = '0x960b236A07cf122663c4303350609A66A7B288C0'
+
+const ONE = new BN('10').pow(new BN('18'))
+const tokens = [
+  { address: DAI, amount: ONE.muln(1000), decimals: 18, symbol: 'DAI' },
+  { address: BAT, amount: ONE.muln(100), decimals: 18, symbol: 'BAT' },
+]
+// 1 USD = 1 DAI = 4 BAT
+const convertRates = { DAI: 1, BAT: 4 }
+
+describe('getPeriodCashflows tests', () => {
+  test('Nets the statements of every period, latest first', () => {
+    const [latest, first] = getPeriodCashflows(
+      [
+        {
+          id: '0',
+          statements: [
+            { expenses: ONE.muln(30), income: ONE.muln(10), token: tokens[0] },
+          ],
+        },
+        {
+          id: '1',
+          statements: [
+            { expenses: ONE, income: ONE.muln(9), token: tokens[1] },
+          ],
+        },
+      ],
+      convertRates
+    )
+    expect(latest.id).toBe('1')
+    expect(latest.fiatNet).toBe(2)
+    expect(first.nets[0].amount.toString()).toBe(
+      ONE.muln(20)
+        .neg()
+        .toString()
+    )
+    expect(first.fiatNet).toBe(-20)
+  })
+})
+
+describe('getTopEntities tests', () => {
+  const transactions = [
+    { amount: ONE.muln(10), entity: ALICE, isIncoming: false, token: DAI },
+    {
+      amount: ONE.muln(10),
+      entity: ALICE.toLowerCase(),
+      isIncoming: false,
+      token: DAI,
+    },
+    { amount: ONE.muln(40), entity: BOB, isIncoming: false, token: BAT },
+    { amount: ONE.muln(99), entity: BOB, isIncoming: true, token: DAI },
+  ]
+
+  test('Groups the recipients by address and sorts them by value', () => {
+    const [alice, bob] = getTopEntities(transactions, tokens, convertRates, {
+      incoming: false,
+    })
+    expect(alice.entity).toBe(ALICE)
+    expect(alice.count).toBe(2)
+    expect(alice.amounts[0].amount.toString()).toBe(ONE.muln(20).toString())
+    expect(alice.fiatValue).toBe(20)
+    expect(bob.fiatValue).toBe(10)
+  })
+
+  test('Limits the depositors', () => {
+    expect(
+      getTopEntities(transactions, tokens, convertRates, {
+        incoming: true,
+        limit: 0,
+      })
+    ).toEqual([])
+    expect(
+      getTopEntities(transactions, tokens, convertRates, { incoming: true })
+        .length
+    ).toBe(1)
+  })
+})
+
+describe('getBurnRate and getRunway tests', () => {
+  const now = 12 * MONTH_DURATION
+
+  test('Averages the recent payments over a month', () => {
+    const transactions = [
+      // Outside of the window
+      { amount: ONE.muln(600), date: 0, isIncoming: false, token: DAI },
+      {
+        amount: ONE.muln(300),
+        date: now - MONTH_DURATION,
+        isIncoming: false,
+        token: DAI,
+      },
+      {
+        amount: ONE.muln(300),
+        date: now - MONTH_DURATION,
+        isIncoming: true,
+        token: DAI,
+      },
+    ]
+    expect(getBurnRate(transactions, tokens, convertRates, now)).toBe(100)
+  })
+
+  test('Divides the balances by the burn rate', () => {
+    const fiatBalance = getFiatBalance(tokens, convertRates)
+    expect(fiatBalance).toBe(1025)
+    expect(getRunway(fiatBalance, 100)).toBe(10.25)
+    expect(getRunway(fiatBalance, 0)).toBe(null)
+  })
+})
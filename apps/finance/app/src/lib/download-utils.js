@@ -0,0 +1,52 @@
+import { format } from 'date-fns'
+import { formatTokenAmount } from '@aragon/ui'
+import { getFiatValue } from './price-feed-utils'
+import { toChecksumAddress } from './web3-utils'
+
+export const formatDate = date => format(date, 'yyyy-MM-dd')
+
+// Build the CSV export of a list of transfers, optionally valued in a
+// currency at the rate of their own date
+export const getDownloadData = async (
+  transfers,
+  tokenDetails,
+  resolveAddress,
+  { currency, getHistoricalRates } = {}
+) => {
+  const withValues = Boolean(currency && getHistoricalRates)
+  const mappedData = await Promise.all(
+    transfers.map(
+      async ({ date, amount, reference, isIncoming, entity, token }) => {
+        const { name = '' } = (await resolveAddress(entity)) || {}
+
+        const { symbol, decimals } = tokenDetails[toChecksumAddress(token)]
+
+        const signedAmount = isIncoming ? amount : amount.neg()
+        const formattedAmount = formatTokenAmount(signedAmount, decimals, {
+          displaySign: true,
+          digits: 5,
+          symbol,
+        })
+
+        const values = [
+          formatDate(date),
+          name,
+          entity,
+          reference,
+          formattedAmount,
+        ]
+        if (withValues) {
+          const rates = await getHistoricalRates([symbol], date)
+          const value = getFiatValue(signedAmount, decimals, rates[symbol])
+          values.push(value === null ? '' : value.toFixed(2))
+        }
+
+        return values.map(value => `"${value}"`).join(',')
+      }
+    )
+  )
+  const header = 'Date,Name,Source/Recipient,Reference,Amount'
+  return [withValues ? `${header},Value (${currency})` : header]
+    .concat(mappedData)
+    .join('\n')
+}
@@ -0,0 +1,63 @@
+import abi from 'web3-eth-abi'
+import { isAddress } from './web3-utils'
+import newImmediatePaymentAbi from '../abi/finance-new-immediate-payment.json'
+
+// Spec id of the CallsScript executor
+export const CALLSCRIPT_ID = '0x00000001'
+
+// Size of the calldata length field, in hex characters
+const CALLDATA_LENGTH_LENGTH = 8
+
+function stripHexPrefix(value) {
+  return value.startsWith('0x') ? value.slice(2) : value
+}
+
+/**
+ * Encode a call to Finance's newImmediatePayment().
+ *
+ * @param {Object} payment the payment
+ * @param {string} payment.amount amount to pay, in base units
+ * @param {string} payment.receiver address of the receiver
+ * @param {string} payment.reference reference of the payment
+ * @param {string} payment.token address of the token
+ * @returns {string} the calldata
+ */
+export function encodeNewImmediatePayment({
+  amount,
+  receiver,
+  reference,
+  token,
+}) {
+  return abi.encodeFunctionCall(newImmediatePaymentAbi[0], [
+    token,
+    receiver,
+    amount,
+    reference || '',
+  ])
+}
+
+/**
+ * Encode a list of calls into an EVM callscript.
+ *
+ * Every call is encoded as its target address (20 bytes),
+ * the length of its calldata (uint32, 4 bytes) and its calldata.
+ *
+ * @param {Array<Object>} calls the calls ({ to, data })
+ * @returns {string} the callscript
+ */
+export function encodeCallScript(calls) {
+  return calls.reduce((script, { to, data }) => {
+    if (!isAddress(to)) {
+      throw new Error(`Invalid target address: ${to}`)
+    }
+    const calldata = stripHexPrefix(data)
+    if (calldata.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(calldata)) {
+      throw new Error(`Invalid calldata for ${to}`)
+    }
+    const address = stripHexPrefix(to).toLowerCase()
+    const calldataLength = (calldata.length / 2)
+      .toString(16)
+      .padStart(CALLDATA_LENGTH_LENGTH, '0')
+    return `${script}${address}${calldataLength}${calldata.toLowerCase()}`
+  }, CALLSCRIPT_ID)
+}
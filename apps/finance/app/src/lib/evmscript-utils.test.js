@@ -0,0 +1,46 @@
+import { encodeCallScript, encodeNewImmediatePayment } from './evmscript-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const RECEIVER = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+
+describe('encodeNewImmediatePayment tests', () => {
+  test('Encodes the call with its dynamic reference', () => {
+    expect(
+      encodeNewImmediatePayment({
+        amount: '1500000000000000000',
+        receiver: RECEIVER,
+        reference: 'Salary',
+        token: TOKEN,
+      })
+    ).toBe(
+      '0xf6364846' +
+        '0000000000000000000000006b175474e89094c44da98b954eedeac495271d0f' +
+        '0000000000000000000000000d8775f648430679a709e98d2b0cb6250d2887ef' +
+        '00000000000000000000000000000000000000000000000014d1120d7b160000' +
+        '0000000000000000000000000000000000000000000000000000000000000080' +
+        '0000000000000000000000000000000000000000000000000000000000000006' +
+        '53616c6172790000000000000000000000000000000000000000000000000000'
+    )
+  })
+})
+
+describe('encodeCallScript tests', () => {
+  test('Prefixes every call with its target and calldata length', () => {
+    expect(
+      encodeCallScript([
+        { to: TOKEN, data: '0x12345678' },
+        { to: RECEIVER, data: '0xabcdef' },
+      ])
+    ).toBe(
+      '0x00000001' +
+        '6b175474e89094c44da98b954eedeac495271d0f0000000412345678' +
+        '0d8775f648430679a709e98d2b0cb6250d2887ef00000003abcdef'
+    )
+  })
+
+  test('Rejects invalid targets and calldata', () => {
+    expect(() => encodeCallScript([{ to: '0x1234', data: '0x' }])).toThrow()
+    expect(() => encodeCallScript([{ to: TOKEN, data: '0x123' }])).toThrow()
+    expect(() => encodeCallScript([{ to: TOKEN, data: '0xzz' }])).toThrow()
+  })
+})
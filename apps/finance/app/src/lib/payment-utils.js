@@ -0,0 +1,61 @@
+export const PAYMENT_STATUS_ACTIVE = Symbol('PAYMENT_STATUS_ACTIVE')
+export const PAYMENT_STATUS_COMPLETED = Symbol('PAYMENT_STATUS_COMPLETED')
+export const PAYMENT_STATUS_DUE = Symbol('PAYMENT_STATUS_DUE')
+export const PAYMENT_STATUS_PAUSED = Symbol('PAYMENT_STATUS_PAUSED')
+
+const DAY_IN_SECONDS = 24 * 60 * 60
+
+// Intervals the payments can be repeated at. As the contract only knows about
+// durations, a month is approximated to 30 days.
+export const PAYMENT_INTERVALS = [
+  { label: 'Days', seconds: DAY_IN_SECONDS },
+  { label: 'Weeks', seconds: 7 * DAY_IN_SECONDS },
+  { label: 'Months (30 days)', seconds: 30 * DAY_IN_SECONDS },
+]
+
+/**
+ * Get the status of a scheduled payment at a given time.
+ *
+ * @param {Object} payment the payment, as stored by the background script
+ * @param {number} now the current time, in ms
+ * @returns {Symbol} one of the PAYMENT_STATUS_* constants
+ */
+export function getPaymentStatus(
+  { active, executions, maxExecutions, nextPaymentTime },
+  now
+) {
+  if (executions >= maxExecutions || nextPaymentTime === null) {
+    return PAYMENT_STATUS_COMPLETED
+  }
+  if (!active) {
+    return PAYMENT_STATUS_PAUSED
+  }
+  return nextPaymentTime <= now ? PAYMENT_STATUS_DUE : PAYMENT_STATUS_ACTIVE
+}
+
+/**
+ * Get the number of executions of a scheduled payment that are due.
+ *
+ * @param {Object} payment the payment, as stored by the background script
+ * @param {number} now the current time, in ms
+ * @returns {number} the number of due executions
+ */
+export function getDueExecutions(payment, now) {
+  if (getPaymentStatus(payment, now) !== PAYMENT_STATUS_DUE) {
+    return 0
+  }
+  const { executions, interval, maxExecutions, nextPaymentTime } = payment
+  const elapsedExecutions = Math.floor((now - nextPaymentTime) / interval) + 1
+  return Math.min(elapsedExecutions, maxExecutions - executions)
+}
+
+/**
+ * Get the scheduled payments that can be executed.
+ *
+ * @param {Array<Object>} payments the payments, as stored by the background script
+ * @param {number} now the current time, in ms
+ * @returns {Array<Object>} the due payments
+ */
+export function getDuePayments(payments, now) {
+  return payments.filter(payment => getDueExecutions(payment, now) > 0)
+}
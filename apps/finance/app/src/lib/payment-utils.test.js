@@ -0,0 +1,83 @@
+import {
+  PAYMENT_STATUS_ACTIVE,
+  PAYMENT_STATUS_COMPLETED,
+  PAYMENT_STATUS_DUE,
+  PAYMENT_STATUS_PAUSED,
+  getDueExecutions,
+  getDuePayments,
+  getPaymentStatus,
+} from './payment-utils'
+
+const DAY = 24 * 60 * 60 * 1000
+const NOW = 100 * DAY
+
+const payment = {
+  active: true,
+  executions: 2,
+  interval: DAY,
+  maxExecutions: 5,
+  nextPaymentTime: NOW + DAY,
+}
+
+describe('getPaymentStatus tests', () => {
+  test('Payments waiting for their next execution are active', () => {
+    expect(getPaymentStatus(payment, NOW)).toBe(PAYMENT_STATUS_ACTIVE)
+  })
+
+  test('Payments past their next execution are due', () => {
+    expect(getPaymentStatus({ ...payment, nextPaymentTime: NOW }, NOW)).toBe(
+      PAYMENT_STATUS_DUE
+    )
+  })
+
+  test('Inactive payments are paused', () => {
+    expect(
+      getPaymentStatus(
+        { ...payment, active: false, nextPaymentTime: NOW - DAY },
+        NOW
+      )
+    ).toBe(PAYMENT_STATUS_PAUSED)
+  })
+
+  test('Payments executed as many times as allowed are completed', () => {
+    expect(
+      getPaymentStatus(
+        { ...payment, active: false, executions: 5, nextPaymentTime: null },
+        NOW
+      )
+    ).toBe(PAYMENT_STATUS_COMPLETED)
+  })
+})
+
+describe('getDueExecutions tests', () => {
+  test('Counts every elapsed interval', () => {
+    expect(
+      getDueExecutions({ ...payment, nextPaymentTime: NOW - 1.5 * DAY }, NOW)
+    ).toBe(2)
+  })
+
+  test('Never exceeds the remaining executions', () => {
+    expect(
+      getDueExecutions({ ...payment, nextPaymentTime: NOW - 10 * DAY }, NOW)
+    ).toBe(3)
+  })
+
+  test('Ignores paused and upcoming payments', () => {
+    expect(getDueExecutions(payment, NOW)).toBe(0)
+    expect(
+      getDueExecutions(
+        { ...payment, active: false, nextPaymentTime: NOW - DAY },
+        NOW
+      )
+    ).toBe(0)
+  })
+})
+
+describe('getDuePayments tests', () => {
+  test('Only keeps the payments that can be executed', () => {
+    const duePayment = { ...payment, id: '2', nextPaymentTime: NOW }
+    expect(getDuePayments([{ ...payment, id: '1' }, duePayment], NOW)).toEqual([
+      duePayment,
+    ])
+  })
+})
@@ -0,0 +1,83 @@
+import { addressesEqual } from './web3-utils'
+
+/**
+ * Get the statements of the tokens that moved during a period.
+ *
+ * @param {Object} period the period, with its `statements` as BN
+ * @param {Array<Object>} tokens the tokens of the app
+ * @returns {Array<Object>} the statements ({ expenses, income, token }), with
+ *   the details of their token
+ */
+export function getActiveStatements({ statements }, tokens) {
+  return statements
+    .filter(({ expenses, income }) => !expenses.isZero() || !income.isZero())
+    .map(statement => ({
+      ...statement,
+      token: tokens.find(({ address }) =>
+        addressesEqual(address, statement.token)
+      ),
+    }))
+    .filter(({ token }) => Boolean(token))
+}
+
+/**
+ * Get the transactions recorded during a period.
+ *
+ * @param {Array<Object>} transactions the transactions of the app
+ * @param {string} periodId id of the period
+ * @returns {Array<Object>} the transactions of the period
+ */
+export function getPeriodTransactions(transactions, periodId) {
+  return transactions.filter(transaction => transaction.periodId === periodId)
+}
+
+// Periods transitioned in a single tryTransitionAccountingPeriod() call, to
+// stay far from the block gas limit (each transition costs around 80k gas)
+export const MAX_PERIOD_TRANSITIONS_PER_TX = 50
+
+/**
+ * Get the number of accounting period transitions pending on the contract.
+ *
+ * The contract only transitions periods when its accounting is touched (e.g.
+ * by a deposit or payment), which then pays for all the pending transitions.
+ *
+ * @param {Array<Object>} periods the periods of the app, the last one being current
+ * @param {number} periodDuration duration of new periods, in milliseconds
+ * @param {number} now current time, in milliseconds
+ * @returns {number} the number of periods the contract has to transition
+ */
+export function getPendingPeriodTransitions(periods, periodDuration, now) {
+  if (!periods || periods.length === 0 || !periodDuration) {
+    return 0
+  }
+  // Work in seconds, as the contract does
+  const endTime = Math.floor(periods[periods.length - 1].endTime / 1000)
+  const timestamp = Math.floor(now / 1000)
+  const duration = Math.floor(periodDuration / 1000)
+  if (timestamp <= endTime) {
+    return 0
+  }
+  // Every new period starts right after the end of the previous one
+  return Math.floor((timestamp - endTime - 1) / duration) + 1
+}
+
+/**
+ * Get the gas to send with a transaction touching the accounting (e.g. a
+ * deposit or a payment), which pays for the pending period transitions.
+ *
+ * While it's generally a bad idea to hardcode gas in intents, the estimation
+ * fails when many periods lapsed. The actual gas cost is around ~180k + 20k
+ * per 32 chars of reference + 80k per period transition, with some breathing
+ * room in case it gets forwarded.
+ *
+ * @param {string} reference reference of the transaction
+ * @param {number} pendingTransitions number of pending period transitions
+ * @returns {number} the gas
+ */
+export function getAccountingTransactionGas(reference, pendingTransitions) {
+  return (
+    450000 +
+    20000 * Math.ceil((reference || '').length / 32) +
+    80000 * pendingTransitions
+  )
+}
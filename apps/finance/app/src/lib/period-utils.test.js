@@ -0,0 +1,77 @@
+import BN from 'bn.js'
+import {
+  getAccountingTransactionGas,
+  getActiveStatements,
+  getPendingPeriodTransitions,
+  getPeriodTransactions,
+} from './period-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const OTHER_TOKEN = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+const UNKNOWN_TOKEN = '0x1985365e9f78359a9B6AD760e32412f4a445E862'
+
+const tokens = [
+  { address: TOKEN, decimals: 18, symbol: 'DAI' },
+  { address: OTHER_TOKEN, decimals: 18, symbol: 'BAT' },
+]
+
+describe('getActiveStatements tests', () => {
+  test('Only keeps the known tokens that moved', () => {
+    const statements = getActiveStatements(
+      {
+        statements: [
+          { expenses: new BN('5'), income: new BN('0'), token: TOKEN },
+          { expenses: new BN('0'), income: new BN('0'), token: OTHER_TOKEN },
+          { expenses: new BN('0'), income: new BN('3'), token: UNKNOWN_TOKEN },
+        ],
+      },
+      tokens
+    )
+    expect(statements.length).toBe(1)
+    expect(statements[0].token.symbol).toBe('DAI')
+    expect(statements[0].expenses.toString()).toBe('5')
+  })
+})
+
+describe('getPeriodTransactions tests', () => {
+  test('Filters the transactions by period', () => {
+    const transactions = [
+      { id: '1', periodId: '0' },
+      { id: '2', periodId: '1' },
+      { id: '3', periodId: '1' },
+    ]
+    expect(
+      getPeriodTransactions(transactions, '1').map(({ id }) => id)
+    ).toEqual(['2', '3'])
+  })
+})
+
+describe('getPendingPeriodTransitions tests', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  // First period, from day 0 to the last second of day 1
+  const periods = [{ id: '0', startTime: 0, endTime: 2 * DAY - 1000 }]
+
+  test('No transitions during the current period', () => {
+    expect(getPendingPeriodTransitions(periods, DAY, 0)).toBe(0)
+    expect(getPendingPeriodTransitions(periods, DAY, 2 * DAY - 1)).toBe(0)
+  })
+
+  test('One transition per lapsed period', () => {
+    expect(getPendingPeriodTransitions(periods, DAY, 2 * DAY)).toBe(1)
+    expect(getPendingPeriodTransitions(periods, DAY, 3 * DAY - 1)).toBe(1)
+    expect(getPendingPeriodTransitions(periods, DAY, 3 * DAY)).toBe(2)
+    expect(getPendingPeriodTransitions(periods, DAY, 102 * DAY)).toBe(101)
+  })
+
+  test('No transitions without periods', () => {
+    expect(getPendingPeriodTransitions([], DAY, 3 * DAY)).toBe(0)
+  })
+})
+
+describe('getAccountingTransactionGas tests', () => {
+  test('Pays for the reference and the period transitions', () => {
+    expect(getAccountingTransactionGas('', 0)).toBe(450000)
+    expect(getAccountingTransactionGas('a'.repeat(33), 0)).toBe(490000)
+    expect(getAccountingTransactionGas('Salary', 3)).toBe(710000)
+  })
+})
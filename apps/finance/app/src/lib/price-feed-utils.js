@@ -0,0 +1,144 @@
+import { format } from 'date-fns'
+import { getConvertedAmount } from './conversion-utils'
+import { fromDecimals } from './math-utils'
+
+export const BASE_CURRENCIES = ['USD', 'EUR', 'CHF']
+export const DEFAULT_BASE_CURRENCY = 'USD'
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', CHF: 'CHF ' }
+
+// Rates older than this are flagged as outdated
+export const STALE_RATES_AGE = 24 * 60 * 60 * 1000
+
+const DAY_FORMAT = 'yyyy-MM-dd'
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/
+
+export const formatDay = date => format(date, DAY_FORMAT)
+
+/**
+ * Format a fiat value, prefixed by the symbol of its currency.
+ *
+ * @param {string|number} value the value, already formatted if a string
+ * @param {string} currency one of the BASE_CURRENCIES
+ * @returns {string} the formatted value
+ */
+export function formatFiatValue(value, currency) {
+  const formatted =
+    typeof value === 'number'
+      ? Math.abs(value).toLocaleString('en-US', {
+          maximumFractionDigits: 2,
+          minimumFractionDigits: 2,
+        })
+      : value
+  const sign = typeof value === 'number' && value < 0 ? '-' : ''
+  return `${sign}${CURRENCY_SYMBOLS[currency] || `${currency} `}${formatted}`
+}
+
+/**
+ * Get the fiat value of a token amount.
+ *
+ * @param {BN} amount amount, in base units
+ * @param {number} decimals decimals of the token
+ * @param {number} rate amount of the token for one unit of the currency
+ * @returns {number|null} the value, or null without a rate
+ */
+export function getFiatValue(amount, decimals, rate) {
+  if (!rate) {
+    return null
+  }
+  // fromDecimals() only handles positive numbers
+  const value = Number(
+    fromDecimals(getConvertedAmount(amount.abs(), rate).toString(), decimals)
+  )
+  return amount.isNeg() ? -value : value
+}
+
+function parseRateRows(rows) {
+  return rows.reduce((history, { currency, date, rate, symbol }) => {
+    const value = Number(rate)
+    const day = String(date).trim()
+    if (!DAY_RE.test(day) || !symbol || !currency || !(value > 0)) {
+      throw new Error(`Invalid rate: ${[date, currency, symbol, rate]}`)
+    }
+    const currencyId = currency.trim().toUpperCase()
+    const currencyHistory = history[currencyId] || {}
+    history[currencyId] = {
+      ...currencyHistory,
+      [day]: { ...currencyHistory[day], [symbol.trim()]: value },
+    }
+    return history
+  }, {})
+}
+
+/**
+ * Parse a rate file, in JSON or CSV.
+ *
+ * Both contain a list of daily rates, expressed like the live feed as the
+ * amount of the token for one unit of the currency:
+ * - JSON: [{ "date": "2020-06-30", "currency": "EUR", "symbol": "DAI", "rate": 0.89 }]
+ * - CSV: one `date,currency,symbol,rate` line per rate, with an optional header
+ *
+ * @param {string} content content of the file
+ * @returns {Object} the rates, by currency, day and token symbol
+ */
+export function parseRateFile(content) {
+  const trimmed = content.trim()
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed)
+    return parseRateRows(Array.isArray(parsed) ? parsed : parsed.rates)
+  }
+  const rows = trimmed
+    .split(/\r?\n/)
+    .map(line => line.split(',').map(value => value.trim()))
+    .filter(values => values.some(Boolean))
+    .filter(([date]) => date.toLowerCase() !== 'date')
+    .map(([date, currency, symbol, rate]) => ({ currency, date, rate, symbol }))
+  return parseRateRows(rows)
+}
+
+/**
+ * Get the rates of some tokens at a given day, from a history of daily rates.
+ *
+ * Every token uses its latest known rate at that day.
+ *
+ * @param {Object} currencyHistory the rates of a currency, by day and token symbol
+ * @param {Array<string>} symbols symbols of the tokens
+ * @param {string} day the day, formatted with formatDay()
+ * @returns {Object} the rates ({ rates, updatedAt }), with the day of the
+ *   oldest rate used as `updatedAt` (in milliseconds), or null without rates
+ */
+export function getRatesAt(currencyHistory = {}, symbols, day) {
+  const days = Object.keys(currencyHistory)
+    .filter(historyDay => historyDay <= day)
+    .sort()
+    .reverse()
+
+  return symbols.reduce(
+    ({ rates, updatedAt }, symbol) => {
+      const rateDay = days.find(
+        historyDay => currencyHistory[historyDay][symbol] !== undefined
+      )
+      if (!rateDay) {
+        return { rates, updatedAt }
+      }
+      const rateTime = new Date(`${rateDay}T00:00:00`).getTime()
+      return {
+        rates: { ...rates, [symbol]: currencyHistory[rateDay][symbol] },
+        updatedAt:
+          updatedAt === null ? rateTime : Math.min(updatedAt, rateTime),
+      }
+    },
+    { rates: {}, updatedAt: null }
+  )
+}
+
+/**
+ * Check if rates are outdated.
+ *
+ * @param {number|null} updatedAt time of the rates, in milliseconds
+ * @param {number} now current time, in milliseconds
+ * @returns {bool} true if the rates are older than STALE_RATES_AGE
+ */
+export function isRatesStale(updatedAt, now) {
+  return updatedAt !== null && now - updatedAt > STALE_RATES_AGE
+}
@@ -0,0 +1,54 @@
+import { addressesEqual } from './web3-utils'
+
+/**
+ * Merge newly loaded balances of the app into its recoverable balances.
+ *
+ * Recovering funds to the Vault is recorded as a deposit, after which the
+ * app's balance of the token is zero: its entry then gets removed.
+ *
+ * @param {Array<Object>} recoverableBalances current balances ({ address, amount })
+ * @param {Array<Object>} updates loaded balances ({ address, amount }), or null
+ *   for the balances that couldn't be loaded, which keep their current entry
+ * @returns {Array<Object>} the new recoverable balances
+ */
+export function mergeRecoverableBalances(recoverableBalances, updates) {
+  return updates
+    .filter(Boolean)
+    .reduce((newRecoverableBalances, { address: tokenAddress, amount }) => {
+      const recoverableBalancesIndex = newRecoverableBalances.findIndex(
+        ({ address }) => addressesEqual(address, tokenAddress)
+      )
+      if (recoverableBalancesIndex === -1) {
+        return amount === '0'
+          ? newRecoverableBalances
+          : newRecoverableBalances.concat({ address: tokenAddress, amount })
+      }
+      if (amount === '0') {
+        newRecoverableBalances.splice(recoverableBalancesIndex, 1)
+      } else {
+        newRecoverableBalances[recoverableBalancesIndex] = {
+          address: tokenAddress,
+          amount,
+        }
+      }
+      return newRecoverableBalances
+    }, Array.from(recoverableBalances || []))
+}
+
+/**
+ * Get the recoverable funds of the known tokens.
+ *
+ * @param {Array<Object>} recoverableBalances recoverable balances ({ address, amount })
+ * @param {Array<Object>} tokens known tokens ({ address, decimals, symbol })
+ * @returns {Array<Object>} the balances of known tokens, with their `token`
+ */
+export function getRecoverableFunds(recoverableBalances, tokens) {
+  return recoverableBalances
+    .map(balance => ({
+      ...balance,
+      token: tokens.find(({ address }) =>
+        addressesEqual(address, balance.address)
+      ),
+    }))
+    .filter(({ token }) => Boolean(token))
+}
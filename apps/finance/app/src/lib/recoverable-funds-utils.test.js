@@ -0,0 +1,81 @@
+import {
+  getRecoverableFunds,
+  mergeRecoverableBalances,
+} from './recoverable-funds-utils'
+
+const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const OTHER_TOKEN = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+
+const recoverableBalances = [
+  { address: TOKEN, amount: '100' },
+  { address: OTHER_TOKEN, amount: '5' },
+]
+
+describe('mergeRecoverableBalances tests', () => {
+  test('Adds the new non-zero balances', () => {
+    expect(
+      mergeRecoverableBalances(
+        [],
+        [
+          { address: TOKEN, amount: '100' },
+          { address: OTHER_TOKEN, amount: '0' },
+        ]
+      )
+    ).toEqual([{ address: TOKEN, amount: '100' }])
+    expect(
+      mergeRecoverableBalances(undefined, [{ address: TOKEN, amount: '1' }])
+    ).toEqual([{ address: TOKEN, amount: '1' }])
+  })
+
+  test('Updates the existing balances', () => {
+    expect(
+      mergeRecoverableBalances(recoverableBalances, [
+        { address: TOKEN.toLowerCase(), amount: '150' },
+      ])
+    ).toEqual([
+      { address: TOKEN.toLowerCase(), amount: '150' },
+      { address: OTHER_TOKEN, amount: '5' },
+    ])
+  })
+
+  test('Removes the balances recovered to the Vault', () => {
+    expect(
+      mergeRecoverableBalances(recoverableBalances, [
+        { address: TOKEN, amount: '0' },
+      ])
+    ).toEqual([{ address: OTHER_TOKEN, amount: '5' }])
+  })
+
+  test('Keeps the entries whose balance could not be loaded', () => {
+    expect(
+      mergeRecoverableBalances(recoverableBalances, [
+        null,
+        { address: OTHER_TOKEN, amount: '0' },
+      ])
+    ).toEqual([{ address: TOKEN, amount: '100' }])
+    expect(mergeRecoverableBalances(recoverableBalances, [null])).toEqual(
+      recoverableBalances
+    )
+  })
+
+  test('Leaves the current balances untouched', () => {
+    mergeRecoverableBalances(recoverableBalances, [
+      { address: TOKEN, amount: '0' },
+      { address: OTHER_TOKEN, amount: '7' },
+    ])
+    expect(recoverableBalances).toEqual([
+      { address: TOKEN, amount: '100' },
+      { address: OTHER_TOKEN, amount: '5' },
+    ])
+  })
+})
+
+describe('getRecoverableFunds tests', () => {
+  test('Matches the balances with the known tokens', () => {
+    const token = { address: TOKEN.toLowerCase(), decimals: 18, symbol: 'DAI' }
+    expect(getRecoverableFunds(recoverableBalances, [token])).toEqual([
+      { address: TOKEN, amount: '100', token },
+    ])
+    expect(getRecoverableFunds(recoverableBalances, [])).toEqual([])
+  })
+})
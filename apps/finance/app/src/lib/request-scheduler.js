@@ -0,0 +1,104 @@
+// Requests running at the same time, to avoid overloading the Ethereum node
+export const DEFAULT_CONCURRENCY = 8
+
+export const PRIORITY_HIGH = 'high'
+// Requests that nothing is waiting for yet (e.g. prefetches) only run when no
+// other request is queued
+export const PRIORITY_LOW = 'low'
+
+/**
+ * Create a scheduler running requests with a bounded concurrency.
+ *
+ * Requests are run in the order they got scheduled, the high priority ones
+ * first. Identical requests (using the same key) share the same result while
+ * they are pending, and cached requests keep sharing it once it resolved.
+ *
+ * @param {Object} [options] scheduler options
+ * @param {number} [options.concurrency] maximum number of requests running at once
+ * @returns {Object} the scheduler
+ */
+export function createRequestScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+} = {}) {
+  const queue = []
+  const results = new Map() // Key -> promise
+  const queuedEntries = new Map() // Key -> queued entry
+  let running = 0
+
+  const runNext = () => {
+    while (running < concurrency && queue.length > 0) {
+      const highIndex = queue.findIndex(
+        ({ priority }) => priority === PRIORITY_HIGH
+      )
+      const [entry] = queue.splice(highIndex === -1 ? 0 : highIndex, 1)
+      const { key, request, resolve, reject } = entry
+      if (queuedEntries.get(key) === entry) {
+        queuedEntries.delete(key)
+      }
+      running++
+      new Promise(resolve => resolve(request()))
+        .then(resolve, reject)
+        .then(() => {
+          running--
+          runNext()
+        })
+    }
+  }
+
+  const enqueue = (request, { priority = PRIORITY_HIGH } = {}, key) =>
+    new Promise((resolve, reject) => {
+      const entry = { key, priority, request, resolve, reject }
+      queue.push(entry)
+      if (key !== undefined) {
+        queuedEntries.set(key, entry)
+      }
+      runNext()
+    })
+
+  // Run a request as soon as there is room for it
+  const run = (request, options) => enqueue(request, options)
+
+  const share = (
+    key,
+    request,
+    keepResult,
+    { priority = PRIORITY_HIGH } = {}
+  ) => {
+    if (results.has(key)) {
+      // Something now waits for a queued low priority request
+      const queuedEntry = queuedEntries.get(key)
+      if (queuedEntry && priority === PRIORITY_HIGH) {
+        queuedEntry.priority = PRIORITY_HIGH
+      }
+      return results.get(key)
+    }
+    const result = enqueue(request, { priority }, key)
+    results.set(key, result)
+    result.then(
+      () => {
+        if (!keepResult) {
+          results.delete(key)
+        }
+      },
+      // Failed requests can always be retried
+      () => results.delete(key)
+    )
+    return result
+  }
+
+  return {
+    run,
+    // Deduplicate the identical requests while they are pending
+    request: (key, request, options) => share(key, request, false, options),
+    // Deduplicate the identical requests, and keep their result
+    cached: (key, request, options) => share(key, request, true, options),
+    // Forget the results of the requests whose key starts with a prefix
+    clear: keyPrefix => {
+      for (const key of results.keys()) {
+        if (key.startsWith(keyPrefix)) {
+          results.delete(key)
+        }
+      }
+    },
+  }
+}
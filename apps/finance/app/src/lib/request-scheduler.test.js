@@ -0,0 +1,140 @@
+import { PRIORITY_LOW, createRequestScheduler } from './request-scheduler'
+
+// Request resolving once resolve() gets called, recording when it started
+function createDeferredRequest(started, id) {
+  let resolveRequest, rejectRequest
+  const request = jest.fn(() => {
+    started.push(id)
+    return new Promise((resolve, reject) => {
+      resolveRequest = resolve
+      rejectRequest = reject
+    })
+  })
+  return {
+    request,
+    resolve: value => resolveRequest(value),
+    reject: err => rejectRequest(err),
+  }
+}
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+
+describe('createRequestScheduler tests', () => {
+  test('Runs the requests in order, with a bounded concurrency', async () => {
+    const started = []
+    const scheduler = createRequestScheduler({ concurrency: 2 })
+    const requests = [0, 1, 2, 3].map(id => createDeferredRequest(started, id))
+    const results = requests.map(({ request }) => scheduler.run(request))
+
+    await flushPromises()
+    expect(started).toEqual([0, 1])
+
+    requests[1].resolve('b')
+    await flushPromises()
+    expect(started).toEqual([0, 1, 2])
+
+    requests[0].resolve('a')
+    requests[2].resolve('c')
+    await flushPromises()
+    requests[3].resolve('d')
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c', 'd'])
+  })
+
+  test('Keeps running the requests after a failure', async () => {
+    const scheduler = createRequestScheduler({ concurrency: 1 })
+    const failing = scheduler.run(() => Promise.reject(new Error('failed')))
+    const next = scheduler.run(() => 'next')
+
+    await expect(failing).rejects.toThrow('failed')
+    expect(await next).toBe('next')
+  })
+
+  test('Deduplicates the identical pending requests', async () => {
+    const started = []
+    const scheduler = createRequestScheduler()
+    const { request, resolve } = createDeferredRequest(started, 0)
+
+    const first = scheduler.request('key', request)
+    const second = scheduler.request('key', request)
+    expect(second).toBe(first)
+
+    await flushPromises()
+    resolve('value')
+    expect(await second).toBe('value')
+    expect(request).toHaveBeenCalledTimes(1)
+
+    // Not pending anymore
+    scheduler.request('key', request)
+    await flushPromises()
+    expect(request).toHaveBeenCalledTimes(2)
+  })
+
+  test('Keeps the results of the cached requests', async () => {
+    const scheduler = createRequestScheduler()
+    const request = jest.fn(() => Promise.resolve('value'))
+
+    expect(await scheduler.cached('key', request)).toBe('value')
+    expect(await scheduler.cached('key', request)).toBe('value')
+    expect(request).toHaveBeenCalledTimes(1)
+
+    scheduler.clear('other')
+    expect(await scheduler.cached('key', request)).toBe('value')
+    expect(request).toHaveBeenCalledTimes(1)
+
+    scheduler.clear('ke')
+    expect(await scheduler.cached('key', request)).toBe('value')
+    expect(request).toHaveBeenCalledTimes(2)
+  })
+
+  test('Does not keep the failed requests', async () => {
+    const scheduler = createRequestScheduler()
+    const request = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('failed')))
+      .mockImplementationOnce(() => Promise.resolve('value'))
+
+    await expect(scheduler.cached('key', request)).rejects.toThrow('failed')
+    await flushPromises()
+    expect(await scheduler.cached('key', request)).toBe('value')
+  })
+
+  test('Runs the low priority requests after the other ones', async () => {
+    const started = []
+    const scheduler = createRequestScheduler({ concurrency: 1 })
+    const requests = [0, 1, 2, 3].map(id => createDeferredRequest(started, id))
+    scheduler.run(requests[0].request)
+    scheduler.run(requests[1].request, { priority: PRIORITY_LOW })
+    scheduler.run(requests[2].request, { priority: PRIORITY_LOW })
+    scheduler.run(requests[3].request)
+
+    await flushPromises()
+    requests[0].resolve()
+    await flushPromises()
+    requests[3].resolve()
+    await flushPromises()
+    requests[1].resolve()
+    await flushPromises()
+    expect(started).toEqual([0, 3, 1, 2])
+  })
+
+  test('Raises the priority of the low priority requests waited for', async () => {
+    const started = []
+    const scheduler = createRequestScheduler({ concurrency: 1 })
+    const requests = [0, 1, 2, 3].map(id => createDeferredRequest(started, id))
+    scheduler.run(requests[0].request)
+    scheduler.cached('1', requests[1].request, { priority: PRIORITY_LOW })
+    scheduler.cached('2', requests[2].request, { priority: PRIORITY_LOW })
+    scheduler.run(requests[3].request)
+    const result = scheduler.cached('2', requests[2].request)
+
+    await flushPromises()
+    requests[0].resolve()
+    await flushPromises()
+    requests[2].resolve('value')
+    expect(await result).toBe('value')
+    await flushPromises()
+    requests[3].resolve()
+    await flushPromises()
+    expect(started).toEqual([0, 2, 3, 1])
+  })
+})
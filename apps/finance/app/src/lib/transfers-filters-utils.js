@@ -0,0 +1,118 @@
+import BN from 'bn.js'
+import { formatDate } from './download-utils'
+import { toDecimals } from './math-utils'
+
+const FILTERS_PATH = '/transfers'
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+const AMOUNT_RE = /^\d*\.?\d+$|^\d+\.$/
+
+export const TRANSFER_TYPE_INCOMING = 'incoming'
+export const TRANSFER_TYPE_OUTGOING = 'outgoing'
+
+export const NO_FILTERS = {
+  end: null,
+  maxAmount: '',
+  minAmount: '',
+  search: '',
+  start: null,
+  token: null,
+  type: null,
+}
+
+function parseDate(value) {
+  return value && DATE_RE.test(value) ? new Date(`${value}T00:00:00`) : null
+}
+
+/**
+ * Get the transfers filters encoded in an app path.
+ *
+ * @param {string} path the app path, e.g. `/transfers?search=design&type=outgoing`
+ * @returns {Object} the filters ({ end, maxAmount, minAmount, search, start,
+ *   token, type }), with their default values when not set
+ */
+export function filtersFromPath(path) {
+  if (!path || !path.startsWith(FILTERS_PATH)) {
+    return NO_FILTERS
+  }
+  const params = new URLSearchParams(path.slice(FILTERS_PATH.length))
+  const type = params.get('type')
+
+  return {
+    end: parseDate(params.get('end')),
+    maxAmount: params.get('max') || '',
+    minAmount: params.get('min') || '',
+    search: params.get('search') || '',
+    start: parseDate(params.get('start')),
+    token: params.get('token') || null,
+    type:
+      type === TRANSFER_TYPE_INCOMING || type === TRANSFER_TYPE_OUTGOING
+        ? type
+        : null,
+  }
+}
+
+/**
+ * Encode transfers filters in an app path, to be able to share them.
+ *
+ * @param {Object} filters the filters, as returned by filtersFromPath()
+ * @returns {string} the app path, empty if no filters are set
+ */
+export function pathFromFilters({
+  end,
+  maxAmount,
+  minAmount,
+  search,
+  start,
+  token,
+  type,
+}) {
+  const params = [
+    ['search', search],
+    ['type', type],
+    ['token', token],
+    ['start', start && formatDate(start)],
+    ['end', end && formatDate(end)],
+    // Amounts only make sense for a given token
+    ['min', token && minAmount],
+    ['max', token && maxAmount],
+  ].filter(([_, value]) => Boolean(value))
+
+  return params.length > 0
+    ? `${FILTERS_PATH}?${new URLSearchParams(params).toString()}`
+    : ''
+}
+
+/**
+ * Check if a transfer matches a search.
+ *
+ * @param {Object} transfer the transfer ({ entity, reference })
+ * @param {string} search the search, matched case-insensitively
+ * @param {string} [label] local identity label of the transfer's entity
+ * @returns {bool} true if the reference, entity or label contain the search
+ */
+export function matchesSearch({ entity, reference }, search, label) {
+  const term = search.trim().toLowerCase()
+  if (!term) {
+    return true
+  }
+  return [reference, entity, label].some(
+    value => Boolean(value) && value.toLowerCase().includes(term)
+  )
+}
+
+/**
+ * Check if an amount is in a range.
+ *
+ * @param {BN} amount the amount, in base units
+ * @param {number} decimals decimals of the token
+ * @param {Object} range the range ({ minAmount, maxAmount }), in token units.
+ *   Invalid or empty bounds are ignored.
+ * @returns {bool} true if the amount is in the range, bounds included
+ */
+export function isInAmountRange(amount, decimals, { minAmount, maxAmount }) {
+  const toBN = value =>
+    AMOUNT_RE.test(value) ? new BN(toDecimals(value, decimals)) : null
+  const min = toBN(minAmount)
+  const max = toBN(maxAmount)
+  return (!min || amount.gte(min)) && (!max || amount.lte(max))
+}
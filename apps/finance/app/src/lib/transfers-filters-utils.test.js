@@ -0,0 +1,73 @@
+import BN from 'bn.js'
+import {
+  NO_FILTERS,
+  filtersFromPath,
+  isInAmountRange,
+  matchesSearch,
+  pathFromFilters,
+} from './transfers-filters-utils'
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const ALICE = '0x1985365e9f78359a9B6AD760e32412f4a445E862'
+
+describe('filtersFromPath and pathFromFilters tests', () => {
+  test('Encodes and decodes the filters', () => {
+    const filters = {
+      ...NO_FILTERS,
+      end: new Date('2020-02-01T00:00:00'),
+      maxAmount: '100',
+      minAmount: '1.5',
+      search: 'design & co',
+      start: new Date('2020-01-01T00:00:00'),
+      token: DAI,
+      type: 'outgoing',
+    }
+    const path = pathFromFilters(filters)
+    expect(path).toBe(
+      `/transfers?search=design+%26+co&type=outgoing&token=${DAI}&start=2020-01-01&end=2020-02-01&min=1.5&max=100`
+    )
+    expect(filtersFromPath(path)).toEqual(filters)
+  })
+
+  test('Ignores the amounts without a token', () => {
+    expect(pathFromFilters({ ...NO_FILTERS, minAmount: '1' })).toBe('')
+  })
+
+  test('Falls back to no filters', () => {
+    expect(filtersFromPath('')).toEqual(NO_FILTERS)
+    expect(filtersFromPath('/vote/1/')).toEqual(NO_FILTERS)
+    expect(
+      filtersFromPath('/transfers?type=sideways&start=01-01-2020')
+    ).toEqual(NO_FILTERS)
+  })
+})
+
+describe('matchesSearch tests', () => {
+  const transfer = { entity: ALICE, reference: 'Design sprint #4' }
+
+  test('Matches the reference, entity and label', () => {
+    expect(matchesSearch(transfer, '')).toBe(true)
+    expect(matchesSearch(transfer, ' design ')).toBe(true)
+    expect(matchesSearch(transfer, '0x1985365e9f')).toBe(true)
+    expect(matchesSearch(transfer, 'alice', 'Alice')).toBe(true)
+    expect(matchesSearch(transfer, 'alice')).toBe(false)
+  })
+})
+
+describe('isInAmountRange tests', () => {
+  const ONE = new BN('10').pow(new BN('18'))
+
+  test('Includes the bounds', () => {
+    const range = { minAmount: '1', maxAmount: '2.5' }
+    expect(isInAmountRange(ONE, 18, range)).toBe(true)
+    expect(isInAmountRange(ONE.muln(5).divn(2), 18, range)).toBe(true)
+    expect(isInAmountRange(ONE.subn(1), 18, range)).toBe(false)
+    expect(isInAmountRange(ONE.muln(3), 18, range)).toBe(false)
+  })
+
+  test('Ignores the invalid bounds', () => {
+    expect(isInAmountRange(ONE, 18, { minAmount: 'abc', maxAmount: '' })).toBe(
+      true
+    )
+  })
+})
@@ -9,6 +9,8 @@ import {
   isTokenVerified,
   tokenDataOverride,
 } from './lib/token-utils'
+import { mergeRecoverableBalances } from './lib/recoverable-funds-utils'
+import { PRIORITY_LOW, createRequestScheduler } from './lib/request-scheduler'
 import { addressesEqual } from './lib/web3-utils'
 import tokenBalanceOfAbi from './abi/token-balanceof.json'
 import tokenDecimalsAbi from './abi/token-decimals.json'
@@ -38,7 +40,33 @@ const tokenSymbols = new Map() // External contract -> symbol
 
 const ETH_CONTRACT = Symbol('ETH_CONTRACT')
 
+// Number of transactions loaded ahead of the one being reduced
+const TRANSACTIONS_PREFETCH_WINDOW = 50
+
 const app = new Aragon()
+const scheduler = createRequestScheduler()
+
+// Calls go through the scheduler, sharing the identical pending ones
+function call(method, ...params) {
+  return scheduler.request(`call:${method}:${params.join(',')}`, () =>
+    app.call(method, ...params).toPromise()
+  )
+}
+
+// Balances can only change once per block, so their refreshes are shared by
+// all the events of a block
+let cachedBlockNumber = null
+function loadForBlock(key, blockNumber, request) {
+  if (blockNumber === undefined) {
+    return scheduler.request(key, request)
+  }
+  if (blockNumber !== cachedBlockNumber) {
+    // Events are reduced in order, the previous blocks are done with
+    scheduler.clear('block:')
+    cachedBlockNumber = blockNumber
+  }
+  return scheduler.cached(`block:${blockNumber}:${key}`, request)
+}
 
 /*
  * Calls `callback` exponentially, everytime `retry()` is called.
@@ -109,6 +137,21 @@ async function initialize(vaultAddress, ethAddress) {
     .toPromise()
   TEST_TOKEN_ADDRESSES.push(...getTestTokenAddresses(network.type))
 
+  // Fetch our own address, to look for funds sent directly to the app
+  const currentApp = await app.currentApp().toPromise()
+
+  // Transactions created until now can be loaded ahead of their events
+  let transactionsNextIndex
+  try {
+    transactionsNextIndex = parseInt(
+      await app.call('transactionsNextIndex').toPromise(),
+      10
+    )
+  } catch (err) {
+    console.error('Could not get the number of transactions:', err)
+    transactionsNextIndex = 0
+  }
+
   // Set up ETH placeholders
   tokenContracts.set(ethAddress, ETH_CONTRACT)
   tokenDecimals.set(ETH_CONTRACT, '18')
@@ -117,6 +160,8 @@ async function initialize(vaultAddress, ethAddress) {
 
   const settings = {
     network,
+    transactionsNextIndex,
+    appAddress: currentApp.appAddress,
     ethToken: {
       address: ethAddress,
     },
@@ -147,7 +192,7 @@ async function initialize(vaultAddress, ethAddress) {
       if (eventName === events.SYNC_STATUS_SYNCING) {
         return { ...nextState, isSyncing: true }
       } else if (eventName === events.SYNC_STATUS_SYNCED) {
-        return { ...nextState, isSyncing: false }
+        return syncedRefresh({ ...nextState, isSyncing: false }, settings)
       }
 
       // Vault event
@@ -166,6 +211,14 @@ async function initialize(vaultAddress, ethAddress) {
           return newPeriod(nextState, event, settings)
         case 'NewTransaction':
           return newTransaction(nextState, event, settings)
+        case 'NewPayment':
+          return newPayment(nextState, event, settings)
+        case 'ChangePaymentState':
+          return changePaymentState(nextState, event)
+        case 'PaymentFailure':
+          return newPaymentFailure(nextState, event)
+        case 'SetBudget':
+          return newBudget(nextState, event, settings)
         default:
           return nextState
       }
@@ -192,9 +245,7 @@ const initializeState = settings => async cachedState => {
   const newState = {
     ...cachedState,
     isSyncing: true,
-    periodDuration: marshallDate(
-      await app.call('getPeriodDuration').toPromise()
-    ),
+    periodDuration: marshallDate(await call('getPeriodDuration')),
     vaultAddress: settings.vault.address,
   }
   const withInitialTokens = await loadInitialTokens(
@@ -206,8 +257,12 @@ const initializeState = settings => async cachedState => {
     withInitialTokens,
     settings
   )
+  const withRecoverableBalances = await loadRecoverableBalances(
+    withTestnetState,
+    settings
+  )
 
-  return withTestnetState
+  return withRecoverableBalances
 }
 
 async function loadInitialTokens(state, includedTokenAddresses, settings) {
@@ -221,41 +276,87 @@ async function loadInitialTokens(state, includedTokenAddresses, settings) {
     return newState
   }
 
-  let newBalances = newState.balances || []
+  const balances = newState.balances || []
   const addresses = new Set(
-    newBalances
-      .map(({ address }) => address)
-      .concat(includedTokenAddresses || [])
+    balances.map(({ address }) => address).concat(includedTokenAddresses || [])
   )
-  for (const address of addresses) {
-    newBalances = await updateBalances(newBalances, address, settings, {
-      reloadEntireToken: true,
-    })
-  }
 
   return {
     ...newState,
-    balances: newBalances,
+    balances: await updateAllBalances(
+      balances,
+      Array.from(addresses),
+      settings,
+      { reloadEntireToken: true }
+    ),
+  }
+}
+
+// Tokens sent directly to the app don't emit any of its events, so the
+// balances of the known tokens are checked on every initialization
+async function loadRecoverableBalances(state, settings) {
+  return {
+    ...state,
+    recoverableBalances: await updateRecoverableBalances(
+      state.recoverableBalances,
+      (state.balances || []).map(({ address }) => address),
+      settings
+    ),
   }
 }
 
-async function vaultLoadBalance(state, { returnValues: { token } }, settings) {
+async function vaultLoadBalance(
+  state,
+  { blockNumber, returnValues: { token } },
+  settings
+) {
   return {
     ...state,
     balances: await updateBalances(
       state.balances,
       token || settings.ethToken.address,
-      settings
+      settings,
+      { blockNumber }
     ),
   }
 }
 
+// The data reflecting the current state of the contracts (budgets, period
+// statements and recoverable balances) gets refreshed once the past events are
+// reduced, rather than for each of them
+async function syncedRefresh(state, settings) {
+  const [budgets, periods, withRecoverableBalances] = await Promise.all([
+    updateAllBudgets(
+      state.budgets,
+      (state.budgets || []).map(({ token }) => token)
+    ),
+    updateAllPeriodStatements(state.periods, state.staleStatements || []),
+    loadRecoverableBalances(state, settings),
+  ])
+
+  return {
+    ...withRecoverableBalances,
+    budgets,
+    periods,
+    staleStatements: [],
+  }
+}
+
 async function newPeriod(
   state,
   { returnValues: { periodId, periodStarts, periodEnds } }
 ) {
+  // Every budget is available again in the new period
+  const budgets = state.isSyncing
+    ? state.budgets
+    : await updateAllBudgets(
+        state.budgets,
+        (state.budgets || []).map(({ token }) => token)
+      )
+
   return {
     ...state,
+    budgets,
     periods: await updatePeriods(state.periods, {
       id: periodId,
       startTime: marshallDate(periodStarts),
@@ -266,29 +367,128 @@ async function newPeriod(
 
 async function newTransaction(
   state,
-  { transactionHash, returnValues: { reference, transactionId } },
+  { blockNumber, transactionHash, returnValues: { reference, transactionId } },
   settings
 ) {
+  prefetchTransactions(transactionId, settings)
+
   const transactionDetails = {
     ...(await loadTransactionDetails(transactionId)),
     reference,
     transactionHash,
     id: transactionId,
   }
-  const transactions = await updateTransactions(
-    state.transactions,
-    transactionDetails
-  )
-  const balances = await updateBalances(
-    state.balances,
-    transactionDetails.token,
-    settings
-  )
+  const { isIncoming, paymentId, periodId, token } = transactionDetails
+  // Only the data of the transaction itself is loaded while syncing, the rest
+  // gets refreshed once synced (see syncedRefresh())
+  const { isSyncing } = state
+  const [
+    transactions,
+    balances,
+    recoverableBalances,
+    budgets,
+    periods,
+    payments,
+  ] = await Promise.all([
+    updateTransactions(state.transactions, transactionDetails),
+    updateBalances(state.balances, token, settings, { blockNumber }),
+    // Recovering funds to the Vault is recorded as a deposit
+    isSyncing
+      ? state.recoverableBalances
+      : updateRecoverableBalances(
+          state.recoverableBalances,
+          [token],
+          settings,
+          { blockNumber }
+        ),
+    // Payments are deducted from the remaining budget of their token
+    !isSyncing &&
+    !isIncoming &&
+    (state.budgets || []).some(budget => addressesEqual(budget.token, token))
+      ? updateBudgets(state.budgets, token)
+      : state.budgets,
+    isSyncing
+      ? state.periods
+      : updatePeriodStatements(state.periods, periodId, token),
+    // Executions of scheduled payments (immediate payments use the id 0)
+    paymentId !== '0'
+      ? updatePayments(state.payments, paymentId)
+      : state.payments,
+  ])
 
   return {
     ...state,
     balances,
+    budgets,
+    payments,
+    periods,
+    recoverableBalances,
     transactions,
+    staleStatements: isSyncing
+      ? addStaleStatement(state.staleStatements, { periodId, token })
+      : state.staleStatements,
+  }
+}
+
+async function newBudget(state, { returnValues: { token } }, settings) {
+  const [budgets, balances] = await Promise.all([
+    updateBudgets(state.budgets, token),
+    // Budgets can be set before the vault holds any of their token
+    updateBalances(state.balances, token, settings),
+  ])
+
+  return {
+    ...state,
+    balances,
+    budgets,
+  }
+}
+
+async function newPayment(
+  state,
+  { returnValues: { paymentId, reference } },
+  settings
+) {
+  const payments = await updatePayments(state.payments, paymentId, {
+    reference,
+  })
+  const { token } = payments.find(({ id }) => id === paymentId)
+  // Payments can be scheduled before the vault holds any of their token
+  const balances = await updateBalances(state.balances, token, settings)
+
+  return {
+    ...state,
+    balances,
+    payments,
+  }
+}
+
+async function changePaymentState(state, { returnValues: { paymentId } }) {
+  return {
+    ...state,
+    payments: await updatePayments(state.payments, paymentId),
+  }
+}
+
+async function newPaymentFailure(
+  state,
+  { blockNumber, transactionHash, returnValues: { paymentId } }
+) {
+  const payment = (state.payments || []).find(({ id }) => id === paymentId)
+  const failures = (payment && payment.failures) || []
+  // A transaction can only fail to execute a payment once
+  if (failures.some(failure => failure.transactionHash === transactionHash)) {
+    return state
+  }
+
+  return {
+    ...state,
+    payments: await updatePayments(state.payments, paymentId, {
+      failures: failures.concat({
+        transactionHash,
+        date: await loadBlockTime(blockNumber),
+      }),
+    }),
   }
 }
 
@@ -298,15 +498,45 @@ async function newTransaction(
  *                     *
  ***********************/
 
-function loadTokenBalance(tokenContract, tokenAddress, { ethToken, vault }) {
-  if (addressesEqual(tokenAddress, ethToken.address)) {
-    return vault.contract.balance(tokenAddress).toPromise()
-  } else {
-    // Prefer using the token contract directly to ask for the Vault's balance
-    // Web3.js does not handle revert strings yet, so a failing call to Vault.balance()
-    // results in organizations looking like whales.
-    return tokenContract.balanceOf(vault.address).toPromise()
+function getTokenContract(tokenAddress) {
+  if (!tokenContracts.has(tokenAddress)) {
+    tokenContracts.set(tokenAddress, app.external(tokenAddress, tokenAbi))
   }
+  return tokenContracts.get(tokenAddress)
+}
+
+function loadTokenBalance(
+  tokenContract,
+  tokenAddress,
+  { ethToken, vault },
+  blockNumber
+) {
+  return loadForBlock(`balance:${tokenAddress}`, blockNumber, () => {
+    if (addressesEqual(tokenAddress, ethToken.address)) {
+      return vault.contract.balance(tokenAddress).toPromise()
+    } else {
+      // Prefer using the token contract directly to ask for the Vault's balance
+      // Web3.js does not handle revert strings yet, so a failing call to Vault.balance()
+      // results in organizations looking like whales.
+      return tokenContract.balanceOf(vault.address).toPromise()
+    }
+  })
+}
+
+// Balance of the app itself, rather than its Vault
+function loadAppTokenBalance(
+  tokenContract,
+  tokenAddress,
+  settings,
+  blockNumber
+) {
+  const { appAddress, ethToken } = settings
+  return loadForBlock(`appBalance:${tokenAddress}`, blockNumber, () => {
+    if (addressesEqual(tokenAddress, ethToken.address)) {
+      return app.web3Eth('getBalance', appAddress).toPromise()
+    }
+    return tokenContract.balanceOf(appAddress).toPromise()
+  })
 }
 
 async function loadTokenDecimals(tokenContract, tokenAddress, { network }) {
@@ -318,7 +548,11 @@ async function loadTokenDecimals(tokenContract, tokenAddress, { network }) {
 
   let decimals
   try {
-    decimals = override || (await tokenContract.decimals().toPromise())
+    decimals =
+      override ||
+      (await scheduler.request(`decimals:${tokenAddress}`, () =>
+        tokenContract.decimals().toPromise()
+      ))
     tokenDecimals.set(tokenContract, decimals)
   } catch (err) {
     // decimals is optional
@@ -335,7 +569,11 @@ async function loadTokenName(tokenContract, tokenAddress, { network }) {
 
   let name
   try {
-    name = override || (await getTokenName(app, tokenAddress))
+    name =
+      override ||
+      (await scheduler.request(`name:${tokenAddress}`, () =>
+        getTokenName(app, tokenAddress)
+      ))
     tokenNames.set(tokenContract, name)
   } catch (err) {
     // name is optional
@@ -352,7 +590,11 @@ async function loadTokenSymbol(tokenContract, tokenAddress, { network }) {
 
   let symbol
   try {
-    symbol = override || (await getTokenSymbol(app, tokenAddress))
+    symbol =
+      override ||
+      (await scheduler.request(`symbol:${tokenAddress}`, () =>
+        getTokenSymbol(app, tokenAddress)
+      ))
     tokenSymbols.set(tokenContract, symbol)
   } catch (err) {
     // symbol is optional
@@ -367,38 +609,84 @@ async function loadTokenSymbol(tokenContract, tokenAddress, { network }) {
  *                           *
  *****************************/
 
-async function updateBalances(
+function updateBalances(balances, tokenAddress, settings, options) {
+  return updateAllBalances(balances, [tokenAddress], settings, options)
+}
+
+// Load the balances of several tokens in parallel
+async function updateAllBalances(
   balances,
-  tokenAddress,
+  tokenAddresses,
   settings,
-  { reloadEntireToken } = {}
+  { blockNumber, reloadEntireToken } = {}
 ) {
   const newBalances = Array.from(balances || [])
 
-  const tokenContract = tokenContracts.has(tokenAddress)
-    ? tokenContracts.get(tokenAddress)
-    : app.external(tokenAddress, tokenAbi)
-  tokenContracts.set(tokenAddress, tokenContract)
-
-  const balancesIndex = newBalances.findIndex(({ address }) =>
-    addressesEqual(address, tokenAddress)
+  const updates = await Promise.all(
+    tokenAddresses.map(async tokenAddress => {
+      const tokenContract = getTokenContract(tokenAddress)
+      const known = newBalances.some(({ address }) =>
+        addressesEqual(address, tokenAddress)
+      )
+      return known && !reloadEntireToken
+        ? {
+            address: tokenAddress,
+            amount: await loadTokenBalance(
+              tokenContract,
+              tokenAddress,
+              settings,
+              blockNumber
+            ),
+          }
+        : newBalanceEntry(tokenContract, tokenAddress, settings)
+    })
   )
-  if (balancesIndex === -1) {
-    return newBalances.concat(
-      await newBalanceEntry(tokenContract, tokenAddress, settings)
+
+  return updates.reduce((newBalances, update) => {
+    const balancesIndex = newBalances.findIndex(({ address }) =>
+      addressesEqual(address, update.address)
     )
-  } else {
-    const updatedState = reloadEntireToken
-      ? await newBalanceEntry(tokenContract, tokenAddress, settings)
-      : {
-          amount: await loadTokenBalance(tokenContract, tokenAddress, settings),
-        }
+    if (balancesIndex === -1) {
+      return newBalances.concat(update)
+    }
     newBalances[balancesIndex] = {
       ...newBalances[balancesIndex],
-      ...updatedState,
+      ...update,
     }
     return newBalances
-  }
+  }, newBalances)
+}
+
+// Tokens sent directly to the app are stuck until recovered to the Vault
+async function updateRecoverableBalances(
+  recoverableBalances,
+  tokenAddresses,
+  settings,
+  { blockNumber } = {}
+) {
+  const updates = await Promise.all(
+    tokenAddresses.map(async tokenAddress => {
+      try {
+        return {
+          address: tokenAddress,
+          amount: await loadAppTokenBalance(
+            getTokenContract(tokenAddress),
+            tokenAddress,
+            settings,
+            blockNumber
+          ),
+        }
+      } catch (err) {
+        console.error(
+          `Could not load the app's balance of ${tokenAddress}:`,
+          err
+        )
+        return null
+      }
+    })
+  )
+
+  return mergeRecoverableBalances(recoverableBalances, updates)
 }
 
 function updatePeriods(periods, periodDetails) {
@@ -406,13 +694,62 @@ function updatePeriods(periods, periodDetails) {
 
   const periodsIndex = newPeriods.findIndex(({ id }) => id === periodDetails.id)
   if (periodsIndex === -1) {
-    return newPeriods.concat(periodDetails)
+    return newPeriods.concat({ statements: [], ...periodDetails })
   } else {
-    newPeriods[periodsIndex] = periodDetails
+    newPeriods[periodsIndex] = {
+      ...newPeriods[periodsIndex],
+      ...periodDetails,
+    }
     return newPeriods
   }
 }
 
+function addStaleStatement(staleStatements, statement) {
+  const newStaleStatements = Array.from(staleStatements || [])
+  const isStale = newStaleStatements.some(
+    ({ periodId, token }) =>
+      periodId === statement.periodId && addressesEqual(token, statement.token)
+  )
+  return isStale ? newStaleStatements : newStaleStatements.concat(statement)
+}
+
+function updatePeriodStatements(periods, periodId, token) {
+  return updateAllPeriodStatements(periods, [{ periodId, token }])
+}
+
+// Load the statements of several periods and tokens in parallel
+async function updateAllPeriodStatements(periods, statements) {
+  const newPeriods = Array.from(periods || [])
+
+  const updates = await Promise.all(
+    statements
+      .filter(({ periodId }) => newPeriods.some(({ id }) => id === periodId))
+      .map(async ({ periodId, token }) => {
+        const { expenses, income } = await call(
+          'getPeriodTokenStatement',
+          periodId,
+          token
+        )
+        return { expenses, income, periodId, token }
+      })
+  )
+
+  return updates.reduce(
+    (newPeriods, { expenses, income, periodId, token: tokenAddress }) => {
+      const periodsIndex = newPeriods.findIndex(({ id }) => id === periodId)
+      const period = newPeriods[periodsIndex]
+      newPeriods[periodsIndex] = {
+        ...period,
+        statements: (period.statements || [])
+          .filter(({ token }) => !addressesEqual(token, tokenAddress))
+          .concat({ expenses, income, token: tokenAddress }),
+      }
+      return newPeriods
+    },
+    newPeriods
+  )
+}
+
 function updateTransactions(transactions, transactionDetails) {
   const newTransactions = Array.from(transactions || [])
 
@@ -447,19 +784,44 @@ async function newBalanceEntry(tokenContract, tokenAddress, settings) {
   }
 }
 
+// Transactions never change, so they are loaded once (possibly ahead of
+// their event) and kept by the scheduler
+function fetchTransaction(id, options) {
+  return scheduler.cached(
+    `transaction:${id}`,
+    () => app.call('getTransaction', id).toPromise(),
+    options
+  )
+}
+
+function loadTransaction(id) {
+  // Wrap with retry in case the transaction is somehow not present. Every
+  // attempt gets scheduled on its own, not to keep a request slot while
+  // waiting for the next one.
+  return retryEvery(() =>
+    fetchTransaction(id).catch(err => {
+      console.error(`Error fetching transaction (${id})`, err)
+      throw err
+    })
+  )
+}
+
 async function loadTransactionDetails(id) {
-  return marshallTransactionDetails(
-    // Wrap with retry in case the transaction is somehow not present
-    await retryEvery(() =>
-      app
-        .call('getTransaction', id)
-        .toPromise()
-        .catch(err => {
-          console.error(`Error fetching transaction (${id})`, err)
-          throw err
-        })
-    )
+  return marshallTransactionDetails(await loadTransaction(id))
+}
+
+// Events are reduced one by one, so the next transactions get loaded in
+// parallel while the current one is being reduced
+function prefetchTransactions(transactionId, { transactionsNextIndex }) {
+  const nextId = parseInt(transactionId, 10) + 1
+  const lastId = Math.min(
+    nextId + TRANSACTIONS_PREFETCH_WINDOW,
+    transactionsNextIndex
   )
+  for (let id = nextId; id < lastId; id++) {
+    // Failures are retried once the transaction gets reduced
+    fetchTransaction(String(id), { priority: PRIORITY_LOW }).catch(() => {})
+  }
 }
 
 function marshallTransactionDetails({
@@ -482,6 +844,131 @@ function marshallTransactionDetails({
   }
 }
 
+/************************
+ *                      *
+ *    Budget Helpers    *
+ *                      *
+ ************************/
+
+function updateBudgets(budgets, tokenAddress) {
+  return updateAllBudgets(budgets, [tokenAddress])
+}
+
+// Load the budgets of several tokens in parallel
+async function updateAllBudgets(budgets, tokenAddresses) {
+  const updates = await Promise.all(
+    tokenAddresses.map(async tokenAddress => {
+      const [{ budget, hasBudget }, remaining] = await Promise.all([
+        call('getBudget', tokenAddress),
+        call('getRemainingBudget', tokenAddress),
+      ])
+      return { budget, hasBudget, remaining, tokenAddress }
+    })
+  )
+
+  return updates.reduce(
+    (newBudgets, { budget, hasBudget, remaining, tokenAddress }) => {
+      const budgetsIndex = newBudgets.findIndex(({ token }) =>
+        addressesEqual(token, tokenAddress)
+      )
+
+      // Tokens without a budget can be spent without limits
+      if (!hasBudget) {
+        if (budgetsIndex !== -1) {
+          newBudgets.splice(budgetsIndex, 1)
+        }
+        return newBudgets
+      }
+
+      const budgetDetails = { remaining, amount: budget, token: tokenAddress }
+      if (budgetsIndex === -1) {
+        return newBudgets.concat(budgetDetails)
+      }
+      newBudgets[budgetsIndex] = budgetDetails
+      return newBudgets
+    },
+    Array.from(budgets || [])
+  )
+}
+
+/*************************
+ *                       *
+ *    Payment Helpers    *
+ *                       *
+ *************************/
+
+async function updatePayments(payments, paymentId, paymentDetails = {}) {
+  const newPayments = Array.from(payments || [])
+
+  const paymentsIndex = newPayments.findIndex(({ id }) => id === paymentId)
+  const payment = {
+    failures: [],
+    reference: '',
+    ...(paymentsIndex === -1 ? {} : newPayments[paymentsIndex]),
+    ...(await loadPaymentDetails(paymentId)),
+    ...paymentDetails,
+  }
+  if (paymentsIndex === -1) {
+    return newPayments.concat(payment)
+  } else {
+    newPayments[paymentsIndex] = payment
+    return newPayments
+  }
+}
+
+async function loadPaymentDetails(id) {
+  const [payment, nextPaymentTime] = await Promise.all([
+    // Wrap with retry in case the payment is somehow not present
+    retryEvery(() =>
+      call('getPayment', id).catch(err => {
+        console.error(`Error fetching payment (${id})`, err)
+        throw err
+      })
+    ),
+    call('nextPaymentTime', id),
+  ])
+  return marshallPaymentDetails({ ...payment, id, nextPaymentTime })
+}
+
+function marshallPaymentDetails({
+  amount,
+  createdBy,
+  executions,
+  id,
+  inactive,
+  initialPaymentTime,
+  interval,
+  maxExecutions,
+  nextPaymentTime,
+  receiver,
+  token,
+}) {
+  return {
+    amount,
+    createdBy,
+    id,
+    receiver,
+    token,
+    active: !inactive,
+    executions: parseInt(executions, 10),
+    initialPaymentTime: marshallDate(initialPaymentTime),
+    interval: marshallDate(interval),
+    maxExecutions: parseInt(maxExecutions, 10),
+    // Completed payments are due in a few billion years
+    nextPaymentTime:
+      parseInt(executions, 10) >= parseInt(maxExecutions, 10)
+        ? null
+        : marshallDate(nextPaymentTime),
+  }
+}
+
+async function loadBlockTime(blockNumber) {
+  const { timestamp } = await scheduler.request(`getBlock:${blockNumber}`, () =>
+    app.web3Eth('getBlock', blockNumber).toPromise()
+  )
+  return marshallDate(timestamp)
+}
+
 function marshallDate(date) {
   // Represent dates as real numbers, as it's very unlikely they'll hit the limit...
   // Adjust for js time (in ms vs s)
@@ -495,13 +982,12 @@ function marshallDate(date) {
  **********************/
 
 async function loadTestnetTokenBalances(state, settings) {
-  let newBalances = state.balances
-  for (const tokenAddress of TEST_TOKEN_ADDRESSES) {
-    newBalances = await updateBalances(newBalances, tokenAddress, settings)
-  }
-
   return {
     ...state,
-    balances: newBalances,
+    balances: await updateAllBalances(
+      state.balances,
+      TEST_TOKEN_ADDRESSES,
+      settings
+    ),
   }
 }
@@ -1,16 +1,24 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import BN from 'bn.js'
-import { Main, SyncIndicator } from '@aragon/ui'
+import { Main, SyncIndicator, Tabs } from '@aragon/ui'
 import { useAragonApi } from '@aragon/api-react'
 import AppHeader from './components/AppHeader'
 import { IdentityProvider } from './components/IdentityManager/IdentityManager'
 import UpdateTokenPanel from './components/UpdateTokenPanel/UpdateTokenPanel'
+import GrantVestingPanel from './components/GrantVestingPanel/GrantVestingPanel'
+import DistributionPanel from './components/DistributionPanel/DistributionPanel'
 import EmptyState from './screens/EmptyState'
 import Details from './screens/Details'
 import Holders from './screens/Holders'
+import Snapshot from './screens/Snapshot'
 import { addressesEqual } from './web3-utils'
+import { dayjs } from './date-utils'
 import { useAppLogic } from './app-logic'
+import forwarderForwardAbi from './abi/forwarder-forward.json'
+
+const TABS = ['Holders', 'Snapshot']
+const SNAPSHOT_TAB = 1
 
 const initialAssignTokensConfig = {
   mode: null,
@@ -31,8 +39,15 @@ class App extends React.PureComponent {
   }
   state = {
     assignTokensConfig: initialAssignTokensConfig,
+    distributionOpened: false,
+    grantVestingHolder: '',
+    grantVestingOpened: false,
+    selectedTab: 0,
     sidepanelOpened: false,
   }
+  handleTabChange = selectedTab => {
+    this.setState({ selectedTab })
+  }
   getHolderBalance = address => {
     const { holders } = this.props
     const holder = holders.find(holder =>
@@ -40,6 +55,10 @@ class App extends React.PureComponent {
     )
     return holder ? holder.balance : new BN(0)
   }
+  getHolderVestings = address => {
+    const { vestings } = this.props
+    return vestings[address.toLowerCase()] || []
+  }
   handleUpdateTokens = ({ amount, holder, mode }) => {
     const { api } = this.props
 
@@ -53,6 +72,38 @@ class App extends React.PureComponent {
 
     this.handleSidepanelClose()
   }
+  handleGrantVesting = ({ amount, cliff, end, holder, revokable, start }) => {
+    const { api } = this.props
+    const toSeconds = date => dayjs(date).unix()
+
+    // Don't care about response
+    api
+      .assignVested(
+        holder,
+        amount,
+        toSeconds(start),
+        toSeconds(cliff),
+        toSeconds(end),
+        revokable
+      )
+      .toPromise()
+
+    this.handleGrantVestingClose()
+  }
+  handleDistribute = (forwarderAddress, script) => {
+    // All the mints and burns are executed at once by the forwarder (e.g. in a vote)
+    this.props.api
+      .external(forwarderAddress, forwarderForwardAbi)
+      .forward(script)
+      .toPromise() // Don't care about response
+    this.handleDistributionClose()
+  }
+  handleRevokeVesting = (holder, vestingId) => {
+    const { api } = this.props
+
+    // Don't care about response
+    api.revokeVesting(holder, vestingId).toPromise()
+  }
 
   handleLaunchAssignTokensNoHolder = () => {
     this.handleLaunchAssignTokens('')
@@ -69,6 +120,26 @@ class App extends React.PureComponent {
       sidepanelOpened: true,
     })
   }
+  handleLaunchGrantVestingNoHolder = () => {
+    this.handleLaunchGrantVesting('')
+  }
+  handleLaunchGrantVesting = address => {
+    this.setState({ grantVestingHolder: address, grantVestingOpened: true })
+  }
+  handleGrantVestingClose = () => {
+    this.setState({ grantVestingOpened: false })
+  }
+  handleGrantVestingTransitionEnd = open => {
+    if (!open) {
+      this.setState({ grantVestingHolder: '' })
+    }
+  }
+  handleLaunchDistribution = () => {
+    this.setState({ distributionOpened: true })
+  }
+  handleDistributionClose = () => {
+    this.setState({ distributionOpened: false })
+  }
   handleSidepanelClose = () => {
     this.setState({ sidepanelOpened: false })
   }
@@ -99,6 +170,7 @@ class App extends React.PureComponent {
       tokenAddress,
       tokenDecimals,
       tokenDecimalsBase,
+      tokenManagerAddress,
       tokenName,
       tokenSupply,
       tokenSymbol,
@@ -106,7 +178,14 @@ class App extends React.PureComponent {
       vestings,
     } = this.props
 
-    const { assignTokensConfig, sidepanelOpened } = this.state
+    const {
+      assignTokensConfig,
+      distributionOpened,
+      grantVestingHolder,
+      grantVestingOpened,
+      selectedTab,
+      sidepanelOpened,
+    } = this.state
 
     return (
       <IdentityProvider
@@ -122,30 +201,50 @@ class App extends React.PureComponent {
           <React.Fragment>
             <AppHeader
               onAssignHolder={this.handleLaunchAssignTokensNoHolder}
+              onGrantVesting={this.handleLaunchGrantVestingNoHolder}
+              onImportDistribution={this.handleLaunchDistribution}
               tokenSymbol={tokenSymbol}
             />
             {selectedHolder && selectedHolder.address ? (
               <Details
+                onRevokeVesting={this.handleRevokeVesting}
                 tokenSymbol={tokenSymbol}
                 tokenDecimals={tokenDecimals}
               />
             ) : (
-              <Holders
-                holders={holders}
-                vestings={vestings}
-                groupMode={groupMode}
-                maxAccountTokens={maxAccountTokens}
-                tokenAddress={tokenAddress}
-                tokenDecimals={tokenDecimals}
-                tokenDecimalsBase={tokenDecimalsBase}
-                tokenName={tokenName}
-                tokenSupply={tokenSupply}
-                tokenSymbol={tokenSymbol}
-                tokenTransfersEnabled={tokenTransfersEnabled}
-                onAssignTokens={this.handleLaunchAssignTokens}
-                onRemoveTokens={this.handleLaunchRemoveTokens}
-                selectHolder={selectHolder}
-              />
+              <React.Fragment>
+                <Tabs
+                  items={TABS}
+                  selected={selectedTab}
+                  onChange={this.handleTabChange}
+                />
+                {selectedTab === SNAPSHOT_TAB ? (
+                  <Snapshot
+                    tokenAddress={tokenAddress}
+                    tokenDecimals={tokenDecimals}
+                    tokenSymbol={tokenSymbol}
+                  />
+                ) : (
+                  <Holders
+                    holders={holders}
+                    vestings={vestings}
+                    groupMode={groupMode}
+                    maxAccountTokens={maxAccountTokens}
+                    tokenAddress={tokenAddress}
+                    tokenDecimals={tokenDecimals}
+                    tokenDecimalsBase={tokenDecimalsBase}
+                    tokenManagerAddress={tokenManagerAddress}
+                    tokenName={tokenName}
+                    tokenSupply={tokenSupply}
+                    tokenSymbol={tokenSymbol}
+                    tokenTransfersEnabled={tokenTransfersEnabled}
+                    onAssignTokens={this.handleLaunchAssignTokens}
+                    onGrantVesting={this.handleLaunchGrantVesting}
+                    onRemoveTokens={this.handleLaunchRemoveTokens}
+                    selectHolder={selectHolder}
+                  />
+                )}
+              </React.Fragment>
             )}
           </React.Fragment>
         )}
@@ -165,13 +264,42 @@ class App extends React.PureComponent {
             tokenSymbol={tokenSymbol}
           />
         )}
+        {appStateReady && (
+          <GrantVestingPanel
+            getHolderBalance={this.getHolderBalance}
+            getHolderVestings={this.getHolderVestings}
+            holderAddress={grantVestingHolder}
+            maxAccountTokens={maxAccountTokens}
+            onClose={this.handleGrantVestingClose}
+            onGrantVesting={this.handleGrantVesting}
+            onTransitionEnd={this.handleGrantVestingTransitionEnd}
+            opened={grantVestingOpened}
+            tokenDecimals={numData.tokenDecimals}
+            tokenManagerAddress={tokenManagerAddress}
+            tokenSymbol={tokenSymbol}
+          />
+        )}
+        {appStateReady && (
+          <DistributionPanel
+            holders={holders}
+            maxAccountTokens={maxAccountTokens}
+            onClose={this.handleDistributionClose}
+            onDistribute={this.handleDistribute}
+            opened={distributionOpened}
+            tokenDecimals={numData.tokenDecimals}
+            tokenManagerAddress={tokenManagerAddress}
+            tokenSupply={tokenSupply}
+            tokenSymbol={tokenSymbol}
+            vestings={vestings}
+          />
+        )}
       </IdentityProvider>
     )
   }
 }
 
 export default () => {
-  const { api, appState, guiStyle } = useAragonApi()
+  const { api, appState, currentApp, guiStyle } = useAragonApi()
   const { appearance } = guiStyle
   const { selectHolder, selectedHolder } = useAppLogic()
 
@@ -181,6 +309,7 @@ export default () => {
         api={api}
         selectHolder={selectHolder}
         selectedHolder={selectedHolder}
+        tokenManagerAddress={currentApp ? currentApp.appAddress : null}
         {...appState}
       />
     </Main>
@@ -3,12 +3,12 @@ import BN from 'bn.js'
 import { useAppState, usePath } from '@aragon/api-react'
 import { useNow } from './hooks/useNow'
 import { holderFromPath, pathFromHolder } from './routing'
-import { getVestedTokensInfo } from './vesting-utils'
+import { getRevokedVestingInfo, getVestedTokensInfo } from './vesting-utils'
 import { addressesEqual } from './web3-utils'
 
 // Get the vestings from the holder currently selected, or null otherwise.
 export function useSelectedHolderVestings() {
-  const { holders, vestings } = useAppState()
+  const { holders, ledgers, vestings } = useAppState()
   const [path, requestPath] = usePath()
 
   // The memoized holder currently selected.
@@ -26,9 +26,10 @@ export function useSelectedHolderVestings() {
       : null
     holderInfo.balance = holder ? holder.balance : new BN(0)
     holderInfo.vestings = (vestings && vestings[holderAddress]) || []
+    holderInfo.ledger = (ledgers && ledgers[holderAddress]) || []
 
     return holderInfo
-  }, [path, vestings])
+  }, [path, ledgers, vestings])
 
   const selectHolder = useCallback(
     holderAddress => {
@@ -44,17 +45,15 @@ export function useSelectedHolderVestings() {
   return [selectedHolder, selectHolder, unselectHolder]
 }
 
+function getVestingInfo(now, { data, revoked }) {
+  return revoked
+    ? getRevokedVestingInfo(data, revoked)
+    : getVestedTokensInfo(now, data)
+}
+
 export function useVestedTokensInfo(vesting) {
   const now = useNow()
-
-  const { amount, start, cliff, vesting: end } = vesting.data
-
-  return getVestedTokensInfo(now, {
-    amount,
-    start,
-    cliff,
-    vesting: end,
-  })
+  return getVestingInfo(now, vesting)
 }
 
 export function useTotalVestedTokensInfo(vestings) {
@@ -68,13 +67,17 @@ export function useTotalVestedTokensInfo(vestings) {
     }
   }
 
-  const totalAmount = vestings.reduce((total, vesting) => {
-    return total.add(new BN(vesting.data.amount))
-  }, new BN(0))
-
   const vestingsTokensInfo = vestings.map(vesting =>
-    getVestedTokensInfo(now, vesting.data)
+    getVestingInfo(now, vesting)
   )
+
+  // The revoked tokens are not part of the vestings anymore
+  const totalAmount = vestings.reduce((total, vesting, index) => {
+    const { revokedTokens } = vestingsTokensInfo[index]
+    return total
+      .add(new BN(vesting.data.amount))
+      .sub(revokedTokens || new BN(0))
+  }, new BN(0))
   const totalLocked = vestingsTokensInfo.reduce((total, vestingTokenInfo) => {
     return total.add(vestingTokenInfo.lockedTokens)
   }, new BN(0))
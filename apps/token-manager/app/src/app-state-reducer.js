@@ -14,6 +14,7 @@ function appStateReducer(state) {
 
   const {
     holders,
+    ledgers,
     maxAccountTokens,
     tokenDecimals,
     tokenSupply,
@@ -46,11 +47,22 @@ function appStateReducer(state) {
           .sort((a, b) => b.balance.cmp(a.balance))
       : [],
 
+    ledgers: ledgers
+      ? Object.entries(ledgers).reduce((ledgers, [address, ledger]) => {
+          ledgers[address] = ledger.map(entry => ({
+            ...entry,
+            amount: new BN(entry.amount),
+            date: new Date(entry.date),
+          }))
+          return ledgers
+        }, {})
+      : {},
+
     vestings: vestings
       ? Object.entries(vestings).reduce(
           (vestings, [address, vestingsForAddress]) => {
             vestings[address] = vestingsForAddress.map(vesting => {
-              const { data } = vesting
+              const { data, revoked } = vesting
 
               return {
                 ...vesting,
@@ -61,6 +73,13 @@ function appStateReducer(state) {
                   start: new Date(data.start),
                   vesting: new Date(data.vesting),
                 },
+                revoked: revoked
+                  ? {
+                      ...revoked,
+                      date: new Date(revoked.date),
+                      nonVestedAmount: new BN(revoked.nonVestedAmount),
+                    }
+                  : null,
               }
             })
 
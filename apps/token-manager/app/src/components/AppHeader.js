@@ -3,7 +3,9 @@ import PropTypes from 'prop-types'
 import {
   Button,
   Header,
+  IconClock,
   IconPlus,
+  IconUpload,
   Tag,
   textStyle,
   useLayout,
@@ -14,6 +16,8 @@ import {
 const AppHeader = React.memo(function AppHeader({
   tokenSymbol,
   onAssignHolder,
+  onGrantVesting,
+  onImportDistribution,
 }) {
   const theme = useTheme()
   const { layoutName } = useLayout()
@@ -48,19 +52,45 @@ const AppHeader = React.memo(function AppHeader({
         </div>
       }
       secondary={
-        <Button
-          mode="strong"
-          onClick={onAssignHolder}
-          label="Add tokens"
-          icon={<IconPlus />}
-          display={layoutName === 'small' ? 'icon' : 'label'}
-        />
+        <div
+          css={`
+            display: flex;
+          `}
+        >
+          <Button
+            onClick={onImportDistribution}
+            label="Import distribution"
+            icon={<IconUpload />}
+            display={layoutName === 'small' ? 'icon' : 'label'}
+            css={`
+              margin-right: ${1 * GU}px;
+            `}
+          />
+          <Button
+            onClick={onGrantVesting}
+            label="Grant vested tokens"
+            icon={<IconClock />}
+            display={layoutName === 'small' ? 'icon' : 'label'}
+            css={`
+              margin-right: ${1 * GU}px;
+            `}
+          />
+          <Button
+            mode="strong"
+            onClick={onAssignHolder}
+            label="Add tokens"
+            icon={<IconPlus />}
+            display={layoutName === 'small' ? 'icon' : 'label'}
+          />
+        </div>
       }
     />
   )
 })
 AppHeader.propTypes = {
   onAssignHolder: PropTypes.func.isRequired,
+  onGrantVesting: PropTypes.func.isRequired,
+  onImportDistribution: PropTypes.func.isRequired,
   tokenSymbol: PropTypes.string,
 }
 
@@ -0,0 +1,386 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import {
+  Button,
+  DropDown,
+  Field,
+  GU,
+  IconCross,
+  Info,
+  SidePanel,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import { useInstalledApps } from '@aragon/api-react'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import {
+  DISTRIBUTION_COLUMNS,
+  getDistributionCalls,
+  getDistributionPreview,
+  parseDistribution,
+  validateDistribution,
+} from '../../distribution-utils'
+import { encodeCallScript } from '../../evmscript-utils'
+import { formatDate } from '../../date-utils'
+import { addressesEqual } from '../../web3-utils'
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+function DistributionPanel({ onClose, onTransitionEnd, opened, ...props }) {
+  return (
+    <SidePanel
+      title="Import a distribution"
+      opened={opened}
+      onClose={onClose}
+      onTransitionEnd={onTransitionEnd}
+    >
+      <DistributionPanelContent {...props} />
+    </SidePanel>
+  )
+}
+
+DistributionPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onTransitionEnd: PropTypes.func,
+  opened: PropTypes.bool.isRequired,
+}
+
+function DistributionPanelContent({
+  holders,
+  maxAccountTokens,
+  onDistribute,
+  tokenDecimals,
+  tokenManagerAddress,
+  tokenSupply,
+  tokenSymbol,
+  vestings,
+}) {
+  const theme = useTheme()
+  const installedApps = useInstalledApps()
+  const [rows, setRows] = useState([])
+  const [fileError, setFileError] = useState(null)
+  const [selectedForwarder, setSelectedForwarder] = useState(0)
+
+  // The script is submitted to a forwarder allowed to mint and burn tokens
+  // (e.g. Voting), that token holders usually reach through the Token
+  // Manager. Forwarding it through the Token Manager itself would execute it
+  // as the Token Manager.
+  const forwarders = useMemo(
+    () =>
+      installedApps.filter(
+        ({ appAddress, isForwarder }) =>
+          isForwarder && !addressesEqual(appAddress, tokenManagerAddress)
+      ),
+    [installedApps, tokenManagerAddress]
+  )
+  const validatedRows = useMemo(
+    () =>
+      validateDistribution(rows, {
+        holders,
+        maxAccountTokens,
+        tokenDecimals,
+        tokenManagerAddress,
+        vestings,
+      }),
+    [
+      holders,
+      maxAccountTokens,
+      rows,
+      tokenDecimals,
+      tokenManagerAddress,
+      vestings,
+    ]
+  )
+  const preview = useMemo(
+    () => getDistributionPreview(validatedRows, { holders, tokenSupply }),
+    [holders, tokenSupply, validatedRows]
+  )
+  const invalidCount = validatedRows.filter(({ error }) => error).length
+
+  const handleFileChange = useCallback(async event => {
+    const [file] = event.target.files
+    if (!file) {
+      return
+    }
+    try {
+      setRows(parseDistribution(await readFile(file)))
+      setFileError(null)
+    } catch (err) {
+      setRows([])
+      setFileError('The file could not be read')
+    }
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      const forwarder = forwarders[selectedForwarder]
+      if (!forwarder || !tokenManagerAddress || invalidCount > 0) {
+        return
+      }
+      onDistribute(
+        forwarder.appAddress,
+        encodeCallScript(
+          getDistributionCalls(validatedRows, tokenManagerAddress)
+        )
+      )
+    },
+    [
+      forwarders,
+      invalidCount,
+      onDistribute,
+      selectedForwarder,
+      tokenManagerAddress,
+      validatedRows,
+    ]
+  )
+
+  const formatAmount = (amount, options) =>
+    formatTokenAmount(amount, tokenDecimals, {
+      symbol: tokenSymbol,
+      ...options,
+    })
+
+  if (forwarders.length === 0) {
+    return (
+      <Info
+        mode="warning"
+        css={`
+          margin-top: ${3 * GU}px;
+        `}
+      >
+        Distributions are submitted as a single script, which requires an app
+        able to forward it (e.g. Voting) to be installed in the organization.
+      </Info>
+    )
+  }
+
+  const disabled =
+    !tokenManagerAddress || validatedRows.length === 0 || invalidCount > 0
+
+  return (
+    <form
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+      onSubmit={handleSubmit}
+    >
+      <Info
+        title="Action"
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        Import a CSV or JSON file with one row per holder, in the following
+        columns: {DISTRIBUTION_COLUMNS.join(', ')}. Negative amounts are burned,
+        and the vesting columns are optional. The selected app needs the
+        permissions to mint, burn, issue and assign tokens.
+      </Info>
+      <Field label="Distribution file" required>
+        <input
+          accept=".csv,text/csv,.json,application/json"
+          onChange={handleFileChange}
+          type="file"
+          css={`
+            ${textStyle('body3')};
+          `}
+        />
+      </Field>
+      {fileError && <ValidationError message={fileError} />}
+      {validatedRows.length > 0 && (
+        <React.Fragment>
+          <Field label={`Rows (${validatedRows.length})`}>
+            <ul
+              css={`
+                list-style: none;
+                li {
+                  padding: ${1.5 * GU}px 0;
+                  border-bottom: 1px solid ${theme.border};
+                }
+              `}
+            >
+              {validatedRows.map(row => (
+                <DistributionRow
+                  key={row.line}
+                  formatAmount={formatAmount}
+                  row={row}
+                />
+              ))}
+            </ul>
+          </Field>
+          <Field label="Preview">
+            <div
+              css={`
+                ${textStyle('body2')};
+              `}
+            >
+              Total supply: {formatAmount(tokenSupply)} →{' '}
+              {formatAmount(preview.tokenSupply)}
+            </div>
+            <div
+              css={`
+                margin-bottom: ${1 * GU}px;
+                ${textStyle('body3')};
+                color: ${theme.surfaceContentSecondary};
+              `}
+            >
+              {formatAmount(preview.minted)} minted ·{' '}
+              {formatAmount(preview.burned)} burned
+            </div>
+            <ul
+              css={`
+                list-style: none;
+              `}
+            >
+              {preview.holders.map(
+                ({ address, balanceAfter, shareAfter, shareBefore }) => (
+                  <li
+                    key={address}
+                    css={`
+                      display: flex;
+                      align-items: center;
+                      justify-content: space-between;
+                      padding: ${0.5 * GU}px 0;
+                    `}
+                  >
+                    <LocalIdentityBadge entity={address} />
+                    <span
+                      css={`
+                        white-space: nowrap;
+                        ${textStyle('body3')};
+                      `}
+                    >
+                      {formatAmount(balanceAfter)} · {shareBefore}% →{' '}
+                      {shareAfter}%
+                    </span>
+                  </li>
+                )
+              )}
+            </ul>
+          </Field>
+          <Field label="Submit through">
+            <DropDown
+              items={forwarders.map(({ identifier, name }) =>
+                identifier ? `${name} (${identifier})` : name
+              )}
+              selected={selectedForwarder}
+              onChange={setSelectedForwarder}
+              wide
+            />
+          </Field>
+          <Button disabled={disabled} mode="strong" type="submit" wide>
+            Submit {validatedRows.length} rows
+          </Button>
+          {invalidCount > 0 && (
+            <ValidationError
+              message={`${invalidCount} ${
+                invalidCount === 1 ? 'row needs' : 'rows need'
+              } to be fixed before submitting`}
+            />
+          )}
+        </React.Fragment>
+      )}
+    </form>
+  )
+}
+
+DistributionPanelContent.propTypes = {
+  holders: PropTypes.array.isRequired,
+  maxAccountTokens: PropTypes.instanceOf(BN).isRequired,
+  onDistribute: PropTypes.func.isRequired,
+  tokenDecimals: PropTypes.number.isRequired,
+  tokenManagerAddress: PropTypes.string,
+  tokenSupply: PropTypes.instanceOf(BN).isRequired,
+  tokenSymbol: PropTypes.string,
+  vestings: PropTypes.object.isRequired,
+}
+
+const DistributionRow = ({ formatAmount, row }) => {
+  const theme = useTheme()
+  const { address, amount, error, line, vesting } = row
+
+  return (
+    <li>
+      <div
+        css={`
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        `}
+      >
+        <div
+          css={`
+            flex: 1;
+            min-width: 0;
+            margin-right: ${1 * GU}px;
+          `}
+        >
+          {error ? address : <LocalIdentityBadge entity={address} />}
+        </div>
+        <span
+          css={`
+            white-space: nowrap;
+            font-weight: 600;
+          `}
+        >
+          {amount ? formatAmount(amount, { displaySign: true }) : row.amount}
+        </span>
+      </div>
+      <div
+        css={`
+          margin-top: ${0.5 * GU}px;
+          ${textStyle('body3')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        Line {line}
+        {vesting &&
+          ` · Vested from ${formatDate(vesting.start)}, cliff on ${formatDate(
+            vesting.cliff
+          )}, until ${formatDate(vesting.end)}${
+            vesting.revokable ? ' (revokable)' : ''
+          }`}
+      </div>
+      {error && <ValidationError message={error} />}
+    </li>
+  )
+}
+
+const ValidationError = ({ message }) => {
+  const theme = useTheme()
+  return (
+    <div
+      css={`
+        display: flex;
+        align-items: center;
+        margin-top: ${1 * GU}px;
+      `}
+    >
+      <IconCross
+        size="tiny"
+        css={`
+          color: ${theme.negative};
+          margin-right: ${1 * GU}px;
+        `}
+      />
+      <span
+        css={`
+          ${textStyle('body3')}
+        `}
+      >
+        {message}
+      </span>
+    </div>
+  )
+}
+
+export default DistributionPanel
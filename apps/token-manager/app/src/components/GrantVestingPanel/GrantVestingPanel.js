@@ -0,0 +1,442 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import {
+  Button,
+  Field,
+  formatTokenAmount,
+  GU,
+  Info,
+  SidePanel,
+  Switch,
+  TextInput,
+  textStyle,
+  useSidePanelFocusOnReady,
+  useTheme,
+} from '@aragon/ui'
+import { addressesEqual, isAddress } from '../../web3-utils'
+import { fromDecimals, toDecimals, splitDecimalNumber } from '../../utils'
+import { dayjs, formatDate } from '../../date-utils'
+import { MAX_VESTINGS_PER_ADDRESS } from '../../vesting-utils'
+import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+import AmountInput from '../AmountInput'
+import VestingPreview from './VestingPreview'
+
+// Any more and the number input field starts to put numbers in scientific notation
+const MAX_INPUT_DECIMAL_BASE = 6
+
+function GrantVestingPanel({
+  getHolderBalance,
+  getHolderVestings,
+  holderAddress,
+  maxAccountTokens,
+  onClose,
+  onGrantVesting,
+  onTransitionEnd,
+  opened,
+  tokenDecimals,
+  tokenManagerAddress,
+  tokenSymbol,
+}) {
+  return (
+    <SidePanel
+      title="Grant vested tokens"
+      opened={opened}
+      onClose={onClose}
+      onTransitionEnd={onTransitionEnd}
+    >
+      <GrantVestingPanelContent
+        getHolderBalance={getHolderBalance}
+        getHolderVestings={getHolderVestings}
+        holderAddress={holderAddress}
+        maxAccountTokens={maxAccountTokens}
+        onGrantVesting={onGrantVesting}
+        tokenDecimals={tokenDecimals}
+        tokenManagerAddress={tokenManagerAddress}
+        tokenSymbol={tokenSymbol}
+      />
+    </SidePanel>
+  )
+}
+
+// Dates are entered as days, the vesting periods starting at their beginning
+function parseDay(value) {
+  const date = dayjs(value)
+  return value && date.isValid() ? date.startOf('day').toDate() : null
+}
+
+function useGrantVestingForm({
+  getHolderBalance,
+  getHolderVestings,
+  initialHolder,
+  maxAccountTokens,
+  tokenDecimals,
+  tokenManagerAddress,
+  tokenSymbol,
+}) {
+  const [fields, setFields] = useState(() => {
+    const today = dayjs().startOf('day')
+    return {
+      amount: '',
+      cliff: formatDate(today.add(1, 'year')),
+      end: formatDate(today.add(4, 'year')),
+      holder: initialHolder,
+      holderError: null,
+      revokable: true,
+      start: formatDate(today),
+    }
+  })
+
+  const updateField = useCallback((name, value) => {
+    setFields(fields => ({
+      ...fields,
+      [name]: value,
+      // The address gets validated again on submit
+      ...(name === 'holder' ? { holderError: null } : {}),
+    }))
+  }, [])
+
+  const holder = fields.holder.trim()
+  const amountValue = fields.amount.trim()
+  const start = parseDay(fields.start)
+  const cliff = parseDay(fields.cliff)
+  const end = parseDay(fields.end)
+
+  const amount = useMemo(() => {
+    const decimals = splitDecimalNumber(amountValue)[1]
+    if (!amountValue || decimals.length > tokenDecimals) {
+      return null
+    }
+    const amount = new BN(toDecimals(amountValue, tokenDecimals))
+    return amount.isZero() ? null : amount
+  }, [amountValue, tokenDecimals])
+
+  // The tokens get transferred from the Token Manager's own holdings
+  const availableBalance = tokenManagerAddress
+    ? getHolderBalance(tokenManagerAddress)
+    : new BN(0)
+  const holderBalance = isAddress(holder) ? getHolderBalance(holder) : new BN(0)
+  const maxAmount = BN.min(
+    availableBalance,
+    BN.max(maxAccountTokens.sub(holderBalance), new BN(0))
+  )
+
+  const formatAmount = amount =>
+    formatTokenAmount(amount, tokenDecimals, { symbol: tokenSymbol })
+
+  const warningMessage = (() => {
+    if (isAddress(holder)) {
+      if (addressesEqual(holder, tokenManagerAddress)) {
+        return 'The Token Manager cannot grant vested tokens to itself.'
+      }
+      if (getHolderVestings(holder).length >= MAX_VESTINGS_PER_ADDRESS) {
+        return `This account already reached the maximum amount of vestings
+                (${MAX_VESTINGS_PER_ADDRESS}).`
+      }
+      if (holderBalance.gte(maxAccountTokens)) {
+        return `The maximum amount of tokens that can be assigned
+                (${formatAmount(maxAccountTokens)}) has already been reached.`
+      }
+    }
+    if (amountValue) {
+      const decimals = splitDecimalNumber(amountValue)[1]
+      if (decimals.length > tokenDecimals) {
+        return 'You are trying to grant an amount that includes more decimals than the token allows.'
+      }
+      if (!amount) {
+        return 'You are trying to grant an amount that is smaller than the minimum amount of tokens possible.'
+      }
+      if (amount.gt(availableBalance)) {
+        return `The Token Manager only holds ${formatAmount(
+          availableBalance
+        )}. Tokens need to be issued to it before being granted.`
+      }
+      if (amount.gt(maxAmount)) {
+        return `You are trying to grant an amount that is greater than the
+                maximum amount of tokens that can be assigned
+                (${formatAmount(maxAmount)}).`
+      }
+    }
+    if (start && cliff && cliff < start) {
+      return 'The cliff cannot happen before the start of the vesting.'
+    }
+    if (cliff && end && end < cliff) {
+      return 'The vesting cannot end before its cliff.'
+    }
+    return null
+  })()
+
+  const submitDisabled = Boolean(
+    fields.holderError ||
+      warningMessage ||
+      !holder ||
+      !amount ||
+      !start ||
+      !cliff ||
+      !end
+  )
+
+  const validateFields = useCallback(() => {
+    if (!isAddress(holder)) {
+      setFields(fields => ({
+        ...fields,
+        holderError: 'The recipient must be a valid Ethereum address.',
+      }))
+      return null
+    }
+    return {
+      amount: amount.toString(),
+      cliff,
+      end,
+      holder,
+      revokable: fields.revokable,
+      start,
+    }
+  }, [amount, cliff, end, fields.revokable, holder, start])
+
+  useEffect(() => {
+    updateField('holder', initialHolder)
+  }, [initialHolder, updateField])
+
+  return {
+    amount,
+    cliff,
+    end,
+    errorMessage: fields.holderError,
+    fields,
+    maxAmount,
+    start,
+    submitDisabled,
+    updateField,
+    validateFields,
+    warningMessage,
+  }
+}
+
+function GrantVestingPanelContent({
+  getHolderBalance,
+  getHolderVestings,
+  holderAddress,
+  maxAccountTokens,
+  onGrantVesting,
+  tokenDecimals,
+  tokenManagerAddress,
+  tokenSymbol,
+}) {
+  const theme = useTheme()
+  const holderInputRef = useSidePanelFocusOnReady()
+  const amountInputRef = useSidePanelFocusOnReady()
+
+  const {
+    amount,
+    cliff,
+    end,
+    errorMessage,
+    fields,
+    maxAmount,
+    start,
+    submitDisabled,
+    updateField,
+    validateFields,
+    warningMessage,
+  } = useGrantVestingForm({
+    getHolderBalance,
+    getHolderVestings,
+    initialHolder: holderAddress,
+    maxAccountTokens,
+    tokenDecimals,
+    tokenManagerAddress,
+    tokenSymbol,
+  })
+
+  const tokenStep = fromDecimals(
+    '1',
+    Math.min(MAX_INPUT_DECIMAL_BASE, tokenDecimals)
+  )
+
+  const handleHolderChange = useCallback(
+    value => updateField('holder', value),
+    [updateField]
+  )
+  const handleRevokableChange = useCallback(
+    checked => updateField('revokable', checked),
+    [updateField]
+  )
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+
+      const fieldsData = validateFields()
+
+      if (!fieldsData) {
+        return
+      }
+
+      onGrantVesting(fieldsData)
+    },
+    [validateFields, onGrantVesting]
+  )
+
+  const previewReady = Boolean(
+    amount && start && cliff && end && start <= cliff && cliff <= end
+  )
+
+  return (
+    <form
+      css={`
+        margin-top: ${3 * GU}px;
+      `}
+      onSubmit={handleSubmit}
+    >
+      <Info
+        title="Action"
+        css={`
+          margin-bottom: ${3 * GU}px;
+        `}
+      >
+        This action will transfer tokens held by the Token Manager to the
+        recipient below. They will be locked until the cliff, and unlocked
+        progressively from the start to the end of the vesting.
+      </Info>
+      <Field label="Recipient (must be a valid Ethereum address)">
+        <LocalIdentitiesAutoComplete
+          ref={holderAddress ? undefined : holderInputRef}
+          value={fields.holder}
+          onChange={handleHolderChange}
+          wide
+          required
+        />
+      </Field>
+
+      <Field label="Number of tokens to grant">
+        <AmountInput
+          ref={holderAddress ? amountInputRef : undefined}
+          onChange={event => updateField('amount', event.target.value)}
+          onMaxClick={() =>
+            updateField(
+              'amount',
+              fromDecimals(maxAmount.toString(), tokenDecimals)
+            )
+          }
+          step={tokenStep}
+          value={fields.amount}
+          required
+          showMax
+          wide
+        />
+      </Field>
+
+      <div
+        css={`
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          grid-gap: ${1.5 * GU}px;
+        `}
+      >
+        <Field label="Start">
+          <TextInput
+            type="date"
+            onChange={event => updateField('start', event.target.value)}
+            value={fields.start}
+            required
+            wide
+          />
+        </Field>
+        <Field label="Cliff">
+          <TextInput
+            type="date"
+            onChange={event => updateField('cliff', event.target.value)}
+            value={fields.cliff}
+            required
+            wide
+          />
+        </Field>
+        <Field label="End">
+          <TextInput
+            type="date"
+            onChange={event => updateField('end', event.target.value)}
+            value={fields.end}
+            required
+            wide
+          />
+        </Field>
+      </div>
+
+      <Field label="Revokable">
+        <label
+          css={`
+            display: flex;
+            align-items: center;
+            ${textStyle('body3')};
+            color: ${theme.surfaceContentSecondary};
+          `}
+        >
+          <Switch checked={fields.revokable} onChange={handleRevokableChange} />
+          <span
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          >
+            The locked tokens can be taken back before the end of the vesting.
+          </span>
+        </label>
+      </Field>
+
+      {previewReady && (
+        <VestingPreview
+          vesting={{ amount, start, cliff, vesting: end }}
+          tokenDecimals={tokenDecimals}
+          tokenSymbol={tokenSymbol}
+        />
+      )}
+
+      <Button mode="strong" type="submit" disabled={submitDisabled} wide>
+        Grant vested tokens
+      </Button>
+
+      <div
+        css={`
+          margin-top: ${2 * GU}px;
+        `}
+      >
+        {errorMessage && <Message mode="error">{errorMessage}</Message>}
+        {warningMessage && <Message mode="warning">{warningMessage}</Message>}
+      </div>
+    </form>
+  )
+}
+
+GrantVestingPanelContent.propTypes = {
+  getHolderBalance: PropTypes.func.isRequired,
+  getHolderVestings: PropTypes.func.isRequired,
+  holderAddress: PropTypes.string,
+  maxAccountTokens: PropTypes.instanceOf(BN).isRequired,
+  onGrantVesting: PropTypes.func,
+  tokenDecimals: PropTypes.number.isRequired,
+  tokenManagerAddress: PropTypes.string,
+  tokenSymbol: PropTypes.string,
+}
+
+GrantVestingPanelContent.defaultProps = {
+  onGrantVesting: () => {},
+  holderAddress: '',
+}
+
+function Message({ children, mode, title }) {
+  return (
+    <div
+      css={`
+        & + & {
+          margin-top: ${2 * GU}px;
+        }
+      `}
+    >
+      <Info mode={mode} title={title}>
+        {children}
+      </Info>
+    </div>
+  )
+}
+
+export default GrantVestingPanel
@@ -0,0 +1,87 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import {
+  GU,
+  LineChart,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import SummaryRow from '../SummaryRow'
+import { formatDate } from '../../date-utils'
+import { getVestedTokensInfo, getVestingUnlockCurve } from '../../vesting-utils'
+
+function VestingPreview({ tokenDecimals, tokenSymbol, vesting }) {
+  const theme = useTheme()
+
+  const curve = getVestingUnlockCurve(vesting)
+  const cliffInfo = getVestedTokensInfo(vesting.cliff, vesting)
+
+  return (
+    <div
+      css={`
+        margin-bottom: ${3 * GU}px;
+      `}
+    >
+      <h3
+        css={`
+          margin-bottom: ${1 * GU}px;
+          ${textStyle('label2')};
+          color: ${theme.surfaceContentSecondary};
+        `}
+      >
+        Unlock schedule
+      </h3>
+      <LineChart
+        lines={[
+          curve.map(({ unlockedPercentage }) => unlockedPercentage / 100),
+        ]}
+        height={18 * GU}
+        color={() => theme.positive}
+        labelColor={theme.surfaceContentSecondary}
+        label={index =>
+          index === 0 || index === curve.length - 1
+            ? formatDate(curve[index].time)
+            : ''
+        }
+      />
+      <div
+        css={`
+          margin-top: ${1 * GU}px;
+          ${textStyle('body3')};
+        `}
+      >
+        <SummaryRow
+          color={theme.surfaceContentSecondary}
+          label="At the cliff"
+          pct={cliffInfo.unlockedPercentage}
+          content={formatTokenAmount(cliffInfo.unlockedTokens, tokenDecimals, {
+            symbol: tokenSymbol,
+          })}
+        />
+        <SummaryRow
+          color={theme.positive}
+          label="At the end"
+          pct={100}
+          content={formatTokenAmount(vesting.amount, tokenDecimals, {
+            symbol: tokenSymbol,
+          })}
+        />
+      </div>
+    </div>
+  )
+}
+
+VestingPreview.propTypes = {
+  tokenDecimals: PropTypes.number.isRequired,
+  tokenSymbol: PropTypes.string,
+  vesting: PropTypes.shape({
+    amount: PropTypes.instanceOf(BN).isRequired,
+    cliff: PropTypes.instanceOf(Date).isRequired,
+    start: PropTypes.instanceOf(Date).isRequired,
+    vesting: PropTypes.instanceOf(Date).isRequired,
+  }).isRequired,
+}
+
+export default VestingPreview
@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import {
+  Box,
+  DataView,
+  GU,
+  LineChart,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
+import LocalIdentityBadge from '../LocalIdentityBadge/LocalIdentityBadge'
+import { formatDate } from '../../date-utils'
+import { fromDecimals } from '../../utils'
+import {
+  ENTRY_BURN,
+  ENTRY_MINT,
+  ENTRY_REVOCATION,
+  ENTRY_TRANSFER_IN,
+  ENTRY_TRANSFER_OUT,
+  ENTRY_VESTING,
+  getBalanceHistory,
+  getEntryChange,
+} from '../../ledger-utils'
+
+const ENTRY_LABELS = {
+  [ENTRY_BURN]: 'Tokens removed',
+  [ENTRY_MINT]: 'Tokens added',
+  [ENTRY_REVOCATION]: 'Vesting revoked',
+  [ENTRY_TRANSFER_IN]: 'Received',
+  [ENTRY_TRANSFER_OUT]: 'Sent',
+  [ENTRY_VESTING]: 'Vesting granted',
+}
+
+// Convert an amount in base units into a number, for charting purposes
+function toNumber(amount, decimals) {
+  const decimalAmount = Number(fromDecimals(amount.abs().toString(), decimals))
+  return amount.isNeg() ? -decimalAmount : decimalAmount
+}
+
+// Normalize values between 0 and 1, as expected by LineChart
+function normalize(values) {
+  const min = Math.min(0, ...values)
+  const max = Math.max(...values)
+  return values.map(value => (max === min ? 0 : (value - min) / (max - min)))
+}
+
+function HolderHistory({ ledger, tokenDecimals, tokenSymbol }) {
+  const theme = useTheme()
+
+  const history = useMemo(() => getBalanceHistory(ledger), [ledger])
+  const chartValues = useMemo(
+    () =>
+      normalize(
+        // Every holder starts without any tokens
+        [0].concat(
+          history.map(({ balance }) =>
+            toNumber(balance, tokenDecimals.toNumber())
+          )
+        )
+      ),
+    [history, tokenDecimals]
+  )
+  // Latest entries first
+  const entries = useMemo(() => history.slice().reverse(), [history])
+
+  if (history.length === 0) {
+    return null
+  }
+
+  return (
+    <React.Fragment>
+      <Box heading="Balance history">
+        <LineChart
+          lines={[chartValues]}
+          height={25 * GU}
+          color={() => theme.accent}
+          labelColor={theme.surfaceContentSecondary}
+          label={index =>
+            index === 1 || index === chartValues.length - 1
+              ? formatDate(history[index - 1].date)
+              : ''
+          }
+        />
+      </Box>
+      <DataView
+        heading={
+          <h2
+            css={`
+              ${textStyle('body1')};
+              padding: ${2 * GU}px 0;
+            `}
+          >
+            Timeline
+          </h2>
+        }
+        fields={['Date', 'Event', 'Account', 'Amount', 'Balance']}
+        entries={entries}
+        entriesPerPage={10}
+        renderEntry={({ balance, date, entry }) => {
+          const change = getEntryChange(entry)
+          return [
+            <span
+              css={`
+                color: ${theme.surfaceContentSecondary};
+              `}
+            >
+              {formatDate(date)}
+            </span>,
+            ENTRY_LABELS[entry.type],
+            entry.counterparty ? (
+              <LocalIdentityBadge entity={entry.counterparty} />
+            ) : (
+              ''
+            ),
+            <span
+              css={`
+                color: ${change.isNeg() ? theme.negative : theme.positive};
+              `}
+            >
+              {formatTokenAmount(change, tokenDecimals, {
+                displaySign: true,
+                symbol: tokenSymbol,
+              })}
+            </span>,
+            formatTokenAmount(balance, tokenDecimals),
+          ]
+        }}
+      />
+    </React.Fragment>
+  )
+}
+
+HolderHistory.propTypes = {
+  ledger: PropTypes.array.isRequired,
+  tokenDecimals: PropTypes.instanceOf(BN).isRequired,
+  tokenSymbol: PropTypes.string,
+}
+
+export default HolderHistory
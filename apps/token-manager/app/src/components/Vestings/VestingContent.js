@@ -1,6 +1,7 @@
 import React from 'react'
 import {
   GU,
+  Tag,
   formatTokenAmount,
   textStyle,
   useLayout,
@@ -37,6 +38,16 @@ function VestingContent({ tokenDecimals, tokenSymbol, vesting }) {
         {formatTokenAmount(vesting.data.amount, tokenDecimals, {
           symbol: tokenSymbol,
         })}
+        {vesting.revoked && (
+          <Tag
+            mode="indicator"
+            css={`
+              margin-left: ${1 * GU}px;
+            `}
+          >
+            Revoked
+          </Tag>
+        )}
       </div>
       <div
         css={`
@@ -67,18 +78,33 @@ function VestingContent({ tokenDecimals, tokenSymbol, vesting }) {
               }
             )}
           />
-          <SummaryRow
-            color={theme.negative}
-            label="Locked tokens"
-            pct={vestingInfo.lockedPercentage}
-            content={formatTokenAmount(
-              vestingInfo.lockedTokens,
-              tokenDecimals,
-              {
-                symbol: tokenSymbol,
-              }
-            )}
-          />
+          {vesting.revoked ? (
+            <SummaryRow
+              color={theme.surfaceContentSecondary}
+              label="Revoked tokens"
+              pct={vestingInfo.revokedPercentage}
+              content={formatTokenAmount(
+                vestingInfo.revokedTokens,
+                tokenDecimals,
+                {
+                  symbol: tokenSymbol,
+                }
+              )}
+            />
+          ) : (
+            <SummaryRow
+              color={theme.negative}
+              label="Locked tokens"
+              pct={vestingInfo.lockedPercentage}
+              content={formatTokenAmount(
+                vestingInfo.lockedTokens,
+                tokenDecimals,
+                {
+                  symbol: tokenSymbol,
+                }
+              )}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -1,12 +1,42 @@
-import React from 'react'
-import { GU, formatTokenAmount, textStyle, useTheme } from '@aragon/ui'
+import React, { useCallback } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import { useNetwork } from '@aragon/api-react'
+import {
+  Button,
+  GU,
+  TransactionBadge,
+  formatTokenAmount,
+  textStyle,
+  useTheme,
+} from '@aragon/ui'
 import { useVestedTokensInfo } from '../../app-logic'
 import { formatDate, timePeriod } from '../../date-utils'
 
-function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
+function VestingExpandableContent({
+  onRevokeVesting,
+  tokenDecimals,
+  tokenSymbol,
+  vesting,
+}) {
   const theme = useTheme()
+  const network = useNetwork()
   const vestingInfo = useVestedTokensInfo(vesting)
-  const { start, cliff, vesting: end } = vesting.data
+  const { start, cliff, revokable, vesting: end } = vesting.data
+  const { revoked } = vesting
+
+  // Revoked vestings get deleted from the contract, so their dates are
+  // unknown when they got revoked before being synced
+  const datesKnown = start.getTime() > 0
+  const formatVestingDate = date => (datesKnown ? formatDate(date) : 'Unknown')
+  const formatVestingPeriod = (to, from) =>
+    datesKnown ? timePeriod(to, from) : 'Unknown'
+
+  const canRevoke = revokable && !revoked && !vestingInfo.lockedTokens.isZero()
+  const handleRevoke = useCallback(() => onRevokeVesting(vesting.id), [
+    onRevokeVesting,
+    vesting.id,
+  ])
 
   return (
     <div
@@ -36,7 +66,7 @@ function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
               ${textStyle('body4')};
             `}
           >
-            {formatDate(start)}
+            {formatVestingDate(start)}
           </p>
         </div>
         <div
@@ -57,7 +87,7 @@ function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
               ${textStyle('body4')};
             `}
           >
-            {formatDate(end)}
+            {formatVestingDate(end)}
           </p>
         </div>
       </div>
@@ -80,7 +110,7 @@ function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
               ${textStyle('body4')};
             `}
           >
-            {timePeriod(end, start)}
+            {formatVestingPeriod(end, start)}
           </p>
         </div>
         <div
@@ -101,7 +131,7 @@ function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
               ${textStyle('body4')};
             `}
           >
-            {timePeriod(cliff, start)}
+            {formatVestingPeriod(cliff, start)}
           </p>
         </div>
       </div>
@@ -129,9 +159,60 @@ function VestingExpandableContent({ tokenDecimals, tokenSymbol, vesting }) {
             })}
           </p>
         </div>
+        {revoked && (
+          <div
+            css={`
+              padding: ${1 * GU}px 0;
+            `}
+          >
+            <label
+              css={`
+                color: ${theme.surfaceContentSecondary};
+                ${textStyle('label2')};
+              `}
+            >
+              Revoked on {formatDate(revoked.date)}
+            </label>
+            <p
+              css={`
+                ${textStyle('body4')};
+              `}
+            >
+              {formatTokenAmount(revoked.nonVestedAmount, tokenDecimals, {
+                symbol: tokenSymbol,
+              })}{' '}
+              returned
+            </p>
+            <TransactionBadge
+              transaction={revoked.transactionHash}
+              networkType={network && network.type}
+              css={`
+                margin-top: ${0.5 * GU}px;
+              `}
+            />
+          </div>
+        )}
+        {canRevoke && (
+          <div
+            css={`
+              padding: ${1 * GU}px 0;
+            `}
+          >
+            <Button mode="negative" size="small" onClick={handleRevoke}>
+              Revoke
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
+VestingExpandableContent.propTypes = {
+  onRevokeVesting: PropTypes.func.isRequired,
+  tokenDecimals: PropTypes.instanceOf(BN),
+  tokenSymbol: PropTypes.string,
+  vesting: PropTypes.object.isRequired,
+}
+
 export default VestingExpandableContent
@@ -0,0 +1,374 @@
+import BN from 'bn.js'
+import { dayjs } from './date-utils'
+import {
+  encodeAssignVested,
+  encodeBurn,
+  encodeIssue,
+  encodeMint,
+} from './evmscript-utils'
+import { fromDecimals, splitDecimalNumber, toDecimals } from './utils'
+import { MAX_VESTINGS_PER_ADDRESS } from './vesting-utils'
+import { addressesEqual, isAddress } from './web3-utils'
+
+export const DISTRIBUTION_COLUMNS = [
+  'address',
+  'amount',
+  'start',
+  'cliff',
+  'end',
+  'revokable',
+]
+
+const REVOKABLE_VALUES = {
+  '': true,
+  true: true,
+  yes: true,
+  '1': true,
+  false: false,
+  no: false,
+  '0': false,
+}
+
+/**
+ * Parse the content of a CSV file.
+ * Supports quoted values, escaped quotes ("") and CRLF line breaks.
+ *
+ * @param {string} content content of the file
+ * @returns {Array<Array<string>>} the non-empty lines, as lists of values
+ */
+export function parseCsv(content) {
+  const lines = []
+  let line = []
+  let value = ''
+  let quoted = false
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      line.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++
+      }
+      lines.push(line.concat(value))
+      line = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  lines.push(line.concat(value))
+
+  return lines
+    .map(values => values.map(value => value.trim()))
+    .filter(values => values.some(Boolean))
+}
+
+function getDistributionRow(values, line) {
+  const [
+    address = '',
+    amount = '',
+    start = '',
+    cliff = '',
+    end = '',
+    revokable = '',
+  ] = values
+  const hasVesting = Boolean(start || cliff || end)
+  return {
+    address,
+    amount,
+    line,
+    vesting: hasVesting ? { cliff, end, revokable, start } : null,
+  }
+}
+
+/**
+ * Get the rows of a distribution file.
+ *
+ * CSV files have one row per line, in the DISTRIBUTION_COLUMNS order (a first
+ * line naming the columns is ignored). JSON files contain a list of objects
+ * using the same names. The vesting columns are optional.
+ *
+ * @param {string} content content of the file
+ * @returns {Array<Object>} the rows ({ address, amount, line, vesting })
+ */
+export function parseDistribution(content) {
+  const trimmedContent = content.trim()
+
+  if (trimmedContent.startsWith('[') || trimmedContent.startsWith('{')) {
+    const entries = JSON.parse(trimmedContent)
+    if (!Array.isArray(entries)) {
+      throw new Error('The JSON file must contain a list of entries')
+    }
+    return entries.map((entry, index) =>
+      getDistributionRow(
+        DISTRIBUTION_COLUMNS.map(column =>
+          entry && entry[column] !== undefined && entry[column] !== null
+            ? String(entry[column]).trim()
+            : ''
+        ),
+        index + 1
+      )
+    )
+  }
+
+  const lines = parseCsv(content)
+  const hasHeader =
+    lines.length > 0 && lines[0][0].toLowerCase() === DISTRIBUTION_COLUMNS[0]
+
+  return lines
+    .map((values, index) => getDistributionRow(values, index + 1))
+    .slice(hasHeader ? 1 : 0)
+}
+
+// Negative amounts are burned
+function parseAmount(value, tokenDecimals) {
+  const negative = value.startsWith('-')
+  const absoluteValue = negative ? value.slice(1) : value
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(absoluteValue)) {
+    return { error: 'Invalid amount' }
+  }
+  if (splitDecimalNumber(absoluteValue)[1].length > tokenDecimals) {
+    return { error: 'The amount has more decimals than the token allows' }
+  }
+  const amount = new BN(toDecimals(absoluteValue, tokenDecimals))
+  if (amount.isZero()) {
+    return { error: 'The amount cannot be zero' }
+  }
+  return { amount: negative ? amount.neg() : amount }
+}
+
+// Dates are entered as days, the vesting periods starting at their beginning
+function parseDay(value) {
+  const date = dayjs(value)
+  return value && date.isValid() ? date.startOf('day').toDate() : null
+}
+
+function parseVesting({ cliff, end, revokable, start }) {
+  const vesting = {
+    cliff: parseDay(cliff),
+    end: parseDay(end),
+    revokable: REVOKABLE_VALUES[revokable.toLowerCase()],
+    start: parseDay(start),
+  }
+  if (!vesting.start || !vesting.cliff || !vesting.end) {
+    return { error: 'The vesting needs valid start, cliff and end dates' }
+  }
+  if (vesting.cliff < vesting.start) {
+    return { error: 'The cliff cannot happen before the start of the vesting' }
+  }
+  if (vesting.end < vesting.cliff) {
+    return { error: 'The vesting cannot end before its cliff' }
+  }
+  if (vesting.revokable === undefined) {
+    return { error: `Invalid revokable value: ${revokable}` }
+  }
+  return { vesting }
+}
+
+function getBalance(holders, address) {
+  const holder = holders.find(holder => addressesEqual(holder.address, address))
+  return holder ? holder.balance : new BN(0)
+}
+
+/**
+ * Validate the rows of a distribution.
+ *
+ * The rows get executed in order, so every row is checked against the
+ * balances resulting from the valid rows preceding it.
+ *
+ * @param {Array<Object>} rows the rows, as returned by parseDistribution()
+ * @param {Object} options options object
+ * @param {Array<Object>} options.holders current holders ({ address, balance })
+ * @param {BN} options.maxAccountTokens maximum balance of an account
+ * @param {number} options.tokenDecimals decimals of the token
+ * @param {string} options.tokenManagerAddress address of the Token Manager (no balance limit)
+ * @param {Object} options.vestings current vestings, by address
+ * @returns {Array<Object>} the rows, with a signed `amount` (BN), a parsed `vesting` and an `error`
+ */
+export function validateDistribution(
+  rows,
+  { holders, maxAccountTokens, tokenDecimals, tokenManagerAddress, vestings }
+) {
+  const balances = {}
+  const vestingsCounts = {}
+
+  return rows.map(row => {
+    const invalid = error => ({ ...row, amount: null, error })
+
+    if (!isAddress(row.address)) {
+      return invalid('Invalid address')
+    }
+    const { amount, error: amountError } = parseAmount(
+      row.amount,
+      tokenDecimals
+    )
+    if (amountError) {
+      return invalid(amountError)
+    }
+
+    const key = row.address.toLowerCase()
+    const isTokenManager = addressesEqual(row.address, tokenManagerAddress)
+    const balance =
+      balances[key] === undefined
+        ? getBalance(holders, row.address)
+        : balances[key]
+    const newBalance = balance.add(amount)
+    const vestingsCount =
+      vestingsCounts[key] === undefined
+        ? (vestings[key] || []).length
+        : vestingsCounts[key]
+
+    let vesting = null
+    if (row.vesting) {
+      if (amount.isNeg()) {
+        return invalid('Vested tokens can only be granted, not burned')
+      }
+      if (isTokenManager) {
+        return invalid('The Token Manager cannot grant vested tokens to itself')
+      }
+      const { vesting: parsedVesting, error } = parseVesting(row.vesting)
+      if (error) {
+        return invalid(error)
+      }
+      if (vestingsCount >= MAX_VESTINGS_PER_ADDRESS) {
+        return invalid(
+          `The account would exceed the maximum amount of vestings (${MAX_VESTINGS_PER_ADDRESS})`
+        )
+      }
+      vesting = parsedVesting
+    }
+
+    if (newBalance.isNeg()) {
+      return invalid(
+        `Cannot burn more than the ${fromDecimals(
+          balance.toString(),
+          tokenDecimals
+        )} tokens held at this point`
+      )
+    }
+    // The Token Manager can hold any amount of tokens (see TokenManager.sol)
+    if (amount.gtn(0) && !isTokenManager && newBalance.gt(maxAccountTokens)) {
+      return invalid(
+        `The balance would exceed the maximum amount of tokens per account (${fromDecimals(
+          maxAccountTokens.toString(),
+          tokenDecimals
+        )})`
+      )
+    }
+
+    balances[key] = newBalance
+    if (vesting) {
+      vestingsCounts[key] = vestingsCount + 1
+    }
+    return { ...row, amount, error: null, vesting }
+  })
+}
+
+/**
+ * Get the Token Manager calls executing a validated distribution.
+ *
+ * Vested tokens are first issued to the Token Manager, which then grants them.
+ *
+ * @param {Array<Object>} rows the validated rows
+ * @param {string} tokenManagerAddress address of the Token Manager
+ * @returns {Array<Object>} the calls ({ to, data })
+ */
+export function getDistributionCalls(rows, tokenManagerAddress) {
+  const toSeconds = date => dayjs(date).unix()
+  const call = data => ({ to: tokenManagerAddress, data })
+
+  return rows.reduce((calls, { address, amount, vesting }) => {
+    if (vesting) {
+      return calls.concat(
+        call(encodeIssue(amount)),
+        call(
+          encodeAssignVested({
+            amount,
+            cliff: toSeconds(vesting.cliff),
+            end: toSeconds(vesting.end),
+            receiver: address,
+            revokable: vesting.revokable,
+            start: toSeconds(vesting.start),
+          })
+        )
+      )
+    }
+    return calls.concat(
+      call(
+        amount.isNeg()
+          ? encodeBurn(address, amount.neg())
+          : encodeMint(address, amount)
+      )
+    )
+  }, [])
+}
+
+// Two more digits are kept in the percentages (10000 rather than 100)
+const getShare = (balance, totalSupply) =>
+  totalSupply.isZero()
+    ? 0
+    : balance
+        .mul(new BN(10000))
+        .div(totalSupply)
+        .toNumber() / 100
+
+/**
+ * Preview the supply and ownership resulting from a validated distribution.
+ *
+ * @param {Array<Object>} rows the validated rows (invalid ones are ignored)
+ * @param {Object} options options object
+ * @param {Array<Object>} options.holders current holders ({ address, balance })
+ * @param {BN} options.tokenSupply current token supply
+ * @returns {Object} the preview ({ burned, holders, minted, tokenSupply })
+ */
+export function getDistributionPreview(rows, { holders, tokenSupply }) {
+  const validRows = rows.filter(({ error }) => !error)
+
+  const changes = validRows.reduce((changes, { address, amount }) => {
+    const key = address.toLowerCase()
+    return {
+      ...changes,
+      [key]: (changes[key] || new BN(0)).add(amount),
+    }
+  }, {})
+
+  const minted = validRows
+    .filter(({ amount }) => !amount.isNeg())
+    .reduce((total, { amount }) => total.add(amount), new BN(0))
+  const burned = validRows
+    .filter(({ amount }) => amount.isNeg())
+    .reduce((total, { amount }) => total.sub(amount), new BN(0))
+  const newTokenSupply = tokenSupply.add(minted).sub(burned)
+
+  return {
+    burned,
+    holders: Object.entries(changes)
+      .map(([address, change]) => {
+        const balanceBefore = getBalance(holders, address)
+        const balanceAfter = balanceBefore.add(change)
+        return {
+          address,
+          balanceAfter,
+          balanceBefore,
+          shareAfter: getShare(balanceAfter, newTokenSupply),
+          shareBefore: getShare(balanceBefore, tokenSupply),
+        }
+      })
+      .sort((a, b) => b.balanceAfter.cmp(a.balanceAfter)),
+    minted,
+    tokenSupply: newTokenSupply,
+  }
+}
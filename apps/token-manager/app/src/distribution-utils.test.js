@@ -0,0 +1,225 @@
+import BN from 'bn.js'
+import { dayjs } from './date-utils'
+import {
+  getDistributionCalls,
+  getDistributionPreview,
+  parseDistribution,
+  validateDistribution,
+} from './distribution-utils'
+import {
+  encodeAssignVested,
+  encodeBurn,
+  encodeIssue,
+  encodeMint,
+} from './evmscript-utils'
+
+const ALICE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+const BOB = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb'
+const TOKEN_MANAGER = '0xcccccccccccccccccccccccccccccccccccccccc'
+
+const options = {
+  holders: [
+    { address: ALICE, balance: new BN(300) },
+    { address: BOB, balance: new BN(100) },
+  ],
+  maxAccountTokens: new BN(500),
+  tokenDecimals: 1,
+  tokenManagerAddress: TOKEN_MANAGER,
+  vestings: {},
+}
+
+const validate = content =>
+  validateDistribution(parseDistribution(content), options)
+
+describe('parseDistribution', () => {
+  test('Should parse CSV files, with an optional vesting', () => {
+    expect(
+      parseDistribution(
+        [
+          'address,amount,start,cliff,end,revokable',
+          `${ALICE},10`,
+          `${BOB},-2.5,2020-01-01,2021-01-01,2024-01-01,false`,
+        ].join('\r\n')
+      )
+    ).toEqual([
+      { address: ALICE, amount: '10', line: 2, vesting: null },
+      {
+        address: BOB,
+        amount: '-2.5',
+        line: 3,
+        vesting: {
+          cliff: '2021-01-01',
+          end: '2024-01-01',
+          revokable: 'false',
+          start: '2020-01-01',
+        },
+      },
+    ])
+  })
+
+  test('Should parse JSON files', () => {
+    expect(
+      parseDistribution(
+        JSON.stringify([
+          { address: ALICE, amount: 10 },
+          {
+            address: BOB,
+            amount: '5',
+            start: '2020-01-01',
+            cliff: '2020-01-01',
+            end: '2021-01-01',
+            revokable: true,
+          },
+        ])
+      )
+    ).toEqual([
+      { address: ALICE, amount: '10', line: 1, vesting: null },
+      {
+        address: BOB,
+        amount: '5',
+        line: 2,
+        vesting: {
+          cliff: '2020-01-01',
+          end: '2021-01-01',
+          revokable: 'true',
+          start: '2020-01-01',
+        },
+      },
+    ])
+    expect(() => parseDistribution('{"address": "0x"}')).toThrow()
+  })
+})
+
+describe('validateDistribution', () => {
+  test('Should validate the addresses and amounts', () => {
+    const errors = validate(
+      ['0x1234,1', `${ALICE},abc`, `${ALICE},0.05`, `${ALICE},0`].join('\n')
+    ).map(({ error }) => error)
+    expect(errors).toEqual([
+      'Invalid address',
+      'Invalid amount',
+      'The amount has more decimals than the token allows',
+      'The amount cannot be zero',
+    ])
+  })
+
+  test('Should check the balances resulting from the previous rows', () => {
+    const rows = validate(
+      [
+        `${ALICE},10`, // 300 => 400
+        `${ALICE},15`, // Over the maximum of 500
+        `${BOB},-15`, // Only 100 held
+        `${BOB},10`, // 100 => 200
+        `${BOB},-15`, // 200 => 50
+        `${TOKEN_MANAGER},100`, // No maximum
+      ].join('\n')
+    )
+    expect(rows.map(({ amount }) => amount && amount.toString())).toEqual([
+      '100',
+      null,
+      null,
+      '100',
+      '-150',
+      '1000',
+    ])
+    expect(rows[1].error).toMatch('maximum amount of tokens per account')
+    expect(rows[2].error).toMatch('Cannot burn more than the 10 tokens')
+  })
+
+  test('Should validate the vestings', () => {
+    const errors = validate(
+      [
+        `${ALICE},-1,2020-01-01,2021-01-01,2024-01-01`,
+        `${TOKEN_MANAGER},1,2020-01-01,2021-01-01,2024-01-01`,
+        `${ALICE},1,2020-01-01,,2024-01-01`,
+        `${ALICE},1,2021-01-01,2020-01-01,2024-01-01`,
+        `${ALICE},1,2020-01-01,2021-01-01,2020-06-01`,
+        `${ALICE},1,2020-01-01,2021-01-01,2024-01-01,maybe`,
+        `${ALICE},1,2020-01-01,2021-01-01,2024-01-01,no`,
+      ].join('\n')
+    ).map(({ error }) => error)
+    expect(errors).toEqual([
+      'Vested tokens can only be granted, not burned',
+      'The Token Manager cannot grant vested tokens to itself',
+      'The vesting needs valid start, cliff and end dates',
+      'The cliff cannot happen before the start of the vesting',
+      'The vesting cannot end before its cliff',
+      'Invalid revokable value: maybe',
+      null,
+    ])
+  })
+
+  test('Should limit the vestings per address', () => {
+    const rows = validateDistribution(
+      parseDistribution(
+        [
+          `${ALICE},1,2020-01-01,2021-01-01,2024-01-01`,
+          `${ALICE},1,2020-01-01,2021-01-01,2024-01-01`,
+        ].join('\n')
+      ),
+      { ...options, vestings: { [ALICE]: new Array(49).fill({}) } }
+    )
+    expect(rows[0].error).toBe(null)
+    expect(rows[1].error).toMatch('maximum amount of vestings (50)')
+  })
+})
+
+describe('getDistributionCalls', () => {
+  test('Should mint, burn and issue then grant vested tokens', () => {
+    const rows = validate(
+      [
+        `${ALICE},10`,
+        `${BOB},-5`,
+        `${BOB},2,2020-01-01,2021-01-01,2024-01-01,false`,
+      ].join('\n')
+    )
+    const toSeconds = value =>
+      dayjs(value)
+        .startOf('day')
+        .unix()
+
+    expect(getDistributionCalls(rows, TOKEN_MANAGER)).toEqual([
+      { to: TOKEN_MANAGER, data: encodeMint(ALICE, '100') },
+      { to: TOKEN_MANAGER, data: encodeBurn(BOB, '50') },
+      { to: TOKEN_MANAGER, data: encodeIssue('20') },
+      {
+        to: TOKEN_MANAGER,
+        data: encodeAssignVested({
+          amount: '20',
+          cliff: toSeconds('2021-01-01'),
+          end: toSeconds('2024-01-01'),
+          receiver: BOB,
+          revokable: false,
+          start: toSeconds('2020-01-01'),
+        }),
+      },
+    ])
+  })
+})
+
+describe('getDistributionPreview', () => {
+  test('Should preview the supply and shares after the distribution', () => {
+    const rows = validate([`${ALICE},-10`, `${BOB},20`, '0x1234,10'].join('\n'))
+    const preview = getDistributionPreview(rows, {
+      holders: options.holders,
+      tokenSupply: new BN(400),
+    })
+
+    expect(preview.minted.toString()).toBe('200')
+    expect(preview.burned.toString()).toBe('100')
+    expect(preview.tokenSupply.toString()).toBe('500')
+    expect(
+      preview.holders.map(
+        ({ address, balanceAfter, shareAfter, shareBefore }) => [
+          address,
+          balanceAfter.toString(),
+          shareBefore,
+          shareAfter,
+        ]
+      )
+    ).toEqual([
+      [BOB, '300', 25, 60],
+      [ALICE, '200', 75, 40],
+    ])
+  })
+})
@@ -0,0 +1,91 @@
+import abi from 'web3-eth-abi'
+import { isAddress } from './web3-utils'
+import tokenManagerAbi from './abi/tokenManager.json'
+
+// Spec id of the CallsScript executor
+export const CALLSCRIPT_ID = '0x00000001'
+
+// Size of the calldata length field, in hex characters
+const CALLDATA_LENGTH_LENGTH = 8
+
+function stripHexPrefix(value) {
+  return value.startsWith('0x') ? value.slice(2) : value
+}
+
+function encodeTokenManagerCall(name, values) {
+  const abiFunction = tokenManagerAbi.find(
+    ({ name: functionName }) => functionName === name
+  )
+  return abi.encodeFunctionCall(abiFunction, values)
+}
+
+// Encode a call to TokenManager's mint()
+export function encodeMint(receiver, amount) {
+  return encodeTokenManagerCall('mint', [receiver, amount.toString()])
+}
+
+// Encode a call to TokenManager's burn()
+export function encodeBurn(holder, amount) {
+  return encodeTokenManagerCall('burn', [holder, amount.toString()])
+}
+
+// Encode a call to TokenManager's issue()
+export function encodeIssue(amount) {
+  return encodeTokenManagerCall('issue', [amount.toString()])
+}
+
+/**
+ * Encode a call to TokenManager's assignVested().
+ *
+ * @param {Object} vesting the vesting
+ * @param {string} vesting.amount amount to grant, in base units
+ * @param {number} vesting.cliff cliff of the vesting, in seconds
+ * @param {number} vesting.end end of the vesting, in seconds
+ * @param {string} vesting.receiver address of the receiver
+ * @param {bool} vesting.revokable whether the vesting can be revoked
+ * @param {number} vesting.start start of the vesting, in seconds
+ * @returns {string} the calldata
+ */
+export function encodeAssignVested({
+  amount,
+  cliff,
+  end,
+  receiver,
+  revokable,
+  start,
+}) {
+  return encodeTokenManagerCall('assignVested', [
+    receiver,
+    amount.toString(),
+    start,
+    cliff,
+    end,
+    revokable,
+  ])
+}
+
+/**
+ * Encode a list of calls into an EVM callscript.
+ *
+ * Every call is encoded as its target address (20 bytes),
+ * the length of its calldata (uint32, 4 bytes) and its calldata.
+ *
+ * @param {Array<Object>} calls the calls ({ to, data })
+ * @returns {string} the callscript
+ */
+export function encodeCallScript(calls) {
+  return calls.reduce((script, { to, data }) => {
+    if (!isAddress(to)) {
+      throw new Error(`Invalid target address: ${to}`)
+    }
+    const calldata = stripHexPrefix(data)
+    if (calldata.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(calldata)) {
+      throw new Error(`Invalid calldata for ${to}`)
+    }
+    const address = stripHexPrefix(to).toLowerCase()
+    const calldataLength = (calldata.length / 2)
+      .toString(16)
+      .padStart(CALLDATA_LENGTH_LENGTH, '0')
+    return `${script}${address}${calldataLength}${calldata.toLowerCase()}`
+  }, CALLSCRIPT_ID)
+}
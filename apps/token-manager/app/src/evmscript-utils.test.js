@@ -0,0 +1,73 @@
+import {
+  encodeAssignVested,
+  encodeBurn,
+  encodeCallScript,
+  encodeIssue,
+  encodeMint,
+} from './evmscript-utils'
+
+const TOKEN_MANAGER = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+const RECEIVER = '0x0D8775F648430679A709E98d2b0Cb6250d2887EF'
+
+describe('Token Manager calls', () => {
+  test('Encodes mint(), burn() and issue()', () => {
+    const receiverWord =
+      '0000000000000000000000000d8775f648430679a709e98d2b0cb6250d2887ef'
+    const amountWord =
+      '00000000000000000000000000000000000000000000000014d1120d7b160000'
+
+    expect(encodeMint(RECEIVER, '1500000000000000000')).toBe(
+      `0x40c10f19${receiverWord}${amountWord}`
+    )
+    expect(encodeBurn(RECEIVER, '1500000000000000000')).toBe(
+      `0x9dc29fac${receiverWord}${amountWord}`
+    )
+    expect(encodeIssue('1500000000000000000')).toBe(`0xcc872b66${amountWord}`)
+  })
+
+  test('Encodes assignVested()', () => {
+    expect(
+      encodeAssignVested({
+        amount: '1000',
+        cliff: 200,
+        end: 300,
+        receiver: RECEIVER,
+        revokable: true,
+        start: 100,
+      })
+    ).toBe(
+      '0x21cb18cd' +
+        '0000000000000000000000000d8775f648430679a709e98d2b0cb6250d2887ef' +
+        '00000000000000000000000000000000000000000000000000000000000003e8' +
+        '0000000000000000000000000000000000000000000000000000000000000064' +
+        '00000000000000000000000000000000000000000000000000000000000000c8' +
+        '000000000000000000000000000000000000000000000000000000000000012c' +
+        '0000000000000000000000000000000000000000000000000000000000000001'
+    )
+  })
+})
+
+describe('encodeCallScript', () => {
+  test('Prefixes every call with its target and calldata length', () => {
+    expect(
+      encodeCallScript([
+        { to: TOKEN_MANAGER, data: '0x12345678' },
+        { to: RECEIVER, data: '0xabcdef' },
+      ])
+    ).toBe(
+      '0x00000001' +
+        '6b175474e89094c44da98b954eedeac495271d0f0000000412345678' +
+        '0d8775f648430679a709e98d2b0cb6250d2887ef00000003abcdef'
+    )
+  })
+
+  test('Rejects invalid targets and calldata', () => {
+    expect(() => encodeCallScript([{ to: '0x1234', data: '0x' }])).toThrow()
+    expect(() =>
+      encodeCallScript([{ to: TOKEN_MANAGER, data: '0x123' }])
+    ).toThrow()
+    expect(() =>
+      encodeCallScript([{ to: TOKEN_MANAGER, data: '0xzz' }])
+    ).toThrow()
+  })
+})
@@ -0,0 +1,117 @@
+import { useCallback, useState } from 'react'
+import BN from 'bn.js'
+import { useApi, useAppState, useCurrentApp } from '@aragon/api-react'
+import tokenAbi from '../abi/minimeToken.json'
+import { getCapTable } from '../snapshot-utils'
+
+async function loadBlockTime(api, blockNumber) {
+  const { timestamp } = await api.web3Eth('getBlock', blockNumber).toPromise()
+  return new Date(parseInt(timestamp, 10) * 1000)
+}
+
+// Find the latest block mined at a given time (binary search on the blocks)
+async function findBlockAtTime(api, time, latestBlock) {
+  let low = 0
+  let high = latestBlock
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if ((await loadBlockTime(api, middle)) <= time) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return low
+}
+
+// Load the cap table of the token at a given block number or date.
+export function useSnapshot() {
+  const api = useApi()
+  const currentApp = useCurrentApp()
+  const { holders, ledgers, tokenAddress, vestings } = useAppState()
+  const [snapshot, setSnapshot] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const takeSnapshot = useCallback(
+    async ({ blockNumber, date }) => {
+      setLoading(true)
+      setError(null)
+
+      try {
+        const token = api.external(tokenAddress, tokenAbi)
+        const latestBlock = await api.web3Eth('getBlockNumber').toPromise()
+
+        const snapshotBlock = date
+          ? await findBlockAtTime(api, date, latestBlock)
+          : blockNumber
+        if (snapshotBlock > latestBlock) {
+          throw new Error(
+            `Block ${snapshotBlock} has not been mined yet (latest: ${latestBlock}).`
+          )
+        }
+        const time = await loadBlockTime(api, snapshotBlock)
+        const isLatest = snapshotBlock === latestBlock
+
+        // Anyone who ever held tokens may hold some at the snapshot block
+        const addresses = Array.from(
+          new Set([
+            ...holders.map(({ address }) => address.toLowerCase()),
+            ...Object.keys(ledgers),
+          ])
+        )
+
+        const [totalSupply, balances] = await Promise.all([
+          token.totalSupplyAt(snapshotBlock).toPromise(),
+          Promise.all(
+            addresses.map(async address => {
+              const balance = await token
+                .balanceOfAt(address, snapshotBlock)
+                .toPromise()
+              // transferableBalance() only reads the current state
+              const transferable =
+                isLatest && balance !== '0'
+                  ? await api
+                      .call(
+                        'transferableBalance',
+                        address,
+                        Math.floor(time.getTime() / 1000)
+                      )
+                      .toPromise()
+                  : null
+              return {
+                address,
+                balance: new BN(balance),
+                transferable: transferable && new BN(transferable),
+              }
+            })
+          ),
+        ])
+
+        setSnapshot({
+          blockNumber: snapshotBlock,
+          capTable: getCapTable({
+            balances,
+            time,
+            tokenManagerAddress: currentApp && currentApp.appAddress,
+            totalSupply: new BN(totalSupply),
+            vestings,
+          }),
+          time,
+          totalSupply: new BN(totalSupply),
+        })
+      } catch (err) {
+        setError(err)
+      }
+      setLoading(false)
+    },
+    [api, currentApp, holders, ledgers, tokenAddress, vestings]
+  )
+
+  const clearSnapshot = useCallback(() => {
+    setSnapshot(null)
+    setError(null)
+  }, [])
+
+  return { clearSnapshot, error, loading, snapshot, takeSnapshot }
+}
@@ -0,0 +1,177 @@
+import BN from 'bn.js'
+import { addressesEqual } from './web3-utils'
+
+// Types of the holders ledger entries
+export const ENTRY_BURN = 'burn'
+export const ENTRY_MINT = 'mint'
+export const ENTRY_REVOCATION = 'revocation'
+export const ENTRY_TRANSFER_IN = 'transferIn'
+export const ENTRY_TRANSFER_OUT = 'transferOut'
+export const ENTRY_VESTING = 'vesting'
+
+// Entries increasing the balance of their holder
+const INCOMING_ENTRIES = [ENTRY_MINT, ENTRY_TRANSFER_IN, ENTRY_VESTING]
+
+// MiniMe tokens mint from, and burn to, the zero address
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+/**
+ * Get the ledger entries of a token transfer, as a list of [address, entry].
+ *
+ * @param {Object} transfer the transfer
+ * @param {string} transfer.amount transferred amount
+ * @param {string} transfer.from sender of the transfer
+ * @param {string} transfer.to recipient of the transfer
+ * @param {Object} eventInfo blockNumber, date, logIndex and transactionHash of the transfer
+ * @returns {Array<Array>} entries for the sender and the recipient (if any)
+ */
+export function getTransferEntries({ amount, from, to }, eventInfo) {
+  const minted = addressesEqual(from, ZERO_ADDRESS)
+  const burned = addressesEqual(to, ZERO_ADDRESS)
+  const entries = []
+
+  if (!minted) {
+    entries.push([
+      from,
+      {
+        ...eventInfo,
+        amount,
+        counterparty: burned ? null : to,
+        type: burned ? ENTRY_BURN : ENTRY_TRANSFER_OUT,
+      },
+    ])
+  }
+  if (!burned) {
+    entries.push([
+      to,
+      {
+        ...eventInfo,
+        amount,
+        counterparty: minted ? null : from,
+        type: minted ? ENTRY_MINT : ENTRY_TRANSFER_IN,
+      },
+    ])
+  }
+  return entries
+}
+
+// Check if a ledger entry was made by the transfer a tag refers to
+function isTaggedEntry(entry, tag) {
+  return (
+    entry.transactionHash === tag.transactionHash &&
+    entry.type === tag.type &&
+    entry.amount === tag.amount
+  )
+}
+
+// Check if a tag was already applied to one of the entries of a ledger
+function isAppliedTag(ledger, { changes, transactionHash }) {
+  return ledger.some(
+    entry =>
+      entry.transactionHash === transactionHash &&
+      entry.type === changes.type &&
+      String(entry.vestingId) === String(changes.vestingId)
+  )
+}
+
+/**
+ * Add an entry to the ledger of an address, unless it is already there.
+ *
+ * The pending tags of the address that match the entry get applied to it.
+ *
+ * @param {Object} ledgers ledgers of the holders, by address
+ * @param {string} address address of the holder
+ * @param {Object} entry the entry
+ * @param {Object} [ledgerTags] pending tags, by address (see tagLedgerEntry())
+ * @returns {Object} the updated ledgers
+ */
+export function addLedgerEntry(ledgers = {}, address, entry, ledgerTags = {}) {
+  const key = address.toLowerCase()
+  const ledger = ledgers[key] || []
+
+  const exists = ledger.some(
+    ({ logIndex, transactionHash, type }) =>
+      transactionHash === entry.transactionHash &&
+      logIndex === entry.logIndex &&
+      type === entry.type
+  )
+  if (exists) {
+    return ledgers
+  }
+
+  const tag = (ledgerTags[key] || []).find(
+    tag => isTaggedEntry(entry, tag) && !isAppliedTag(ledger, tag)
+  )
+  return {
+    ...ledgers,
+    [key]: ledger.concat(tag ? { ...entry, ...tag.changes } : entry),
+  }
+}
+
+/**
+ * Tag the entry made by a transfer, e.g. to flag the transfer of a vesting
+ * grant once its vesting event is known.
+ *
+ * The events of the token and of the Token Manager are not received in
+ * order: if the transfer is not in the ledger yet, the tag is kept pending
+ * until addLedgerEntry() adds it.
+ *
+ * @param {Object} ledgers ledgers of the holders, by address
+ * @param {Object} ledgerTags pending tags, by address
+ * @param {string} address address of the holder
+ * @param {Object} tag the tag
+ * @param {string} tag.amount amount of the transfer
+ * @param {Object} tag.changes changes to apply to the entry ({ type, vestingId })
+ * @param {string} tag.transactionHash transaction of the transfer
+ * @param {string} tag.type type of the entry before being tagged
+ * @returns {Object} the updated { ledgers, ledgerTags }
+ */
+export function tagLedgerEntry(ledgers = {}, ledgerTags = {}, address, tag) {
+  const key = address.toLowerCase()
+  const ledger = ledgers[key] || []
+  const tags = ledgerTags[key] || []
+
+  if (isAppliedTag(ledger, tag)) {
+    return { ledgers, ledgerTags }
+  }
+
+  const index = ledger.findIndex(entry => isTaggedEntry(entry, tag))
+  if (index === -1) {
+    const isPending = tags.some(
+      pendingTag =>
+        pendingTag.transactionHash === tag.transactionHash &&
+        pendingTag.changes.type === tag.changes.type &&
+        String(pendingTag.changes.vestingId) === String(tag.changes.vestingId)
+    )
+    return {
+      ledgers,
+      ledgerTags: isPending
+        ? ledgerTags
+        : { ...ledgerTags, [key]: tags.concat(tag) },
+    }
+  }
+
+  const nextLedger = Array.from(ledger)
+  nextLedger[index] = { ...ledger[index], ...tag.changes }
+  return { ledgers: { ...ledgers, [key]: nextLedger }, ledgerTags }
+}
+
+// Get the balance change of a ledger entry
+export function getEntryChange({ amount, type }) {
+  const amountBn = new BN(amount)
+  return INCOMING_ENTRIES.includes(type) ? amountBn : amountBn.neg()
+}
+
+/**
+ * Get the balance of a holder over time, from its ledger.
+ *
+ * @param {Array<Object>} ledger entries of the holder, in the order they happened
+ * @returns {Array<Object>} the balance after every entry, as { balance, date, entry }
+ */
+export function getBalanceHistory(ledger) {
+  let balance = new BN(0)
+  return ledger.map(entry => {
+    balance = balance.add(getEntryChange(entry))
+    return { balance, date: entry.date, entry }
+  })
+}
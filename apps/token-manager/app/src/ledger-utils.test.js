@@ -0,0 +1,189 @@
+import {
+  ENTRY_BURN,
+  ENTRY_MINT,
+  ENTRY_TRANSFER_IN,
+  ENTRY_TRANSFER_OUT,
+  ENTRY_VESTING,
+  addLedgerEntry,
+  getBalanceHistory,
+  getTransferEntries,
+  tagLedgerEntry,
+} from './ledger-utils'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ALICE = '0xAAAAaaAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'
+const BOB = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb'
+
+const eventInfo = (transactionHash, logIndex = 0) => ({
+  blockNumber: 1,
+  date: 1000,
+  logIndex,
+  transactionHash,
+})
+
+describe('getTransferEntries', () => {
+  test('Should create an entry for each holder of a transfer', () => {
+    const entries = getTransferEntries(
+      { amount: '10', from: ALICE, to: BOB },
+      eventInfo('0x1')
+    )
+    expect(entries).toEqual([
+      [
+        ALICE,
+        {
+          ...eventInfo('0x1'),
+          amount: '10',
+          counterparty: BOB,
+          type: ENTRY_TRANSFER_OUT,
+        },
+      ],
+      [
+        BOB,
+        {
+          ...eventInfo('0x1'),
+          amount: '10',
+          counterparty: ALICE,
+          type: ENTRY_TRANSFER_IN,
+        },
+      ],
+    ])
+  })
+
+  test('Should not create entries for the zero address', () => {
+    const [[mintAddress, mint]] = getTransferEntries(
+      { amount: '10', from: ZERO_ADDRESS, to: BOB },
+      eventInfo('0x1')
+    )
+    expect(mintAddress).toBe(BOB)
+    expect(mint.type).toBe(ENTRY_MINT)
+    expect(mint.counterparty).toBe(null)
+
+    const [[burnAddress, burn], ...others] = getTransferEntries(
+      { amount: '10', from: BOB, to: ZERO_ADDRESS },
+      eventInfo('0x2')
+    )
+    expect(burnAddress).toBe(BOB)
+    expect(burn.type).toBe(ENTRY_BURN)
+    expect(others).toEqual([])
+  })
+})
+
+describe('addLedgerEntry', () => {
+  test('Should add the entries to the lowercased address', () => {
+    const entry = { ...eventInfo('0x1'), amount: '10', type: ENTRY_MINT }
+    const ledgers = addLedgerEntry(undefined, ALICE, entry)
+    expect(ledgers).toEqual({ [ALICE.toLowerCase()]: [entry] })
+  })
+
+  test('Should not add the same entry twice', () => {
+    const entry = { ...eventInfo('0x1'), amount: '10', type: ENTRY_MINT }
+    const ledgers = addLedgerEntry({}, ALICE, entry)
+    expect(addLedgerEntry(ledgers, ALICE, entry)).toBe(ledgers)
+
+    // Transfers to oneself create two entries
+    const selfTransferLedgers = getTransferEntries(
+      { amount: '10', from: ALICE, to: ALICE },
+      eventInfo('0x2')
+    ).reduce(
+      (ledgers, [address, entry]) => addLedgerEntry(ledgers, address, entry),
+      ledgers
+    )
+    expect(selfTransferLedgers[ALICE.toLowerCase()]).toHaveLength(3)
+  })
+})
+
+describe('tagLedgerEntry', () => {
+  const vestingTag = (transactionHash, amount, vestingId) => ({
+    amount,
+    changes: { type: ENTRY_VESTING, vestingId },
+    transactionHash,
+    type: ENTRY_TRANSFER_IN,
+  })
+  const transferIn = (transactionHash, amount, logIndex) => ({
+    ...eventInfo(transactionHash, logIndex),
+    amount,
+    type: ENTRY_TRANSFER_IN,
+  })
+
+  test('Should tag the entry of a transfer', () => {
+    const ledgers = [transferIn('0x1', '10'), transferIn('0x2', '20')].reduce(
+      (ledgers, entry) => addLedgerEntry(ledgers, BOB, entry),
+      {}
+    )
+
+    const updated = tagLedgerEntry(
+      ledgers,
+      {},
+      BOB,
+      vestingTag('0x2', '20', '0')
+    )
+    expect(updated.ledgerTags).toEqual({})
+    expect(updated.ledgers[BOB][0]).toBe(ledgers[BOB][0])
+    expect(updated.ledgers[BOB][1]).toEqual({
+      ...eventInfo('0x2'),
+      amount: '20',
+      type: ENTRY_VESTING,
+      vestingId: '0',
+    })
+
+    // Tagging it again changes nothing
+    expect(
+      tagLedgerEntry(updated.ledgers, {}, BOB, vestingTag('0x2', '20', '0'))
+    ).toEqual(updated)
+  })
+
+  test('Should apply the tags received before their transfer', () => {
+    // Two vestings granted in the same transaction
+    const tags = [vestingTag('0x1', '10', '0'), vestingTag('0x1', '20', '1')]
+    const entries = [transferIn('0x1', '10', 0), transferIn('0x1', '20', 2)]
+
+    const inOrder = entries.reduce(
+      ({ ledgers, ledgerTags }, entry, index) =>
+        tagLedgerEntry(
+          addLedgerEntry(ledgers, BOB, entry, ledgerTags),
+          ledgerTags,
+          BOB,
+          tags[index]
+        ),
+      { ledgers: {}, ledgerTags: {} }
+    )
+
+    // The vesting events are received before the token transfers
+    const { ledgers, ledgerTags } = tags.reduce(
+      (state, tag) => tagLedgerEntry(state.ledgers, state.ledgerTags, BOB, tag),
+      { ledgers: {}, ledgerTags: {} }
+    )
+    expect(ledgers).toEqual({})
+    expect(ledgerTags[BOB]).toHaveLength(2)
+    const reversed = entries.reduce(
+      (ledgers, entry) => addLedgerEntry(ledgers, BOB, entry, ledgerTags),
+      ledgers
+    )
+
+    expect(reversed).toEqual(inOrder.ledgers)
+    expect(
+      reversed[BOB].map(({ type, vestingId }) => [type, vestingId])
+    ).toEqual([
+      [ENTRY_VESTING, '0'],
+      [ENTRY_VESTING, '1'],
+    ])
+  })
+})
+
+describe('getBalanceHistory', () => {
+  test('Should accumulate the balance changes', () => {
+    const history = getBalanceHistory([
+      { amount: '100', date: 1, type: ENTRY_MINT },
+      { amount: '30', date: 2, type: ENTRY_TRANSFER_OUT },
+      { amount: '50', date: 3, type: ENTRY_VESTING },
+      { amount: '20', date: 4, type: ENTRY_BURN },
+    ])
+    expect(history.map(({ balance }) => balance.toString())).toEqual([
+      '100',
+      '70',
+      '120',
+      '100',
+    ])
+    expect(history.map(({ date }) => date)).toEqual([1, 2, 3, 4])
+  })
+})
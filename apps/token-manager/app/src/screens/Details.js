@@ -1,14 +1,19 @@
 import React, { useCallback } from 'react'
 import { Accordion, Bar, BackButton, Box, Split } from '@aragon/ui'
 import EmptyVestings from '../components/Vestings/EmptyVestings'
+import HolderHistory from '../components/HolderHistory/HolderHistory'
 import VestingContent from '../components/Vestings/VestingContent'
 import VestingExpandableContent from '../components/Vestings/VestingExpandableContent'
 import VestingInfoBoxes from '../components/Vestings/VestingInfoBoxes'
 import { useAppLogic } from '../app-logic'
 
-function Details({ tokenSymbol, tokenDecimals }) {
+function Details({ onRevokeVesting, tokenSymbol, tokenDecimals }) {
   const { selectedHolder, unselectHolder } = useAppLogic()
   const handleBack = useCallback(() => unselectHolder(), [unselectHolder])
+  const handleRevokeVesting = useCallback(
+    vestingId => onRevokeVesting(selectedHolder.address, vestingId),
+    [onRevokeVesting, selectedHolder]
+  )
 
   return (
     selectedHolder && (
@@ -18,28 +23,38 @@ function Details({ tokenSymbol, tokenDecimals }) {
         </Bar>
         <Split
           primary={
-            selectedHolder.vestings ? (
-              <Box>
-                <Accordion
-                  items={selectedHolder.vestings.map(vesting => [
-                    <VestingContent
-                      tokenDecimals={tokenDecimals}
-                      tokenSymbol={tokenSymbol}
-                      vesting={vesting}
-                    />,
-                    <VestingExpandableContent
-                      tokenDecimals={tokenDecimals}
-                      tokenSymbol={tokenSymbol}
-                      vesting={vesting}
-                    />,
-                  ])}
-                />
-              </Box>
-            ) : (
-              <Box>
-                <EmptyVestings />
-              </Box>
-            )
+            <React.Fragment>
+              {selectedHolder.vestings.length > 0 ? (
+                <Box>
+                  <Accordion
+                    items={selectedHolder.vestings.map(vesting => [
+                      <VestingContent
+                        tokenDecimals={tokenDecimals}
+                        tokenSymbol={tokenSymbol}
+                        vesting={vesting}
+                      />,
+                      <VestingExpandableContent
+                        onRevokeVesting={handleRevokeVesting}
+                        tokenDecimals={tokenDecimals}
+                        tokenSymbol={tokenSymbol}
+                        vesting={vesting}
+                      />,
+                    ])}
+                  />
+                </Box>
+              ) : (
+                selectedHolder.ledger.length === 0 && (
+                  <Box>
+                    <EmptyVestings />
+                  </Box>
+                )
+              )}
+              <HolderHistory
+                ledger={selectedHolder.ledger}
+                tokenDecimals={tokenDecimals}
+                tokenSymbol={tokenSymbol}
+              />
+            </React.Fragment>
           }
           secondary={
             <VestingInfoBoxes
@@ -8,6 +8,7 @@ import {
   DataView,
   GU,
   IconAdd,
+  IconClock,
   IconInfo,
   IconLabel,
   IconRemove,
@@ -29,10 +30,12 @@ function Holders({
   holders,
   maxAccountTokens,
   onAssignTokens,
+  onGrantVesting,
   onRemoveTokens,
   tokenAddress,
   tokenDecimals,
   tokenDecimalsBase,
+  tokenManagerAddress,
   tokenName,
   tokenSupply,
   tokenSymbol,
@@ -96,15 +99,19 @@ function Holders({
 
             return values
           }}
-          renderEntryActions={([address, balance, vestings]) => (
+          renderEntryActions={([address, balance]) => (
             <EntryActions
               address={address}
               onAssignTokens={onAssignTokens}
+              onGrantVesting={onGrantVesting}
               onRemoveTokens={onRemoveTokens}
               onSelectHolder={selectHolder}
               singleToken={groupMode || balance.eq(tokenDecimalsBase)}
               canAssign={!groupMode && balance.lt(maxAccountTokens)}
-              hasVestings={vestings.length > 0}
+              canGrantVesting={
+                balance.lt(maxAccountTokens) &&
+                !addressesEqual(address, tokenManagerAddress)
+              }
             />
           )}
         />
@@ -129,10 +136,12 @@ Holders.propTypes = {
   holders: PropTypes.array,
   maxAccountTokens: PropTypes.instanceOf(BN),
   onAssignTokens: PropTypes.func.isRequired,
+  onGrantVesting: PropTypes.func.isRequired,
   onRemoveTokens: PropTypes.func.isRequired,
   tokenAddress: PropTypes.string,
   tokenDecimals: PropTypes.instanceOf(BN),
   tokenDecimalsBase: PropTypes.instanceOf(BN),
+  tokenManagerAddress: PropTypes.string,
   tokenName: PropTypes.string,
   tokenSupply: PropTypes.instanceOf(BN),
   tokenSymbol: PropTypes.string,
@@ -146,11 +155,12 @@ Holders.defaultProps = {
 function EntryActions({
   address,
   onAssignTokens,
+  onGrantVesting,
   onRemoveTokens,
   onSelectHolder,
   singleToken,
   canAssign,
-  hasVestings,
+  canGrantVesting,
 }) {
   const theme = useTheme()
   const [label, showLocalIdentityModal] = useIdentity(address)
@@ -163,6 +173,10 @@ function EntryActions({
     address,
     onAssignTokens,
   ])
+  const grantVesting = useCallback(() => onGrantVesting(address), [
+    address,
+    onGrantVesting,
+  ])
   const removeTokens = useCallback(() => onRemoveTokens(address), [
     address,
     onRemoveTokens,
@@ -173,8 +187,11 @@ function EntryActions({
     onSelectHolder,
   ])
   const actions = [
-    ...(hasVestings ? [[selectHolder, IconInfo, 'Details']] : []),
+    [selectHolder, IconInfo, 'Details'],
     ...(canAssign ? [[assignTokens, IconAdd, 'Add tokens']] : []),
+    ...(canGrantVesting
+      ? [[grantVesting, IconClock, 'Grant vested tokens']]
+      : []),
     [removeTokens, IconRemove, `Remove token${singleToken ? '' : 's'}`],
     [editLabel, IconLabel, `${label ? 'Edit' : 'Add'} custom label`],
   ]
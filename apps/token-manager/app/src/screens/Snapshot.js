@@ -0,0 +1,246 @@
+import React, { useCallback, useState } from 'react'
+import PropTypes from 'prop-types'
+import BN from 'bn.js'
+import {
+  Box,
+  Button,
+  DataView,
+  DropDown,
+  Field,
+  GU,
+  IconDownload,
+  Info,
+  TextInput,
+  formatTokenAmount,
+  textStyle,
+  useLayout,
+  useTheme,
+} from '@aragon/ui'
+import LocalIdentityBadge from '../components/LocalIdentityBadge/LocalIdentityBadge'
+import { useSnapshot } from '../hooks/useSnapshot'
+import { dayjs } from '../date-utils'
+import { getCapTableCsv, getCapTableJson } from '../snapshot-utils'
+
+const SNAPSHOT_AT_BLOCK = 0
+const SNAPSHOT_AT_DATE = 1
+const SNAPSHOT_AT_LABELS = ['Block number', 'Date']
+
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+function Snapshot({ tokenAddress, tokenDecimals, tokenSymbol }) {
+  const theme = useTheme()
+  const { layoutName } = useLayout()
+  const { error, loading, snapshot, takeSnapshot } = useSnapshot()
+  const [snapshotAt, setSnapshotAt] = useState(SNAPSHOT_AT_BLOCK)
+  const [blockNumber, setBlockNumber] = useState('')
+  const [date, setDate] = useState('')
+
+  const decimals = tokenDecimals.toNumber()
+
+  const handleSnapshotAtChange = useCallback(index => {
+    setSnapshotAt(index)
+  }, [])
+
+  const handleSubmit = useCallback(
+    event => {
+      event.preventDefault()
+      takeSnapshot(
+        snapshotAt === SNAPSHOT_AT_DATE
+          ? // The end of the day, to include all of its transfers
+            {
+              date: dayjs(date)
+                .endOf('day')
+                .toDate(),
+            }
+          : { blockNumber: parseInt(blockNumber, 10) }
+      )
+    },
+    [blockNumber, date, snapshotAt, takeSnapshot]
+  )
+
+  const exportSnapshot = useCallback(
+    format => {
+      const filename = `${tokenSymbol}_cap-table_block-${snapshot.blockNumber}`
+      if (format === 'json') {
+        downloadFile(
+          getCapTableJson(snapshot.capTable, {
+            blockNumber: snapshot.blockNumber,
+            time: snapshot.time,
+            tokenAddress,
+            tokenDecimals: decimals,
+            tokenSymbol,
+            totalSupply: snapshot.totalSupply,
+          }),
+          `${filename}.json`,
+          'application/json'
+        )
+        return
+      }
+      downloadFile(
+        getCapTableCsv(snapshot.capTable, { tokenDecimals: decimals }),
+        `${filename}.csv`,
+        'text/csv;charset=utf-8'
+      )
+    },
+    [decimals, snapshot, tokenAddress, tokenSymbol]
+  )
+
+  const submitDisabled =
+    loading ||
+    (snapshotAt === SNAPSHOT_AT_DATE
+      ? !dayjs(date).isValid() || dayjs(date).isAfter(dayjs())
+      : !/^\d+$/.test(blockNumber))
+
+  return (
+    <React.Fragment>
+      <Box>
+        <form
+          onSubmit={handleSubmit}
+          css={`
+            display: flex;
+            flex-direction: ${layoutName === 'small' ? 'column' : 'row'};
+            align-items: ${layoutName === 'small' ? 'stretch' : 'flex-end'};
+          `}
+        >
+          <Field
+            label="Snapshot at"
+            css={`
+              margin-right: ${2 * GU}px;
+            `}
+          >
+            <DropDown
+              items={SNAPSHOT_AT_LABELS}
+              selected={snapshotAt}
+              onChange={handleSnapshotAtChange}
+            />
+          </Field>
+          <Field
+            label={SNAPSHOT_AT_LABELS[snapshotAt]}
+            css={`
+              flex-grow: 1;
+              margin-right: ${2 * GU}px;
+            `}
+          >
+            {snapshotAt === SNAPSHOT_AT_DATE ? (
+              <TextInput
+                type="date"
+                onChange={event => setDate(event.target.value)}
+                value={date}
+                required
+                wide
+              />
+            ) : (
+              <TextInput
+                type="number"
+                min={0}
+                step={1}
+                onChange={event => setBlockNumber(event.target.value)}
+                value={blockNumber}
+                required
+                wide
+              />
+            )}
+          </Field>
+          <Button
+            mode="strong"
+            type="submit"
+            disabled={submitDisabled}
+            css={`
+              margin-bottom: ${3 * GU}px;
+            `}
+          >
+            {loading ? 'Loading…' : 'Take snapshot'}
+          </Button>
+        </form>
+        {error && <Info mode="error">{error.message}</Info>}
+      </Box>
+      {snapshot && (
+        <DataView
+          heading={
+            <div
+              css={`
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                padding: ${2 * GU}px 0;
+              `}
+            >
+              <div>
+                <h2
+                  css={`
+                    ${textStyle('body1')};
+                  `}
+                >
+                  Cap table at block {snapshot.blockNumber}
+                </h2>
+                <p
+                  css={`
+                    ${textStyle('body3')};
+                    color: ${theme.surfaceContentSecondary};
+                  `}
+                >
+                  {dayjs(snapshot.time).format('YYYY-MM-DD HH:mm')} · Total
+                  supply:{' '}
+                  {formatTokenAmount(snapshot.totalSupply, decimals, {
+                    symbol: tokenSymbol,
+                  })}
+                </p>
+              </div>
+              <div
+                css={`
+                  display: flex;
+                `}
+              >
+                <Button
+                  icon={<IconDownload />}
+                  label="CSV"
+                  onClick={() => exportSnapshot('csv')}
+                  css={`
+                    margin-right: ${1 * GU}px;
+                  `}
+                />
+                <Button
+                  icon={<IconDownload />}
+                  label="JSON"
+                  onClick={() => exportSnapshot('json')}
+                />
+              </div>
+            </div>
+          }
+          fields={['Holder', 'Balance', 'Locked', 'Transferable', 'Share']}
+          entries={snapshot.capTable}
+          renderEntry={({
+            address,
+            balance,
+            locked,
+            percentage,
+            transferable,
+          }) => [
+            <LocalIdentityBadge entity={address} />,
+            formatTokenAmount(balance, decimals),
+            formatTokenAmount(locked, decimals),
+            formatTokenAmount(transferable, decimals),
+            `${percentage}%`,
+          ]}
+        />
+      )}
+    </React.Fragment>
+  )
+}
+
+Snapshot.propTypes = {
+  tokenAddress: PropTypes.string,
+  tokenDecimals: PropTypes.instanceOf(BN).isRequired,
+  tokenSymbol: PropTypes.string,
+}
+
+export default Snapshot
@@ -1,6 +1,15 @@
 import Aragon, { events } from '@aragon/api'
 import tokenSettings, { hasLoadedTokenSettings } from './token-settings'
 import { addressesEqual } from './web3-utils'
+import {
+  ENTRY_REVOCATION,
+  ENTRY_TRANSFER_IN,
+  ENTRY_TRANSFER_OUT,
+  ENTRY_VESTING,
+  addLedgerEntry,
+  getTransferEntries,
+  tagLedgerEntry,
+} from './ledger-utils'
 import tokenAbi from './abi/minimeToken.json'
 
 const app = new Aragon()
@@ -69,10 +78,14 @@ retryEvery(() =>
 async function initialize(tokenAddress) {
   const token = app.external(tokenAddress, tokenAbi)
 
-  function reducer(state, { address, event, returnValues }) {
+  function reducer(
+    state,
+    { address, blockNumber, event, logIndex, returnValues, transactionHash }
+  ) {
     const nextState = {
       ...state,
     }
+    const eventInfo = { blockNumber, logIndex, transactionHash }
 
     if (event === events.SYNC_STATUS_SYNCING) {
       return { ...nextState, isSyncing: true }
@@ -89,7 +102,7 @@ async function initialize(tokenAddress) {
           }
           return nextState
         case 'Transfer':
-          return transfer(token, nextState, returnValues)
+          return transfer(token, nextState, returnValues, eventInfo)
         default:
           return nextState
       }
@@ -98,9 +111,10 @@ async function initialize(tokenAddress) {
     // Token Manager events
     switch (event) {
       case 'NewVesting':
-        return newVesting(nextState, returnValues)
+        return newVesting(nextState, returnValues, eventInfo)
+      case 'RevokeVesting':
+        return revokeVesting(nextState, returnValues, eventInfo)
       default:
-        // TODO: add handlers for the other vesting events
         return nextState
     }
   }
@@ -156,24 +170,95 @@ async function claimedTokens(token, state, { _token, _controller }) {
   return updateTokenState(state, changes)
 }
 
-async function transfer(token, state, { _from, _to }) {
+async function transfer(token, state, { _amount, _from, _to }, eventInfo) {
   const changes = await loadNewBalances(token, _from, _to)
   // The transfer may have increased the token's total supply, so let's refresh it
   const tokenSupply = await token.totalSupply().toPromise()
+  const date = await loadBlockTime(eventInfo.blockNumber)
+
+  // Keep the transfer in the ledgers of its holders
+  const ledgers = getTransferEntries(
+    { amount: _amount, from: _from, to: _to },
+    { ...eventInfo, date }
+  ).reduce(
+    (ledgers, [address, entry]) =>
+      addLedgerEntry(ledgers, address, entry, state.ledgerTags),
+    state.ledgers
+  )
+
   return updateTokenState(
     {
       ...state,
+      ledgers,
       tokenSupply,
     },
     changes
   )
 }
 
-async function newVesting(state, { receiver, vestingId }) {
+async function newVesting(
+  state,
+  { amount, receiver, vestingId },
+  { transactionHash }
+) {
   const vestingData = await loadVesting(receiver, vestingId)
-  return updateVestingState(state, receiver, {
+
+  // The vested tokens got transferred in the same transaction
+  const { ledgers, ledgerTags } = tagLedgerEntry(
+    state.ledgers,
+    state.ledgerTags,
+    receiver,
+    {
+      amount,
+      changes: { type: ENTRY_VESTING, vestingId },
+      transactionHash,
+      type: ENTRY_TRANSFER_IN,
+    }
+  )
+
+  return updateVestingState({ ...state, ledgers, ledgerTags }, receiver, {
+    id: vestingId,
+    data: {
+      ...vestingData,
+      // Revoked vestings get deleted from the contract, only the amount of
+      // their event is still known when syncing them again
+      amount: vestingData.amount === '0' ? amount : vestingData.amount,
+    },
+    revoked: null,
+  })
+}
+
+async function revokeVesting(
+  state,
+  { nonVestedAmount, receiver, vestingId },
+  { blockNumber, transactionHash }
+) {
+  const { vestings = {} } = state
+  const vesting = (vestings[receiver.toLowerCase()] || []).find(
+    vesting => vesting.id === vestingId
+  )
+
+  // The non vested tokens got transferred back in the same transaction
+  const { ledgers, ledgerTags } = tagLedgerEntry(
+    state.ledgers,
+    state.ledgerTags,
+    receiver,
+    {
+      amount: nonVestedAmount,
+      changes: { type: ENTRY_REVOCATION, vestingId },
+      transactionHash,
+      type: ENTRY_TRANSFER_OUT,
+    }
+  )
+
+  return updateVestingState({ ...state, ledgers, ledgerTags }, receiver, {
     id: vestingId,
-    data: vestingData,
+    data: vesting ? vesting.data : await loadVesting(receiver, vestingId),
+    revoked: {
+      date: await loadBlockTime(blockNumber),
+      nonVestedAmount,
+      transactionHash,
+    },
   })
 }
 
@@ -276,6 +361,18 @@ function loadTokenSettings(token) {
     })
 }
 
+// Transfers often happen in batches, so the latest block time is kept
+let latestBlockTime = { blockNumber: null, date: null }
+
+async function loadBlockTime(blockNumber) {
+  if (latestBlockTime.blockNumber === blockNumber) {
+    return latestBlockTime.date
+  }
+  const { timestamp } = await app.web3Eth('getBlock', blockNumber).toPromise()
+  latestBlockTime = { blockNumber, date: marshallDate(timestamp) }
+  return latestBlockTime.date
+}
+
 function loadVesting(receiver, vestingId) {
   // Wrap with retry in case the vesting is somehow not present
   return retryEvery(() =>
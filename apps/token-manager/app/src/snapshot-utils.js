@@ -0,0 +1,132 @@
+import BN from 'bn.js'
+import { fromDecimals } from './utils'
+import { getNonVestedTokens } from './vesting-utils'
+
+/**
+ * Get the vestings of a holder that were active at a given time.
+ *
+ * Vestings are considered as granted from their start, and revoked vestings
+ * as active until their revocation.
+ *
+ * @param {Array<Object>} vestings vestings of the holder
+ * @param {Date} time time of the snapshot
+ * @returns {Array<Object>} the active vestings
+ */
+export function getSnapshotVestings(vestings, time) {
+  return vestings.filter(
+    ({ data, revoked }) =>
+      data.start <= time && (!revoked || revoked.date > time)
+  )
+}
+
+/**
+ * Build the cap table of a token at a given block.
+ *
+ * The transferable amounts come from TokenManager's transferableBalance()
+ * when provided. It only reads the current balances and vestings though, so
+ * for past blocks the same computation gets applied to the balances and
+ * vestings of the snapshot block.
+ *
+ * @param {Object} snapshot the snapshot
+ * @param {Array<Object>} snapshot.balances holders balances at the block, as { address, balance, [transferable] }
+ * @param {Date} snapshot.time time of the block
+ * @param {string} snapshot.tokenManagerAddress address of the Token Manager (never locked)
+ * @param {BN} snapshot.totalSupply token supply at the block
+ * @param {Object} snapshot.vestings vestings of the holders, by address
+ * @returns {Array<Object>} the holders, sorted by balance
+ */
+export function getCapTable({
+  balances,
+  time,
+  tokenManagerAddress,
+  totalSupply,
+  vestings = {},
+}) {
+  return balances
+    .filter(({ balance }) => !balance.isZero())
+    .map(({ address, balance, transferable }) => {
+      const key = address.toLowerCase()
+      const isTokenManager =
+        Boolean(tokenManagerAddress) &&
+        key === tokenManagerAddress.toLowerCase()
+      const holderVestings = isTokenManager
+        ? []
+        : getSnapshotVestings(vestings[key] || [], time)
+
+      const nonVested = transferable
+        ? balance.sub(transferable)
+        : holderVestings.reduce(
+            (total, { data }) => total.add(getNonVestedTokens(time, data)),
+            new BN(0)
+          )
+      const locked = BN.min(nonVested, balance)
+
+      return {
+        address,
+        balance,
+        locked,
+        transferable: balance.sub(locked),
+        // Two more digits are kept in the percentages (10000 rather than 100)
+        percentage: totalSupply.isZero()
+          ? 0
+          : balance
+              .mul(new BN(10000))
+              .div(totalSupply)
+              .toNumber() / 100,
+      }
+    })
+    .sort((a, b) => b.balance.cmp(a.balance))
+}
+
+// Exports keep the full precision of the amounts
+const formatExportAmount = (amount, tokenDecimals) =>
+  fromDecimals(amount.toString(), tokenDecimals)
+
+// Export a cap table as CSV
+export function getCapTableCsv(capTable, { tokenDecimals }) {
+  const rows = capTable.map(
+    ({ address, balance, locked, percentage, transferable }) =>
+      [
+        address,
+        formatExportAmount(balance, tokenDecimals),
+        formatExportAmount(locked, tokenDecimals),
+        formatExportAmount(transferable, tokenDecimals),
+        percentage,
+      ]
+        .map(value => `"${value}"`)
+        .join(',')
+  )
+  return ['Holder,Balance,Locked,Transferable,Percentage']
+    .concat(rows)
+    .join('\n')
+}
+
+// Export a cap table as JSON, with its snapshot details
+export function getCapTableJson(
+  capTable,
+  { blockNumber, time, tokenAddress, tokenDecimals, tokenSymbol, totalSupply }
+) {
+  return JSON.stringify(
+    {
+      blockNumber,
+      date: time.toISOString(),
+      token: {
+        address: tokenAddress,
+        decimals: tokenDecimals,
+        symbol: tokenSymbol,
+        totalSupply: formatExportAmount(totalSupply, tokenDecimals),
+      },
+      holders: capTable.map(
+        ({ address, balance, locked, percentage, transferable }) => ({
+          address,
+          balance: formatExportAmount(balance, tokenDecimals),
+          locked: formatExportAmount(locked, tokenDecimals),
+          transferable: formatExportAmount(transferable, tokenDecimals),
+          percentage,
+        })
+      ),
+    },
+    null,
+    2
+  )
+}
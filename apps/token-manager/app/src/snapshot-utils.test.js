@@ -0,0 +1,128 @@
+import BN from 'bn.js'
+import {
+  getCapTable,
+  getCapTableCsv,
+  getCapTableJson,
+  getSnapshotVestings,
+} from './snapshot-utils'
+
+const DAY = 1000 * 60 * 60 * 24
+
+const ALICE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+const BOB = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb'
+const TOKEN_MANAGER = '0xcccccccccccccccccccccccccccccccccccccccc'
+
+const vesting = (id, amount, { start = 0, revokedAt = null } = {}) => ({
+  id,
+  data: {
+    amount: new BN(amount),
+    start: new Date(start * DAY),
+    cliff: new Date(start * DAY),
+    vesting: new Date((start + 100) * DAY),
+  },
+  revoked: revokedAt === null ? null : { date: new Date(revokedAt * DAY) },
+})
+
+const vestings = {
+  [ALICE]: [
+    vesting('0', 100),
+    vesting('1', 400, { revokedAt: 60 }),
+    vesting('2', 1000, { start: 70 }),
+  ],
+}
+
+describe('getSnapshotVestings', () => {
+  test('Should only keep the vestings active at the time', () => {
+    const ids = day =>
+      getSnapshotVestings(vestings[ALICE], new Date(day * DAY)).map(
+        ({ id }) => id
+      )
+    expect(ids(50)).toEqual(['0', '1'])
+    expect(ids(60)).toEqual(['0'])
+    expect(ids(70)).toEqual(['0', '2'])
+  })
+})
+
+describe('getCapTable', () => {
+  const capTable = getCapTable({
+    balances: [
+      { address: BOB, balance: new BN(300) },
+      { address: ALICE, balance: new BN(600) },
+      { address: TOKEN_MANAGER, balance: new BN(100) },
+      {
+        address: '0xdddddddddddddddddddddddddddddddddddddddd',
+        balance: new BN(0),
+      },
+    ],
+    time: new Date(50 * DAY),
+    tokenManagerAddress: TOKEN_MANAGER,
+    totalSupply: new BN(1000),
+    vestings,
+  })
+
+  test('Should list the holders by balance, with their share', () => {
+    expect(capTable.map(({ address }) => address)).toEqual([
+      ALICE,
+      BOB,
+      TOKEN_MANAGER,
+    ])
+    expect(capTable.map(({ percentage }) => percentage)).toEqual([60, 30, 10])
+  })
+
+  test('Should lock the non vested tokens at the snapshot time', () => {
+    const [alice, bob] = capTable
+    expect(alice.locked.toString()).toBe('250')
+    expect(alice.transferable.toString()).toBe('350')
+    expect(bob.locked.toString()).toBe('0')
+    expect(bob.transferable.toString()).toBe('300')
+  })
+
+  test('Should use the provided transferable balances', () => {
+    const [alice] = getCapTable({
+      balances: [
+        { address: ALICE, balance: new BN(600), transferable: new BN(500) },
+      ],
+      time: new Date(50 * DAY),
+      totalSupply: new BN(1000),
+      vestings,
+    })
+    expect(alice.locked.toString()).toBe('100')
+    expect(alice.transferable.toString()).toBe('500')
+  })
+
+  test('Should export the cap table', () => {
+    expect(getCapTableCsv(capTable, { tokenDecimals: 1 })).toBe(
+      [
+        'Holder,Balance,Locked,Transferable,Percentage',
+        `"${ALICE}","60","25","35","60"`,
+        `"${BOB}","30","0","30","30"`,
+        `"${TOKEN_MANAGER}","10","0","10","10"`,
+      ].join('\n')
+    )
+
+    const json = JSON.parse(
+      getCapTableJson(capTable, {
+        blockNumber: 25,
+        time: new Date(50 * DAY),
+        tokenAddress: BOB,
+        tokenDecimals: 1,
+        tokenSymbol: 'TKN',
+        totalSupply: new BN(1000),
+      })
+    )
+    expect(json.blockNumber).toBe(25)
+    expect(json.token).toEqual({
+      address: BOB,
+      decimals: 1,
+      symbol: 'TKN',
+      totalSupply: '100',
+    })
+    expect(json.holders[0]).toEqual({
+      address: ALICE,
+      balance: '60',
+      locked: '25',
+      transferable: '35',
+      percentage: 60,
+    })
+  })
+})
@@ -1,10 +1,19 @@
 import BN from 'bn.js'
 import { dayjs } from './date-utils'
 
+// Points sampled to draw the unlock curve of a vesting
+const UNLOCK_CURVE_POINTS = 25
+
+// Maximum number of vestings an address can have (see TokenManager.sol)
+export const MAX_VESTINGS_PER_ADDRESS = 50
+
 function getTimeProgress(time, { start, end }) {
   const fromStart = dayjs(time).diff(dayjs(start))
-  const fromEnd = dayjs(end).diff(dayjs(time))
-  return Math.max(0, Math.min(1, fromStart / fromEnd))
+  const duration = dayjs(end).diff(dayjs(start))
+  if (duration <= 0) {
+    return 1
+  }
+  return Math.max(0, Math.min(1, fromStart / duration))
 }
 
 function getVestingUnlockedTokens(time, { amount, start, cliff, end }) {
@@ -20,7 +29,7 @@ function getVestingUnlockedTokens(time, { amount, start, cliff, end }) {
 
   // Vesting progress: 0 => 1
   const progress = getTimeProgress(time, { start, end })
-  return new BN(amountBn).div(new BN(10000)).mul(new BN(progress * 10000))
+  return amountBn.mul(new BN(Math.floor(progress * 10000))).div(new BN(10000))
 }
 
 export function getVestedTokensInfo(now, vestingData) {
@@ -57,3 +66,64 @@ export function getVestedTokensInfo(now, vestingData) {
     unlockedTokens,
   }
 }
+
+// Get the vested tokens info at regular intervals, from the start to the end
+// of a vesting (e.g. to preview a vesting before it gets created).
+export function getVestingUnlockCurve(
+  vestingData,
+  pointsCount = UNLOCK_CURVE_POINTS
+) {
+  const start = dayjs(vestingData.start).valueOf()
+  const end = dayjs(vestingData.vesting).valueOf()
+  const step = (end - start) / Math.max(1, pointsCount - 1)
+
+  return [...Array(pointsCount).keys()].map(index => {
+    const time = new Date(start + Math.round(step * index))
+    return { time, ...getVestedTokensInfo(time, vestingData) }
+  })
+}
+
+// A revoked vesting keeps the tokens that were vested when it got revoked,
+// the other ones being returned to the Token Manager.
+export function getRevokedVestingInfo(vestingData, { nonVestedAmount }) {
+  const { amount, start, cliff, vesting: end } = vestingData
+  const amountBn = new BN(amount)
+  const revokedTokens = new BN(nonVestedAmount)
+
+  const revokedPercentage =
+    revokedTokens
+      .mul(new BN(10000))
+      .div(amountBn)
+      .toNumber() / 100
+
+  return {
+    cliffProgress: getTimeProgress(cliff, { start, end }),
+    lockedPercentage: 0,
+    lockedTokens: new BN(0),
+    revokedPercentage,
+    revokedTokens,
+    unlockedPercentage: 100 - revokedPercentage,
+    unlockedTokens: amountBn.sub(revokedTokens),
+  }
+}
+
+// Get the amount of tokens of a vesting that are not vested yet at a given
+// time, computed exactly like TokenManager's _calculateNonVestedTokens().
+export function getNonVestedTokens(time, vestingData) {
+  const { amount, start, cliff, vesting: end } = vestingData
+  const amountBn = new BN(amount)
+  const timeMs = dayjs(time).valueOf()
+
+  if (timeMs >= dayjs(end).valueOf()) {
+    return new BN(0)
+  }
+  if (timeMs < dayjs(cliff).valueOf()) {
+    return amountBn
+  }
+
+  const startMs = dayjs(start).valueOf()
+  const vestedTokens = amountBn
+    .mul(new BN(timeMs - startMs))
+    .div(new BN(dayjs(end).valueOf() - startMs))
+  return amountBn.sub(vestedTokens)
+}
@@ -0,0 +1,100 @@
+import BN from 'bn.js'
+import {
+  getNonVestedTokens,
+  getRevokedVestingInfo,
+  getVestedTokensInfo,
+  getVestingUnlockCurve,
+} from './vesting-utils'
+
+const DAY = 1000 * 60 * 60 * 24
+
+const vesting = {
+  amount: new BN(1000),
+  start: new Date(0),
+  cliff: new Date(100 * DAY),
+  vesting: new Date(400 * DAY),
+}
+
+describe('getVestedTokensInfo', () => {
+  test('Should not unlock any tokens before the cliff', () => {
+    const info = getVestedTokensInfo(new Date(99 * DAY), vesting)
+    expect(info.unlockedTokens.toString()).toBe('0')
+    expect(info.lockedTokens.toString()).toBe('1000')
+    expect(info.unlockedPercentage).toBe(0)
+    expect(info.lockedPercentage).toBe(100)
+  })
+
+  test('Should unlock the tokens linearly from the start', () => {
+    const atCliff = getVestedTokensInfo(new Date(100 * DAY), vesting)
+    expect(atCliff.unlockedTokens.toString()).toBe('250')
+    expect(atCliff.unlockedPercentage).toBe(25)
+
+    const halfway = getVestedTokensInfo(new Date(200 * DAY), vesting)
+    expect(halfway.unlockedTokens.toString()).toBe('500')
+    expect(halfway.lockedTokens.toString()).toBe('500')
+  })
+
+  test('Should unlock all the tokens once vested', () => {
+    const info = getVestedTokensInfo(new Date(400 * DAY), vesting)
+    expect(info.unlockedTokens.toString()).toBe('1000')
+    expect(info.unlockedPercentage).toBe(100)
+  })
+
+  test('Should place the cliff on the vesting period', () => {
+    const info = getVestedTokensInfo(new Date(0), vesting)
+    expect(info.cliffProgress).toBe(0.25)
+
+    const instantInfo = getVestedTokensInfo(new Date(0), {
+      ...vesting,
+      cliff: new Date(0),
+      vesting: new Date(0),
+    })
+    expect(instantInfo.cliffProgress).toBe(1)
+    expect(instantInfo.unlockedPercentage).toBe(100)
+  })
+})
+
+describe('getVestingUnlockCurve', () => {
+  test('Should sample the vesting from its start to its end', () => {
+    const curve = getVestingUnlockCurve(vesting, 5)
+    expect(curve.map(({ time }) => time.getTime())).toEqual([
+      0,
+      100 * DAY,
+      200 * DAY,
+      300 * DAY,
+      400 * DAY,
+    ])
+    expect(curve.map(({ unlockedPercentage }) => unlockedPercentage)).toEqual([
+      0,
+      25,
+      50,
+      75,
+      100,
+    ])
+  })
+})
+
+describe('getRevokedVestingInfo', () => {
+  test('Should only keep the tokens vested when revoked', () => {
+    const info = getRevokedVestingInfo(vesting, {
+      nonVestedAmount: new BN(600),
+    })
+    expect(info.unlockedTokens.toString()).toBe('400')
+    expect(info.lockedTokens.toString()).toBe('0')
+    expect(info.revokedTokens.toString()).toBe('600')
+    expect(info.unlockedPercentage).toBe(40)
+    expect(info.lockedPercentage).toBe(0)
+    expect(info.revokedPercentage).toBe(60)
+  })
+})
+
+describe('getNonVestedTokens', () => {
+  test('Should compute the non vested tokens like the contract', () => {
+    const at = days => getNonVestedTokens(new Date(days * DAY), vesting)
+    expect(at(99).toString()).toBe('1000')
+    expect(at(100).toString()).toBe('750')
+    // The vested tokens get rounded down
+    expect(at(133).toString()).toBe('668')
+    expect(at(400).toString()).toBe('0')
+  })
+})